@@ -0,0 +1,39 @@
+/**
+ * 本地领星 OpenAPI mock 服务（开发/联调用，无需真实领星账户）
+ * 运行: npm run mock:lingxing
+ * 然后将 API / worker 的 LINGXING_API_BASE_URL 指向 http://localhost:<LINGXING_MOCK_PORT>
+ *
+ * 环境变量：
+ *   LINGXING_MOCK_PORT          监听端口（默认 4010）
+ *   LINGXING_MOCK_APPS          JSON { appId: appSecret }，不设置则接受任意 appId/appSecret
+ *   LINGXING_MOCK_FIXTURES_DIR  fixture 目录（默认 src/mock/fixtures/lingxing）
+ *   LINGXING_MOCK_TOKEN_TTL     access_token 有效期（秒，默认 7200）
+ *   LINGXING_MOCK_THROTTLE_RATE 随机返回 3001008 的概率（0~1）
+ *   LINGXING_MOCK_RPS           每个 appId + 接口每秒请求上限，超过返回 3001008
+ */
+
+import Fastify from 'fastify';
+import dotenv from 'dotenv';
+import lingxingMockServer from '../src/mock/lingxingMockServer.js';
+
+dotenv.config();
+
+const PORT = parseInt(process.env.LINGXING_MOCK_PORT, 10) || 4010;
+
+async function main() {
+  const fastify = Fastify({ logger: false });
+  await fastify.register(lingxingMockServer, {
+    apps: process.env.LINGXING_MOCK_APPS ? JSON.parse(process.env.LINGXING_MOCK_APPS) : null,
+    fixturesDir: process.env.LINGXING_MOCK_FIXTURES_DIR || undefined,
+    tokenTtlSeconds: parseInt(process.env.LINGXING_MOCK_TOKEN_TTL, 10) || 7200,
+    throttleRate: Number(process.env.LINGXING_MOCK_THROTTLE_RATE) || 0,
+    ratePerSecond: parseInt(process.env.LINGXING_MOCK_RPS, 10) || null
+  });
+  await fastify.listen({ port: PORT, host: '0.0.0.0' });
+  console.log(`[LingXingMock] 已启动: http://localhost:${PORT}（设置 LINGXING_API_BASE_URL=http://localhost:${PORT}）`);
+}
+
+main().catch((err) => {
+  console.error('[LingXingMock] 启动失败:', err);
+  process.exit(1);
+});
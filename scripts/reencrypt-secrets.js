@@ -0,0 +1,30 @@
+/**
+ * 敏感字段加密迁移 / 主密钥轮换（LingXingAccount.appSecret/accessToken/refreshToken、AmazonStore.refreshToken）
+ * 首次迁移（只加密明文）:
+ *   SECRETS_ENCRYPTION_KEY=<key> node scripts/reencrypt-secrets.js
+ * 轮换（全部用当前主密钥重新加密，旧密钥需在 SECRETS_ENCRYPTION_OLD_KEYS 中）:
+ *   SECRETS_ENCRYPTION_KEY=<新key> SECRETS_ENCRYPTION_KEY_ID=k2 SECRETS_ENCRYPTION_OLD_KEYS='{"k1":"<旧key>"}' node scripts/reencrypt-secrets.js --rotate
+ * 加 --dry-run 只统计不写入
+ */
+
+import prisma from '../src/config/database.js';
+import { reencryptSecrets } from '../src/services/secretStoreService.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const rotate = args.includes('--rotate');
+  const dryRun = args.includes('--dry-run');
+  console.log(`[reencrypt-secrets] 开始${rotate ? '密钥轮换' : '加密明文'}${dryRun ? '（dry-run）' : ''}...`);
+  const summary = await reencryptSecrets({ onlyPlaintext: !rotate, dryRun });
+  const skipped = Object.values(summary).reduce((sum, stats) => sum + stats.skipped, 0);
+  console.log('[reencrypt-secrets] 完成.', JSON.stringify(summary));
+  if (skipped > 0) {
+    console.warn(`[reencrypt-secrets] ${skipped} 条因并发修改跳过，可重新执行`);
+  }
+  await prisma.$disconnect();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
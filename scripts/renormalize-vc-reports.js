@@ -0,0 +1,42 @@
+/**
+ * 从 AmazonVcReportData 原始 JSON 重建 VC 报表结构化表（amazon_vc_report_sales 等）
+ * 运行:
+ *   node scripts/renormalize-vc-reports.js
+ *   node scripts/renormalize-vc-reports.js --type=GET_VENDOR_SALES_REPORT --store=<amazonStoreId> --from=2026-01-01 --to=2026-01-31
+ */
+
+import prisma from '../src/config/database.js';
+import amazonVcReportService from '../src/services/amazon/amazonVcReportService.js';
+
+function parseArgs() {
+  const args = {};
+  for (const arg of process.argv.slice(2)) {
+    const match = /^--([^=]+)=(.*)$/.exec(arg);
+    if (match) args[match[1]] = match[2];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs();
+  const options = {
+    amazonStoreId: args.store,
+    reportType: args.type,
+    from: args.from,
+    to: args.to
+  };
+  console.log('[renormalize-vc-reports] 开始重建结构化表...', JSON.stringify(options));
+  const summary = await amazonVcReportService.renormalizeReportData(options);
+  for (const [reportType, stats] of Object.entries(summary)) {
+    console.log(`  ${reportType}: 报表 ${stats.reports} 份, 写入 ${stats.records} 行, 跳过 ${stats.skipped} 行, 失败 ${stats.failed} 份`);
+  }
+  const failed = Object.values(summary).reduce((sum, stats) => sum + stats.failed, 0);
+  console.log(`[renormalize-vc-reports] 完成. 失败 ${failed} 份`);
+  await prisma.$disconnect();
+  if (failed > 0) process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,8 +1,10 @@
 import { PrismaClient } from '@prisma/client';
+import { reconcileExtension } from '../services/lingxing/sync/lingXingReconcileExtension.js';
 
+// 对账统计扩展只在对账运行上下文中比较写入，其它查询直接执行
 const prisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
-});
+}).$extends(reconcileExtension);
 
 // 优雅关闭
 process.on('beforeExit', async () => {
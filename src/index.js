@@ -35,6 +35,15 @@ import accountRoutes from './routes/accountRoutes.js';
 console.log('[15] accountRoutes 导入完成');
 import jobRoutes from './routes/jobRoutes.js';
 console.log('[15.1] jobRoutes 导入完成');
+import eventRoutes from './routes/eventRoutes.js';
+console.log('[15.2] eventRoutes 导入完成');
+import authRoutes, { registerAuth } from './routes/authRoutes.js';
+import { logAuthConfig } from './services/authService.js';
+import auditRoutes, { registerAudit } from './routes/auditRoutes.js';
+import { assertTaskCatalog } from './services/lingxing/sync/lingXingTaskCatalog.js';
+import lingXingSyncRunService from './services/lingxing/sync/lingXingSyncRunService.js';
+import { renderMetrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './services/metricsService.js';
+import lingxingMockServer from './mock/lingxingMockServer.js';
 
 // 加载环境变量
 console.log('[15] 加载环境变量...');
@@ -54,6 +63,13 @@ const start = async () => {
   console.log('[19] Fastify 实例创建完成');
 
   try {
+    // 同步任务目录不一致时直接退出，避免带错配置运行
+    assertTaskCatalog();
+    console.log('[19.5] 同步任务目录校验通过');
+
+    // 同步运行在 API 进程内执行：本实例上次退出时未结束的运行、心跳超时的运行已不可能继续
+    await lingXingSyncRunService.failInterruptedSyncRuns();
+
     console.log('[20] 开始注册 CORS 插件...');
     // 注册 CORS 插件
     await fastify.register(import('@fastify/cors'), {
@@ -61,6 +77,12 @@ const start = async () => {
     });
     console.log('[21] CORS 插件注册完成');
 
+    // 鉴权（API 密钥 / JWT + 角色 + 账户范围），须在注册路由之前
+    registerAuth(fastify);
+    logAuthConfig();
+    // 审计：记录所有非 GET 调用（含鉴权拒绝）
+    registerAudit(fastify);
+
     // 健康检查
     fastify.get('/health', async (request, reply) => {
       return {
@@ -70,6 +92,12 @@ const start = async () => {
       };
     });
 
+    // Prometheus 指标（领星接口调用、限流等；worker 进程在 WORKER_METRICS_PORT 单独提供）
+    fastify.get('/metrics', async (request, reply) => {
+      reply.header('Content-Type', METRICS_CONTENT_TYPE);
+      return renderMetrics();
+    });
+
     // 注册路由
     console.log('[22] 开始注册路由...');
     await fastify.register(amazonRoutes, { prefix: '/api/amazon' });
@@ -104,6 +132,17 @@ const start = async () => {
     console.log('[34] accountRoutes 注册完成');
     await fastify.register(jobRoutes, { prefix: '/api/jobs' });
     console.log('[34.1] jobRoutes 注册完成');
+    await fastify.register(eventRoutes, { prefix: '/api/events' });
+    console.log('[34.2] eventRoutes 注册完成');
+    await fastify.register(authRoutes, { prefix: '/api/auth' });
+    console.log('[34.25] authRoutes 注册完成');
+    await fastify.register(auditRoutes, { prefix: '/api/audit' });
+    console.log('[34.26] auditRoutes 注册完成');
+    // 开发联调：在 API 进程内挂载领星 mock（LINGXING_API_BASE_URL 指向 http://localhost:<PORT>/mock/lingxing）
+    if (process.env.LINGXING_MOCK_ENABLED === 'true') {
+      await fastify.register(lingxingMockServer, { prefix: '/mock/lingxing' });
+      console.log('[34.3] 领星 mock 已挂载到 /mock/lingxing');
+    }
 
     // 404处理
     fastify.setNotFoundHandler(async (request, reply) => {
@@ -144,6 +183,9 @@ const start = async () => {
     console.log(`   - 领星报表管理: http://localhost:${PORT}/api/lingxing/reports`);
     console.log(`   - 领星统一同步: http://localhost:${PORT}/api/lingxing/sync`);
     console.log(`   - 账户管理: http://localhost:${PORT}/api/accounts`);
+    console.log(`   - 实时事件(SSE): http://localhost:${PORT}/api/events`);
+    console.log(`   - 鉴权/API 密钥: http://localhost:${PORT}/api/auth`);
+    console.log(`   - 审计日志: http://localhost:${PORT}/api/audit`);
   } catch (err) {
     console.error('启动服务器失败:', err);
     fastify.log.error(err);
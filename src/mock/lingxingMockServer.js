@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import querystring from 'querystring';
+import { fileURLToPath } from 'url';
+import { generateSign } from '../services/lingxing/lingxingSign.js';
+
+const LOG_PREFIX = '[LingXingMock]';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'lingxing');
+
+/** 未指定分页大小时每页条数 */
+const DEFAULT_PAGE_SIZE = 20;
+
+/** 与领星一致的错误返回码 */
+const MOCK_ERRORS = {
+  APP_NOT_FOUND: { code: 2001001, message: 'appId不存在' },
+  APP_SECRET_INVALID: { code: 2001002, message: 'appSecret不正确' },
+  TOKEN_EXPIRED: { code: 2001003, message: 'access_token不存在或已过期' },
+  TOKEN_INVALID: { code: 2001005, message: 'access_token不正确' },
+  SIGN_INVALID: { code: 2001006, message: '接口签名不正确' },
+  REFRESH_TOKEN_INVALID: { code: 2001009, message: 'refresh_token无效' },
+  THROTTLED: { code: 3001008, message: '请求太频繁' }
+};
+
+/**
+ * 解析 multipart/form-data 的文本字段（鉴权接口以 form-data 提交 appId 等）
+ * @returns {Object}
+ */
+function parseMultipartFields(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundary) return {};
+  const fields = {};
+  for (const part of body.split(`--${boundary[1] || boundary[2]}`)) {
+    const separator = part.indexOf('\r\n\r\n');
+    if (separator === -1) continue;
+    const name = /name="([^"]+)"/i.exec(part.slice(0, separator));
+    if (!name) continue;
+    fields[name[1]] = part.slice(separator + 4).replace(/\r\n$/, '');
+  }
+  return fields;
+}
+
+/**
+ * 按模板展开一条记录：字符串中的 {{i}} 替换为序号（从 1 开始），{{i:N}} 左补零到 N 位；
+ * 整个字符串为 {{i}} 时取数值
+ */
+function expandTemplate(value, i) {
+  if (typeof value === 'string') {
+    if (value === '{{i}}') return i;
+    return value.replace(/\{\{i(?::(\d+))?\}\}/g, (_, width) => String(i).padStart(Number(width) || 0, '0'));
+  }
+  if (Array.isArray(value)) return value.map((item) => expandTemplate(item, i));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandTemplate(item, i)]));
+  }
+  return value;
+}
+
+/**
+ * 生成 fixture 记录：generate = { count, template, cycle? }
+ * cycle 为 字段 → 取值数组，第 i 条取 values[(i - 1) % length]（如按店铺 sid 轮换）
+ * @returns {Array<Object>}
+ */
+function generateRecords({ count = 0, template = {}, cycle = {} }) {
+  const records = [];
+  for (let i = 1; i <= count; i++) {
+    const record = expandTemplate(template, i);
+    for (const [field, values] of Object.entries(cycle)) {
+      if (Array.isArray(values) && values.length > 0) record[field] = values[(i - 1) % values.length];
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * 读取 fixture 目录：每个 JSON 文件为 { path, shape?, listKey?, records?, generate? }
+ * - shape=list（默认）：返回 { data: records分页, total }
+ * - shape=page：返回 { data: { [listKey]: records分页, total } }，listKey 默认 list
+ * - shape=raw：原样返回 response 字段（不分页，如汇总类接口）
+ * - generate：按模板追加生成的记录（见 generateRecords），条数超过服务默认分页大小即可覆盖多页拉取
+ * - filterBy：按请求参数过滤记录，["sid"] 表示参数与记录同名字段，{ "order_id": "amazon_order_id" } 为参数 → 记录字段；
+ *   参数为空时不过滤，逗号分隔或数组表示任一匹配
+ * @returns {Map<string, Object>} path -> fixture
+ */
+function loadFixtures(dir) {
+  const fixtures = new Map();
+  if (!fs.existsSync(dir)) return fixtures;
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json'))) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!fixture.path) {
+        console.warn(`${LOG_PREFIX} fixture 缺少 path，已跳过: ${file}`);
+        continue;
+      }
+      const records = [...(fixture.records || []), ...(fixture.generate ? generateRecords(fixture.generate) : [])];
+      fixtures.set(fixture.path, { shape: 'list', listKey: 'list', ...fixture, records });
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} fixture 解析失败 ${file}: ${err.message}`);
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * 按 fixture.filterBy 中的请求参数过滤记录
+ */
+function filterRecords(records, filterBy, params) {
+  const mapping = Array.isArray(filterBy) ? filterBy.map((field) => [field, field]) : Object.entries(filterBy || {});
+  const active = mapping
+    .filter(([param]) => params[param] !== undefined && params[param] !== null && params[param] !== '')
+    .map(([param, field]) => {
+      const value = params[param];
+      return { field, accepted: new Set((Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim())) };
+    });
+  if (active.length === 0) return records;
+  return records.filter((record) => active.every(({ field, accepted }) => accepted.has(String(record[field]))));
+}
+
+/**
+ * 按请求参数分页：offset/length、page/pageSize（page_size、length），均未传时返回全部
+ */
+function paginate(records, params) {
+  const num = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const offset = num(params.offset);
+  const page = num(params.page);
+  const size = num(params.length) ?? num(params.pageSize) ?? num(params.page_size) ?? num(params.limit);
+  if (offset !== null) return records.slice(offset, offset + (size ?? DEFAULT_PAGE_SIZE));
+  if (page !== null) {
+    const pageSize = size ?? DEFAULT_PAGE_SIZE;
+    return records.slice((Math.max(page, 1) - 1) * pageSize, Math.max(page, 1) * pageSize);
+  }
+  return records;
+}
+
+/**
+ * 领星 OpenAPI 本地 mock（Fastify 插件）
+ * - 鉴权：POST /api/auth-server/oauth/access-token、/api/auth-server/oauth/refresh（form-data）
+ * - 业务接口：校验 app_key、access_token 与签名（与客户端共用 lingxingSign.generateSign），按 fixture 返回分页数据；
+ *   没有 fixture 的接口返回空列表 { code: 0, data: [], total: 0 }
+ * - 模拟限流：throttleRate 概率返回 3001008；ratePerSecond 为同一 app_key + 接口每秒请求上限；/__mock/throttle 强制后续 N 次限流
+ * - 模拟 token 过期：tokenTtlSeconds 控制有效期；/__mock/expire-tokens 使已发放的 access_token 立即过期
+ * - GET /__mock/stats 查看调用统计；POST /__mock/reset 清空 token、统计与强制限流
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {Object} options
+ *   - apps: { [appId]: appSecret }，不传则接受任意 appId/appSecret
+ *   - fixturesDir: fixture 目录，默认 src/mock/fixtures/lingxing
+ *   - tokenTtlSeconds: access_token 有效期（默认 7200）
+ *   - verifySign: 是否校验签名（默认 true）
+ *   - throttleRate: 0~1 随机限流概率（默认 0）
+ *   - ratePerSecond: 每个 app_key + 接口的每秒请求上限（默认不限）
+ */
+async function lingxingMockServer(fastify, options = {}) {
+  const {
+    apps = null,
+    fixturesDir = DEFAULT_FIXTURES_DIR,
+    tokenTtlSeconds = 7200,
+    verifySign = true,
+    throttleRate = 0,
+    ratePerSecond = null
+  } = options;
+
+  let fixtures = loadFixtures(fixturesDir);
+  /** access_token -> { appId, expiresAt } */
+  const accessTokens = new Map();
+  /** refresh_token -> appId */
+  const refreshTokens = new Map();
+  /** 强制限流剩余次数：path（'*' 为任意接口）-> count */
+  const forcedThrottles = new Map();
+  /** 每秒请求计数：`${appId}:${path}` -> { second, count } */
+  const rateWindows = new Map();
+  /** 调用统计：path -> { calls, throttled, errors } */
+  const stats = new Map();
+
+  const fail = (error) => ({ code: error.code, message: error.message, data: null });
+  const newToken = () => crypto.randomBytes(16).toString('hex');
+
+  const issueTokens = (appId) => {
+    const accessToken = newToken();
+    const refreshToken = newToken();
+    accessTokens.set(accessToken, { appId, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+    refreshTokens.set(refreshToken, appId);
+    return { code: '200', msg: 'OK', data: { access_token: accessToken, refresh_token: refreshToken, expires_in: tokenTtlSeconds } };
+  };
+
+  const record = (apiPath, field) => {
+    if (!stats.has(apiPath)) stats.set(apiPath, { calls: 0, throttled: 0, errors: 0 });
+    stats.get(apiPath)[field]++;
+  };
+
+  const shouldThrottle = (appId, apiPath) => {
+    for (const key of [apiPath, '*']) {
+      const remaining = forcedThrottles.get(key);
+      if (remaining > 0) {
+        forcedThrottles.set(key, remaining - 1);
+        return true;
+      }
+    }
+    if (throttleRate > 0 && Math.random() < throttleRate) return true;
+    if (ratePerSecond) {
+      const second = Math.floor(Date.now() / 1000);
+      const windowKey = `${appId}:${apiPath}`;
+      const window = rateWindows.get(windowKey);
+      if (!window || window.second !== second) {
+        rateWindows.set(windowKey, { second, count: 1 });
+      } else if (++window.count > ratePerSecond) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  fastify.addContentTypeParser('multipart/form-data', { parseAs: 'string' }, (request, body, done) => {
+    done(null, parseMultipartFields(body, request.headers['content-type']));
+  });
+  fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+    done(null, querystring.parse(body));
+  });
+
+  fastify.post('/api/auth-server/oauth/access-token', async (request) => {
+    const { appId, appSecret } = { ...request.query, ...request.body };
+    if (!appId) return fail(MOCK_ERRORS.APP_NOT_FOUND);
+    if (apps) {
+      if (!(appId in apps)) return fail(MOCK_ERRORS.APP_NOT_FOUND);
+      if (apps[appId] !== appSecret) return fail(MOCK_ERRORS.APP_SECRET_INVALID);
+    }
+    return issueTokens(appId);
+  });
+
+  fastify.post('/api/auth-server/oauth/refresh', async (request) => {
+    const { appId, refreshToken } = { ...request.query, ...request.body };
+    const owner = refreshTokens.get(refreshToken);
+    if (!owner || owner !== appId) return fail(MOCK_ERRORS.REFRESH_TOKEN_INVALID);
+    refreshTokens.delete(refreshToken);
+    return issueTokens(appId);
+  });
+
+  fastify.post('/__mock/throttle', async (request) => {
+    const { path: apiPath = '*', count = 1 } = request.body || {};
+    forcedThrottles.set(apiPath, (forcedThrottles.get(apiPath) || 0) + (parseInt(count, 10) || 1));
+    return { success: true, data: Object.fromEntries(forcedThrottles) };
+  });
+
+  fastify.post('/__mock/expire-tokens', async () => {
+    for (const token of accessTokens.values()) token.expiresAt = 0;
+    return { success: true, data: { expired: accessTokens.size } };
+  });
+
+  fastify.post('/__mock/reset', async () => {
+    accessTokens.clear();
+    refreshTokens.clear();
+    forcedThrottles.clear();
+    rateWindows.clear();
+    stats.clear();
+    fixtures = loadFixtures(fixturesDir);
+    return { success: true, data: { fixtures: fixtures.size } };
+  });
+
+  fastify.get('/__mock/stats', async () => ({
+    success: true,
+    data: {
+      fixtures: [...fixtures.keys()],
+      tokens: accessTokens.size,
+      forcedThrottles: Object.fromEntries(forcedThrottles),
+      calls: Object.fromEntries(stats)
+    }
+  }));
+
+  // 业务接口
+  fastify.route({
+    method: ['GET', 'POST'],
+    url: '/*',
+    handler: async (request) => {
+      const apiPath = `/${request.params['*']}`;
+      const query = { ...request.query };
+      const body = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+      const appId = query.app_key;
+      record(apiPath, 'calls');
+
+      if (!appId || (apps && !(appId in apps))) {
+        record(apiPath, 'errors');
+        return fail(MOCK_ERRORS.APP_NOT_FOUND);
+      }
+      const token = accessTokens.get(query.access_token);
+      if (!token || token.appId !== appId) {
+        record(apiPath, 'errors');
+        return fail(MOCK_ERRORS.TOKEN_INVALID);
+      }
+      if (token.expiresAt <= Date.now()) {
+        record(apiPath, 'errors');
+        return fail(MOCK_ERRORS.TOKEN_EXPIRED);
+      }
+      if (verifySign) {
+        const { sign, ...signed } = query;
+        const expected = generateSign(appId, request.method === 'GET' ? signed : { ...signed, ...body });
+        if (sign !== expected) {
+          record(apiPath, 'errors');
+          return fail(MOCK_ERRORS.SIGN_INVALID);
+        }
+      }
+      if (shouldThrottle(appId, apiPath)) {
+        record(apiPath, 'throttled');
+        return fail(MOCK_ERRORS.THROTTLED);
+      }
+
+      const params = request.method === 'GET' ? query : body;
+      const fixture = fixtures.get(apiPath);
+      const requestId = crypto.randomUUID();
+      if (!fixture) {
+        return { code: 0, message: 'success', request_id: requestId, data: [], total: 0 };
+      }
+      if (fixture.shape === 'raw') {
+        return { code: 0, message: 'success', request_id: requestId, ...fixture.response };
+      }
+      const records = filterRecords(fixture.records, fixture.filterBy, params);
+      const list = paginate(records, params);
+      const total = records.length;
+      if (fixture.shape === 'page') {
+        return { code: 0, message: 'success', request_id: requestId, data: { [fixture.listKey]: list, total }, total };
+      }
+      return { code: 0, message: 'success', request_id: requestId, data: list, total };
+    }
+  });
+}
+
+export default lingxingMockServer;
@@ -1,14 +1,15 @@
 import prisma from '../config/database.js';
+import { encryptSecret, omitSecretFields } from '../services/secretCrypto.js';
 
 /**
- * 账户管理路由插件
+ * 账户管理路由插件（需 admin）
  */
 async function accountRoutes(fastify, options) {
   /**
    * 创建亚马逊店铺
    * POST /api/accounts/amazon
    */
-  fastify.post('/amazon', async (request, reply) => {
+  fastify.post('/amazon', { config: { auth: 'admin' } }, async (request, reply) => {
     const { storeName, storeId, region, accessKey, secretKey, refreshToken } = request.body;
 
     if (!storeName || !storeId || !region) {
@@ -25,14 +26,14 @@ async function accountRoutes(fastify, options) {
         region,
         accessKey,
         secretKey,
-        refreshToken
+        refreshToken: encryptSecret(refreshToken)
       }
     });
 
     return {
       success: true,
       message: '亚马逊店铺创建成功',
-      data: store
+      data: omitSecretFields('amazonStore', store)
     };
   });
 
@@ -41,7 +42,7 @@ async function accountRoutes(fastify, options) {
    * POST /api/accounts/lingxing
    * 一个账户有一个APP ID和APP Secret，可以绑定多个亚马逊店铺
    */
-  fastify.post('/lingxing', async (request, reply) => {
+  fastify.post('/lingxing', { config: { auth: 'admin' } }, async (request, reply) => {
     const { name, appId, appSecret, description } = request.body;
 
     if (!name || !appId || !appSecret) {
@@ -55,7 +56,7 @@ async function accountRoutes(fastify, options) {
       data: {
         name,
         appId, // APP ID
-        appSecret, // APP Secret (用于签名和获取token)
+        appSecret: encryptSecret(appSecret), // APP Secret (用于签名和获取token，加密存储)
         description
       }
     });
@@ -63,7 +64,7 @@ async function accountRoutes(fastify, options) {
     return {
       success: true,
       message: '领星ERP账户创建成功',
-      data: account
+      data: omitSecretFields('lingXingAccount', account)
     };
   });
 
@@ -71,14 +72,14 @@ async function accountRoutes(fastify, options) {
    * 获取所有亚马逊店铺
    * GET /api/accounts/amazon
    */
-  fastify.get('/amazon', async (request, reply) => {
+  fastify.get('/amazon', { config: { auth: 'admin' } }, async (request, reply) => {
     const stores = await prisma.amazonStore.findMany({
       orderBy: { createdAt: 'desc' }
     });
 
     return {
       success: true,
-      data: stores
+      data: stores.map((store) => omitSecretFields('amazonStore', store))
     };
   });
 
@@ -86,7 +87,7 @@ async function accountRoutes(fastify, options) {
    * 获取所有领星ERP账户
    * GET /api/accounts/lingxing
    */
-  fastify.get('/lingxing', async (request, reply) => {
+  fastify.get('/lingxing', { config: { auth: 'admin' } }, async (request, reply) => {
     const accounts = await prisma.lingXingAccount.findMany({
       include: {
         amazonSellers: true // 包含该账户下的所有店铺
@@ -96,7 +97,7 @@ async function accountRoutes(fastify, options) {
 
     return {
       success: true,
-      data: accounts
+      data: accounts.map((account) => omitSecretFields('lingXingAccount', account))
     };
   });
 
@@ -104,7 +105,7 @@ async function accountRoutes(fastify, options) {
    * 获取同步日志
    * GET /api/accounts/sync-logs
    */
-  fastify.get('/sync-logs', async (request, reply) => {
+  fastify.get('/sync-logs', { config: { auth: 'admin' } }, async (request, reply) => {
     const { source, storeId, limit = 50 } = request.query;
 
     const where = {};
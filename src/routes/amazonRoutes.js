@@ -1,7 +1,13 @@
 import { AMAZON_MARKETPLACES, getAuthBaseUrl, generateAmazonRequestId } from '../utils/amazon.js';
 import prisma from '../config/database.js';
+import { encryptSecret, decryptSecret, omitSecretFields } from '../services/secretCrypto.js';
 import amazonVcPoService from '../services/amazon/amazonVcPoService.js';
 import amazonVcReportService from '../services/amazon/amazonVcReportService.js';
+import amazonScService from '../services/amazon/amazonScService.js';
+import amazonVcAcknowledgementService, { AcknowledgementError } from '../services/amazon/amazonVcAcknowledgementService.js';
+import amazonVcShipmentConfirmationService, { ShipmentConfirmationError } from '../services/amazon/amazonVcShipmentConfirmationService.js';
+import amazonVcInvoiceService, { InvoiceError } from '../services/amazon/amazonVcInvoiceService.js';
+import amazonVcReconciliationService from '../services/amazon/amazonVcReconciliationService.js';
 
 /**
  * 亚马逊路由插件（独立于领星：授权、VC PO 拉取等）
@@ -23,7 +29,8 @@ async function amazonRoutes(fastify, options) {
       });
 
 
-    fastify.get('/callback', {}, async (req, res) => {
+    // Amazon 授权后浏览器重定向到此，无法携带凭证；店铺授权写入审计日志
+    fastify.get('/callback', { config: { auth: 'public', audit: true } }, async (req, res) => {
         const { state, selling_partner_id, spapi_oauth_code } = req.query;
 
 
@@ -101,7 +108,7 @@ async function amazonRoutes(fastify, options) {
                         }
                     },
                     update: {
-                        refreshToken: tokenResponse.refresh_token,
+                        refreshToken: encryptSecret(tokenResponse.refresh_token),
                         updatedAt: new Date(),
                         linkedAt: new Date(),
                         isAuthorized: true,
@@ -110,7 +117,7 @@ async function amazonRoutes(fastify, options) {
                     create: {
                         sellerId: selling_partner_id,
                         accountId,
-                        refreshToken: tokenResponse.refresh_token,
+                        refreshToken: encryptSecret(tokenResponse.refresh_token),
                         createdAt: new Date(),
                         updatedAt: new Date(),
                         countryCode,
@@ -154,7 +161,7 @@ async function amazonRoutes(fastify, options) {
      */
     fastify.get('/vc-stores', async (req, res) => {
         const stores = await amazonVcPoService.getVcStores();
-        return { success: true, data: stores };
+        return { success: true, data: stores.map((store) => omitSecretFields('amazonStore', store)) };
     });
 
     /**
@@ -195,6 +202,140 @@ async function amazonRoutes(fastify, options) {
         }
     });
 
+    /**
+     * 按领星可用库存批量自动确认 PO（接受 = min(可用库存, 订购数量)，其余延后或拒绝）
+     * POST /api/amazon/vc-purchase-orders/auto-accept
+     * 可用库存先扣除其它未关闭 PO 已接受未发货的数量；提交结果未知（unconfirmed）的 PO 不参与，须先 release
+     * Body: { storeId?, poNumbers?: string[]（默认所有 New 且未提交确认的 PO）, accountId?（领星账户，默认店铺所属账户）, wids?: string[],
+     *         remainder?: 'backordered' | 'rejected'（默认 backordered）, rejectionReason?, scheduledShipDate?, scheduledDeliveryDate?,
+     *         dryRun?: boolean 默认 true 只返回将提交的内容，传 false 才提交 }
+     */
+    fastify.post('/vc-purchase-orders/auto-accept', async (req, res) => {
+        try {
+            const result = await amazonVcAcknowledgementService.autoAcceptByStock({
+                ...(req.body || {}),
+                accountIds: req.auth?.accountIds ?? [],
+                actor: req.auth?.name ?? null
+            });
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof AcknowledgementError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC PO Ack] /vc-purchase-orders/auto-accept 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'PO 自动确认失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 跟踪已提交确认的交易状态（submitted / processing），可由定时任务定期调用
+     * POST /api/amazon/vc-purchase-orders/acknowledgements/process
+     * Body: { maxItems?: number 默认 50 }
+     * 停留在 submitting 超过 30 分钟的确认与 PO 标记为 unconfirmed（提交结果未知），须在 Vendor Central 核实后 release
+     * 限定账户的凭证只跟踪其账户下店铺的记录
+     */
+    fastify.post('/vc-purchase-orders/acknowledgements/process', { config: { auth: { accountScope: false } } }, async (req, res) => {
+        try {
+            const result = await amazonVcAcknowledgementService.processPendingAcknowledgements(req.body || {}, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[VC PO Ack] /vc-purchase-orders/acknowledgements/process 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '跟踪 PO 确认状态失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的确认
+     * POST /api/amazon/vc-purchase-orders/acknowledgements/:id/release
+     * Body: { outcome: 'received'（已收到：确认记为 success，PO 记为 acknowledged）| 'notReceived'（未收到：确认记为 error，PO 可重新提交）, note? }
+     */
+    fastify.post('/vc-purchase-orders/acknowledgements/:id/release', async (req, res) => {
+        try {
+            const result = await amazonVcAcknowledgementService.releaseAcknowledgement(req.params.id, req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof AcknowledgementError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 提交 PO 确认（按行 接受 / 缺货延后 / 拒绝；每行三者之和须等于订购数量）
+     * POST /api/amazon/vc-purchase-orders/:poNumber/acknowledge
+     * Body: { storeId?（多个店铺同号 PO 时必填）, items: [{ itemSequenceNumber, acceptedQuantity?, backorderedQuantity?, rejectedQuantity?,
+     *         rejectionReason?: TemporarilyUnavailable | InvalidProductIdentifier | ObsoleteProduct, scheduledShipDate?, scheduledDeliveryDate? }],
+     *         scheduledShipDate?, scheduledDeliveryDate?（行未指定时使用）, dryRun?: boolean 只校验并返回将提交的内容 }
+     * Amazon 明确拒绝（error）或提交结果未知（unconfirmed）时返回 502
+     */
+    fastify.post('/vc-purchase-orders/:poNumber/acknowledge', async (req, res) => {
+        try {
+            const result = await amazonVcAcknowledgementService.submitAcknowledgement(req.params.poNumber, req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            if (result.status === 'error' || result.status === 'unconfirmed') {
+                return res.status(502).send({ success: false, message: result.errors?.[0]?.message || '提交确认失败', data: result });
+            }
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof AcknowledgementError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC PO Ack] /vc-purchase-orders/:poNumber/acknowledge 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '提交 PO 确认失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * PO 的确认记录与状态
+     * GET /api/amazon/vc-purchase-orders/:poNumber/acknowledgements?storeId=
+     */
+    fastify.get('/vc-purchase-orders/:poNumber/acknowledgements', async (req, res) => {
+        try {
+            const result = await amazonVcAcknowledgementService.listAcknowledgements(req.params.poNumber, req.query?.storeId, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof AcknowledgementError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 单个 PO 对账（按行对比 订购 / 接受 / 发货 / 开票 / 签收）
+     * GET /api/amazon/vc-purchase-orders/:poNumber/reconciliation?storeId=
+     * 不含已回款金额（paid.amount 为 null）：领星应收 / 结算数据不含 VC PO 号或发票号，无法按 PO 归集，须在 Vendor Central Payments 核对
+     */
+    fastify.get('/vc-purchase-orders/:poNumber/reconciliation', async (req, res) => {
+        try {
+            const result = await amazonVcReconciliationService.reconcileByPoNumber(req.params.poNumber, req.query?.storeId, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof AcknowledgementError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
     /**
      * 增量拉取所有 VC 店铺的 DF 单（Direct Fulfillment）
      * POST /api/amazon/vc-df-orders/sync
@@ -253,6 +394,312 @@ async function amazonRoutes(fastify, options) {
         }
     });
 
+    /**
+     * 新建货件确认（ASN）草稿，submit=true 时立即提交（Vendor Shipments submitShipmentConfirmations）
+     * POST /api/amazon/vc-shipments/confirm
+     * Body: { poNumber, storeId?, shipmentIdentifier?, confirmationType?: Original | Replace,
+     *         items?: [{ itemSequenceNumber | vendorProductIdentifier, shippedQuantity }], outboundOrderSns?: string[]（领星出库单，未给 items 时使用）,
+     *         cartons?: [{ sscc?, trackingNumber?, weight?, dimensions?, items: [{ itemSequenceNumber | vendorProductIdentifier, quantity }] }], unitsPerCarton?,
+     *         pallets?: [{ sscc?, cartonSequenceNumbers: number[], tier?, block?, weight?, dimensions? }], cartonsPerPallet?,
+     *         carrierScac?, trackingNumber?, transportationMode?, billOfLadingNumber?, shipmentType?, shippedDate?, estimatedDeliveryDate?, shipFromPartyId?,
+     *         submit?: boolean, dryRun?: boolean }
+     * Amazon 明确拒绝（error）或提交结果未知（unconfirmed）时返回 502
+     */
+    fastify.post('/vc-shipments/confirm', async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.createShipmentConfirmation(req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            if (result.status === 'error' || result.status === 'unconfirmed') {
+                return res.status(502).send({ success: false, message: result.errors?.[0]?.message || '提交货件确认失败', data: result });
+            }
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof ShipmentConfirmationError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC ASN] /vc-shipments/confirm 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '创建货件确认失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 跟踪已提交货件确认的交易状态（submitted / processing），可由定时任务定期调用
+     * POST /api/amazon/vc-shipments/confirmations/process
+     * Body: { maxItems?: number 默认 50 }
+     * 停留在 submitting 超过 30 分钟的货件确认标记为 unconfirmed（提交结果未知），须在 Vendor Central 核实后 release
+     * 限定账户的凭证只跟踪其账户下店铺的记录
+     */
+    fastify.post('/vc-shipments/confirmations/process', { config: { auth: { accountScope: false } } }, async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.processPendingShipmentConfirmations(req.body || {}, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[VC ASN] /vc-shipments/confirmations/process 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '跟踪货件确认状态失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的货件确认
+     * POST /api/amazon/vc-shipments/confirmations/:id/release
+     * Body: { outcome: 'received'（已收到：记为 success，Replace 时原货件确认记为 replaced）| 'notReceived'（未收到：记为 error，可重新提交或删除）, note? }
+     */
+    fastify.post('/vc-shipments/confirmations/:id/release', async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.releaseShipmentConfirmation(req.params.id, req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof ShipmentConfirmationError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 货件确认列表
+     * GET /api/amazon/vc-shipments/confirmations?poNumber=&storeId=&status=&limit=
+     */
+    fastify.get('/vc-shipments/confirmations', async (req) => {
+        const result = await amazonVcShipmentConfirmationService.listShipmentConfirmations(req.query || {}, req.auth?.accountIds ?? []);
+        return { success: true, data: result };
+    });
+
+    /**
+     * 货件确认详情
+     * GET /api/amazon/vc-shipments/confirmations/:id
+     */
+    fastify.get('/vc-shipments/confirmations/:id', async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.getShipmentConfirmation(req.params.id, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof ShipmentConfirmationError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 提交货件确认草稿（draft / error）
+     * POST /api/amazon/vc-shipments/confirmations/:id/submit
+     * Amazon 明确拒绝（error）或提交结果未知（unconfirmed）时返回 502
+     */
+    fastify.post('/vc-shipments/confirmations/:id/submit', async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.submitShipmentConfirmation(req.params.id, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            if (result.status === 'error' || result.status === 'unconfirmed') {
+                return res.status(502).send({ success: false, message: result.errors?.[0]?.message || '提交货件确认失败', data: result });
+            }
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof ShipmentConfirmationError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC ASN] /vc-shipments/confirmations/:id/submit 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '提交货件确认失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 删除货件确认草稿（仅 draft / error）
+     * DELETE /api/amazon/vc-shipments/confirmations/:id
+     */
+    fastify.delete('/vc-shipments/confirmations/:id', async (req, res) => {
+        try {
+            const result = await amazonVcShipmentConfirmationService.deleteShipmentConfirmation(req.params.id, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof ShipmentConfirmationError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 生成 VC 发票草稿（默认按已确认发货数量减已开票数量），submit=true 时立即提交（Vendor Invoices submitInvoices）
+     * POST /api/amazon/vc-invoices/generate
+     * Body: { poNumber, storeId?, basis?: shipped | accepted, items?: [{ itemSequenceNumber | vendorProductIdentifier, invoicedQuantity }],
+     *         invoiceNumber?, invoiceType?: Invoice | CreditNote, invoiceDate?, referenceNumber?, remitToPartyId?, paymentTerms?, taxDetails?,
+     *         submit?: boolean, dryRun?: boolean }
+     * Amazon 明确拒绝（error）或提交结果未知（unconfirmed）时返回 502
+     */
+    fastify.post('/vc-invoices/generate', async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.createInvoice(req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            if (result.status === 'error' || result.status === 'unconfirmed') {
+                return res.status(502).send({ success: false, message: result.errors?.[0]?.message || '提交发票失败', data: result });
+            }
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof InvoiceError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC Invoice] /vc-invoices/generate 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '生成发票失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 跟踪已提交发票的交易状态（submitted / processing），可由定时任务定期调用
+     * POST /api/amazon/vc-invoices/process
+     * Body: { maxItems?: number 默认 50 }
+     * 停留在 submitting 超过 30 分钟的发票标记为 unconfirmed（提交结果未知），须在 Vendor Central 核实后 release
+     * 限定账户的凭证只跟踪其账户下店铺的记录
+     */
+    fastify.post('/vc-invoices/process', { config: { auth: { accountScope: false } } }, async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.processPendingInvoices(req.body || {}, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[VC Invoice] /vc-invoices/process 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '跟踪发票状态失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的发票
+     * POST /api/amazon/vc-invoices/:id/release
+     * Body: { outcome: 'received'（已收到：记为 success）| 'notReceived'（未收到：记为 error，可重新提交或删除）, note? }
+     */
+    fastify.post('/vc-invoices/:id/release', async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.releaseInvoice(req.params.id, req.body || {}, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof InvoiceError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 发票列表
+     * GET /api/amazon/vc-invoices?poNumber=&storeId=&status=&limit=
+     */
+    fastify.get('/vc-invoices', async (req) => {
+        const result = await amazonVcInvoiceService.listInvoices(req.query || {}, req.auth?.accountIds ?? []);
+        return { success: true, data: result };
+    });
+
+    /**
+     * 发票详情
+     * GET /api/amazon/vc-invoices/:id
+     */
+    fastify.get('/vc-invoices/:id', async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.getInvoice(req.params.id, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof InvoiceError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * 提交发票草稿（draft / error）
+     * POST /api/amazon/vc-invoices/:id/submit
+     * Amazon 明确拒绝（error）或提交结果未知（unconfirmed）时返回 502
+     */
+    fastify.post('/vc-invoices/:id/submit', async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.submitInvoice(req.params.id, {
+                actor: req.auth?.name ?? null,
+                accountIds: req.auth?.accountIds ?? []
+            });
+            if (result.status === 'error' || result.status === 'unconfirmed') {
+                return res.status(502).send({ success: false, message: result.errors?.[0]?.message || '提交发票失败', data: result });
+            }
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof InvoiceError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            console.error('[VC Invoice] /vc-invoices/:id/submit 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '提交发票失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 删除发票草稿（仅 draft / error）
+     * DELETE /api/amazon/vc-invoices/:id
+     */
+    fastify.delete('/vc-invoices/:id', async (req, res) => {
+        try {
+            const result = await amazonVcInvoiceService.deleteInvoice(req.params.id, req.auth?.accountIds ?? []);
+            return { success: true, data: result };
+        } catch (e) {
+            if (e instanceof InvoiceError) {
+                return res.status(e.statusCode).send({ success: false, message: e.message });
+            }
+            throw e;
+        }
+    });
+
+    /**
+     * VC PO 批量对账：订购 / 接受 / 发货 / 开票 / 签收 数量（件）与金额及差异标记
+     * GET /api/amazon/vc-reconciliation?storeId=&poNumbers=PO1,PO2&startDate=&endDate=&discrepanciesOnly=true&limit=
+     * 不含已回款金额（原因见返回的 paidAmountNote）
+     */
+    fastify.get('/vc-reconciliation', async (req) => {
+        const query = req.query || {};
+        const result = await amazonVcReconciliationService.reconcilePurchaseOrders(
+            {
+                storeId: query.storeId,
+                poNumbers: query.poNumbers ? String(query.poNumbers).split(',').map((s) => s.trim()).filter(Boolean) : undefined,
+                startDate: query.startDate,
+                endDate: query.endDate,
+                discrepanciesOnly: query.discrepanciesOnly === 'true' || query.discrepanciesOnly === '1',
+                limit: query.limit
+            },
+            req.auth?.accountIds ?? []
+        );
+        return { success: true, data: result };
+    });
+
     /**
      * VC 报表增量同步（所有 VC 店铺、所有 Vendor 报表类型，按天存储）
      * POST /api/amazon/vc-reports/sync
@@ -320,11 +767,140 @@ async function amazonRoutes(fastify, options) {
         }
     });
 
+    /**
+     * 列出已授权的 SC 店铺（用于独立亚马逊 SC 同步，与领星无关）
+     * GET /api/amazon/sc-stores
+     */
+    fastify.get('/sc-stores', async (req, res) => {
+        const stores = await amazonScService.getScStores();
+        return { success: true, data: stores.map((store) => omitSecretFields('amazonStore', store)) };
+    });
+
+    /**
+     * 增量拉取所有 SC 店铺的订单（Orders API，按 LastUpdatedAfter）
+     * POST /api/amazon/sc-orders/sync
+     * Body: { endDate?: ISO 时间, defaultLookbackDays?: number（默认 30）, includeItems?: boolean（默认 true，拉取订单明细） }
+     */
+    fastify.post('/sc-orders/sync', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.incrementalSyncAllScOrders(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC Orders] /sc-orders/sync 未捕获异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'SC 订单增量同步失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 增量拉取所有 SC 店铺的财务事件（Finances API，按 PostedAfter）
+     * POST /api/amazon/sc-finances/sync
+     * Body: { endDate?: ISO 时间, defaultLookbackDays?: number（默认 90） }
+     */
+    fastify.post('/sc-finances/sync', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.incrementalSyncAllScFinances(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC Finances] /sc-finances/sync 未捕获异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'SC 财务事件增量同步失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 拉取所有 SC 店铺的 FBA 库存汇总（首次全量，之后只拉有变动的 SKU）
+     * POST /api/amazon/sc-inventory/sync
+     * Body: { full?: boolean 强制全量 }
+     */
+    fastify.post('/sc-inventory/sync', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.syncAllScInventory(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC Inventory] /sc-inventory/sync 未捕获异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'SC FBA 库存同步失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 增量拉取所有 SC 店铺的报表（Sales & Traffic 按天；Brand Analytics 按周，需在 reportTypes 中指定）
+     * POST /api/amazon/sc-reports/sync
+     * Body: { reportTypes?: string[]（默认 GET_SALES_AND_TRAFFIC_REPORT）, endDate?: 'YYYY-MM-DD', defaultLookbackDays?: number }
+     */
+    fastify.post('/sc-reports/sync', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.incrementalSyncAllScReports(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC Reports] /sc-reports/sync 未捕获异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'SC 报表增量同步失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 依次同步所有 SC 店铺的订单、财务事件、FBA 库存与报表
+     * POST /api/amazon/sc/sync
+     * Body: { includeItems?, full?, reportTypes? }
+     */
+    fastify.post('/sc/sync', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.incrementalSyncAllSc(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC] /sc/sync 未捕获异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || 'SC 同步失败',
+                error: e?.message
+            });
+        }
+    });
+
+    /**
+     * 仅处理 SC 限流重试队列（到点的任务，含生成超时的报表），可由定时任务每 10 分钟调一次
+     * POST /api/amazon/sc/process-retry-queue
+     * Body: { syncTypes?: string[] 只处理这些类型（orders / finances / inventory / 报表类型） }
+     */
+    fastify.post('/sc/process-retry-queue', async (req, res) => {
+        const options = req.body || {};
+        try {
+            const result = await amazonScService.processRetryQueue(options);
+            return { success: true, data: result };
+        } catch (e) {
+            console.error('[SC] /sc/process-retry-queue 异常:', e?.message, e?.stack);
+            return res.status(500).send({
+                success: false,
+                message: e?.message || '处理 SC 重试队列失败',
+                error: e?.message
+            });
+        }
+    });
+
     /**
      * 根据店铺 id 生成并返回 access_token（LWA 用 refresh_token 刷新）
      * GET /api/amazon/access-token?storeId=xxx 或 POST /api/amazon/access-token Body: { storeId }
      */
-    fastify.get('/access-token', async (req, res) => {
+    fastify.get('/access-token', { config: { audit: true } }, async (req, res) => {
         const storeId = req.query?.storeId;
         if (!storeId) {
             return res.status(400).send({
@@ -349,7 +925,7 @@ async function amazonRoutes(fastify, options) {
             });
         }
         try {
-            const tokenData = await refreshAccessTokenByRefreshToken(store.refreshToken);
+            const tokenData = await refreshAccessTokenByRefreshToken(decryptSecret(store.refreshToken));
             return {
                 success: true,
                 access_token: tokenData.access_token,
@@ -391,7 +967,7 @@ async function amazonRoutes(fastify, options) {
             });
         }
         try {
-            const tokenData = await refreshAccessTokenByRefreshToken(store.refreshToken);
+            const tokenData = await refreshAccessTokenByRefreshToken(decryptSecret(store.refreshToken));
             return {
                 success: true,
                 access_token: tokenData.access_token,
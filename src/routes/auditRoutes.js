@@ -0,0 +1,71 @@
+import auditLogService from '../services/auditLogService.js';
+import { getRequestAccountIds } from '../services/authService.js';
+
+/** 不记录的方法（只读） */
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * 在根实例上注册审计钩子（须在注册业务路由之前调用）
+ * - 记录所有非 GET 请求（含鉴权拒绝与 404）；GET 路由设置 config.audit = true 时也记录
+ * - 4xx/5xx 时从响应体取 message 作为 error
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+export function registerAudit(fastify) {
+  fastify.decorateRequest('auditError', null);
+
+  const shouldAudit = (request) =>
+    !READ_METHODS.includes(request.method) || request.routeOptions?.config?.audit === true;
+
+  fastify.addHook('onSend', async (request, reply, payload) => {
+    if (reply.statusCode >= 400 && shouldAudit(request) && typeof payload === 'string') {
+      try {
+        request.auditError = JSON.parse(payload)?.message ?? null;
+      } catch {
+        request.auditError = payload.slice(0, 500);
+      }
+    }
+    return payload;
+  });
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    if (!shouldAudit(request)) return;
+    const path = request.url.split('?')[0];
+    const body = request.body && typeof request.body === 'object' ? request.body : null;
+    // 不等待写入，避免拖慢响应
+    auditLogService.record({
+      source: 'api',
+      actor: request.auth?.name ?? null,
+      actorType: request.auth?.type ?? null,
+      role: request.auth?.role ?? null,
+      method: request.method,
+      route: request.routeOptions?.url ?? path,
+      // 查询串可能含凭证，只记录路径（查询参数脱敏后在 params 中）
+      url: path,
+      params: { params: request.params ?? null, query: request.query ?? null, body },
+      accountIds: getRequestAccountIds(request),
+      statusCode: reply.statusCode,
+      success: reply.statusCode < 400,
+      error: request.auditError,
+      durationMs: reply.elapsedTime,
+      ip: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+  });
+}
+
+/**
+ * 审计日志查询（需 admin）
+ */
+async function auditRoutes(fastify) {
+  /**
+   * 审计日志列表（按时间倒序）
+   * GET /api/audit
+   * Query: actor?, source?（api / cli）, method?, route?（包含匹配）, accountId?, success?（true / false）, statusCode?, from?, to?, page?, pageSize?（默认 50，最大 500）
+   */
+  fastify.get('/', { config: { auth: 'admin' } }, async (request) => {
+    const data = await auditLogService.listAuditLogs(request.query || {});
+    return { success: true, data };
+  });
+}
+
+export default auditRoutes;
@@ -0,0 +1,134 @@
+import {
+  PUBLIC,
+  AuthError,
+  isAuthEnabled,
+  hasRole,
+  normalizeRequestPath,
+  getRequiredRole,
+  authenticate,
+  assertAccountScope,
+  assertResourceAccountScope,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../services/authService.js';
+
+/** 允许 ?access_token= 的路径（EventSource 无法设置请求头） */
+const QUERY_TOKEN_PATHS = ['/api/events'];
+
+function sendAuthError(reply, err) {
+  return reply.code(err.statusCode).send({ success: false, message: err.message });
+}
+
+/**
+ * 在根实例上注册鉴权钩子（须在注册业务路由之前调用，对之后注册的所有路由生效）
+ * - onRequest：校验凭证与角色，结果挂在 request.auth（{ type, id, name, role, accountIds }；公开接口或关闭鉴权时为 null）
+ * - preHandler：Body 解析后校验账户范围；路由配置了 config.auth.resourceAccountIds 时改为按资源所属账户校验
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+export function registerAuth(fastify) {
+  fastify.decorateRequest('auth', null);
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    if (!isAuthEnabled()) return;
+    // 优先用已匹配的路由模式（不受编码、末尾斜杠影响），未匹配路由（404）时用规范化后的原始路径
+    const path = normalizeRequestPath(request.routeOptions?.url || request.url);
+    const required = getRequiredRole(request.method, path, request.routeOptions?.config?.auth);
+    if (required === PUBLIC) return;
+    try {
+      const principal = await authenticate(request, {
+        allowQueryToken: request.method === 'GET' && QUERY_TOKEN_PATHS.some((p) => path === p || path.startsWith(`${p}/`))
+      });
+      if (!hasRole(principal.role, required)) {
+        throw new AuthError(403, `需要 ${required} 及以上角色（当前 ${principal.role}）`);
+      }
+      request.auth = principal;
+    } catch (err) {
+      if (err instanceof AuthError) return sendAuthError(reply, err);
+      throw err;
+    }
+  });
+
+  fastify.addHook('preHandler', async (request, reply) => {
+    const authConfig = request.routeOptions?.config?.auth;
+    if (!request.auth || authConfig?.accountScope === false) return;
+    try {
+      if (typeof authConfig?.resourceAccountIds === 'function') {
+        // 不限账户的凭证无需查询资源
+        if (!request.auth.accountIds) return;
+        assertResourceAccountScope(request.auth, await authConfig.resourceAccountIds(request));
+      } else {
+        assertAccountScope(request.auth, request);
+      }
+    } catch (err) {
+      if (err instanceof AuthError) return sendAuthError(reply, err);
+      throw err;
+    }
+  });
+}
+
+/**
+ * API 密钥管理路由（除 /me 外需 admin）
+ */
+async function authRoutes(fastify) {
+  /**
+   * 当前凭证信息
+   * GET /api/auth/me
+   */
+  fastify.get('/me', { config: { auth: { role: 'reader', accountScope: false } } }, async (request) => {
+    const { type, name, role, accountIds } = request.auth || {};
+    return {
+      success: true,
+      data: request.auth ? { type, name, role, accountIds } : { authEnabled: isAuthEnabled() }
+    };
+  });
+
+  /**
+   * API 密钥列表（不含密钥明文与哈希）
+   * GET /api/auth/keys
+   * Query: includeRevoked? - true 时包含已吊销
+   */
+  fastify.get('/keys', { config: { auth: 'admin' } }, async (request) => {
+    const keys = await listApiKeys({ includeRevoked: request.query?.includeRevoked === 'true' });
+    return { success: true, data: keys };
+  });
+
+  /**
+   * 创建 API 密钥，明文只在本次返回
+   * POST /api/auth/keys
+   * Body: { name, role: reader|operator|admin, accountIds?: string[]（不传或空数组表示不限账户）, expiresAt? }
+   */
+  fastify.post('/keys', { config: { auth: 'admin' } }, async (request, reply) => {
+    const { name, role, accountIds, expiresAt } = request.body || {};
+    try {
+      const { key, apiKey } = await createApiKey({
+        name,
+        role,
+        accountIds: accountIds ?? [],
+        expiresAt,
+        createdBy: request.auth?.name ?? null
+      });
+      return reply.code(201).send({
+        success: true,
+        message: '请妥善保存密钥，之后无法再次查看',
+        data: { ...apiKey, key }
+      });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  /**
+   * 吊销 API 密钥
+   * DELETE /api/auth/keys/:id
+   */
+  fastify.delete('/keys/:id', { config: { auth: 'admin' } }, async (request, reply) => {
+    const revoked = await revokeApiKey(request.params.id);
+    if (!revoked) {
+      return reply.code(404).send({ success: false, message: '密钥不存在或已吊销' });
+    }
+    return { success: true, message: '已吊销' };
+  });
+}
+
+export default authRoutes;
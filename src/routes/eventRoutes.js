@@ -0,0 +1,73 @@
+import { EVENT_TYPES, subscribe } from '../services/eventBusService.js';
+
+/** SSE 心跳间隔（毫秒），避免代理因空闲断开连接 */
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/** 解析逗号分隔或重复传入的查询参数 */
+function parseList(value) {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * 同步/任务事件接口（Server-Sent Events）
+ */
+async function eventRoutes(fastify) {
+  /**
+   * GET /api/events
+   * SSE 推送实时事件，每条事件 `event:` 为事件类型，`data:` 为 JSON：
+   * { id, type, source, taskType, accountId, accountName, message, data, at }
+   * Query（均可逗号分隔多个值）：
+   * - type: 仅推送这些事件类型（见 GET /api/events/types）
+   * - taskType: 仅推送这些任务类型
+   * - accountId: 仅推送这些账户（VC 事件为店铺ID）
+   */
+  fastify.get('/', async (request, reply) => {
+    const query = request.query || {};
+    const filters = {
+      types: parseList(query.type),
+      taskTypes: parseList(query.taskType),
+      accountIds: parseList(query.accountId)
+    };
+    const unknownTypes = filters.types.filter((t) => !EVENT_TYPES.includes(t));
+    if (unknownTypes.length > 0) {
+      return reply.code(400).send({
+        success: false,
+        message: `不支持的事件类型: ${unknownTypes.join(', ')}，可选: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    // 接管响应：保留 CORS 等插件已设置的响应头
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n: connected\n\n`);
+
+    const unsubscribe = subscribe(filters, (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    request.raw.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  /**
+   * GET /api/events/types
+   * 可订阅的事件类型
+   */
+  fastify.get('/types', async () => {
+    return { success: true, data: EVENT_TYPES };
+  });
+}
+
+export default eventRoutes;
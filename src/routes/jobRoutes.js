@@ -1,5 +1,9 @@
 import jobTaskStatusService from '../services/jobTaskStatusService.js';
-import { SYNC_TASKS } from '../workers/jobs/syncJob.js';
+import jobDefinitionService from '../services/jobDefinitionService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import jobRunService from '../services/jobRunService.js';
+import { jobs } from '../workers/jobs/index.js';
+import { SYNC_TASKS, getSyncTaskGraph } from '../workers/jobs/syncJob.js';
 
 /**
  * 定时任务状态相关接口（方案二：按 task 维度查询执行情况）
@@ -7,8 +11,9 @@ import { SYNC_TASKS } from '../workers/jobs/syncJob.js';
 async function jobRoutes(fastify) {
   /**
    * GET /task-status
-   * 查询各 job 执行状态：最近执行时间、是否异常、异常原因、下次计划执行时间
-   * 始终返回完整任务列表（27 个 sync-job），未执行过的项用默认值 + 计算出的 nextScheduledAt
+   * 查询各 job 执行状态：最近执行时间、是否异常、异常原因、下次计划执行时间、cron/启用/优先级
+   * 始终返回完整任务列表（lingXingTaskCatalog 中的定时任务），含 label/domain/mode，nextScheduledAt 按任务当前 cron 计算
+   * pendingRetries: 已安排但尚未完成的失败重试（accountId 为空表示整个任务重试）
    * Query: jobNamePrefix - 可选，默认 sync-job
    */
   fastify.get('/task-status', async (request, reply) => {
@@ -17,9 +22,34 @@ async function jobRoutes(fastify) {
       const prefix = jobNamePrefix || 'sync-job';
       const dbList = await jobTaskStatusService.listJobTaskStatus({ jobNamePrefix: prefix });
       const dbByJobName = Object.fromEntries(dbList.map((row) => [row.jobName, row]));
+      const definitions = await jobDefinitionService.listJobDefinitions({ jobNamePrefix: prefix });
+      const defByJobName = Object.fromEntries(definitions.map((def) => [def.jobName, def]));
+      const jobByName = Object.fromEntries(jobs.map((job) => [job.name, job]));
+      const retries = await jobQueueService.listPendingRetries(
+        prefix === 'sync-job' ? SYNC_TASKS.map(({ taskType }) => `sync-job-${taskType}`) : dbList.map((row) => row.jobName)
+      );
+      const retriesOf = (jobName) =>
+        retries
+          .filter((item) => item.jobName === jobName)
+          .map((item) => ({
+            accountId: item.args?.accountIds?.[0] ?? null,
+            attempt: item.args?.attempt ?? null,
+            state: item.state,
+            availableAt: item.availableAt
+          }));
 
-      const nextRun = jobTaskStatusService.getNextScheduledRun(new Date());
-      const defaultItem = (jobName, taskType) => ({
+      const now = new Date();
+      // 按任务定义（表中配置优先，否则代码默认值）计算下次执行时间；已禁用的任务无下次执行时间
+      const scheduleOf = (jobName) => {
+        const def = defByJobName[jobName];
+        const cronExpression = def?.cronExpression ?? jobByName[jobName]?.cronExpression;
+        const enabled = def ? def.enabled : jobByName[jobName]?.enabled !== false;
+        const nextRun = enabled && cronExpression
+          ? jobTaskStatusService.getNextScheduledRun(now, cronExpression)
+          : null;
+        return { cronExpression: cronExpression ?? null, enabled, priority: def?.priority ?? jobByName[jobName]?.priority ?? null, nextRun };
+      };
+      const defaultItem = (jobName, taskType, nextRun) => ({
         jobName,
         taskType,
         lastRunAt: null,
@@ -31,14 +61,16 @@ async function jobRoutes(fastify) {
 
       const list =
         prefix === 'sync-job'
-          ? SYNC_TASKS.map(([taskType]) => {
+          ? SYNC_TASKS.map(({ taskType, label, domain, mode }) => {
               const jobName = `sync-job-${taskType}`;
               const row = dbByJobName[jobName];
+              const { nextRun, ...schedule } = scheduleOf(jobName);
+              const meta = { label, domain, mode, pendingRetries: retriesOf(jobName) };
               return row
-                ? { ...row, nextScheduledAt: row.nextScheduledAt ?? nextRun }
-                : defaultItem(jobName, taskType);
+                ? { ...row, ...schedule, ...meta, nextScheduledAt: nextRun }
+                : { ...defaultItem(jobName, taskType, nextRun), ...schedule, ...meta };
             })
-          : dbList;
+          : dbList.map((row) => ({ ...row, pendingRetries: retriesOf(row.jobName) }));
 
       return reply.send({
         success: true,
@@ -52,6 +84,192 @@ async function jobRoutes(fastify) {
       });
     }
   });
+
+  /**
+   * GET /graph
+   * 定时同步任务依赖图：nodes（taskType、jobName、dependsOn、level）、edges（from 前置任务 -> to 后置任务）、order（拓扑序）
+   * 依赖关系来自 lingXingUnifiedSyncService 注册表的 dependsOn；前置任务本轮失败时后置任务跳过
+   */
+  fastify.get('/graph', async (request, reply) => {
+    try {
+      return reply.send({
+        success: true,
+        data: getSyncTaskGraph()
+      });
+    } catch (error) {
+      fastify.log.error('查询任务依赖图失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '查询任务依赖图失败'
+      });
+    }
+  });
+
+  /**
+   * GET /definitions
+   * 查询任务定义：cron、是否启用、优先级（表中无记录的任务在 worker 首次启动时写入默认值）
+   * Query: jobNamePrefix - 可选
+   */
+  fastify.get('/definitions', async (request, reply) => {
+    try {
+      const { jobNamePrefix } = request.query || {};
+      const list = await jobDefinitionService.listJobDefinitions({ jobNamePrefix });
+      const now = new Date();
+      const data = list.map((def) => ({
+        ...def,
+        nextScheduledAt: def.enabled ? jobTaskStatusService.getNextScheduledRun(now, def.cronExpression) : null
+      }));
+      return reply.send({ success: true, data });
+    } catch (error) {
+      fastify.log.error('查询任务定义失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '查询任务定义失败'
+      });
+    }
+  });
+
+  /**
+   * PUT /definitions/:jobName
+   * 修改任务定义，worker 检测到变更后自动重新注册（无需重启）
+   * Body: { cronExpression?, enabled?, priority?, retryMaxAttempts?, retryBackoffMs? }
+   * - retryMaxAttempts / retryBackoffMs：失败重试策略，传 null 恢复代码默认值
+   */
+  fastify.put('/definitions/:jobName', async (request, reply) => {
+    const { jobName } = request.params;
+    const { cronExpression, enabled, priority, retryMaxAttempts, retryBackoffMs } = request.body || {};
+    if (!(await jobDefinitionService.getJobDefinition(jobName))) {
+      return reply.code(404).send({ success: false, message: `任务定义不存在: ${jobName}`, jobName });
+    }
+    try {
+      const def = await jobDefinitionService.updateJobDefinition(jobName, {
+        cronExpression,
+        enabled,
+        priority,
+        retryMaxAttempts,
+        retryBackoffMs
+      });
+      const nextScheduledAt = def.enabled
+        ? jobTaskStatusService.getNextScheduledRun(new Date(), def.cronExpression)
+        : null;
+      await jobTaskStatusService.upsertJobTaskStatus({
+        jobName: def.jobName,
+        taskType: def.taskType,
+        nextScheduledAt
+      });
+      return reply.send({ success: true, data: { ...def, nextScheduledAt } });
+    } catch (error) {
+      return reply.code(400).send({
+        success: false,
+        message: error?.message || '修改任务定义失败',
+        jobName
+      });
+    }
+  });
+
+  /**
+   * GET /queue
+   * 查询持久化任务队列（最近入队的在前）
+   * Query: state - pending / running / succeeded / failed；jobName；limit（默认 100，最大 500）
+   */
+  fastify.get('/queue', async (request, reply) => {
+    try {
+      const { state, jobName, limit } = request.query || {};
+      const list = await jobQueueService.listQueue({ state, jobName, limit });
+      return reply.send({ success: true, data: list });
+    } catch (error) {
+      fastify.log.error('查询任务队列失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '查询任务队列失败'
+      });
+    }
+  });
+
+  /**
+   * POST /queue
+   * 手动将任务写入持久化队列，由 worker 领取执行（同一任务已在排队/执行中时不重复入队）
+   * Body: { jobName, args?, priority? }
+   */
+  fastify.post('/queue', async (request, reply) => {
+    const { jobName, args, priority } = request.body || {};
+    const job = jobs.find((j) => j.name === jobName);
+    if (!job) {
+      return reply.code(400).send({
+        success: false,
+        message: `未知的 jobName: ${jobName}`
+      });
+    }
+    try {
+      const definition = await jobDefinitionService.getJobDefinition(jobName);
+      const item = await jobQueueService.enqueue({
+        jobName,
+        args: { ...(args ?? {}), trigger: 'api' },
+        priority: priority ?? definition?.priority ?? job.priority ?? 100
+      });
+      if (!item) {
+        return reply.code(409).send({
+          success: false,
+          message: `${jobName} 已在队列中或正在执行`
+        });
+      }
+      return reply.send({ success: true, data: item });
+    } catch (error) {
+      fastify.log.error('任务入队失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '任务入队失败'
+      });
+    }
+  });
+
+  /**
+   * GET /runs
+   * 分页查询执行历史
+   * Query:
+   *   - taskType, status（running/success/partial/failed）, trigger（cron/cli/api）
+   *   - accountId, accountStatus（success/failed）：如查询某账户最近失败的执行
+   *   - startDate, endDate：按开始时间过滤（Y-m-d 或 ISO）
+   *   - page（默认 1）, pageSize（默认 20，最大 200）
+   */
+  fastify.get('/runs', async (request, reply) => {
+    try {
+      const data = await jobRunService.listJobRuns(request.query || {});
+      return reply.send({ success: true, data });
+    } catch (error) {
+      fastify.log.error('查询执行历史失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '查询执行历史失败'
+      });
+    }
+  });
+
+  /**
+   * GET /runs/:id
+   * 查询单次执行详情（含按账户的成功/失败、记录数、错误信息）
+   */
+  fastify.get('/runs/:id', {
+    config: { auth: { resourceAccountIds: (request) => jobRunService.getJobRunAccountIds(request.params.id) } }
+  }, async (request, reply) => {
+    const { id } = request.params;
+    try {
+      const run = await jobRunService.getJobRun(id);
+      if (!run) {
+        return reply.code(404).send({
+          success: false,
+          message: `执行记录不存在: ${id}`
+        });
+      }
+      return reply.send({ success: true, data: run });
+    } catch (error) {
+      fastify.log.error('查询执行详情失败:', error);
+      return reply.code(500).send({
+        success: false,
+        message: error?.message || '查询执行详情失败'
+      });
+    }
+  });
 }
 
 export default jobRoutes;
@@ -1,5 +1,13 @@
 import lingxingBasicDataService from '../../services/lingxing/basic/lingxingBasicDataService.js';
 
+/** 按店铺所属账户校验账户范围（店铺不存在交由处理函数返回 404） */
+async function resolveSellerAccountIds(request) {
+  const sid = parseInt(request.params.sid);
+  if (Number.isNaN(sid)) return undefined;
+  const accountId = await lingxingBasicDataService.getSellerAccountId(sid);
+  return accountId ? [accountId] : undefined;
+}
+
 /**
  * 领星ERP基础数据路由插件
  */
@@ -215,7 +223,7 @@ async function lingxingBasicRoutes(fastify, options) {
    * 根据sid获取店铺信息
    * GET /api/lingxing/basic/sellers/sid/:sid
    */
-  fastify.get('/sellers/sid/:sid', async (request, reply) => {
+  fastify.get('/sellers/sid/:sid', { config: { auth: { resourceAccountIds: resolveSellerAccountIds } } }, async (request, reply) => {
     const { sid } = request.params;
 
     try {
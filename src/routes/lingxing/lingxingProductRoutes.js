@@ -1,5 +1,13 @@
 import lingxingProductService from '../../services/lingxing/products/lingxingProductService.js';
 
+/** 按产品所属账户校验账户范围（产品不存在交由处理函数返回 404） */
+async function resolveLocalProductAccountIds(request) {
+  const productId = parseInt(request.params.productId);
+  if (Number.isNaN(productId)) return undefined;
+  const accountId = await lingxingProductService.getLocalProductAccountId(productId);
+  return accountId ? [accountId] : undefined;
+}
+
 /**
  * 领星ERP产品路由插件
  */
@@ -53,7 +61,7 @@ async function lingxingProductRoutes(fastify, options) {
    * 根据产品ID获取产品信息
    * GET /api/lingxing/products/local-products/id/:productId
    */
-  fastify.get('/local-products/id/:productId', async (request, reply) => {
+  fastify.get('/local-products/id/:productId', { config: { auth: { resourceAccountIds: resolveLocalProductAccountIds } } }, async (request, reply) => {
     const { productId } = request.params;
 
     try {
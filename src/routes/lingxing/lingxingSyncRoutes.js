@@ -1,14 +1,38 @@
 import lingXingUnifiedSyncService from '../../services/lingxing/sync/lingXingUnifiedSyncService.js';
+import lingXingSyncRunService from '../../services/lingxing/sync/lingXingSyncRunService.js';
+import lingXingBackfillService from '../../services/lingxing/sync/lingXingBackfillService.js';
+import lingXingReconcileService from '../../services/lingxing/sync/lingXingReconcileService.js';
+import lingXingSyncStateAdminService from '../../services/lingxing/sync/lingXingSyncStateAdminService.js';
+import rateLimiter from '../../services/lingxing/rateLimiter.js';
+
+/** 同步状态变更的操作人信息（写入审计）：优先使用鉴权凭证名称，未启用鉴权时取请求头 X-Operator */
+function getActor(request, reason) {
+  const operator = request.auth?.name ?? request.headers['x-operator'];
+  return {
+    operator: operator ? String(operator).slice(0, 100) : null,
+    reason: reason ? String(reason) : null,
+    ip: request.ip ?? null
+  };
+}
+
+/** 按同步运行/回补所属账户校验账户范围的路由配置 */
+const RUN_SCOPE = { auth: { resourceAccountIds: (request) => lingXingSyncRunService.getSyncRunAccountIds(request.params.id) } };
+const BACKFILL_SCOPE = { auth: { resourceAccountIds: (request) => lingXingBackfillService.getBackfillAccountIds(request.params.id) } };
 
 /**
  * 领星统一同步路由
  * - 不要求传 accountId，服务内从数据表遍历所有启用账户
  * - 增量任务使用增量方法，非增量任务使用全量/按需方法
+ * - 执行类接口异步执行，返回 202 与 runId，通过 /runs/:id 查询进度、/runs/:id/cancel 取消
+ * - /state 查看/设置/重置增量同步状态（水位），变更写入审计
+ * - /backfill 回补历史日期范围，按分片记录完成情况，可续跑；/reconcile 重新拉取尾部窗口并统计与库中数据的差异
+ * - /rate-limits 查看各接口实际生效限流与 3001008 限流次数，用于调优 urlTokenConfig
  */
 async function lingxingSyncRoutes(fastify, options) {
   /**
-   * 获取所有支持增量拉取的任务类型
+   * 获取所有支持增量拉取的任务类型（来自 lingXingTaskCatalog）
    * GET /api/lingxing/sync/task-types
+   * 返回 taskType、description、domain、models、dependsOn、scheduled（是否定时增量同步）、defaultLookbackDays、perSid（按店铺记录同步状态）、backfill（是否支持回补）、overlapDays（增量重叠天数）、reconcileDays（定时对账天数）
    */
   fastify.get('/task-types', async (request, reply) => {
     const list = lingXingUnifiedSyncService.getSupportedIncrementalTaskTypes();
@@ -16,8 +40,9 @@ async function lingxingSyncRoutes(fastify, options) {
   });
 
   /**
-   * 获取所有非增量（全量/按需）任务类型
+   * 获取所有非增量（全量/按需）任务类型（来自 lingXingTaskCatalog）
    * GET /api/lingxing/sync/full-task-types
+   * 返回 taskType、description、domain、models、dependsOn、scheduled（是否定时全量同步）、archiveModels（全量前归档的表）
    */
   fastify.get('/full-task-types', async (request, reply) => {
     const list = lingXingUnifiedSyncService.getSupportedFullTaskTypes();
@@ -34,83 +59,340 @@ async function lingxingSyncRoutes(fastify, options) {
   });
 
   /**
-   * 按任务类型执行增量同步（遍历所有启用账户）
-   * POST /api/lingxing/sync/run/:taskType
-   * Body: { endDate?, defaultLookbackDays?, timezone?, ... } 透传给各服务
+   * 创建同步运行并立即返回 202（同步在后台执行，通过 GET /runs/:id 查询进度）
    */
-  fastify.post('/run/:taskType', async (request, reply) => {
-    const { taskType } = request.params;
-    const options = request.body || {};
+  async function startRun(reply, params, failMessage) {
     try {
-      const result = await lingXingUnifiedSyncService.runIncrementalSyncByTaskType(taskType, options);
-      return { success: true, data: result };
+      const run = await lingXingSyncRunService.startSyncRun(params);
+      return reply.code(202).send({
+        success: true,
+        data: { runId: run.id, status: run.status, kind: run.kind, taskType: run.taskType }
+      });
     } catch (err) {
       return reply.code(400).send({
         success: false,
-        message: err?.message || '执行增量同步失败',
-        taskType
+        message: err?.message || failMessage,
+        ...(params.taskType && { taskType: params.taskType })
       });
     }
+  }
+
+  /**
+   * 按任务类型执行增量同步（遍历所有启用账户），异步执行
+   * POST /api/lingxing/sync/run/:taskType
+   * Body: { endDate?, defaultLookbackDays?, timezone?, ... } 透传给各服务
+   * 返回 202 { runId }
+   */
+  fastify.post('/run/:taskType', async (request, reply) => {
+    const { taskType } = request.params;
+    const options = request.body || {};
+    return startRun(reply, { kind: 'incremental', taskType, options }, '执行增量同步失败');
   });
 
   /**
-   * 执行全部支持增量拉取的任务（按任务类型依次执行，每种类型遍历所有启用账户）
+   * 执行全部支持增量拉取的任务（按任务类型依次执行，每种类型遍历所有启用账户），异步执行
    * POST /api/lingxing/sync/run-all
    * Body: { taskTypes?: string[], endDate?, defaultLookbackDays?, ... }
    * - taskTypes: 不传则执行全部；传则只执行列表中的任务类型
+   * 返回 202 { runId }
    */
   fastify.post('/run-all', async (request, reply) => {
     const body = request.body || {};
     const { taskTypes, ...options } = body;
-    try {
-      const result = await lingXingUnifiedSyncService.runAllIncrementalSync(options, taskTypes);
-      return { success: true, data: result };
-    } catch (err) {
-      return reply.code(500).send({
-        success: false,
-        message: err?.message || '执行全量增量同步失败'
-      });
-    }
+    return startRun(reply, { kind: 'all-incremental', taskTypes, options }, '执行全量增量同步失败');
   });
 
   /**
-   * 按任务类型执行非增量（全量/按需）拉取（遍历所有启用账户，不需传 accountId）
+   * 按任务类型执行非增量（全量/按需）拉取（遍历所有启用账户，不需传 accountId），异步执行
    * POST /api/lingxing/sync/run-full/:taskType
    * Body: { listParams?, searchParams?, useCache?, vcStoreIds?, ... } 透传给各服务
+   * 返回 202 { runId }
    */
   fastify.post('/run-full/:taskType', async (request, reply) => {
     const { taskType } = request.params;
     const options = request.body || {};
-    try {
-      const result = await lingXingUnifiedSyncService.runFullSyncByTaskType(taskType, options);
-      return { success: true, data: result };
-    } catch (err) {
-      return reply.code(400).send({
-        success: false,
-        message: err?.message || '执行全量拉取失败',
-        taskType
-      });
-    }
+    return startRun(reply, { kind: 'full', taskType, options }, '执行全量拉取失败');
   });
 
   /**
-   * 执行全部（或指定）非增量任务（按任务类型依次执行，每种类型遍历所有启用账户）
+   * 执行全部（或指定）非增量任务（按任务类型依次执行，每种类型遍历所有启用账户），异步执行
    * POST /api/lingxing/sync/run-all-full
    * Body: { taskTypes?: string[], listParams?, ... }
    * - taskTypes: 不传则执行全部非增量任务；传则只执行列表中的任务类型
+   * 返回 202 { runId }
    */
   fastify.post('/run-all-full', async (request, reply) => {
     const body = request.body || {};
     const { taskTypes, ...options } = body;
+    return startRun(reply, { kind: 'all-full', taskTypes, options }, '执行全量任务失败');
+  });
+
+  /**
+   * 同步运行列表（不含 result）
+   * GET /api/lingxing/sync/runs
+   * Query: status?, kind?, taskType?, page?, pageSize?
+   */
+  fastify.get('/runs', async (request, reply) => {
+    const data = await lingXingSyncRunService.listSyncRuns(request.query || {});
+    return { success: true, data };
+  });
+
+  /**
+   * 查询同步运行状态与进度
+   * GET /api/lingxing/sync/runs/:id
+   * progress: currentTaskType、currentAccount、currentSegment（sid 与日期范围）、currentDay、pagesFetched、recordsSaved 等
+   */
+  fastify.get('/runs/:id', { config: RUN_SCOPE }, async (request, reply) => {
+    const run = await lingXingSyncRunService.getSyncRun(request.params.id);
+    if (!run) {
+      return reply.code(404).send({ success: false, message: '同步运行不存在' });
+    }
+    return { success: true, data: run };
+  });
+
+  /**
+   * 取消同步运行：当前页请求完成后停止，已保存的分段保留，未完成分段的同步状态不推进
+   * POST /api/lingxing/sync/runs/:id/cancel
+   * 运行已结束返回 409
+   */
+  fastify.post('/runs/:id/cancel', { config: RUN_SCOPE }, async (request, reply) => {
+    const outcome = await lingXingSyncRunService.cancelSyncRun(request.params.id);
+    if (!outcome) {
+      return reply.code(404).send({ success: false, message: '同步运行不存在' });
+    }
+    if (!outcome.cancelled) {
+      return reply.code(409).send({ success: false, message: `同步运行已结束（${outcome.run.status}）`, data: outcome.run });
+    }
+    return { success: true, data: outcome.run };
+  });
+  /**
+   * 对账：重新拉取尾部窗口（不推进增量水位），统计与库中已有数据相比新增/变更/未变的行数，异步执行
+   * POST /api/lingxing/sync/reconcile
+   * Body: { taskTypes?: string[], accountIds?: string[], days?, options? }
+   * - taskTypes: 不传则为配置了 reconcileDays 的任务（见 task-types）
+   * - days: 重新拉取的天数（含今天），不传用各任务的 reconcileDays
+   * 返回 202 { runId }；结果见 GET /runs/:runId 与 GET /reconcile/reports
+   */
+  fastify.post('/reconcile', async (request, reply) => {
+    const { taskTypes, ...options } = request.body || {};
+    return startRun(reply, { kind: 'reconcile', taskTypes, options }, '执行对账失败');
+  });
+
+  /**
+   * 对账报告（每个 任务 × 账户 一条）
+   * GET /api/lingxing/sync/reconcile/reports
+   * Query: taskType?, accountId?, changedOnly?（仅有变更的报告）, page?, pageSize?
+   */
+  fastify.get('/reconcile/reports', async (request, reply) => {
+    const data = await lingXingReconcileService.listReconcileReports(request.query || {});
+    return { success: true, data };
+  });
+
+  /**
+   * 领取回补后以同步运行执行并记录 runId
+   * @returns {Promise<Object|null>} 同步运行；回补已被其它请求领取返回 null
+   */
+  async function startBackfillRun(backfill) {
+    if (!(await lingXingBackfillService.claimBackfill(backfill))) return null;
+    let run;
     try {
-      const result = await lingXingUnifiedSyncService.runAllFullSync(options, taskTypes);
-      return { success: true, data: result };
-    } catch (err) {
-      return reply.code(500).send({
-        success: false,
-        message: err?.message || '执行全量任务失败'
+      run = await lingXingSyncRunService.startSyncRun({
+        kind: 'backfill',
+        taskType: backfill.taskType,
+        options: { backfillId: backfill.id }
       });
+    } catch (err) {
+      await lingXingBackfillService.releaseBackfill(backfill);
+      throw err;
     }
+    await lingXingBackfillService.attachRun(backfill.id, run.id);
+    return run;
+  }
+
+  /**
+   * 回补历史日期范围：复用增量任务的按天拉取/保存方法，不推进增量同步状态（水位），异步执行
+   * POST /api/lingxing/sync/backfill
+   * Body: { taskType, startDate, endDate, accountIds?, sids?, chunkDays?, options? }
+   * - startDate / endDate: Y-m-d，endDate 不晚于今天
+   * - accountIds: 不传则全部启用账户
+   * - sids: 仅按店铺同步的任务（task-types 中 perSid = true）可用
+   * - chunkDays: 分片天数（默认 7，最大 31），按 账户 × 分片 记录完成情况
+   * - options: 透传给增量方法（如 pageSize）
+   * 返回 202 { backfillId, runId }；进度见 GET /runs/:runId，取消用 POST /runs/:runId/cancel
+   */
+  fastify.post('/backfill', async (request, reply) => {
+    const body = request.body || {};
+    let backfill;
+    try {
+      backfill = await lingXingBackfillService.createBackfill(body);
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '创建回补失败', taskType: body.taskType });
+    }
+    let run;
+    try {
+      run = await startBackfillRun(backfill);
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '启动回补失败', backfillId: backfill.id, taskType: body.taskType });
+    }
+    if (!run) {
+      return reply.code(409).send({ success: false, message: '回补正在执行中', backfillId: backfill.id });
+    }
+    return reply.code(202).send({
+      success: true,
+      data: { backfillId: backfill.id, runId: run.id, totalChunks: backfill.totalChunks }
+    });
+  });
+
+  /**
+   * 回补列表
+   * GET /api/lingxing/sync/backfill
+   * Query: taskType?, status?, page?, pageSize?
+   */
+  fastify.get('/backfill', async (request, reply) => {
+    const data = await lingXingBackfillService.listBackfills(request.query || {});
+    return { success: true, data };
+  });
+
+  /**
+   * 回补详情：分片计数、记录数、最近的 runId 与失败分片
+   * GET /api/lingxing/sync/backfill/:id
+   */
+  fastify.get('/backfill/:id', { config: BACKFILL_SCOPE }, async (request, reply) => {
+    const backfill = await lingXingBackfillService.getBackfill(request.params.id);
+    if (!backfill) {
+      return reply.code(404).send({ success: false, message: '回补不存在' });
+    }
+    return { success: true, data: backfill };
+  });
+
+  /**
+   * 续跑回补：只执行未完成（pending）与失败（failed）的分片
+   * POST /api/lingxing/sync/backfill/:id/resume
+   * 正在执行或已全部完成返回 409
+   */
+  fastify.post('/backfill/:id/resume', { config: BACKFILL_SCOPE }, async (request, reply) => {
+    const backfill = await lingXingBackfillService.getBackfill(request.params.id);
+    if (!backfill) {
+      return reply.code(404).send({ success: false, message: '回补不存在' });
+    }
+    const conflict = await lingXingBackfillService.getResumeConflict(backfill);
+    if (conflict) {
+      return reply.code(409).send({ success: false, message: conflict });
+    }
+    let run;
+    try {
+      run = await startBackfillRun(backfill);
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '续跑回补失败', backfillId: backfill.id });
+    }
+    if (!run) {
+      return reply.code(409).send({ success: false, message: '回补正在执行中' });
+    }
+    return reply.code(202).send({ success: true, data: { backfillId: backfill.id, runId: run.id } });
+  });
+  /**
+   * 查询增量同步状态（水位）
+   * GET /api/lingxing/sync/state
+   * Query: accountId?, taskType?, sid?（不按店铺的任务为 0）, status?（success / failed）, page?, pageSize?
+   */
+  fastify.get('/state', async (request, reply) => {
+    try {
+      const data = await lingXingSyncStateAdminService.listSyncStates(request.query || {});
+      return { success: true, data };
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '查询同步状态失败' });
+    }
+  });
+
+  /**
+   * 设置水位：下次增量从 lastEndTimestamp 开始拉取（不存在时创建）
+   * PUT /api/lingxing/sync/state
+   * Headers: X-Operator（操作人，写入审计）
+   * Body: { accountId, taskType, sid?（按店铺的任务必填）, lastEndTimestamp（Y-m-d 视为当天 23:59:59 UTC，或 ISO 时间）, reason? }
+   */
+  fastify.put('/state', async (request, reply) => {
+    const body = request.body || {};
+    try {
+      const data = await lingXingSyncStateAdminService.setWatermark(body, getActor(request, body.reason));
+      return { success: true, data };
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '设置同步状态失败' });
+    }
+  });
+
+  /**
+   * 重置单条同步状态（删除），下次增量按 defaultLookbackDays 回溯
+   * DELETE /api/lingxing/sync/state
+   * Headers: X-Operator
+   * Query: accountId, taskType, sid?, reason?
+   * 不存在返回 404
+   */
+  fastify.delete('/state', async (request, reply) => {
+    const query = request.query || {};
+    let removed;
+    try {
+      removed = await lingXingSyncStateAdminService.resetSyncState(query, getActor(request, query.reason));
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '重置同步状态失败' });
+    }
+    if (!removed) {
+      return reply.code(404).send({ success: false, message: '同步状态不存在' });
+    }
+    return { success: true, data: removed };
+  });
+
+  /**
+   * 按任务类型批量重置同步状态
+   * POST /api/lingxing/sync/state/reset
+   * Headers: X-Operator
+   * Body: { taskType, accountIds?（不传则该任务全部账户）, reason? }
+   * 返回 { taskType, accountIds, deleted }
+   */
+  fastify.post('/state/reset', async (request, reply) => {
+    const body = request.body || {};
+    try {
+      const data = await lingXingSyncStateAdminService.bulkResetSyncStates(body, getActor(request, body.reason));
+      return { success: true, data };
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err?.message || '批量重置同步状态失败' });
+    }
+  });
+
+  /**
+   * 同步状态变更审计
+   * GET /api/lingxing/sync/state/audits
+   * Query: accountId?, taskType?, action?（set / reset / bulk-reset）, page?, pageSize?
+   */
+  fastify.get('/state/audits', async (request, reply) => {
+    const data = await lingXingSyncStateAdminService.listAudits(request.query || {});
+    return { success: true, data };
+  });
+
+  /**
+   * 各接口令牌桶的限流情况
+   * GET /api/lingxing/sync/rate-limits
+   * Query: appId?, url?（部分匹配）, throttledOnly?（true 只看触发过 3001008 的）
+   * 返回每个 appId + 接口：configured（配置的并发/速率）、limitFactor（自适应系数）、effective（实际生效）、inFlight、requestCount、throttleCount、throttleRate、lastThrottledAt、lastRecoveredAt
+   */
+  fastify.get('/rate-limits', async (request, reply) => {
+    const { appId, url, throttledOnly } = request.query || {};
+    const list = await rateLimiter.getLimitStats({ appId, url, throttledOnly: throttledOnly === 'true' });
+    list.sort((a, b) => b.throttleCount - a.throttleCount || a.key.localeCompare(b.key));
+    return {
+      success: true,
+      data: { backend: rateLimiter.backend, adaptive: rateLimiter.adaptive, policy: rateLimiter.adaptivePolicy, list }
+    };
+  });
+
+  /**
+   * 将自适应限流系数恢复为 1（不清空统计）
+   * POST /api/lingxing/sync/rate-limits/reset
+   * Body: { key?（appId:url，不传则全部） }
+   */
+  fastify.post('/rate-limits/reset', async (request, reply) => {
+    const { key } = request.body || {};
+    const reset = await rateLimiter.resetAdaptiveLimits(key || undefined);
+    return { success: true, data: { reset } };
   });
 }
 
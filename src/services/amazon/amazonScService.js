@@ -0,0 +1,900 @@
+/**
+ * 亚马逊 SC（Seller Central）服务
+ * 独立于领星，直接调用 Amazon SP-API，用于核对领星同源数据：
+ * - Orders API：订单（按 LastUpdatedAfter 增量）及明细
+ * - Finances API：财务事件（按 PostedAfter 增量）
+ * - FBA Inventory API：库存汇总（按 startDateTime 增量覆盖）
+ * - Reports API：Sales & Traffic / Brand Analytics 报表（见 scReportTypes）
+ * 同步进度存 AmazonScSyncState；限流或报表生成超时的时段入 AmazonScSyncRetryQueue，到点重试（同 VC PO 设计）
+ */
+import crypto from 'crypto';
+import prisma from '../../config/database.js';
+import { getAmazonMarketplace, generateAmazonRequestId, getAmazonRequestIdFromError } from '../../utils/amazon.js';
+import { emitEvent } from '../eventBusService.js';
+import amazonService from './amazonService.js';
+import amazonVcReportService from './amazonVcReportService.js';
+import { SC_REPORT_TYPES } from './scReportTypes.js';
+
+const LOG_PREFIX = '[Amazon SC]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** getOrders / listFinancialEvents 的 *Before 须早于当前时间至少 2 分钟，默认结束时间留 5 分钟余量 */
+const END_SAFETY_MS = 5 * 60 * 1000;
+/** 翻页间隔（毫秒） */
+const PAGE_DELAY_MS = 500;
+/** 限流重试：最大次数、初始等待 ms（Orders 恢复速率约 1 次/分钟，初始等待比 VC 长） */
+const THROTTLE_RETRY_MAX = 5;
+const THROTTLE_RETRY_INITIAL_MS = 2000;
+/** 入队后延迟分钟数、队列内最大重试次数 */
+const QUEUE_RETRY_AFTER_MINUTES = 10;
+const QUEUE_MAX_ATTEMPTS = 3;
+/** 报表轮询间隔与最长等待（毫秒），超时入队 */
+const REPORT_POLL_INTERVAL_MS = 15 * 1000;
+const REPORT_MAX_POLL_WAIT_MS = 5 * 60 * 1000;
+/** FBA 库存 startDateTime 不能早于 18 个月，超过则全量拉取 */
+const INVENTORY_MAX_START_AGE_DAYS = 540;
+
+/** 是否打印 SP-API 请求/返回（可通过环境变量 DEBUG_AMAZON_SP_API=true 开启） */
+const DEBUG_SP_API = process.env.DEBUG_AMAZON_SP_API === 'true' || process.env.DEBUG_AMAZON_SP_API === '1';
+
+/**
+ * 按时间段增量的同步类型
+ * - segmentDays：单段天数，每段成功后推进 sync state（Orders 限流严格，按天分段减少重拉）
+ * - lookbackDays：无 sync state 时默认回看天数
+ */
+const RANGE_SYNC_TYPES = {
+  orders: { taskType: 'scOrders', segmentDays: 1, lookbackDays: 30, syncSegment: syncOrdersSegment },
+  finances: { taskType: 'scFinances', segmentDays: 7, lookbackDays: 90, syncSegment: syncFinancesSegment }
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function toInt(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+/** Decimal 字段：保留为字符串交给 Prisma，避免浮点误差 */
+function toDecimal(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Number.isFinite(Number(value)) ? String(value) : null;
+}
+
+/** 当天 0 点 UTC */
+function toUtcDay(value) {
+  const d = new Date(value);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+/**
+ * 判断是否为限流/配额类错误（需重试）
+ */
+function isThrottleError(e) {
+  if (!e) return false;
+  const code = (e.code || '').toString();
+  const msg = (e.message || '').toString().toLowerCase();
+  return (
+    code === 'QuotaExceeded' ||
+    code === '429' ||
+    msg.includes('throttl') ||
+    msg.includes('rate limit') ||
+    msg.includes('429') ||
+    msg.includes('too many requests')
+  );
+}
+
+/**
+ * 发布 SP-API 限流事件（taskType 为 scOrders / scFinances / scInventory / scReport）
+ */
+function emitThrottled(taskType, operation, requestId, attempt, waitMs, e) {
+  emitEvent('throttled', {
+    source: 'amazonSc',
+    taskType,
+    message: e?.message || e?.code || null,
+    data: { operation, requestId, attempt: attempt + 1, waitMs, apiRequestId: getAmazonRequestIdFromError(e) ?? null }
+  });
+}
+
+function describeError(e) {
+  return [
+    e?.code ?? e?.name ?? 'Error',
+    e?.message,
+    'apiRequestId=',
+    getAmazonRequestIdFromError(e),
+    typeof e?.response === 'object' ? { status: e.response?.status, data: e.response?.data } : ''
+  ];
+}
+
+/**
+ * 获取所有已授权的 SC 店铺（accountType=sc）
+ */
+async function getScStores() {
+  return prisma.amazonStore.findMany({
+    where: { accountType: 'sc', isAuthorized: true, archived: false },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/** 店铺对应的 marketplaceId */
+function getStoreMarketplaceId(store) {
+  const marketplace = getAmazonMarketplace(store.countryCode);
+  if (!marketplace) throw new Error(`SC 店铺 ${store.id} 的国家 ${store.countryCode} 无对应 marketplace`);
+  return marketplace.marketplaceId;
+}
+
+/**
+ * 调用 SP-API（成功时 SDK 返回 payload 对象，失败抛异常）
+ * 限流（429/QuotaExceeded）时按指数退避重试，最多 THROTTLE_RETRY_MAX 次
+ * @param {object} spClient - SellingPartner 实例
+ * @param {string} taskType - 限流事件的 taskType
+ * @param {object} params - callAPI 参数 { operation, endpoint?, query?, path?, body? }
+ */
+async function callSpApi(spClient, taskType, params) {
+  const requestId = generateAmazonRequestId();
+  if (DEBUG_SP_API) {
+    console.log(`[SP-API] [${requestId}] 请求 ${params.operation}`, { endpoint: params.endpoint, query: params.query, path: params.path });
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= THROTTLE_RETRY_MAX; attempt++) {
+    try {
+      const res = await spClient.callAPI(params);
+      if (DEBUG_SP_API) {
+        console.log(`[SP-API] [${requestId}] 返回 ${params.operation}`, { payloadKeys: Object.keys(res || {}) });
+      }
+      return res;
+    } catch (e) {
+      lastError = e;
+      if (attempt < THROTTLE_RETRY_MAX && isThrottleError(e)) {
+        const waitMs = THROTTLE_RETRY_INITIAL_MS * Math.pow(2, attempt);
+        emitThrottled(taskType, params.operation, requestId, attempt, waitMs, e);
+        console.warn(`${LOG_PREFIX} [${requestId}] ${params.operation} 限流重试 ${attempt + 1}/${THROTTLE_RETRY_MAX}，${waitMs}ms 后重试:`, e?.message || e?.code);
+        await sleep(waitMs);
+      } else {
+        console.error(`${LOG_PREFIX} [${requestId}] ${params.operation} API 请求失败:`, ...describeError(e));
+        throw e;
+      }
+    }
+  }
+  console.error(`${LOG_PREFIX} [${requestId}] ${params.operation} 重试用尽仍失败:`, lastError?.code, lastError?.message, 'apiRequestId=', getAmazonRequestIdFromError(lastError));
+  throw lastError;
+}
+
+// ---------- 同步状态与重试队列 ----------
+
+async function getSyncState(amazonStoreId, syncType) {
+  return prisma.amazonScSyncState.findUnique({
+    where: { amazonStoreId_syncType: { amazonStoreId, syncType } }
+  });
+}
+
+/**
+ * 推进同步状态（只前进不后退，队列任务晚于正常同步完成时不会回退进度）
+ */
+async function advanceSyncState(amazonStoreId, syncType, endAt, recordCount) {
+  const endMs = new Date(endAt).getTime();
+  const state = await getSyncState(amazonStoreId, syncType);
+  if (state && Number(state.lastEndAt) >= endMs) return;
+  await prisma.amazonScSyncState.upsert({
+    where: { amazonStoreId_syncType: { amazonStoreId, syncType } },
+    update: { lastEndAt: endMs, lastSyncAt: new Date(), recordCount },
+    create: { amazonStoreId, syncType, lastEndAt: endMs, recordCount }
+  });
+}
+
+/**
+ * 将限流失败（或报表生成超时）的时段入队，QUEUE_RETRY_AFTER_MINUTES 分钟后重试
+ * @param {Object} item - { syncType, rangeStart?, rangeEnd, reportId?, lastError? }
+ */
+async function enqueueForRetry(amazonStoreId, taskType, item) {
+  const retryAt = new Date(Date.now() + QUEUE_RETRY_AFTER_MINUTES * 60 * 1000);
+  await prisma.amazonScSyncRetryQueue.create({
+    data: {
+      amazonStoreId,
+      syncType: item.syncType,
+      rangeStart: item.rangeStart ?? null,
+      rangeEnd: item.rangeEnd,
+      reportId: item.reportId ?? null,
+      lastError: item.lastError ?? null,
+      retryAt
+    }
+  });
+  console.warn(
+    `${LOG_PREFIX} [${generateAmazonRequestId()}] ${item.syncType} 时段已入队，${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试: store=${amazonStoreId} ${item.rangeStart ?? '全量'}~${item.rangeEnd}`
+  );
+  emitEvent('retry.enqueued', {
+    source: 'amazonSc',
+    taskType,
+    accountId: amazonStoreId,
+    data: { syncType: item.syncType, rangeStart: item.rangeStart ?? null, rangeEnd: item.rangeEnd, reportId: item.reportId ?? null, retryAt }
+  });
+}
+
+// ---------- Orders ----------
+
+/**
+ * 保存一条订单（不含明细）
+ */
+async function saveOrder(amazonStoreId, payload) {
+  const amazonOrderId = payload?.AmazonOrderId;
+  if (!amazonOrderId) return null;
+  const fields = {
+    marketplaceId: payload.MarketplaceId ?? null,
+    purchaseDate: toDate(payload.PurchaseDate),
+    lastUpdateDate: toDate(payload.LastUpdateDate),
+    orderStatus: payload.OrderStatus ?? null,
+    fulfillmentChannel: payload.FulfillmentChannel ?? null,
+    salesChannel: payload.SalesChannel ?? null,
+    orderTotalAmount: toDecimal(payload.OrderTotal?.Amount),
+    currencyCode: payload.OrderTotal?.CurrencyCode ?? null,
+    numberOfItemsShipped: toInt(payload.NumberOfItemsShipped),
+    numberOfItemsUnshipped: toInt(payload.NumberOfItemsUnshipped),
+    data: payload
+  };
+  return prisma.amazonScOrder.upsert({
+    where: { amazonStoreId_amazonOrderId: { amazonStoreId, amazonOrderId } },
+    update: fields,
+    create: { amazonStoreId, amazonOrderId, ...fields }
+  });
+}
+
+/**
+ * 拉取并整单替换订单明细（getOrderItems）
+ */
+async function syncOrderItems(spClient, amazonStoreId, order) {
+  const items = [];
+  let nextToken = null;
+  do {
+    const res = await callSpApi(spClient, 'scOrders', {
+      operation: 'getOrderItems',
+      endpoint: 'orders',
+      path: { orderId: order.amazonOrderId },
+      ...(nextToken && { query: { NextToken: nextToken } })
+    });
+    items.push(...(res?.OrderItems || []));
+    nextToken = res?.NextToken || null;
+    if (nextToken) await sleep(PAGE_DELAY_MS);
+  } while (nextToken);
+
+  const rows = items
+    .filter((it) => it?.OrderItemId)
+    .map((it) => ({
+      orderId: order.id,
+      amazonStoreId,
+      orderItemId: String(it.OrderItemId),
+      asin: it.ASIN ?? null,
+      sellerSku: it.SellerSKU ?? null,
+      quantityOrdered: toInt(it.QuantityOrdered),
+      quantityShipped: toInt(it.QuantityShipped),
+      itemPriceAmount: toDecimal(it.ItemPrice?.Amount),
+      currencyCode: it.ItemPrice?.CurrencyCode ?? null,
+      data: it
+    }));
+  await prisma.$transaction([
+    prisma.amazonScOrderItem.deleteMany({ where: { orderId: order.id } }),
+    prisma.amazonScOrderItem.createMany({ data: rows })
+  ]);
+  return rows.length;
+}
+
+/**
+ * 拉取一个时段内有更新的订单（getOrders，LastUpdatedAfter ~ LastUpdatedBefore）
+ * options.includeItems=false 时不拉明细（getOrderItems 每单一次请求，量大时较慢）
+ * @returns {Promise<number>} 订单数
+ */
+async function syncOrdersSegment(spClient, store, marketplaceId, rangeStart, rangeEnd, options = {}) {
+  let count = 0;
+  let nextToken = null;
+  do {
+    // 带 NextToken 时其余筛选条件沿用首次请求
+    const query = nextToken
+      ? { MarketplaceIds: [marketplaceId], NextToken: nextToken }
+      : { MarketplaceIds: [marketplaceId], LastUpdatedAfter: rangeStart, LastUpdatedBefore: rangeEnd, MaxResultsPerPage: 100 };
+    const res = await callSpApi(spClient, 'scOrders', { operation: 'getOrders', endpoint: 'orders', query });
+    for (const payload of res?.Orders || []) {
+      const order = await saveOrder(store.id, payload);
+      if (!order) continue;
+      if (options.includeItems !== false) await syncOrderItems(spClient, store.id, order);
+      count++;
+    }
+    nextToken = res?.NextToken || null;
+    if (nextToken) await sleep(PAGE_DELAY_MS);
+  } while (nextToken);
+  return count;
+}
+
+// ---------- Finances ----------
+
+/**
+ * 拉取一个时段内入账的财务事件（listFinancialEvents，PostedAfter ~ PostedBefore）
+ * API 不提供事件 ID：以 事件列表名 + 事件内容 + 同内容出现序号 的哈希去重，已入库的事件跳过
+ * @returns {Promise<number>} 事件数
+ */
+async function syncFinancesSegment(spClient, store, marketplaceId, rangeStart, rangeEnd) {
+  let count = 0;
+  let nextToken = null;
+  const seen = new Map();
+  do {
+    const query = nextToken
+      ? { NextToken: nextToken }
+      : { PostedAfter: rangeStart, PostedBefore: rangeEnd, MaxResultsPerPage: 100 };
+    const res = await callSpApi(spClient, 'scFinances', { operation: 'listFinancialEvents', endpoint: 'finances', query });
+    const rows = [];
+    for (const [eventGroup, events] of Object.entries(res?.FinancialEvents || {})) {
+      if (!Array.isArray(events)) continue;
+      for (const event of events) {
+        const content = `${eventGroup}|${JSON.stringify(event)}`;
+        const occurrence = (seen.get(content) ?? 0) + 1;
+        seen.set(content, occurrence);
+        rows.push({
+          amazonStoreId: store.id,
+          eventGroup,
+          eventHash: crypto.createHash('sha256').update(`${content}|${occurrence}`).digest('hex'),
+          amazonOrderId: event?.AmazonOrderId ?? null,
+          postedDate: toDate(event?.PostedDate),
+          data: event
+        });
+      }
+    }
+    if (rows.length > 0) {
+      await prisma.amazonScFinancialEvent.createMany({ data: rows, skipDuplicates: true });
+    }
+    count += rows.length;
+    nextToken = res?.NextToken || null;
+    if (nextToken) await sleep(PAGE_DELAY_MS);
+  } while (nextToken);
+  return count;
+}
+
+// ---------- 按时间段增量（Orders / Finances） ----------
+
+/**
+ * 获取本次应拉取的时间范围：上次结束时间 ~ endDate（默认当前时间前 5 分钟）
+ */
+async function getNextRange(amazonStoreId, syncType, options = {}) {
+  const config = RANGE_SYNC_TYPES[syncType];
+  const { endDate, defaultLookbackDays = config.lookbackDays } = options;
+  const latestEnd = Date.now() - END_SAFETY_MS;
+  const end = new Date(endDate ? Math.min(new Date(endDate).getTime(), latestEnd) : latestEnd);
+  const state = await getSyncState(amazonStoreId, syncType);
+  const start = state?.lastEndAt
+    ? new Date(Number(state.lastEndAt))
+    : new Date(end.getTime() - defaultLookbackDays * DAY_MS);
+  return { start, end };
+}
+
+/**
+ * 对单个 SC 店铺按时间段增量拉取（orders / finances）
+ * 若某时段重试后仍限流，则入队 10 分钟后重试，本店当次同步结束并返回 queuedSegments
+ */
+async function incrementalSyncRangeForStore(store, syncType, options = {}) {
+  const config = RANGE_SYNC_TYPES[syncType];
+  const { start, end } = await getNextRange(store.id, syncType, options);
+  if (start >= end) {
+    return { storeId: store.id, success: true, recordCount: 0, message: '无新时间范围需拉取' };
+  }
+
+  const marketplaceId = getStoreMarketplaceId(store);
+  const spClient = amazonService.getClient(store);
+  let totalRecords = 0;
+  let currentStart = new Date(start);
+  const endTime = end.getTime();
+
+  while (currentStart.getTime() < endTime) {
+    const segmentEnd = new Date(Math.min(currentStart.getTime() + config.segmentDays * DAY_MS, endTime));
+    const rangeStart = currentStart.toISOString();
+    const rangeEnd = segmentEnd.toISOString();
+    try {
+      totalRecords += await config.syncSegment(spClient, store, marketplaceId, rangeStart, rangeEnd, options);
+    } catch (e) {
+      if (isThrottleError(e)) {
+        await enqueueForRetry(store.id, config.taskType, { syncType, rangeStart, rangeEnd, lastError: e?.message });
+        return {
+          storeId: store.id,
+          success: true,
+          recordCount: totalRecords,
+          queuedSegments: 1,
+          message: `部分时段因限流已入队，约 ${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试`
+        };
+      }
+      console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] ${syncType} 店铺增量同步失败 storeId=%s:`, store.id, ...describeError(e));
+      throw e;
+    }
+
+    await advanceSyncState(store.id, syncType, segmentEnd, totalRecords);
+    currentStart = new Date(segmentEnd.getTime() + 1);
+    if (currentStart.getTime() < endTime) await sleep(PAGE_DELAY_MS);
+  }
+
+  return { storeId: store.id, success: true, recordCount: totalRecords, queuedSegments: 0 };
+}
+
+/** Orders：对单个 SC 店铺按 LastUpdatedAfter 增量拉取订单 */
+async function incrementalSyncScOrdersForStore(store, options = {}) {
+  return incrementalSyncRangeForStore(store, 'orders', options);
+}
+
+/** Finances：对单个 SC 店铺按 PostedAfter 增量拉取财务事件 */
+async function incrementalSyncScFinancesForStore(store, options = {}) {
+  return incrementalSyncRangeForStore(store, 'finances', options);
+}
+
+// ---------- FBA Inventory ----------
+
+/**
+ * 保存一条库存汇总（按 marketplace + SKU 覆盖）
+ */
+async function saveInventorySummary(amazonStoreId, marketplaceId, summary) {
+  const sellerSku = summary?.sellerSku;
+  if (!sellerSku) return null;
+  const details = summary.inventoryDetails || {};
+  const fields = {
+    asin: summary.asin ?? null,
+    fnSku: summary.fnSku ?? null,
+    productName: summary.productName ?? null,
+    condition: summary.condition ?? null,
+    totalQuantity: toInt(summary.totalQuantity),
+    fulfillableQuantity: toInt(details.fulfillableQuantity),
+    inboundWorkingQuantity: toInt(details.inboundWorkingQuantity),
+    inboundShippedQuantity: toInt(details.inboundShippedQuantity),
+    inboundReceivingQuantity: toInt(details.inboundReceivingQuantity),
+    reservedQuantity: toInt(details.reservedQuantity?.totalReservedQuantity),
+    unfulfillableQuantity: toInt(details.unfulfillableQuantity?.totalUnfulfillableQuantity),
+    lastUpdatedTime: toDate(summary.lastUpdatedTime),
+    data: summary
+  };
+  return prisma.amazonScInventorySummary.upsert({
+    where: { amazonStoreId_marketplaceId_sellerSku: { amazonStoreId, marketplaceId, sellerSku } },
+    update: fields,
+    create: { amazonStoreId, marketplaceId, sellerSku, ...fields }
+  });
+}
+
+/**
+ * 拉取库存汇总（getInventorySummaries，details=true）；startDateTime 为空时全量
+ * @returns {Promise<number>} SKU 数
+ */
+async function syncInventorySummaries(spClient, store, marketplaceId, startDateTime) {
+  let count = 0;
+  let nextToken = null;
+  do {
+    const query = {
+      details: true,
+      granularityType: 'Marketplace',
+      granularityId: marketplaceId,
+      marketplaceIds: [marketplaceId]
+    };
+    if (startDateTime) query.startDateTime = startDateTime;
+    if (nextToken) query.nextToken = nextToken;
+    const res = await callSpApi(spClient, 'scInventory', { operation: 'getInventorySummaries', endpoint: 'fbaInventory', query });
+    for (const summary of res?.inventorySummaries || []) {
+      if (await saveInventorySummary(store.id, marketplaceId, summary)) count++;
+    }
+    // SDK 会把 pagination 合并进返回对象
+    nextToken = res?.nextToken || null;
+    if (nextToken) await sleep(PAGE_DELAY_MS);
+  } while (nextToken);
+  return count;
+}
+
+/**
+ * 对单个 SC 店铺拉取 FBA 库存汇总
+ * 首次（或 options.full=true、上次同步早于 18 个月）全量，之后只拉上次同步以来有变动的 SKU
+ */
+async function syncScInventoryForStore(store, options = {}) {
+  const marketplaceId = getStoreMarketplaceId(store);
+  const state = await getSyncState(store.id, 'inventory');
+  const lastEndAt = state?.lastEndAt ? Number(state.lastEndAt) : null;
+  const startDateTime =
+    !options.full && lastEndAt && Date.now() - lastEndAt < INVENTORY_MAX_START_AGE_DAYS * DAY_MS
+      ? new Date(lastEndAt).toISOString()
+      : null;
+  const syncStartedAt = new Date();
+
+  const spClient = amazonService.getClient(store);
+  try {
+    const recordCount = await syncInventorySummaries(spClient, store, marketplaceId, startDateTime);
+    await advanceSyncState(store.id, 'inventory', syncStartedAt, recordCount);
+    return { storeId: store.id, success: true, recordCount, full: !startDateTime, queuedSegments: 0 };
+  } catch (e) {
+    if (isThrottleError(e)) {
+      await enqueueForRetry(store.id, 'scInventory', {
+        syncType: 'inventory',
+        rangeStart: startDateTime,
+        rangeEnd: syncStartedAt.toISOString(),
+        lastError: e?.message
+      });
+      return {
+        storeId: store.id,
+        success: true,
+        recordCount: 0,
+        queuedSegments: 1,
+        message: `因限流已入队，约 ${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试`
+      };
+    }
+    console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] inventory 店铺拉取失败 storeId=%s:`, store.id, ...describeError(e));
+    throw e;
+  }
+}
+
+// ---------- Reports（Sales & Traffic / Brand Analytics） ----------
+
+/**
+ * 解析要同步的报表类型：未指定时为 enabledByDefault 的类型
+ * @param {string[]} [reportTypes]
+ */
+function resolveReportTypes(reportTypes) {
+  if (!reportTypes || reportTypes.length === 0) {
+    return SC_REPORT_TYPES.filter((c) => c.enabledByDefault);
+  }
+  return reportTypes.map((reportType) => {
+    const config = SC_REPORT_TYPES.find((c) => c.reportType === reportType);
+    if (!config) {
+      throw new Error(`未知的 SC 报表类型: ${reportType}，支持: ${SC_REPORT_TYPES.map((c) => c.reportType).join(', ')}`);
+    }
+    return config;
+  });
+}
+
+/**
+ * 获取下次应拉取的报表周期（UTC 日期）
+ * - DAY：上次结束日次日 ~ endDate（默认昨天），每天一段
+ * - WEEK：完整的周日 ~ 周六，结束日不晚于 endDate
+ * @returns {{ startDate: Date, endDate: Date }[]} endDate 为周期最后一天 0 点
+ */
+async function getNextReportPeriods(amazonStoreId, config, options = {}) {
+  const { endDate, defaultLookbackDays = config.lookbackDays } = options;
+  const lastDay = toUtcDay(endDate ? new Date(endDate) : Date.now() - DAY_MS);
+  const state = await getSyncState(amazonStoreId, config.reportType);
+  let start = state?.lastEndAt
+    ? new Date(Number(state.lastEndAt) + DAY_MS)
+    : new Date(lastDay.getTime() - (defaultLookbackDays - 1) * DAY_MS);
+  start = toUtcDay(start);
+
+  const periods = [];
+  if (config.period === 'WEEK') {
+    // 对齐到下一个周日
+    const cur = new Date(start.getTime() + ((7 - start.getUTCDay()) % 7) * DAY_MS);
+    while (cur.getTime() + 6 * DAY_MS <= lastDay.getTime()) {
+      periods.push({ startDate: new Date(cur), endDate: new Date(cur.getTime() + 6 * DAY_MS) });
+      cur.setTime(cur.getTime() + 7 * DAY_MS);
+    }
+    return periods;
+  }
+  for (let cur = start.getTime(); cur <= lastDay.getTime(); cur += DAY_MS) {
+    periods.push({ startDate: new Date(cur), endDate: new Date(cur) });
+  }
+  return periods;
+}
+
+/**
+ * 保存报表数据（按 店铺 + 报表类型 + marketplace + 周期起始日 覆盖）
+ */
+async function saveReportData(amazonStoreId, reportType, marketplaceId, period, reportId, rows) {
+  const dataStartDate = toUtcDay(period.startDate);
+  const dataEndDate = toUtcDay(period.endDate);
+  await prisma.amazonScReportData.upsert({
+    where: {
+      amazonStoreId_reportType_marketplaceId_dataStartDate: { amazonStoreId, reportType, marketplaceId, dataStartDate }
+    },
+    create: { amazonStoreId, reportType, marketplaceId, dataStartDate, dataEndDate, reportId, data: rows },
+    update: { dataEndDate, reportId, data: rows }
+  });
+}
+
+/**
+ * 轮询 getReport 直到终态或超时
+ * @returns {Promise<{ documentId: string|null } | null>} 超时返回 null；CANCELLED（无数据）时 documentId 为 null
+ */
+async function waitForReport(spClient, reportId) {
+  const start = Date.now();
+  while (Date.now() - start < REPORT_MAX_POLL_WAIT_MS) {
+    const res = await callSpApi(spClient, 'scReport', { operation: 'reports.getReport', path: { reportId } });
+    if (res.processingStatus === 'DONE') return { documentId: res.reportDocumentId };
+    // Sales & Traffic 等报表在周期内无数据时为 CANCELLED
+    if (res.processingStatus === 'CANCELLED') return { documentId: null };
+    if (res.processingStatus === 'FATAL') throw new Error(`Report ${reportId} FATAL`);
+    await sleep(REPORT_POLL_INTERVAL_MS);
+  }
+  return null;
+}
+
+/** 下载报表文档并保存，推进同步状态 */
+async function downloadAndSaveReport(spClient, store, config, marketplaceId, period, reportId, documentId) {
+  let rows = [];
+  if (documentId) {
+    const doc = await callSpApi(spClient, 'scReport', { operation: 'reports.getReportDocument', path: { reportDocumentId: documentId } });
+    rows = await amazonVcReportService.downloadAndParseReport(spClient, doc);
+  }
+  await saveReportData(store.id, config.reportType, marketplaceId, period, reportId, rows);
+  await advanceSyncState(store.id, config.reportType, period.endDate, rows.length);
+  return rows.length;
+}
+
+/**
+ * 请求并保存一个周期的报表
+ * @returns {Promise<{ reportId, rows?: number, pending?: boolean }>} 生成超时返回 pending
+ */
+async function syncReportPeriod(spClient, store, config, marketplaceId, period) {
+  const dataEnd = new Date(period.endDate.getTime() + DAY_MS - 1000);
+  const created = await callSpApi(spClient, 'scReport', {
+    operation: 'reports.createReport',
+    body: {
+      reportType: config.reportType,
+      marketplaceIds: [marketplaceId],
+      dataStartTime: period.startDate.toISOString(),
+      dataEndTime: dataEnd.toISOString(),
+      reportOptions: config.reportOptions || undefined
+    }
+  });
+  const reportId = created.reportId;
+  const result = await waitForReport(spClient, reportId);
+  if (!result) return { reportId, pending: true };
+  const rows = await downloadAndSaveReport(spClient, store, config, marketplaceId, period, reportId, result.documentId);
+  return { reportId, rows };
+}
+
+/**
+ * 对单个 SC 店铺按周期增量拉取报表
+ * - 生成超时：入队（带 reportId）后继续下一周期
+ * - 限流：当前周期入队，本店当次报表同步结束
+ * @param {Object} options - { reportTypes?, endDate?, defaultLookbackDays? }
+ */
+async function incrementalSyncScReportsForStore(store, options = {}) {
+  const configs = resolveReportTypes(options.reportTypes);
+  const marketplaceId = getStoreMarketplaceId(store);
+  const spClient = amazonService.getClient(store);
+  const reports = [];
+  let totalRecords = 0;
+  let queuedSegments = 0;
+
+  for (const config of configs) {
+    const periods = await getNextReportPeriods(store.id, config, options);
+    for (const period of periods) {
+      const rangeStart = period.startDate.toISOString();
+      const rangeEnd = period.endDate.toISOString();
+      try {
+        const r = await syncReportPeriod(spClient, store, config, marketplaceId, period);
+        if (r.pending) {
+          await enqueueForRetry(store.id, 'scReport', { syncType: config.reportType, rangeStart, rangeEnd, reportId: r.reportId });
+          queuedSegments++;
+        } else {
+          totalRecords += r.rows;
+        }
+        reports.push({ reportType: config.reportType, dataStartDate: rangeStart, ...r });
+      } catch (e) {
+        if (!isThrottleError(e)) {
+          console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] ${config.reportType} 店铺报表同步失败 storeId=%s:`, store.id, ...describeError(e));
+          throw e;
+        }
+        await enqueueForRetry(store.id, 'scReport', { syncType: config.reportType, rangeStart, rangeEnd, lastError: e?.message });
+        queuedSegments++;
+        return {
+          storeId: store.id,
+          success: true,
+          recordCount: totalRecords,
+          queuedSegments,
+          reports,
+          message: `部分报表因限流已入队，约 ${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试`
+        };
+      }
+      await sleep(PAGE_DELAY_MS);
+    }
+  }
+  return { storeId: store.id, success: true, recordCount: totalRecords, queuedSegments, reports };
+}
+
+// ---------- 重试队列 ----------
+
+/**
+ * 执行一个队列任务
+ * @returns {Promise<{ recordCount: number, pendingReportId?: string }>} 报表仍未生成时返回 pendingReportId
+ */
+async function runRetryItem(spClient, store, item, options) {
+  const marketplaceId = getStoreMarketplaceId(store);
+
+  if (RANGE_SYNC_TYPES[item.syncType]) {
+    const recordCount = await RANGE_SYNC_TYPES[item.syncType].syncSegment(spClient, store, marketplaceId, item.rangeStart, item.rangeEnd, options);
+    await advanceSyncState(store.id, item.syncType, item.rangeEnd, recordCount);
+    return { recordCount };
+  }
+
+  if (item.syncType === 'inventory') {
+    const recordCount = await syncInventorySummaries(spClient, store, marketplaceId, item.rangeStart);
+    await advanceSyncState(store.id, 'inventory', item.rangeEnd, recordCount);
+    return { recordCount };
+  }
+
+  const [config] = resolveReportTypes([item.syncType]);
+  const period = { startDate: new Date(item.rangeStart), endDate: new Date(item.rangeEnd) };
+  if (item.reportId) {
+    const res = await callSpApi(spClient, 'scReport', { operation: 'reports.getReport', path: { reportId: item.reportId } });
+    if (res.processingStatus === 'FATAL') throw new Error(`Report ${item.reportId} FATAL`);
+    if (res.processingStatus !== 'DONE' && res.processingStatus !== 'CANCELLED') {
+      return { recordCount: 0, pendingReportId: item.reportId };
+    }
+    const documentId = res.processingStatus === 'DONE' ? res.reportDocumentId : null;
+    return { recordCount: await downloadAndSaveReport(spClient, store, config, marketplaceId, period, item.reportId, documentId) };
+  }
+  const r = await syncReportPeriod(spClient, store, config, marketplaceId, period);
+  return r.pending ? { recordCount: 0, pendingReportId: r.reportId } : { recordCount: r.rows };
+}
+
+/**
+ * 处理队列中已到点的任务（retryAt <= now）
+ * 成功则推进 sync state 并删除队列项；再次限流或报表仍未生成则延后 10 分钟、attempts+1，超过 QUEUE_MAX_ATTEMPTS 则删除
+ * @param {Object} [options] - { syncTypes?: string[] 只处理这些类型, includeItems? }
+ */
+async function processRetryQueue(options = {}) {
+  const where = { retryAt: { lte: new Date() } };
+  if (options.syncTypes?.length) where.syncType = { in: options.syncTypes };
+  const items = await prisma.amazonScSyncRetryQueue.findMany({
+    where,
+    include: { amazonStore: true },
+    orderBy: { retryAt: 'asc' }
+  });
+  if (items.length === 0) return { processed: 0, success: 0, failed: 0, deferred: 0 };
+
+  let success = 0;
+  let failed = 0;
+  let deferred = 0;
+  const defer = async (item, data) => {
+    if (item.attempts + 1 < QUEUE_MAX_ATTEMPTS) {
+      await prisma.amazonScSyncRetryQueue.update({
+        where: { id: item.id },
+        data: { retryAt: new Date(Date.now() + QUEUE_RETRY_AFTER_MINUTES * 60 * 1000), attempts: item.attempts + 1, ...data }
+      });
+      deferred++;
+      return true;
+    }
+    return false;
+  };
+
+  for (const item of items) {
+    const store = item.amazonStore;
+    const range = `${item.rangeStart ?? '全量'}~${item.rangeEnd}`;
+    if (!store || !store.refreshToken || store.archived || !store.isAuthorized) {
+      await prisma.amazonScSyncRetryQueue.delete({ where: { id: item.id } });
+      failed++;
+      continue;
+    }
+    try {
+      const spClient = amazonService.getClient(store);
+      const { recordCount, pendingReportId } = await runRetryItem(spClient, store, item, options);
+      if (pendingReportId) {
+        if (!(await defer(item, { reportId: pendingReportId }))) {
+          await prisma.amazonScSyncRetryQueue.delete({ where: { id: item.id } });
+          failed++;
+          console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] 报表 ${pendingReportId} 超过最大重试次数仍未生成，已移除: store=${store.id} ${item.syncType} ${range}`);
+        }
+        continue;
+      }
+      await prisma.amazonScSyncRetryQueue.delete({ where: { id: item.id } });
+      success++;
+      console.log(`${LOG_PREFIX} [${generateAmazonRequestId()}] 队列任务成功: store=${store.id} ${item.syncType} ${range} 拉取 ${recordCount} 条`);
+    } catch (e) {
+      if (isThrottleError(e) && (await defer(item, { lastError: e?.message ?? null }))) {
+        console.warn(`${LOG_PREFIX} [${generateAmazonRequestId()}] 队列任务再次限流，${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试 (attempts=${item.attempts + 1}):`, e?.message, 'apiRequestId=', getAmazonRequestIdFromError(e));
+        continue;
+      }
+      await prisma.amazonScSyncRetryQueue.delete({ where: { id: item.id } });
+      failed++;
+      console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] 队列任务失败或超过最大重试次数，已移除:`, item.id, item.syncType, range, ...describeError(e));
+    }
+  }
+  return { processed: items.length, success, failed, deferred };
+}
+
+// ---------- 所有店铺 ----------
+
+/**
+ * 对所有 SC 店铺执行一类同步：先处理该类已到点的队列任务，再按店铺增量
+ * @param {string} taskType - 事件 taskType
+ * @param {string[]} syncTypes - 要处理的队列 syncType
+ * @param {Function} syncForStore - (store, options) => 店铺结果
+ */
+async function syncAllStores(taskType, syncTypes, syncForStore, options = {}) {
+  const queueResult = await processRetryQueue({ ...options, syncTypes });
+
+  const stores = await getScStores();
+  if (stores.length === 0) {
+    return {
+      success: true,
+      storeCount: 0,
+      results: [],
+      queue: queueResult,
+      message: queueResult.processed > 0 ? `已处理 ${queueResult.processed} 个队列任务，无 SC 店铺` : '没有已授权的 SC 店铺'
+    };
+  }
+  emitEvent('task.started', { source: 'amazonSc', taskType, data: { storeCount: stores.length } });
+  const results = [];
+  for (const store of stores) {
+    try {
+      results.push(await syncForStore(store, options));
+    } catch (e) {
+      console.error(`${LOG_PREFIX} [${generateAmazonRequestId()}] ${taskType} 店铺同步异常 storeId=%s:`, store.id, e?.message, e?.stack, 'apiRequestId=', getAmazonRequestIdFromError(e));
+      results.push({ storeId: store.id, success: false, error: e?.message || String(e) });
+      emitEvent('account.failed', { source: 'amazonSc', taskType, accountId: store.id, accountName: store.name ?? null, message: e?.message || String(e) });
+    }
+  }
+  const successCount = results.filter((x) => x.success).length;
+  const totalRecords = results.reduce((s, x) => s + (x.recordCount ?? 0), 0);
+  const queuedSegments = results.reduce((s, x) => s + (x.queuedSegments ?? 0), 0);
+  emitEvent('task.finished', { source: 'amazonSc', taskType, data: { summary: { storeCount: stores.length, successCount, totalRecords, queuedSegments } } });
+  return {
+    success: successCount === stores.length && queuedSegments === 0,
+    storeCount: stores.length,
+    successCount,
+    totalRecords,
+    queuedSegments,
+    queue: queueResult,
+    results
+  };
+}
+
+/**
+ * 对所有 SC 店铺增量拉取订单
+ * @param {Object} options - { endDate?, defaultLookbackDays?, includeItems? }
+ */
+async function incrementalSyncAllScOrders(options = {}) {
+  return syncAllStores('scOrders', ['orders'], incrementalSyncScOrdersForStore, options);
+}
+
+/**
+ * 对所有 SC 店铺增量拉取财务事件
+ * @param {Object} options - { endDate?, defaultLookbackDays? }
+ */
+async function incrementalSyncAllScFinances(options = {}) {
+  return syncAllStores('scFinances', ['finances'], incrementalSyncScFinancesForStore, options);
+}
+
+/**
+ * 对所有 SC 店铺拉取 FBA 库存汇总
+ * @param {Object} options - { full? }
+ */
+async function syncAllScInventory(options = {}) {
+  return syncAllStores('scInventory', ['inventory'], syncScInventoryForStore, options);
+}
+
+/**
+ * 对所有 SC 店铺增量拉取报表
+ * @param {Object} options - { reportTypes?, endDate?, defaultLookbackDays? }
+ */
+async function incrementalSyncAllScReports(options = {}) {
+  const reportTypes = resolveReportTypes(options.reportTypes).map((c) => c.reportType);
+  return syncAllStores('scReport', reportTypes, incrementalSyncScReportsForStore, options);
+}
+
+/**
+ * 依次执行订单、财务事件、库存、报表同步
+ */
+async function incrementalSyncAllSc(options = {}) {
+  return {
+    orders: await incrementalSyncAllScOrders(options),
+    finances: await incrementalSyncAllScFinances(options),
+    inventory: await syncAllScInventory(options),
+    reports: await incrementalSyncAllScReports(options)
+  };
+}
+
+export default {
+  getScStores,
+  incrementalSyncScOrdersForStore,
+  incrementalSyncScFinancesForStore,
+  syncScInventoryForStore,
+  incrementalSyncScReportsForStore,
+  incrementalSyncAllScOrders,
+  incrementalSyncAllScFinances,
+  syncAllScInventory,
+  incrementalSyncAllScReports,
+  incrementalSyncAllSc,
+  processRetryQueue
+};
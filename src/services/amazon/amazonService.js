@@ -1,50 +1,39 @@
-import prisma from '../../config/database.js';
+import { createRequire } from 'module';
+import { getAmazonMarketplace } from '../../utils/amazon.js';
+import { decryptSecret } from '../secretCrypto.js';
+
+const require = createRequire(import.meta.url);
+const { SellingPartner } = require('amazon-sp-api');
+
+const DEBUG_SP_API = process.env.DEBUG_AMAZON_SP_API === 'true' || process.env.DEBUG_AMAZON_SP_API === '1';
 
 /**
  * 亚马逊数据服务 - 使用官方 SP-API SDK
  */
 class AmazonService {
   /**
-   * 获取或创建 SP-API 客户端实例
+   * 根据店铺 refresh_token 创建 SP-API 客户端（SC / VC 通用）
+   * 区域取自店铺 countryCode 对应的 marketplace，应用凭证取自环境变量 AMAZON_CLIENT_ID / AMAZON_CLIENT_SECRET
+   * @param {Object} store - AmazonStore
+   * @param {Object} [options] - 透传给 SellingPartner 的 options
    */
-  async getClient(store) {
-    // 区域映射
-    const regionMap = {
-      'US': 'us-east-1',
-      'CA': 'us-east-1',
-      'MX': 'us-east-1',
-      'BR': 'us-east-1',
-      'ES': 'eu-west-1',
-      'UK': 'eu-west-1',
-      'FR': 'eu-west-1',
-      'DE': 'eu-west-1',
-      'IT': 'eu-west-1',
-      'JP': 'us-west-2',
-      'AU': 'us-west-2',
-      'IN': 'eu-west-1',
-      'SG': 'us-west-2'
-    };
-
-    const credentials = {
-      SELLING_PARTNER_APP_CLIENT_ID: store.accessKey,
-      SELLING_PARTNER_APP_CLIENT_SECRET: store.secretKey,
-      AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-      AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-      AWS_SELLING_PARTNER_ROLE: process.env.AWS_SELLING_PARTNER_ROLE
-    };
-
-    // 如果店铺有 refreshToken，使用它；否则需要先获取
-    if (store.refreshToken) {
-      credentials.refresh_token = store.refreshToken;
+  getClient(store, options = {}) {
+    const marketplace = getAmazonMarketplace(store.countryCode);
+    const region = marketplace?.region || 'na';
+    const clientId = process.env.AMAZON_CLIENT_ID || process.env.SELLING_PARTNER_APP_CLIENT_ID;
+    const clientSecret = process.env.AMAZON_CLIENT_SECRET || process.env.SELLING_PARTNER_APP_CLIENT_SECRET;
+    if (!store.refreshToken || !clientId || !clientSecret) {
+      throw new Error(`店铺 ${store.id} 缺少 refreshToken 或环境变量 AMAZON_CLIENT_ID/AMAZON_CLIENT_SECRET`);
     }
 
-    return new SellingPartnerAPI({
-      region: regionMap[store.region] || 'us-east-1',
-      credentials: credentials,
-      options: {
-        auto_request_tokens: true,
-        version: 'v0'
-      }
+    return new SellingPartner({
+      region,
+      refresh_token: decryptSecret(store.refreshToken),
+      credentials: {
+        SELLING_PARTNER_APP_CLIENT_ID: clientId,
+        SELLING_PARTNER_APP_CLIENT_SECRET: clientSecret
+      },
+      options: { debug_log: DEBUG_SP_API, ...options }
     });
   }
 
@@ -0,0 +1,579 @@
+/**
+ * 亚马逊 VC PO 确认服务
+ * - 按 PO 行提交 接受 / 缺货延后 / 拒绝 数量（Vendor Orders submitAcknowledgement）
+ * - 通过 Vendor Transaction Status getTransaction 跟踪交易直到 Success / Failure，结果记在 AmazonVcPoAcknowledgement 与 PO 上
+ * - 提交状态规则见 vcSubmission.js：提交结果未知的确认与 PO 记为 unconfirmed，不会被重新提交或自动确认，须核实后 release
+ * - 批量规则：按领星仓库可用库存（LingXingInventoryDetail）扣除已接受未发货数量后自动接受
+ */
+import prisma from '../../config/database.js';
+import {
+  COUNTED_STATUSES,
+  getUnitSize,
+  scopeToAccounts,
+  findPurchaseOrder as findVcPurchaseOrder,
+  submitDocument,
+  markStaleSubmissions,
+  checkTransaction,
+  processPendingTransactions,
+  releaseUnconfirmed,
+  getShippedQuantitiesByPo
+} from './vcSubmission.js';
+
+const LOG_PREFIX = '[VC PO Ack]';
+
+/** Amazon 接受确认的 PO 状态 */
+const ACKNOWLEDGEABLE_STATE = 'New';
+/** Amazon PO 已关闭（收货完成），其接受量不再占用库存 */
+const CLOSED_STATE = 'Closed';
+/** 可（重新）提交确认的 PO acknowledgementStatus（unconfirmed 须先 release） */
+const SUBMITTABLE_STATUSES = [null, 'failed'];
+/** 拒绝原因（Vendor Orders API 枚举） */
+const REJECTION_REASONS = ['TemporarilyUnavailable', 'InvalidProductIdentifier', 'ObsoleteProduct'];
+const DEFAULT_REJECTION_REASON = 'TemporarilyUnavailable';
+/** 自动接受时未满足部分的处理方式 */
+const REMAINDER_CODES = { backordered: 'Backordered', rejected: 'Rejected' };
+/** 确认记录状态 → PO acknowledgementStatus（error 时恢复提交前的状态） */
+const PO_STATUS_BY_RESULT = { submitted: 'submitted', unconfirmed: 'unconfirmed', success: 'acknowledged', failure: 'failed' };
+
+/** 参数或状态错误（statusCode 供路由返回） */
+export class AcknowledgementError extends Error {
+  /**
+   * @param {number} statusCode - 400 参数错误 / 404 PO 不存在 / 409 状态冲突
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'AcknowledgementError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toQuantity(value, field, seq) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new AcknowledgementError(400, `行 ${seq} 的 ${field} 须为非负整数`);
+  }
+  return n;
+}
+
+function toIsoDate(value, field, seq) {
+  if (value === undefined || value === null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new AcknowledgementError(400, `${seq ? `行 ${seq} 的 ` : ''}${field} 不是有效日期: ${value}`);
+  }
+  return d.toISOString();
+}
+
+/** PO 在 Amazon 侧的状态（v1 为 purchaseOrderState） */
+function getPoState(po) {
+  return po.data?.purchaseOrderState ?? po.orderState ?? null;
+}
+
+/**
+ * PO 行（优先取原始数据 orderDetails.items，与 submitAcknowledgement 所需字段一致）
+ * @returns {Array<{ itemSequenceNumber, amazonProductIdentifier, vendorProductIdentifier, orderedQuantity, netCost, listPrice }>}
+ */
+function getPoLines(po) {
+  const rawItems = po.data?.orderDetails?.items ?? po.data?.items ?? (po.items || []).map((it) => it.data || {});
+  return rawItems.map((it, i) => {
+    const ordered = it.orderedQuantity;
+    return {
+      itemSequenceNumber: String(it.itemSequenceNumber ?? i + 1),
+      amazonProductIdentifier: it.amazonProductIdentifier ?? it.buyerProductIdentifier ?? null,
+      vendorProductIdentifier: it.vendorProductIdentifier ?? null,
+      orderedQuantity: {
+        amount: Number(ordered?.amount ?? ordered ?? 0),
+        unitOfMeasure: ordered?.unitOfMeasure ?? 'Eaches',
+        unitSize: ordered?.unitSize ?? 1
+      },
+      netCost: it.netCost ?? null,
+      listPrice: it.listPrice ?? null
+    };
+  });
+}
+
+/**
+ * 按 PO 号查找 PO（含店铺与明细）
+ * @param {string} purchaseOrderNumber
+ * @param {string} [storeId] - 多个 VC 店铺存在同号 PO 时必填
+ * @param {string[]} [accountIds] - 调用方可访问的领星账户（为空不限），范围外的 PO 视为不存在
+ */
+function findPurchaseOrder(purchaseOrderNumber, storeId, accountIds) {
+  return findVcPurchaseOrder(purchaseOrderNumber, storeId, accountIds, AcknowledgementError);
+}
+
+/**
+ * 校验并生成 acknowledgement
+ * - 每个 PO 行都须确认，且 接受 + 缺货延后 + 拒绝 = 订购数量
+ * @param {Object} po - 含 data / items
+ * @param {Array<Object>} itemInputs - [{ itemSequenceNumber, acceptedQuantity?, backorderedQuantity?, rejectedQuantity?, rejectionReason?, scheduledShipDate?, scheduledDeliveryDate? }]
+ * @param {Object} defaults - { scheduledShipDate?, scheduledDeliveryDate? } 行未指定时使用
+ * @returns {{ payload: Object, items: Object[] }} payload 为提交的 acknowledgement，items 为明细记录
+ */
+function buildAcknowledgement(po, itemInputs, defaults = {}) {
+  const lines = getPoLines(po);
+  if (lines.length === 0) throw new AcknowledgementError(400, `PO ${po.purchaseOrderNumber} 无明细行，请先同步 PO`);
+  if (!Array.isArray(itemInputs) || itemInputs.length === 0) throw new AcknowledgementError(400, 'items 必填');
+
+  const inputBySeq = new Map();
+  for (const input of itemInputs) {
+    const seq = String(input?.itemSequenceNumber ?? '');
+    if (!lines.some((line) => line.itemSequenceNumber === seq)) {
+      throw new AcknowledgementError(400, `PO ${po.purchaseOrderNumber} 不存在行 ${seq}`);
+    }
+    if (inputBySeq.has(seq)) throw new AcknowledgementError(400, `行 ${seq} 重复`);
+    inputBySeq.set(seq, input);
+  }
+  const missing = lines.filter((line) => !inputBySeq.has(line.itemSequenceNumber)).map((line) => line.itemSequenceNumber);
+  if (missing.length > 0) throw new AcknowledgementError(400, `以下行未确认: ${missing.join(', ')}`);
+
+  const defaultShipDate = toIsoDate(defaults.scheduledShipDate, 'scheduledShipDate');
+  const defaultDeliveryDate = toIsoDate(defaults.scheduledDeliveryDate, 'scheduledDeliveryDate');
+  const payloadItems = [];
+  const items = [];
+  for (const line of lines) {
+    const seq = line.itemSequenceNumber;
+    const input = inputBySeq.get(seq);
+    const ordered = line.orderedQuantity.amount;
+    const accepted = toQuantity(input.acceptedQuantity, 'acceptedQuantity', seq);
+    const backordered = toQuantity(input.backorderedQuantity, 'backorderedQuantity', seq);
+    const rejected = toQuantity(input.rejectedQuantity, 'rejectedQuantity', seq);
+    if (accepted + backordered + rejected !== ordered) {
+      throw new AcknowledgementError(400, `行 ${seq} 接受/延后/拒绝数量之和（${accepted + backordered + rejected}）须等于订购数量 ${ordered}`);
+    }
+    const rejectionReason = rejected > 0 ? input.rejectionReason || DEFAULT_REJECTION_REASON : null;
+    if (rejectionReason && !REJECTION_REASONS.includes(rejectionReason)) {
+      throw new AcknowledgementError(400, `行 ${seq} 的 rejectionReason 须为 ${REJECTION_REASONS.join(' / ')}`);
+    }
+    const scheduledShipDate = toIsoDate(input.scheduledShipDate, 'scheduledShipDate', seq) ?? defaultShipDate;
+    const scheduledDeliveryDate = toIsoDate(input.scheduledDeliveryDate, 'scheduledDeliveryDate', seq) ?? defaultDeliveryDate;
+
+    const quantity = (amount) => ({ amount, unitOfMeasure: line.orderedQuantity.unitOfMeasure, unitSize: line.orderedQuantity.unitSize });
+    const itemAcknowledgements = [];
+    if (accepted > 0) {
+      itemAcknowledgements.push({
+        acknowledgementCode: 'Accepted',
+        acknowledgedQuantity: quantity(accepted),
+        ...(scheduledShipDate && { scheduledShipDate }),
+        ...(scheduledDeliveryDate && { scheduledDeliveryDate })
+      });
+    }
+    if (backordered > 0) {
+      itemAcknowledgements.push({
+        acknowledgementCode: 'Backordered',
+        acknowledgedQuantity: quantity(backordered),
+        ...(scheduledShipDate && { scheduledShipDate }),
+        ...(scheduledDeliveryDate && { scheduledDeliveryDate })
+      });
+    }
+    if (rejected > 0) {
+      itemAcknowledgements.push({ acknowledgementCode: 'Rejected', acknowledgedQuantity: quantity(rejected), rejectionReason });
+    }
+
+    payloadItems.push({
+      itemSequenceNumber: seq,
+      ...(line.amazonProductIdentifier && { amazonProductIdentifier: line.amazonProductIdentifier }),
+      ...(line.vendorProductIdentifier && { vendorProductIdentifier: line.vendorProductIdentifier }),
+      orderedQuantity: line.orderedQuantity,
+      ...(line.netCost && { netCost: line.netCost }),
+      ...(line.listPrice && { listPrice: line.listPrice }),
+      itemAcknowledgements
+    });
+    items.push({
+      itemSequenceNumber: seq,
+      buyerProductId: line.amazonProductIdentifier,
+      vendorProductId: line.vendorProductIdentifier,
+      orderedQuantity: ordered,
+      acceptedQuantity: accepted,
+      backorderedQuantity: backordered,
+      rejectedQuantity: rejected,
+      rejectionReason,
+      scheduledShipDate: scheduledShipDate ? new Date(scheduledShipDate) : null,
+      scheduledDeliveryDate: scheduledDeliveryDate ? new Date(scheduledDeliveryDate) : null
+    });
+  }
+
+  const sellingPartyId = po.data?.orderDetails?.sellingParty?.partyId ?? po.sellingPartyPartyId;
+  if (!sellingPartyId) throw new AcknowledgementError(400, `PO ${po.purchaseOrderNumber} 缺少 sellingParty，请先同步 PO`);
+  return {
+    payload: {
+      purchaseOrderNumber: po.purchaseOrderNumber,
+      sellingParty: { partyId: sellingPartyId },
+      acknowledgementDate: new Date().toISOString(),
+      items: payloadItems
+    },
+    items
+  };
+}
+
+/**
+ * 提交单个 PO 的确认
+ * - 先以条件更新把 PO 置为 submitting 并写入 submitting 记录，防止同一 PO 并发重复提交
+ * - 提交成功记录 transactionId（状态 submitted），之后由 processPendingAcknowledgements 跟踪
+ * - Amazon 明确拒绝记为 error，PO 恢复为可重新提交；提交结果未知记为 unconfirmed（PO 同为 unconfirmed），须核实后 release
+ * @param {string} purchaseOrderNumber
+ * @param {Object} body - { storeId?, items, scheduledShipDate?, scheduledDeliveryDate?, dryRun? }
+ * @param {Object} [context] - { actor?, accountIds?, source?: 'manual' | 'autoAcceptStock', po?: 已查出的 PO }
+ * @returns {Promise<Object>} dryRun 时为 { dryRun: true, payload, items }，否则为确认记录（含 items）
+ */
+async function submitAcknowledgement(purchaseOrderNumber, body = {}, context = {}) {
+  const { actor = null, source = 'manual' } = context;
+  const po = context.po ?? (await findPurchaseOrder(purchaseOrderNumber, body.storeId, context.accountIds));
+  const state = getPoState(po);
+  if (state && state !== ACKNOWLEDGEABLE_STATE) {
+    throw new AcknowledgementError(409, `PO ${purchaseOrderNumber} 当前状态为 ${state}，只能确认 ${ACKNOWLEDGEABLE_STATE} 状态的 PO`);
+  }
+  if (!SUBMITTABLE_STATUSES.includes(po.acknowledgementStatus ?? null)) {
+    const hint = po.acknowledgementStatus === 'unconfirmed' ? '，提交结果未知，请在 Vendor Central 核实后 release' : '';
+    throw new AcknowledgementError(409, `PO ${purchaseOrderNumber} 已提交确认（${po.acknowledgementStatus}）${hint}`);
+  }
+
+  const { payload, items } = buildAcknowledgement(po, body.items, body);
+  if (body.dryRun) return { dryRun: true, payload, items };
+
+  // 领取 PO 并先写入 submitting 记录：提交后写库失败时记录仍在，由 recoverStaleSubmissions 标记
+  const pending = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.amazonVcPurchaseOrder.updateMany({
+      where: { id: po.id, OR: SUBMITTABLE_STATUSES.map((status) => ({ acknowledgementStatus: status })) },
+      data: { acknowledgementStatus: 'submitting' }
+    });
+    if (claimed.count === 0) {
+      throw new AcknowledgementError(409, `PO ${purchaseOrderNumber} 正在提交或已提交确认`);
+    }
+    return tx.amazonVcPoAcknowledgement.create({
+      data: {
+        amazonStoreId: po.amazonStoreId,
+        purchaseOrderId: po.id,
+        purchaseOrderNumber,
+        source,
+        status: 'submitting',
+        payload,
+        submittedBy: actor,
+        items: { create: items }
+      }
+    });
+  });
+
+  const result = await submitDocument(
+    po.amazonStore,
+    { operation: 'submitAcknowledgement', endpoint: 'vendorOrders', body: { acknowledgements: [payload] } },
+    { prefix: LOG_PREFIX, label: ` PO ${purchaseOrderNumber}` }
+  );
+  const now = new Date();
+  const [acknowledgement] = await prisma.$transaction([
+    prisma.amazonVcPoAcknowledgement.update({
+      where: { id: pending.id },
+      data: {
+        status: result.status,
+        transactionId: result.transactionId,
+        errors: result.errors ?? undefined,
+        submittedAt: result.status === 'error' ? null : now,
+        completedAt: result.status === 'error' ? now : null
+      },
+      include: { items: true }
+    }),
+    prisma.amazonVcPurchaseOrder.update({
+      where: { id: po.id },
+      data: { acknowledgementStatus: PO_STATUS_BY_RESULT[result.status] ?? po.acknowledgementStatus ?? null }
+    })
+  ]);
+  return acknowledgement;
+}
+
+/**
+ * 标记停留在 submitting 超过 STALE_SUBMITTING_MS 的确认为 unconfirmed，PO 同为 unconfirmed（不会被重新提交或自动确认）
+ * @param {string[]} [accountIds]
+ * @returns {Promise<number>} 标记条数
+ */
+async function recoverStaleSubmissions(accountIds) {
+  const marked = await markStaleSubmissions(prisma.amazonVcPoAcknowledgement, accountIds, { purchaseOrderNumber: true });
+  for (const acknowledgement of marked) {
+    await prisma.amazonVcPurchaseOrder.updateMany({
+      where: { id: acknowledgement.purchaseOrderId, acknowledgementStatus: 'submitting' },
+      data: { acknowledgementStatus: 'unconfirmed' }
+    });
+    console.warn(`${LOG_PREFIX} PO ${acknowledgement.purchaseOrderNumber} 的确认停留在 submitting，已标记为 unconfirmed`);
+  }
+  return marked.length;
+}
+
+/**
+ * 查询一条确认的交易状态并更新（Processing 保持待查；Success / Failure 为终态并回写 PO）
+ * @param {Object} acknowledgement - AmazonVcPoAcknowledgement（含 purchaseOrder.amazonStore）
+ */
+async function checkAcknowledgementStatus(acknowledgement) {
+  const { status, updated, at } = await checkTransaction(prisma.amazonVcPoAcknowledgement, acknowledgement, acknowledgement.purchaseOrder.amazonStore);
+  if (updated && status !== 'processing') {
+    await prisma.amazonVcPurchaseOrder.update({
+      where: { id: acknowledgement.purchaseOrderId },
+      data: { acknowledgementStatus: PO_STATUS_BY_RESULT[status], ...(status === 'success' && { acknowledgedAt: at }) }
+    });
+  }
+  return { id: acknowledgement.id, purchaseOrderNumber: acknowledgement.purchaseOrderNumber, transactionId: acknowledgement.transactionId, status };
+}
+
+/**
+ * 跟踪所有未到终态的确认（submitted / processing），可由定时任务定期调用；先标记停留在 submitting 的记录（recovered）
+ * @param {Object} [options] - { maxItems?: number 默认 50 }
+ * @param {string[]} [accountIds] - 仅跟踪这些领星账户下店铺的记录（为空不限）
+ * @returns {Promise<{ recovered, processed, success, failure, processing, errors, results }>}
+ */
+function processPendingAcknowledgements(options = {}, accountIds) {
+  return processPendingTransactions(
+    {
+      delegate: prisma.amazonVcPoAcknowledgement,
+      prefix: LOG_PREFIX,
+      recover: recoverStaleSubmissions,
+      check: checkAcknowledgementStatus,
+      describe: (acknowledgement) => ({ id: acknowledgement.id, purchaseOrderNumber: acknowledgement.purchaseOrderNumber })
+    },
+    options,
+    accountIds
+  );
+}
+
+/**
+ * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的确认
+ * - received：Amazon 已收到，确认记为 success，PO 记为 acknowledged
+ * - notReceived：Amazon 未收到，确认记为 error，PO 记为 failed（可重新提交或自动确认）
+ * @param {string} id - 确认记录 ID
+ * @param {Object} body - { outcome: 'received' | 'notReceived', note? }
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function releaseAcknowledgement(id, body = {}, context = {}) {
+  const acknowledgement = await prisma.amazonVcPoAcknowledgement.findFirst({ where: scopeToAccounts({ id }, context.accountIds) });
+  if (!acknowledgement) throw new AcknowledgementError(404, `确认记录 ${id} 不存在`);
+  const { status, at } = await releaseUnconfirmed(prisma.amazonVcPoAcknowledgement, acknowledgement, body, {
+    actor: context.actor,
+    label: `PO ${acknowledgement.purchaseOrderNumber} 的确认`,
+    ErrorClass: AcknowledgementError
+  });
+  await prisma.amazonVcPurchaseOrder.updateMany({
+    where: { id: acknowledgement.purchaseOrderId, acknowledgementStatus: 'unconfirmed' },
+    data: status === 'success' ? { acknowledgementStatus: 'acknowledged', acknowledgedAt: at } : { acknowledgementStatus: 'failed' }
+  });
+  console.log(`${LOG_PREFIX} PO ${acknowledgement.purchaseOrderNumber} 的确认经 ${context.actor ?? '-'} 核实为 ${status}`);
+  return prisma.amazonVcPoAcknowledgement.findUnique({ where: { id }, include: { items: true } });
+}
+
+/**
+ * PO 的确认记录（按提交时间倒序，含明细）
+ * @param {string} purchaseOrderNumber
+ * @param {string} [storeId]
+ * @param {string[]} [accountIds]
+ */
+async function listAcknowledgements(purchaseOrderNumber, storeId, accountIds) {
+  const po = await findPurchaseOrder(purchaseOrderNumber, storeId, accountIds);
+  const acknowledgements = await prisma.amazonVcPoAcknowledgement.findMany({
+    where: { purchaseOrderId: po.id },
+    include: { items: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  return {
+    purchaseOrderNumber,
+    storeId: po.amazonStoreId,
+    orderState: getPoState(po),
+    acknowledgementStatus: po.acknowledgementStatus,
+    acknowledgedAt: po.acknowledgedAt,
+    acknowledgements
+  };
+}
+
+/**
+ * PO 各行已接受数量（取最近一次计入的确认：submitting / submitted / processing / success / unconfirmed）
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Map<string, number>|null>} itemSequenceNumber → 接受数量；本系统未提交过确认时为 null
+ */
+async function getAcceptedQuantities(purchaseOrderId) {
+  const acknowledgement = await prisma.amazonVcPoAcknowledgement.findFirst({
+    where: { purchaseOrderId, status: { in: COUNTED_STATUSES } },
+    include: { items: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!acknowledgement) return null;
+  return new Map(acknowledgement.items.map((item) => [item.itemSequenceNumber, item.acceptedQuantity]));
+}
+
+/**
+ * 领星仓库可用库存（按 SKU 汇总；优先 data.product_valid_num 可用量，缺失时用 quantity）
+ * @param {string} accountId - 领星账户 ID
+ * @param {string[]} skus
+ * @param {string[]} [wids] - 仓库 ID，不传为全部仓库
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getAvailableStock(accountId, skus, wids) {
+  const where = { accountId, sku: { in: skus }, archived: false };
+  if (wids?.length) where.wid = { in: wids.map(String) };
+  const details = await prisma.lingXingInventoryDetail.findMany({
+    where,
+    select: { sku: true, quantity: true, data: true }
+  });
+  const stock = new Map();
+  for (const detail of details) {
+    const available = parseInt(detail.data?.product_valid_num ?? detail.quantity ?? 0, 10) || 0;
+    stock.set(detail.sku, (stock.get(detail.sku) ?? 0) + Math.max(available, 0));
+  }
+  return stock;
+}
+
+/**
+ * 已接受未发货的数量（件，按 SKU 汇总）：各 PO 最近一次计入的确认的接受量减本系统已确认发货量
+ * - 只统计该领星账户下店铺、Amazon 侧未关闭的 PO；不区分仓库
+ * @param {string} accountId - 领星账户 ID
+ * @param {string[]} skus
+ * @param {string[]} [excludePoIds] - 不统计的 PO（本次待确认的 PO）
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getOpenAcceptedQuantities(accountId, skus, excludePoIds = []) {
+  const acknowledgements = await prisma.amazonVcPoAcknowledgement.findMany({
+    where: {
+      status: { in: COUNTED_STATUSES },
+      purchaseOrderId: { notIn: excludePoIds },
+      purchaseOrder: { amazonStore: { accountId } },
+      items: { some: { vendorProductId: { in: skus }, acceptedQuantity: { gt: 0 } } }
+    },
+    select: {
+      purchaseOrderId: true,
+      items: { select: { itemSequenceNumber: true, acceptedQuantity: true } },
+      purchaseOrder: { select: { orderState: true, data: true, items: { select: { data: true } } } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+  const latest = new Map();
+  for (const acknowledgement of acknowledgements) {
+    if (!latest.has(acknowledgement.purchaseOrderId)) latest.set(acknowledgement.purchaseOrderId, acknowledgement);
+  }
+  const open = [...latest.values()].filter((acknowledgement) => getPoState(acknowledgement.purchaseOrder) !== CLOSED_STATE);
+  const shippedByPo = await getShippedQuantitiesByPo(open.map((acknowledgement) => acknowledgement.purchaseOrderId));
+
+  const committed = new Map();
+  for (const acknowledgement of open) {
+    const lines = getPoLines(acknowledgement.purchaseOrder);
+    const shipped = shippedByPo.get(acknowledgement.purchaseOrderId) ?? new Map();
+    for (const item of acknowledgement.items) {
+      const line = lines.find((l) => l.itemSequenceNumber === item.itemSequenceNumber);
+      const sku = line?.vendorProductIdentifier;
+      if (!sku || !skus.includes(sku)) continue;
+      const rest = item.acceptedQuantity - (shipped.get(item.itemSequenceNumber) ?? 0);
+      if (rest > 0) committed.set(sku, (committed.get(sku) ?? 0) + rest * getUnitSize(line));
+    }
+  }
+  return committed;
+}
+
+/**
+ * 批量规则：按领星可用库存自动接受
+ * - 可用库存先扣除其它 PO 已接受未发货的数量（见 getOpenAcceptedQuantities），再按下单时间先后分配给本次各 PO
+ * - 每行 接受 = min(可用库存, 订购数量)，其余按 remainder 延后（backordered）或拒绝（rejected）
+ * - PO 行的 vendorProductIdentifier 对应领星 SKU；库存按件计，按箱订购的行按 unitSize 折算
+ * @param {Object} options
+ *   - storeId?, poNumbers?: string[]（默认所有 New 且未提交确认的 PO；unconfirmed 的 PO 须先 release）
+ *   - accountId?: 领星账户 ID（默认 PO 所属店铺的 accountId）, wids?: string[]
+ *   - remainder?: 'backordered' | 'rejected'（默认 backordered）, rejectionReason?
+ *   - scheduledShipDate?, scheduledDeliveryDate?
+ *   - dryRun?: 默认 true，只返回将提交的内容；须显式传 false 才提交
+ *   - accountIds?: 调用方可访问的领星账户（为空不限），用于限制店铺范围
+ *   - actor?
+ * @returns {Promise<{ dryRun, poCount, submitted, failed, unconfirmed, results }>}
+ */
+async function autoAcceptByStock(options = {}) {
+  const { storeId, poNumbers, accountId, wids, remainder = 'backordered', rejectionReason, dryRun = true, accountIds, actor = null } = options;
+  const remainderCode = REMAINDER_CODES[remainder];
+  if (!remainderCode) throw new AcknowledgementError(400, `remainder 须为 ${Object.keys(REMAINDER_CODES).join(' / ')}`);
+  if (poNumbers !== undefined && !Array.isArray(poNumbers)) throw new AcknowledgementError(400, 'poNumbers 须为数组');
+
+  const storeWhere = { accountType: 'vc', isAuthorized: true, archived: false };
+  if (accountIds?.length) storeWhere.accountId = { in: accountIds };
+  const where = {
+    OR: SUBMITTABLE_STATUSES.map((status) => ({ acknowledgementStatus: status })),
+    amazonStore: storeWhere
+  };
+  if (storeId) where.amazonStoreId = storeId;
+  if (poNumbers?.length) where.purchaseOrderNumber = { in: poNumbers.map(String) };
+  const pos = (
+    await prisma.amazonVcPurchaseOrder.findMany({
+      where,
+      include: { amazonStore: true, items: true },
+      orderBy: [{ orderDate: 'asc' }, { createdAt: 'asc' }]
+    })
+  ).filter((po) => (getPoState(po) ?? ACKNOWLEDGEABLE_STATE) === ACKNOWLEDGEABLE_STATE);
+
+  // 按领星账户加载本次涉及 SKU 的库存
+  const stockByAccount = new Map();
+  const skusByAccount = new Map();
+  for (const po of pos) {
+    const lingxingAccountId = accountId ?? po.amazonStore.accountId;
+    const skus = skusByAccount.get(lingxingAccountId) ?? new Set();
+    for (const line of getPoLines(po)) {
+      if (line.vendorProductIdentifier) skus.add(line.vendorProductIdentifier);
+    }
+    skusByAccount.set(lingxingAccountId, skus);
+  }
+  const poIds = pos.map((po) => po.id);
+  for (const [lingxingAccountId, skus] of skusByAccount) {
+    const stock = await getAvailableStock(lingxingAccountId, [...skus], wids);
+    const committed = await getOpenAcceptedQuantities(lingxingAccountId, [...skus], poIds);
+    for (const [sku, quantity] of committed) stock.set(sku, Math.max((stock.get(sku) ?? 0) - quantity, 0));
+    stockByAccount.set(lingxingAccountId, stock);
+  }
+
+  const results = [];
+  let submitted = 0;
+  let failed = 0;
+  let unconfirmed = 0;
+  for (const po of pos) {
+    const stock = stockByAccount.get(accountId ?? po.amazonStore.accountId);
+    const items = getPoLines(po).map((line) => {
+      const ordered = line.orderedQuantity.amount;
+      // 领星库存为件数；按箱订购（Cases）时按 unitSize 折算为整箱
+      const unitSize = getUnitSize(line);
+      const available = line.vendorProductIdentifier ? stock.get(line.vendorProductIdentifier) ?? 0 : 0;
+      const accepted = Math.min(Math.floor(available / unitSize), ordered);
+      if (line.vendorProductIdentifier) stock.set(line.vendorProductIdentifier, available - accepted * unitSize);
+      const rest = ordered - accepted;
+      return {
+        itemSequenceNumber: line.itemSequenceNumber,
+        acceptedQuantity: accepted,
+        backorderedQuantity: remainderCode === 'Backordered' ? rest : 0,
+        rejectedQuantity: remainderCode === 'Rejected' ? rest : 0,
+        rejectionReason
+      };
+    });
+    const body = {
+      items,
+      scheduledShipDate: options.scheduledShipDate,
+      scheduledDeliveryDate: options.scheduledDeliveryDate,
+      dryRun
+    };
+    try {
+      const r = await submitAcknowledgement(po.purchaseOrderNumber, body, { actor, source: 'autoAcceptStock', po });
+      if (dryRun) {
+        results.push({ storeId: po.amazonStoreId, purchaseOrderNumber: po.purchaseOrderNumber, items: r.items });
+      } else {
+        if (r.status === 'error') failed++;
+        else if (r.status === 'unconfirmed') unconfirmed++;
+        else submitted++;
+        results.push({ storeId: po.amazonStoreId, purchaseOrderNumber: po.purchaseOrderNumber, acknowledgementId: r.id, status: r.status, items: r.items });
+      }
+    } catch (e) {
+      failed++;
+      results.push({ storeId: po.amazonStoreId, purchaseOrderNumber: po.purchaseOrderNumber, error: e?.message || String(e) });
+    }
+  }
+  return { dryRun: !!dryRun, poCount: pos.length, submitted, failed, unconfirmed, results };
+}
+
+export default {
+  getPoState,
+  getPoLines,
+  findPurchaseOrder,
+  getAcceptedQuantities,
+  buildAcknowledgement,
+  submitAcknowledgement,
+  checkAcknowledgementStatus,
+  processPendingAcknowledgements,
+  releaseAcknowledgement,
+  listAcknowledgements,
+  autoAcceptByStock
+};
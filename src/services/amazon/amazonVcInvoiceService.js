@@ -0,0 +1,461 @@
+/**
+ * 亚马逊 VC 发票服务
+ * - 按 PO 已确认发货（AmazonVcShipmentConfirmation）或已接受（AmazonVcPoAcknowledgement）数量扣除已开票数量生成发票草稿
+ * - 提交（Vendor Invoices submitInvoices）后通过 Vendor Transaction Status getTransaction 跟踪到 Success / Failure
+ * - 提交状态规则见 vcSubmission.js：提交结果未知的发票记为 unconfirmed，照常计入已开票，须核实后 release
+ */
+import prisma from '../../config/database.js';
+import amazonVcAcknowledgementService from './amazonVcAcknowledgementService.js';
+import amazonVcShipmentConfirmationService from './amazonVcShipmentConfirmationService.js';
+import {
+  COUNTED_STATUSES,
+  getUnitSize,
+  scopeToAccounts,
+  findPurchaseOrder as findVcPurchaseOrder,
+  submitDocument,
+  markStaleSubmissions,
+  checkTransaction,
+  processPendingTransactions,
+  releaseUnconfirmed,
+  nextDocumentNumber
+} from './vcSubmission.js';
+
+const LOG_PREFIX = '[VC Invoice]';
+
+const INVOICE_TYPES = ['Invoice', 'CreditNote'];
+/** 开票数量来源 */
+const BASES = ['shipped', 'accepted'];
+/** 可提交 / 可删除的状态（error 为 Amazon 明确拒绝） */
+const EDITABLE_STATUSES = ['draft', 'error'];
+/** 计入已开票的状态（含提交结果未知的 unconfirmed） */
+const INVOICED_STATUSES = COUNTED_STATUSES;
+/** 金额按 4 位小数定点计算 */
+const MONEY_SCALE = 10000;
+
+/** 参数或状态错误（statusCode 供路由返回） */
+export class InvoiceError extends Error {
+  /**
+   * @param {number} statusCode - 400 参数错误 / 404 PO 或发票不存在 / 409 状态冲突
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toMinor(amount) {
+  return Math.round(Number(amount) * MONEY_SCALE);
+}
+
+function fromMinor(minor) {
+  return minor / MONEY_SCALE;
+}
+
+function findPurchaseOrder(purchaseOrderNumber, storeId, accountIds) {
+  return findVcPurchaseOrder(purchaseOrderNumber, storeId, accountIds, InvoiceError);
+}
+
+/**
+ * PO 各行已开票数量（PO 单位，计入 INVOICED_STATUSES 的发票）
+ * @param {string} purchaseOrderId
+ * @param {string} [excludeInvoiceId]
+ * @returns {Promise<Map<string, number>>} itemSequenceNumber → 开票数量
+ */
+async function getInvoicedQuantities(purchaseOrderId, excludeInvoiceId) {
+  const invoiceWhere = { purchaseOrderId, invoiceType: 'Invoice', status: { in: INVOICED_STATUSES } };
+  if (excludeInvoiceId) invoiceWhere.id = { not: excludeInvoiceId };
+  const items = await prisma.amazonVcInvoiceItem.findMany({
+    where: { invoice: invoiceWhere },
+    select: { itemSequenceNumber: true, invoicedQuantity: true }
+  });
+  const invoiced = new Map();
+  for (const item of items) invoiced.set(item.itemSequenceNumber, (invoiced.get(item.itemSequenceNumber) ?? 0) + item.invoicedQuantity);
+  return invoiced;
+}
+
+/**
+ * 各行可开票上限（basis 数量，PO 单位）
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getInvoiceableQuantities(po, basis) {
+  if (basis === 'shipped') {
+    const shipped = await amazonVcShipmentConfirmationService.getShippedQuantities(po.id);
+    if (shipped.size === 0) throw new InvoiceError(400, `PO ${po.purchaseOrderNumber} 无已确认发货，可改用 basis=accepted`);
+    return shipped;
+  }
+  const accepted = await amazonVcAcknowledgementService.getAcceptedQuantities(po.id);
+  if (!accepted) throw new InvoiceError(400, `PO ${po.purchaseOrderNumber} 在本系统无确认记录`);
+  return accepted;
+}
+
+/**
+ * 校验开票数量不超过 basis 数量 - 已开票数量
+ * @param {Map<string, number>} quantities - 本次开票 itemSequenceNumber → 数量
+ */
+async function validateInvoicedQuantities(po, basis, quantities, excludeInvoiceId) {
+  const limits = await getInvoiceableQuantities(po, basis);
+  const invoiced = await getInvoicedQuantities(po.id, excludeInvoiceId);
+  for (const [seq, quantity] of quantities) {
+    const limit = limits.get(seq) ?? 0;
+    const before = invoiced.get(seq) ?? 0;
+    if (before + quantity > limit) {
+      throw new InvoiceError(
+        400,
+        `行 ${seq} 累计开票 ${before + quantity} 超过${basis === 'shipped' ? '已确认发货' : '已接受'}数量 ${limit}${before ? `（此前已开票 ${before}）` : ''}`
+      );
+    }
+  }
+}
+
+/**
+ * 校验并生成发票
+ * - 未指定 items 时按 basis 数量减已开票数量生成（无可开票数量时报错）
+ * - 行金额 = 件数（数量 × 箱规）× PO netCost；所有行币种须一致
+ * @param {Object} po - 含 data / items
+ * @param {Object} body - 见 createInvoice
+ * @returns {Promise<{ payload, items, basis, currencyCode, totalAmount }>}
+ */
+async function buildInvoice(po, body) {
+  const lines = amazonVcAcknowledgementService.getPoLines(po);
+  if (lines.length === 0) throw new InvoiceError(400, `PO ${po.purchaseOrderNumber} 无明细行，请先同步 PO`);
+  const basis = body.basis ?? 'shipped';
+  if (!BASES.includes(basis)) throw new InvoiceError(400, `basis 须为 ${BASES.join(' / ')}`);
+  const invoiceType = body.invoiceType ?? 'Invoice';
+  if (!INVOICE_TYPES.includes(invoiceType)) throw new InvoiceError(400, `invoiceType 须为 ${INVOICE_TYPES.join(' / ')}`);
+
+  const quantities = new Map();
+  const manual = Array.isArray(body.items) && body.items.length > 0;
+  if (manual) {
+    body.items.forEach((it, i) => {
+      const line = lines.find(
+        (l) =>
+          (it?.itemSequenceNumber !== undefined && l.itemSequenceNumber === String(it.itemSequenceNumber)) ||
+          (it?.itemSequenceNumber === undefined && it?.vendorProductIdentifier && l.vendorProductIdentifier === String(it.vendorProductIdentifier))
+      );
+      if (!line) throw new InvoiceError(400, `items[${i}] 不是该 PO 的行`);
+      if (quantities.has(line.itemSequenceNumber)) throw new InvoiceError(400, `行 ${line.itemSequenceNumber} 重复`);
+      const n = Number(it.invoicedQuantity);
+      if (!Number.isInteger(n) || n <= 0) throw new InvoiceError(400, `items[${i}].invoicedQuantity 须为正整数`);
+      quantities.set(line.itemSequenceNumber, n);
+    });
+  } else {
+    if (invoiceType === 'CreditNote') throw new InvoiceError(400, 'CreditNote 须指定 items');
+    const limits = await getInvoiceableQuantities(po, basis);
+    const invoiced = await getInvoicedQuantities(po.id);
+    for (const [seq, limit] of limits) {
+      const rest = limit - (invoiced.get(seq) ?? 0);
+      if (rest > 0) quantities.set(seq, rest);
+    }
+    if (quantities.size === 0) throw new InvoiceError(409, `PO ${po.purchaseOrderNumber} 无可开票数量（已全部开票）`);
+  }
+  // CreditNote 冲减已开票金额，不受 basis 上限限制
+  if (invoiceType === 'Invoice') await validateInvoicedQuantities(po, basis, quantities);
+
+  const currencies = new Set();
+  let totalMinor = 0;
+  const payloadItems = [];
+  const items = [];
+  for (const line of lines) {
+    const quantity = quantities.get(line.itemSequenceNumber);
+    if (!quantity) continue;
+    if (!line.netCost?.amount) throw new InvoiceError(400, `PO 行 ${line.itemSequenceNumber} 缺少 netCost，请先同步 PO`);
+    currencies.add(line.netCost.currencyCode);
+    const unitSize = getUnitSize(line);
+    const netCostMinor = toMinor(line.netCost.amount);
+    const amountMinor = netCostMinor * quantity * unitSize;
+    totalMinor += amountMinor;
+    payloadItems.push({
+      itemSequenceNumber: payloadItems.length + 1,
+      ...(line.amazonProductIdentifier && { amazonProductIdentifier: line.amazonProductIdentifier }),
+      ...(line.vendorProductIdentifier && { vendorProductIdentifier: line.vendorProductIdentifier }),
+      invoicedQuantity: { amount: quantity, unitOfMeasure: line.orderedQuantity.unitOfMeasure, unitSize: line.orderedQuantity.unitSize },
+      netCost: { currencyCode: line.netCost.currencyCode, amount: String(line.netCost.amount) },
+      purchaseOrderNumber: po.purchaseOrderNumber
+    });
+    items.push({
+      itemSequenceNumber: line.itemSequenceNumber,
+      buyerProductId: line.amazonProductIdentifier,
+      vendorProductId: line.vendorProductIdentifier,
+      invoicedQuantity: quantity,
+      unitOfMeasure: line.orderedQuantity.unitOfMeasure,
+      unitSize,
+      netCost: fromMinor(netCostMinor),
+      amount: fromMinor(amountMinor)
+    });
+  }
+  if (currencies.size > 1) throw new InvoiceError(400, `PO ${po.purchaseOrderNumber} 各行币种不一致: ${[...currencies].join(', ')}`);
+  const currencyCode = [...currencies][0];
+
+  const sellingPartyId = po.data?.orderDetails?.sellingParty?.partyId ?? po.sellingPartyPartyId;
+  const remitToPartyId = body.remitToPartyId ?? process.env.AMAZON_VC_REMIT_TO_PARTY_ID ?? sellingPartyId;
+  if (!remitToPartyId) throw new InvoiceError(400, 'remitToPartyId 必填（或配置 AMAZON_VC_REMIT_TO_PARTY_ID）');
+  const shipToPartyId = po.data?.orderDetails?.shipToParty?.partyId ?? po.shipToPartyPartyId;
+  const billToPartyId = po.data?.orderDetails?.billToParty?.partyId;
+  const invoiceDate = body.invoiceDate ? new Date(body.invoiceDate) : new Date();
+  if (Number.isNaN(invoiceDate.getTime())) throw new InvoiceError(400, `invoiceDate 不是有效日期: ${body.invoiceDate}`);
+  const totalAmount = fromMinor(totalMinor);
+
+  return {
+    payload: {
+      invoiceType,
+      id: body.invoiceNumber,
+      ...(body.referenceNumber && { referenceNumber: String(body.referenceNumber) }),
+      date: invoiceDate.toISOString(),
+      remitToParty: { partyId: remitToPartyId },
+      ...(shipToPartyId && { shipToParty: { partyId: shipToPartyId } }),
+      ...(billToPartyId && { billToParty: { partyId: billToPartyId } }),
+      ...(body.paymentTerms && { paymentTerms: body.paymentTerms }),
+      invoiceTotal: { currencyCode, amount: totalAmount.toFixed(2) },
+      ...(Array.isArray(body.taxDetails) && body.taxDetails.length > 0 && { taxDetails: body.taxDetails }),
+      items: payloadItems
+    },
+    items,
+    basis: manual ? 'manual' : basis,
+    currencyCode,
+    totalAmount
+  };
+}
+
+/**
+ * 生成默认发票号 PO号-INV序号：序号按 PO 原子递增（并发创建不重复，删除草稿后不复用），跳过已被占用的号
+ * @param {Object} po
+ * @param {boolean} [preview] - 只预览下一个序号（dryRun），不占用
+ * @returns {Promise<string>}
+ */
+function nextInvoiceNumber(po, preview = false) {
+  return nextDocumentNumber(
+    `invoice:${po.id}`,
+    (n) => `${po.purchaseOrderNumber}-INV${n}`,
+    async (invoiceNumber) => (await prisma.amazonVcInvoice.count({ where: { amazonStoreId: po.amazonStoreId, invoiceNumber } })) > 0,
+    preview
+  );
+}
+
+/**
+ * 新建发票草稿（可选立即提交）
+ * @param {Object} body
+ *   - poNumber, storeId?（多个店铺同号 PO 时必填）
+ *   - basis?: shipped（默认，已确认发货）| accepted（已接受），items 未指定时据此生成
+ *   - items?: [{ itemSequenceNumber | vendorProductIdentifier, invoicedQuantity }]（PO 单位，仍受 basis 上限校验）
+ *   - invoiceNumber?（默认 PO号-INV序号）, invoiceType?: Invoice | CreditNote, invoiceDate?, referenceNumber?
+ *   - remitToPartyId?, paymentTerms?, taxDetails?
+ *   - submit?: boolean 保存后立即提交, dryRun?: boolean 只校验并返回将保存的内容
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function createInvoice(body = {}, context = {}) {
+  const { actor = null, accountIds } = context;
+  if (!body.poNumber) throw new InvoiceError(400, 'poNumber 必填');
+  const po = await findPurchaseOrder(String(body.poNumber), body.storeId, accountIds);
+
+  let invoiceNumber = body.invoiceNumber ? String(body.invoiceNumber) : null;
+  if (!invoiceNumber) invoiceNumber = await nextInvoiceNumber(po, !!body.dryRun);
+  const existing = await prisma.amazonVcInvoice.findUnique({
+    where: { amazonStoreId_invoiceNumber: { amazonStoreId: po.amazonStoreId, invoiceNumber } },
+    select: { id: true }
+  });
+  if (existing) throw new InvoiceError(409, `发票号 ${invoiceNumber} 已存在`);
+
+  const built = await buildInvoice(po, { ...body, invoiceNumber });
+  if (body.dryRun) return { dryRun: true, ...built };
+
+  let invoice;
+  try {
+    invoice = await prisma.amazonVcInvoice.create({
+      data: {
+        amazonStoreId: po.amazonStoreId,
+        purchaseOrderId: po.id,
+        purchaseOrderNumber: po.purchaseOrderNumber,
+        invoiceNumber,
+        invoiceType: built.payload.invoiceType,
+        basis: built.basis,
+        status: 'draft',
+        invoiceDate: new Date(built.payload.date),
+        currencyCode: built.currencyCode,
+        totalAmount: built.totalAmount,
+        payload: built.payload,
+        createdBy: actor,
+        items: { create: built.items }
+      },
+      include: { items: true }
+    });
+  } catch (e) {
+    // 并发创建同号发票（唯一约束 amazonStoreId + invoiceNumber）
+    if (e?.code === 'P2002') throw new InvoiceError(409, `发票号 ${invoiceNumber} 已存在`);
+    throw e;
+  }
+  console.log(`${LOG_PREFIX} 已创建发票草稿 ${invoiceNumber}（PO ${po.purchaseOrderNumber}，${built.currencyCode} ${built.totalAmount}）`);
+  if (!body.submit) return invoice;
+  return submitInvoice(invoice.id, { actor, accountIds });
+}
+
+/**
+ * 按 ID 取发票（含明细与 PO 店铺）
+ * @param {string[]} [accountIds] - 调用方可访问的领星账户（为空不限），范围外视为不存在
+ */
+async function findInvoice(id, accountIds) {
+  const where = scopeToAccounts({ id }, accountIds);
+  const invoice = await prisma.amazonVcInvoice.findFirst({
+    where,
+    include: { items: true, purchaseOrder: { include: { amazonStore: true, items: true } } }
+  });
+  if (!invoice) throw new InvoiceError(404, `发票 ${id} 不存在`);
+  return invoice;
+}
+
+/**
+ * 提交发票草稿（draft / error）
+ * - 先以条件更新置为 submitting 防止重复提交，再重新校验累计开票
+ * - Amazon 明确拒绝记为 error，可修正后重新提交；提交结果未知记为 unconfirmed（照常计入已开票），须核实后 release
+ * @param {string} id
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function submitInvoice(id, context = {}) {
+  const { actor = null, accountIds } = context;
+  const invoice = await findInvoice(id, accountIds);
+  if (!EDITABLE_STATUSES.includes(invoice.status)) {
+    throw new InvoiceError(409, `发票 ${invoice.invoiceNumber} 当前状态为 ${invoice.status}，不能提交`);
+  }
+  const claimed = await prisma.amazonVcInvoice.updateMany({
+    where: { id, status: { in: EDITABLE_STATUSES } },
+    data: { status: 'submitting' }
+  });
+  if (claimed.count === 0) throw new InvoiceError(409, `发票 ${invoice.invoiceNumber} 正在提交或已提交`);
+
+  const po = invoice.purchaseOrder;
+  if (invoice.invoiceType === 'Invoice') {
+    try {
+      await validateInvoicedQuantities(
+        po,
+        invoice.basis === 'accepted' ? 'accepted' : 'shipped',
+        new Map(invoice.items.map((item) => [item.itemSequenceNumber, item.invoicedQuantity])),
+        id
+      );
+    } catch (e) {
+      await prisma.amazonVcInvoice.update({ where: { id }, data: { status: invoice.status } });
+      throw e;
+    }
+  }
+
+  const result = await submitDocument(
+    po.amazonStore,
+    { operation: 'submitInvoices', endpoint: 'vendorInvoices', body: { invoices: [invoice.payload] } },
+    { prefix: LOG_PREFIX, label: `发票 ${invoice.invoiceNumber}（PO ${po.purchaseOrderNumber}）` }
+  );
+  const data = { status: result.status, transactionId: result.transactionId, errors: result.errors };
+  if (result.status !== 'error') Object.assign(data, { submittedBy: actor, submittedAt: new Date() });
+  return prisma.amazonVcInvoice.update({ where: { id }, data, include: { items: true } });
+}
+
+/**
+ * 标记停留在 submitting 超过 STALE_SUBMITTING_MS 的发票为 unconfirmed
+ * @param {string[]} [accountIds]
+ * @returns {Promise<number>} 标记条数
+ */
+async function recoverStaleSubmissions(accountIds) {
+  const marked = await markStaleSubmissions(prisma.amazonVcInvoice, accountIds);
+  if (marked.length > 0) console.warn(`${LOG_PREFIX} ${marked.length} 张发票停留在 submitting，已标记为 unconfirmed`);
+  return marked.length;
+}
+
+/**
+ * 删除发票草稿（仅 draft / error）
+ */
+async function deleteInvoice(id, accountIds) {
+  const invoice = await findInvoice(id, accountIds);
+  const deleted = await prisma.amazonVcInvoice.deleteMany({ where: { id, status: { in: EDITABLE_STATUSES } } });
+  if (deleted.count === 0) throw new InvoiceError(409, `发票 ${invoice.invoiceNumber} 已提交，不能删除`);
+  return { id, invoiceNumber: invoice.invoiceNumber, deleted: true };
+}
+
+/**
+ * 查询一张发票的交易状态并更新（Processing 保持待查；Success / Failure 为终态）
+ * @param {Object} invoice - AmazonVcInvoice（含 purchaseOrder.amazonStore）
+ */
+async function checkInvoiceStatus(invoice) {
+  const { status } = await checkTransaction(prisma.amazonVcInvoice, invoice, invoice.purchaseOrder.amazonStore);
+  return {
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber,
+    purchaseOrderNumber: invoice.purchaseOrderNumber,
+    transactionId: invoice.transactionId,
+    status
+  };
+}
+
+/**
+ * 跟踪所有未到终态的发票（submitted / processing），可由定时任务定期调用；先标记停留在 submitting 的发票（recovered）
+ * @param {Object} [options] - { maxItems?: number 默认 50 }
+ * @param {string[]} [accountIds] - 仅跟踪这些领星账户下店铺的记录（为空不限）
+ * @returns {Promise<{ recovered, processed, success, failure, processing, errors, results }>}
+ */
+function processPendingInvoices(options = {}, accountIds) {
+  return processPendingTransactions(
+    {
+      delegate: prisma.amazonVcInvoice,
+      prefix: LOG_PREFIX,
+      recover: recoverStaleSubmissions,
+      check: checkInvoiceStatus,
+      describe: (invoice) => ({ id: invoice.id, invoiceNumber: invoice.invoiceNumber })
+    },
+    options,
+    accountIds
+  );
+}
+
+/**
+ * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的发票
+ * - received：Amazon 已收到，记为 success
+ * - notReceived：Amazon 未收到，记为 error，不再计入已开票，可重新提交或删除
+ * @param {string} id
+ * @param {Object} body - { outcome: 'received' | 'notReceived', note? }
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function releaseInvoice(id, body = {}, context = {}) {
+  const invoice = await findInvoice(id, context.accountIds);
+  const { status } = await releaseUnconfirmed(prisma.amazonVcInvoice, invoice, body, {
+    actor: context.actor,
+    label: `发票 ${invoice.invoiceNumber}`,
+    ErrorClass: InvoiceError
+  });
+  console.log(`${LOG_PREFIX} 发票 ${invoice.invoiceNumber} 经 ${context.actor ?? '-'} 核实为 ${status}`);
+  return getInvoice(id, context.accountIds);
+}
+
+/**
+ * 发票列表（按创建时间倒序，含明细）
+ * @param {Object} filters - { poNumber?, storeId?, status?, limit? 默认 50 }
+ * @param {string[]} [accountIds]
+ */
+async function listInvoices(filters = {}, accountIds) {
+  const where = {};
+  if (filters.poNumber) where.purchaseOrderNumber = String(filters.poNumber);
+  if (filters.storeId) where.amazonStoreId = filters.storeId;
+  if (filters.status) where.status = filters.status;
+  scopeToAccounts(where, accountIds);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+  return prisma.amazonVcInvoice.findMany({
+    where,
+    include: { items: true },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+async function getInvoice(id, accountIds) {
+  const { purchaseOrder, ...invoice } = await findInvoice(id, accountIds);
+  return invoice;
+}
+
+export default {
+  buildInvoice,
+  createInvoice,
+  submitInvoice,
+  deleteInvoice,
+  checkInvoiceStatus,
+  processPendingInvoices,
+  releaseInvoice,
+  getInvoicedQuantities,
+  listInvoices,
+  getInvoice
+};
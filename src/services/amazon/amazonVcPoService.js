@@ -7,6 +7,8 @@
 import { createRequire } from 'module';
 import prisma from '../../config/database.js';
 import { getAmazonMarketplace, generateAmazonRequestId, getAmazonRequestIdFromError } from '../../utils/amazon.js';
+import { emitEvent } from '../eventBusService.js';
+import { decryptSecret } from '../secretCrypto.js';
 
 const require = createRequire(import.meta.url);
 const { SellingPartner } = require('amazon-sp-api');
@@ -46,6 +48,18 @@ function isThrottleError(e) {
   );
 }
 
+/**
+ * 发布 SP-API 限流事件（taskType 为 vcPo / vcDf / vcShipments）
+ */
+function emitThrottled(taskType, operation, requestId, attempt, waitMs, e) {
+  emitEvent('throttled', {
+    source: 'amazonVc',
+    taskType,
+    message: e?.message || e?.code || null,
+    data: { operation, requestId, attempt: attempt + 1, waitMs, apiRequestId: getAmazonRequestIdFromError(e) ?? null }
+  });
+}
+
 /**
  * 获取所有已授权的 VC 店铺（accountType=vc）
  */
@@ -69,7 +83,7 @@ function createSpClient(store) {
   }
   return new SellingPartner({
     region,
-    refresh_token: store.refreshToken,
+    refresh_token: decryptSecret(store.refreshToken),
     credentials: {
       SELLING_PARTNER_APP_CLIENT_ID: clientId,
       SELLING_PARTNER_APP_CLIENT_SECRET: clientSecret
@@ -182,6 +196,7 @@ async function fetchPurchaseOrdersPage(spClient, query) {
       lastError = e;
       if (attempt < THROTTLE_RETRY_MAX && isThrottleError(e)) {
         const waitMs = THROTTLE_RETRY_INITIAL_MS * Math.pow(2, attempt);
+        emitThrottled('vcPo', 'getPurchaseOrders', requestId, attempt, waitMs, e);
         console.warn(
           `[VC PO] [${requestId}] 限流重试 ${attempt + 1}/${THROTTLE_RETRY_MAX}，${waitMs}ms 后重试:`,
           e?.message || e?.code
@@ -234,6 +249,7 @@ async function fetchDfOrdersPage(spClient, query) {
       lastError = e;
       if (attempt < THROTTLE_RETRY_MAX && isThrottleError(e)) {
         const waitMs = THROTTLE_RETRY_INITIAL_MS * Math.pow(2, attempt);
+        emitThrottled('vcDf', 'getOrders', requestId, attempt, waitMs, e);
         console.warn(`[VC DF] [${requestId}] 限流重试 ${attempt + 1}/${THROTTLE_RETRY_MAX}，${waitMs}ms 后重试:`, e?.message || e?.code, 'apiRequestId=', getAmazonRequestIdFromError(e));
         await sleep(waitMs);
       } else {
@@ -278,6 +294,7 @@ async function fetchShipmentDetailsPage(spClient, query) {
       lastError = e;
       if (attempt < THROTTLE_RETRY_MAX && isThrottleError(e)) {
         const waitMs = THROTTLE_RETRY_INITIAL_MS * Math.pow(2, attempt);
+        emitThrottled('vcShipments', 'getShipmentDetails', requestId, attempt, waitMs, e);
         console.warn(`[VC Shipments] [${requestId}] 限流重试 ${attempt + 1}/${THROTTLE_RETRY_MAX}，${waitMs}ms 后重试:`, e?.message || e?.code, 'apiRequestId=', getAmazonRequestIdFromError(e));
         await sleep(waitMs);
       } else {
@@ -312,6 +329,7 @@ async function enqueueSegmentForRetry(amazonStoreId, createdAfter, createdBefore
   console.warn(
     `[VC PO] [${generateAmazonRequestId()}] 时段已入队，${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试: store=${amazonStoreId} ${createdAfter}~${createdBefore}`
   );
+  emitEvent('retry.enqueued', { source: 'amazonVc', taskType: 'vcPo', accountId: amazonStoreId, data: { createdAfter, createdBefore, retryAt } });
 }
 
 /**
@@ -464,6 +482,7 @@ async function enqueueDfSegmentForRetry(amazonStoreId, createdAfter, createdBefo
     data: { amazonStoreId, createdAfter, createdBefore, retryAt }
   });
   console.warn(`[VC DF] [${generateAmazonRequestId()}] 时段已入队，${QUEUE_RETRY_AFTER_MINUTES} 分钟后重试: store=${amazonStoreId} ${createdAfter}~${createdBefore}`);
+  emitEvent('retry.enqueued', { source: 'amazonVc', taskType: 'vcDf', accountId: amazonStoreId, data: { createdAfter, createdBefore, retryAt } });
 }
 
 /** DF：保存一条订单及其明细（结构兼容 API 返回） */
@@ -591,6 +610,7 @@ async function incrementalSyncAllVcPo(options = {}) {
       message: queueResult.processed > 0 ? `已处理 ${queueResult.processed} 个队列任务，无 VC 店铺` : '没有已授权的 VC 店铺'
     };
   }
+  emitEvent('task.started', { source: 'amazonVc', taskType: 'vcPo', data: { storeCount: stores.length } });
   const results = [];
   for (const store of stores) {
     try {
@@ -599,11 +619,13 @@ async function incrementalSyncAllVcPo(options = {}) {
     } catch (e) {
       console.error(`[VC PO] [${generateAmazonRequestId()}] 店铺同步异常 storeId=%s:`, store.id, e?.message, e?.stack, 'apiRequestId=', getAmazonRequestIdFromError(e));
       results.push({ storeId: store.id, success: false, error: e?.message || String(e) });
+      emitEvent('account.failed', { source: 'amazonVc', taskType: 'vcPo', accountId: store.id, accountName: store.name ?? null, message: e?.message || String(e) });
     }
   }
   const successCount = results.filter((x) => x.success).length;
   const totalRecords = results.reduce((s, x) => s + (x.recordCount ?? 0), 0);
   const queuedSegments = results.reduce((s, x) => s + (x.queuedSegments ?? 0), 0);
+  emitEvent('task.finished', { source: 'amazonVc', taskType: 'vcPo', data: { summary: { storeCount: stores.length, successCount, totalRecords, queuedSegments } } });
   return {
     success: successCount === stores.length && queuedSegments === 0,
     storeCount: stores.length,
@@ -764,6 +786,7 @@ async function incrementalSyncAllVcDf(options = {}) {
       message: queueResult.processed > 0 ? `已处理 ${queueResult.processed} 个队列任务，无 VC 店铺` : '没有已授权的 VC 店铺'
     };
   }
+  emitEvent('task.started', { source: 'amazonVc', taskType: 'vcDf', data: { storeCount: stores.length } });
   const results = [];
   for (const store of stores) {
     try {
@@ -772,11 +795,13 @@ async function incrementalSyncAllVcDf(options = {}) {
     } catch (e) {
       console.error(`[VC DF] [${generateAmazonRequestId()}] 店铺同步异常 storeId=%s:`, store.id, e?.message, e?.stack, 'apiRequestId=', getAmazonRequestIdFromError(e));
       results.push({ storeId: store.id, success: false, error: e?.message || String(e) });
+      emitEvent('account.failed', { source: 'amazonVc', taskType: 'vcDf', accountId: store.id, accountName: store.name ?? null, message: e?.message || String(e) });
     }
   }
   const successCount = results.filter((x) => x.success).length;
   const totalRecords = results.reduce((s, x) => s + (x.recordCount ?? 0), 0);
   const queuedSegments = results.reduce((s, x) => s + (x.queuedSegments ?? 0), 0);
+  emitEvent('task.finished', { source: 'amazonVc', taskType: 'vcDf', data: { summary: { storeCount: stores.length, successCount, totalRecords, queuedSegments } } });
   return {
     success: successCount === stores.length && queuedSegments === 0,
     storeCount: stores.length,
@@ -844,6 +869,7 @@ async function incrementalSyncAllVcShipments(options = {}) {
   if (stores.length === 0) {
     return { success: true, storeCount: 0, results: [], message: '没有已授权的 VC 店铺' };
   }
+  emitEvent('task.started', { source: 'amazonVc', taskType: 'vcShipments', data: { storeCount: stores.length } });
   const results = [];
   for (const store of stores) {
     try {
@@ -852,10 +878,12 @@ async function incrementalSyncAllVcShipments(options = {}) {
     } catch (e) {
       console.error(`[VC Shipments] [${generateAmazonRequestId()}] 店铺同步异常 storeId=%s:`, store.id, e?.message, e?.stack, 'apiRequestId=', getAmazonRequestIdFromError(e));
       results.push({ storeId: store.id, success: false, error: e?.message || String(e) });
+      emitEvent('account.failed', { source: 'amazonVc', taskType: 'vcShipments', accountId: store.id, accountName: store.name ?? null, message: e?.message || String(e) });
     }
   }
   const successCount = results.filter((x) => x.success).length;
   const totalRecords = results.reduce((s, x) => s + (x.recordCount ?? 0), 0);
+  emitEvent('task.finished', { source: 'amazonVc', taskType: 'vcShipments', data: { summary: { storeCount: stores.length, successCount, totalRecords } } });
   return {
     success: successCount === stores.length,
     storeCount: stores.length,
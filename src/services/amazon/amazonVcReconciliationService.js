@@ -0,0 +1,269 @@
+/**
+ * 亚马逊 VC PO 对账
+ * - 按 PO 行对比 订购 / 接受 / 发货 / 开票 / 签收 的数量（统一折算为件）与金额（件数 × PO netCost），并标记差异
+ * - 订购取 Amazon PO；接受取本系统确认，无确认时取领星 VC 订单接受量
+ * - 发货取本系统货件确认，另列领星 VC 发货单（已完成）数量，本系统无货件确认时以领星为准判断差异
+ * - 开票取本系统发票（CreditNote 冲减）；签收取领星 VC 订单明细签收量
+ * - 回款暂不提供：见 PAID_AMOUNT_GAP
+ */
+import prisma from '../../config/database.js';
+import amazonVcAcknowledgementService from './amazonVcAcknowledgementService.js';
+import amazonVcShipmentConfirmationService from './amazonVcShipmentConfirmationService.js';
+import { COUNTED_STATUSES, getUnitSize } from './vcSubmission.js';
+
+/** 行级差异 */
+const DISCREPANCY_FLAGS = {
+  SHIPPED_EXCEEDS_ACCEPTED: '发货数量超过接受数量',
+  SHIPPED_NOT_INVOICED: '已发货未开票',
+  INVOICED_EXCEEDS_SHIPPED: '开票数量超过发货数量',
+  INVOICED_EXCEEDS_RECEIVED: '开票数量超过签收数量',
+  RECEIVED_SHORT: '签收数量少于发货数量',
+  RECEIVED_OVER: '签收数量超过发货数量',
+  SHIPMENT_SOURCE_MISMATCH: '本系统货件确认与领星发货单数量不一致'
+};
+/** PO 级差异 */
+const PO_FLAGS = {
+  SHIPMENT_CONFIRMATION_FAILED: '存在失败的货件确认',
+  SHIPMENT_CONFIRMATION_UNCONFIRMED: '存在提交结果未知的货件确认，须在 Vendor Central 核实后 release',
+  INVOICE_FAILED: '存在失败的发票',
+  INVOICE_UNCONFIRMED: '存在提交结果未知的发票，须在 Vendor Central 核实后 release'
+};
+/**
+ * 已回款金额无数据来源：领星应收报告按店铺 + 结算月汇总，结算交易明细 / 发货结算报告按 Seller Central 订单号记录，
+ * 均不含 VC PO 号或发票号，无法按 PO / 发票归集；须在 Vendor Central Payments（Remittance）核对
+ */
+const PAID_AMOUNT_GAP = '已回款金额暂无数据来源：领星应收 / 结算数据不含 VC PO 号或发票号，无法按 PO 归集，请在 Vendor Central Payments 核对';
+/** 领星 VC 发货单：15 已完成 */
+const LINGXING_INVOICE_STATUS_COMPLETED = 15;
+/** Amazon PO 已关闭（收货完成） */
+const CLOSED_STATE = 'Closed';
+const MONEY_SCALE = 10000;
+
+function addTo(map, key, value) {
+  map.set(key, (map.get(key) ?? 0) + value);
+}
+
+/** 领星明细对应的 PO 行：行号、供应商 SKU、ASIN 依次匹配 */
+function matchLine(lines, { sequenceNumber, sku, asin }) {
+  return (
+    (sequenceNumber && lines.find((l) => l.itemSequenceNumber === String(sequenceNumber))) ||
+    (sku && lines.find((l) => l.vendorProductIdentifier === sku)) ||
+    (asin && lines.find((l) => l.amazonProductIdentifier === asin)) ||
+    null
+  );
+}
+
+/**
+ * 领星 VC 订单明细的接受量 / 签收量（件）
+ * @returns {Promise<{ accepted: Map<string, number>, received: Map<string, number> }>} 领星无该 PO 时为空 Map
+ */
+async function getLingXingOrderQuantities(po, lines) {
+  const items = await prisma.lingXingVcOrderItem.findMany({
+    where: {
+      archived: false,
+      order: { accountId: po.amazonStore.accountId, purchaseOrderNumber: po.purchaseOrderNumber, archived: false }
+    },
+    select: { sequenceNumber: true, vendorProductId: true, localSku: true, asin: true, acceptedQuantity: true, receivedQuantity: true }
+  });
+  const accepted = new Map();
+  const received = new Map();
+  for (const item of items) {
+    const line = matchLine(lines, { sequenceNumber: item.sequenceNumber, sku: item.vendorProductId ?? item.localSku, asin: item.asin });
+    if (!line) continue;
+    if (item.acceptedQuantity !== null && item.acceptedQuantity !== undefined) addTo(accepted, line.itemSequenceNumber, item.acceptedQuantity);
+    if (item.receivedQuantity !== null && item.receivedQuantity !== undefined) addTo(received, line.itemSequenceNumber, item.receivedQuantity);
+  }
+  return { accepted, received };
+}
+
+/**
+ * 领星 VC 发货单（已完成）发货量（件）
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getLingXingShippedQuantities(po, lines) {
+  const items = await prisma.lingXingVcInvoiceItem.findMany({
+    where: {
+      archived: false,
+      invoice: { accountId: po.amazonStore.accountId, status: LINGXING_INVOICE_STATUS_COMPLETED, archived: false },
+      OR: [
+        { purchaseOrderNumber: po.purchaseOrderNumber },
+        { purchaseOrderNumber: null, invoice: { purchaseOrderNumber: po.purchaseOrderNumber } }
+      ]
+    },
+    select: { sku: true, asin: true, num: true }
+  });
+  const shipped = new Map();
+  for (const item of items) {
+    const line = matchLine(lines, { sku: item.sku, asin: item.asin });
+    if (line) addTo(shipped, line.itemSequenceNumber, item.num ?? 0);
+  }
+  return shipped;
+}
+
+/**
+ * 本系统发票的净开票量（PO 单位；CreditNote 冲减）
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getNetInvoicedQuantities(purchaseOrderId) {
+  const items = await prisma.amazonVcInvoiceItem.findMany({
+    where: { invoice: { purchaseOrderId, status: { in: COUNTED_STATUSES } } },
+    select: { itemSequenceNumber: true, invoicedQuantity: true, invoice: { select: { invoiceType: true } } }
+  });
+  const invoiced = new Map();
+  for (const item of items) {
+    addTo(invoiced, item.itemSequenceNumber, item.invoice.invoiceType === 'CreditNote' ? -item.invoicedQuantity : item.invoicedQuantity);
+  }
+  return invoiced;
+}
+
+/**
+ * 单个 PO 对账
+ * @param {Object} po - 含 amazonStore / items
+ * @returns {Promise<Object>} { storeId, purchaseOrderNumber, orderDate, orderState, currencyCode, lines, totals, paid, flags, hasDiscrepancy }
+ *   paid: { amount: null, note } 已回款金额暂不提供，见 PAID_AMOUNT_GAP
+ */
+async function reconcilePurchaseOrder(po) {
+  const lines = amazonVcAcknowledgementService.getPoLines(po);
+  const orderState = amazonVcAcknowledgementService.getPoState(po);
+  const [acknowledged, shippedByAsn, invoicedQuantities, lingxingOrder, lingxingShipped, confirmations, invoices] = await Promise.all([
+    amazonVcAcknowledgementService.getAcceptedQuantities(po.id),
+    amazonVcShipmentConfirmationService.getShippedQuantities(po.id),
+    getNetInvoicedQuantities(po.id),
+    getLingXingOrderQuantities(po, lines),
+    getLingXingShippedQuantities(po, lines),
+    prisma.amazonVcShipmentConfirmation.findMany({ where: { purchaseOrderId: po.id }, select: { status: true } }),
+    prisma.amazonVcInvoice.findMany({ where: { purchaseOrderId: po.id }, select: { status: true } })
+  ]);
+
+  const currencies = new Set();
+  const totalKeys = ['ordered', 'accepted', 'shipped', 'lingxingShipped', 'invoiced', 'received'];
+  const totals = Object.fromEntries(totalKeys.map((key) => [key, { quantity: 0, amountMinor: 0 }]));
+  const flags = new Set();
+
+  const resultLines = lines.map((line) => {
+    const seq = line.itemSequenceNumber;
+    const unitSize = getUnitSize(line);
+    const netCostMinor = line.netCost?.amount !== undefined ? Math.round(Number(line.netCost.amount) * MONEY_SCALE) : null;
+    if (line.netCost?.currencyCode) currencies.add(line.netCost.currencyCode);
+
+    // 本系统数量为 PO 单位，折算为件；领星数量本身为件
+    const quantities = {
+      ordered: line.orderedQuantity.amount * unitSize,
+      accepted: acknowledged ? (acknowledged.get(seq) ?? 0) * unitSize : lingxingOrder.accepted.get(seq) ?? null,
+      shipped: (shippedByAsn.get(seq) ?? 0) * unitSize,
+      lingxingShipped: lingxingShipped.get(seq) ?? 0,
+      invoiced: (invoicedQuantities.get(seq) ?? 0) * unitSize,
+      received: lingxingOrder.received.get(seq) ?? null
+    };
+    const entries = {};
+    for (const key of totalKeys) {
+      const quantity = quantities[key];
+      const amountMinor = quantity === null || netCostMinor === null ? null : quantity * netCostMinor;
+      entries[key] = { quantity, amount: amountMinor === null ? null : amountMinor / MONEY_SCALE };
+      if (quantity !== null) totals[key].quantity += quantity;
+      if (amountMinor !== null) totals[key].amountMinor += amountMinor;
+    }
+    entries.accepted.source = acknowledged ? 'acknowledgement' : quantities.accepted !== null ? 'lingxing' : null;
+
+    const lineFlags = [];
+    const { accepted, shipped, lingxingShipped: lxShipped, invoiced, received } = quantities;
+    const effectiveShipped = shipped > 0 ? shipped : lxShipped;
+    if (accepted !== null && effectiveShipped > accepted) lineFlags.push('SHIPPED_EXCEEDS_ACCEPTED');
+    if (effectiveShipped > invoiced) lineFlags.push('SHIPPED_NOT_INVOICED');
+    if (invoiced > effectiveShipped) lineFlags.push('INVOICED_EXCEEDS_SHIPPED');
+    if (received !== null) {
+      if (invoiced > received && (received > 0 || orderState === CLOSED_STATE)) lineFlags.push('INVOICED_EXCEEDS_RECEIVED');
+      // 签收通常滞后于发货：PO 未关闭且尚无签收时不判定短收
+      if (received < effectiveShipped && (received > 0 || orderState === CLOSED_STATE)) lineFlags.push('RECEIVED_SHORT');
+      if (received > effectiveShipped) lineFlags.push('RECEIVED_OVER');
+    }
+    if (shipped > 0 && lxShipped > 0 && shipped !== lxShipped) lineFlags.push('SHIPMENT_SOURCE_MISMATCH');
+    lineFlags.forEach((flag) => flags.add(flag));
+
+    return {
+      itemSequenceNumber: seq,
+      amazonProductIdentifier: line.amazonProductIdentifier,
+      vendorProductIdentifier: line.vendorProductIdentifier,
+      unitOfMeasure: line.orderedQuantity.unitOfMeasure,
+      unitSize,
+      netCost: netCostMinor === null ? null : netCostMinor / MONEY_SCALE,
+      ...entries,
+      flags: lineFlags
+    };
+  });
+
+  if (confirmations.some((c) => c.status === 'failure' || c.status === 'error')) flags.add('SHIPMENT_CONFIRMATION_FAILED');
+  if (confirmations.some((c) => c.status === 'unconfirmed')) flags.add('SHIPMENT_CONFIRMATION_UNCONFIRMED');
+  if (invoices.some((i) => i.status === 'failure' || i.status === 'error')) flags.add('INVOICE_FAILED');
+  if (invoices.some((i) => i.status === 'unconfirmed')) flags.add('INVOICE_UNCONFIRMED');
+
+  return {
+    storeId: po.amazonStoreId,
+    purchaseOrderNumber: po.purchaseOrderNumber,
+    orderDate: po.orderDate,
+    orderState,
+    currencyCode: currencies.size === 1 ? [...currencies][0] : null,
+    lines: resultLines,
+    totals: Object.fromEntries(totalKeys.map((key) => [key, { quantity: totals[key].quantity, amount: totals[key].amountMinor / MONEY_SCALE }])),
+    paid: { amount: null, note: PAID_AMOUNT_GAP },
+    flags: [...flags].map((code) => ({ code, message: DISCREPANCY_FLAGS[code] ?? PO_FLAGS[code] })),
+    hasDiscrepancy: flags.size > 0
+  };
+}
+
+/**
+ * 按 PO 号对账
+ * @param {string} purchaseOrderNumber
+ * @param {string} [storeId]
+ * @param {string[]} [accountIds]
+ */
+async function reconcileByPoNumber(purchaseOrderNumber, storeId, accountIds) {
+  const po = await amazonVcAcknowledgementService.findPurchaseOrder(purchaseOrderNumber, storeId, accountIds);
+  return reconcilePurchaseOrder(po);
+}
+
+/**
+ * 批量对账（按下单时间倒序）
+ * @param {Object} options - { storeId?, poNumbers?: string[], startDate?, endDate?（按 orderDate）, discrepanciesOnly?: boolean, limit? 默认 100 }
+ * @param {string[]} [accountIds]
+ * @returns {Promise<{ count, discrepancyCount, flagCounts, paidAmountNote, purchaseOrders }>}
+ */
+async function reconcilePurchaseOrders(options = {}, accountIds) {
+  const storeWhere = { accountType: 'vc', archived: false };
+  if (accountIds?.length) storeWhere.accountId = { in: accountIds };
+  const where = { amazonStore: storeWhere };
+  if (options.storeId) where.amazonStoreId = options.storeId;
+  if (options.poNumbers?.length) where.purchaseOrderNumber = { in: options.poNumbers.map(String) };
+  if (options.startDate || options.endDate) {
+    where.orderDate = {};
+    if (options.startDate) where.orderDate.gte = new Date(options.startDate);
+    if (options.endDate) where.orderDate.lte = new Date(options.endDate);
+  }
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 500);
+  const pos = await prisma.amazonVcPurchaseOrder.findMany({
+    where,
+    include: { amazonStore: true, items: true },
+    orderBy: [{ orderDate: 'desc' }, { createdAt: 'desc' }],
+    take: limit
+  });
+
+  const purchaseOrders = [];
+  const flagCounts = {};
+  let discrepancyCount = 0;
+  for (const po of pos) {
+    const result = await reconcilePurchaseOrder(po);
+    if (result.hasDiscrepancy) discrepancyCount++;
+    for (const flag of result.flags) flagCounts[flag.code] = (flagCounts[flag.code] ?? 0) + 1;
+    if (!options.discrepanciesOnly || result.hasDiscrepancy) purchaseOrders.push(result);
+  }
+  return { count: pos.length, discrepancyCount, flagCounts, paidAmountNote: PAID_AMOUNT_GAP, purchaseOrders };
+}
+
+export default {
+  DISCREPANCY_FLAGS,
+  PO_FLAGS,
+  PAID_AMOUNT_GAP,
+  reconcilePurchaseOrder,
+  reconcileByPoNumber,
+  reconcilePurchaseOrders
+};
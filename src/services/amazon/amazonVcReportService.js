@@ -1,11 +1,15 @@
 /**
  * 亚马逊 VC 报表服务：增量拉取 SP-API Reports API 中的 Vendor 报表，
  * 按天存储，支持 createReport 后轮询 getReport 或入队延时重试。
+ * 原始行存 AmazonVcReportData，同时按报表类型解析到结构化表（vcReportParsers），可用 renormalizeReportData 从原始数据重建。
  */
 import { createRequire } from 'module';
 import prisma from '../../config/database.js';
 import { getAmazonMarketplace, getAmazonRequestIdFromError } from '../../utils/amazon.js';
 import { VC_REPORT_TYPES } from './vcReportTypes.js';
+import { normalizeReportRows } from './vcReportParsers.js';
+import { emitEvent } from '../eventBusService.js';
+import { decryptSecret } from '../secretCrypto.js';
 
 const require = createRequire(import.meta.url);
 const { SellingPartner } = require('amazon-sp-api');
@@ -22,6 +26,8 @@ const QUEUE_RETRY_AFTER_MINUTES = 10;
 const QUEUE_MAX_ATTEMPTS = 5;
 /** 默认回看天数（无 sync state 时） */
 const DEFAULT_LOOKBACK_DAYS = 90;
+/** 结构化表每批写入行数 */
+const NORMALIZE_INSERT_BATCH = 1000;
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -46,7 +52,7 @@ function createSpClient(store) {
   }
   return new SellingPartner({
     region,
-    refresh_token: store.refreshToken,
+    refresh_token: decryptSecret(store.refreshToken),
     credentials: {
       SELLING_PARTNER_APP_CLIENT_ID: clientId,
       SELLING_PARTNER_APP_CLIENT_SECRET: clientSecret
@@ -137,6 +143,13 @@ async function waitForReport(spClient, reportId, options = {}) {
     if (DEBUG_SP_API) {
       console.log(`[VC Report] Enqueued reportId=${reportId} retryAt=${retryAt.toISOString()}`);
     }
+    emitEvent('retry.enqueued', {
+      source: 'amazonVc',
+      taskType: 'vcReport',
+      accountId: amazonStoreId,
+      message: '报表生成超时，已入队延时获取',
+      data: { reportType, reportId, retryAt }
+    });
   }
   return null;
 }
@@ -221,6 +234,90 @@ async function saveReportData(amazonStoreId, reportType, dataDate, marketplaceId
       recordCount: data.length
     }
   });
+  // 结构化表解析失败不影响原始数据与同步进度，可之后用 renormalizeReportData 重建
+  try {
+    await saveNormalizedReport(amazonStoreId, reportType, dataDate, marketplaceId, data);
+  } catch (e) {
+    console.error(`[VC Report] ${amazonStoreId} ${reportType} ${dateOnly.toISOString().slice(0, 10)} 结构化解析失败:`, e?.message || e);
+  }
+}
+
+/**
+ * 解析报表行并写入对应结构化表（按 店铺 + marketplace + 日期 整日替换）
+ * - 替换的日期：解析出的记录日期；支持日期范围的报表还包括本次拉取的 dataDate（当天无数据时清空旧记录）
+ * @returns {Promise<{ model, records, skipped, dates } | null>} 未配置解析的报表类型返回 null
+ */
+async function saveNormalizedReport(amazonStoreId, reportType, dataDate, marketplaceId, rows) {
+  const normalized = normalizeReportRows(reportType, rows);
+  if (!normalized) return null;
+  const { model, records, skipped } = normalized;
+  const config = VC_REPORT_TYPES.find((c) => c.reportType === reportType);
+  const mp = marketplaceId || 'ALL';
+
+  const dates = new Map();
+  for (const record of records) dates.set(record.date.getTime(), record.date);
+  if (config?.supportsDateRange && dataDate) {
+    const dateOnly = toDataDate(dataDate);
+    dates.set(dateOnly.getTime(), dateOnly);
+  }
+  if (dates.size === 0) return { model, records: 0, skipped, dates: 0 };
+
+  const data = records.map((record) => ({ ...record, amazonStoreId, marketplaceId: mp }));
+  await prisma.$transaction(async (tx) => {
+    await tx[model].deleteMany({
+      where: { amazonStoreId, marketplaceId: mp, date: { in: [...dates.values()] } }
+    });
+    for (let i = 0; i < data.length; i += NORMALIZE_INSERT_BATCH) {
+      await tx[model].createMany({ data: data.slice(i, i + NORMALIZE_INSERT_BATCH), skipDuplicates: true });
+    }
+  }, { timeout: 120000 });
+  return { model, records: records.length, skipped, dates: dates.size };
+}
+
+/**
+ * 从 AmazonVcReportData 原始数据重建结构化表（解析逻辑变更或新增报表类型后执行）
+ * 按 dataDate 升序处理，预测报表同一周期以最后一次拉取为准
+ * @param {Object} [options] - amazonStoreId?, reportType?, from?, to?（按 dataDate 过滤）, batchSize?
+ * @returns {Promise<Object>} 按报表类型汇总 { reports, records, skipped, failed }
+ */
+async function renormalizeReportData(options = {}) {
+  const { amazonStoreId, reportType, from, to, batchSize = 50 } = options;
+  const where = {};
+  if (amazonStoreId) where.amazonStoreId = amazonStoreId;
+  if (reportType) where.reportType = reportType;
+  if (from || to) {
+    where.dataDate = {};
+    if (from) where.dataDate.gte = toDataDate(from);
+    if (to) where.dataDate.lte = toDataDate(to);
+  }
+
+  const summary = {};
+  let skip = 0;
+  for (;;) {
+    const batch = await prisma.amazonVcReportData.findMany({
+      where,
+      orderBy: [{ dataDate: 'asc' }, { id: 'asc' }],
+      skip,
+      take: batchSize
+    });
+    if (batch.length === 0) break;
+    skip += batch.length;
+    for (const row of batch) {
+      if (!summary[row.reportType]) summary[row.reportType] = { reports: 0, records: 0, skipped: 0, failed: 0 };
+      const stats = summary[row.reportType];
+      try {
+        const result = await saveNormalizedReport(row.amazonStoreId, row.reportType, row.dataDate, row.marketplaceId, row.data);
+        if (!result) continue;
+        stats.reports++;
+        stats.records += result.records;
+        stats.skipped += result.skipped;
+      } catch (e) {
+        stats.failed++;
+        console.error(`[VC Report] 重建失败 ${row.id} ${row.reportType}:`, e?.message || e);
+      }
+    }
+  }
+  return summary;
 }
 
 /**
@@ -263,6 +360,28 @@ async function getNextDateRangesForReport(amazonStoreId, reportType, marketplace
   return ranges;
 }
 
+/** 发布店铺报表同步失败事件 */
+function emitReportFailed(store, reportType, e) {
+  emitEvent('account.failed', {
+    source: 'amazonVc',
+    taskType: 'vcReport',
+    accountId: store.id,
+    accountName: store.name ?? null,
+    message: e?.message || String(e),
+    data: { reportType, apiRequestId: getAmazonRequestIdFromError(e) ?? null }
+  });
+}
+
+/** 发布报表同步结束事件 */
+function emitReportTaskFinished(storeCount, results) {
+  const failCount = results.filter((r) => r.error).length;
+  emitEvent('task.finished', {
+    source: 'amazonVc',
+    taskType: 'vcReport',
+    data: { summary: { storeCount, reportCount: results.length, successCount: results.length - failCount, failCount } }
+  });
+}
+
 /**
  * 单个报表类型、单个店铺的增量同步（按天）
  */
@@ -342,12 +461,14 @@ async function incrementalSyncReportTypeForAllStores(reportType, options = {}) {
     throw new Error(`未知的 VC 报表类型: ${reportType}，支持: ${VC_REPORT_TYPES.map((c) => c.reportType).join(', ')}`);
   }
   const stores = await getVcStores();
+  emitEvent('task.started', { source: 'amazonVc', taskType: 'vcReport', data: { reportTypes: [reportType], storeCount: stores.length } });
   const results = [];
   for (const store of stores) {
     try {
       const r = await incrementalSyncReportForStore(store, config, options);
       results.push({ storeId: store.id, reportType, result: r });
     } catch (e) {
+      emitReportFailed(store, reportType, e);
       const apiRequestId = getAmazonRequestIdFromError(e);
       if (options.logErrors !== false) {
         const ts = new Date().toISOString();
@@ -364,6 +485,7 @@ async function incrementalSyncReportTypeForAllStores(reportType, options = {}) {
     }
     await sleep(300);
   }
+  emitReportTaskFinished(stores.length, results);
   return results;
 }
 
@@ -372,6 +494,7 @@ async function incrementalSyncReportTypeForAllStores(reportType, options = {}) {
  */
 async function incrementalSyncAllVcReports(options = {}) {
   const stores = await getVcStores();
+  emitEvent('task.started', { source: 'amazonVc', taskType: 'vcReport', data: { reportTypes: VC_REPORT_TYPES.map((c) => c.reportType), storeCount: stores.length } });
   const results = [];
   for (const store of stores) {
     for (const config of VC_REPORT_TYPES) {
@@ -379,6 +502,7 @@ async function incrementalSyncAllVcReports(options = {}) {
         const r = await incrementalSyncReportForStore(store, config, options);
         results.push({ storeId: store.id, reportType: config.reportType, result: r });
       } catch (e) {
+        emitReportFailed(store, config.reportType, e);
         const apiRequestId = getAmazonRequestIdFromError(e);
         if (options.logErrors !== false) {
           const ts = new Date().toISOString();
@@ -396,6 +520,7 @@ async function incrementalSyncAllVcReports(options = {}) {
       await sleep(300);
     }
   }
+  emitReportTaskFinished(stores.length, results);
   return results;
 }
 
@@ -483,6 +608,8 @@ export default {
   getReportDocument,
   downloadAndParseReport,
   saveReportData,
+  saveNormalizedReport,
+  renormalizeReportData,
   getNextDateRangesForReport,
   incrementalSyncReportForStore,
   incrementalSyncReportTypeForAllStores,
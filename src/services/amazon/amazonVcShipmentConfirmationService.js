@@ -0,0 +1,793 @@
+/**
+ * 亚马逊 VC 货件确认（ASN）服务
+ * - 按 PO 生成 shipmentConfirmation 草稿：发货数量取自请求、领星出库单（LingXingOutboundOrder）或箱明细，箱 / 托盘分配 SSCC
+ * - 校验累计发货数量不超过 PO 已接受数量（取自 AmazonVcPoAcknowledgement）
+ * - 提交（Vendor Shipments submitShipmentConfirmations）后通过 Vendor Transaction Status getTransaction 跟踪到 Success / Failure
+ * - 提交状态规则见 vcSubmission.js：提交结果未知的货件确认记为 unconfirmed，照常计入累计发货，须核实后 release
+ */
+import prisma from '../../config/database.js';
+import { isValidSscc, buildSscc } from '../../utils/sscc.js';
+import amazonVcAcknowledgementService from './amazonVcAcknowledgementService.js';
+import {
+  COUNTED_STATUSES,
+  PENDING_STATUSES,
+  getUnitSize,
+  scopeToAccounts,
+  findPurchaseOrder as findVcPurchaseOrder,
+  submitDocument,
+  markStaleSubmissions,
+  checkTransaction,
+  processPendingTransactions,
+  releaseUnconfirmed,
+  nextDocumentNumber,
+  getShippedQuantitiesByPo
+} from './vcSubmission.js';
+
+const LOG_PREFIX = '[VC ASN]';
+
+const CONFIRMATION_TYPES = ['Original', 'Replace'];
+const SHIPMENT_TYPES = ['TruckLoad', 'LessThanTruckLoad', 'SmallParcel'];
+const TRANSPORTATION_MODES = ['Road', 'Air', 'Ocean'];
+/** 可提交 / 可删除的状态（error 为 Amazon 明确拒绝） */
+const EDITABLE_STATUSES = ['draft', 'error'];
+/** 计入累计发货的状态（含提交结果未知的 unconfirmed） */
+const SHIPPED_STATUSES = COUNTED_STATUSES;
+/** 领星出库单状态：40 已完成，50 已撤销 */
+const OUTBOUND_STATUS_COMPLETED = 40;
+const OUTBOUND_STATUS_CANCELLED = 50;
+
+/** 参数或状态错误（statusCode 供路由返回） */
+export class ShipmentConfirmationError extends Error {
+  /**
+   * @param {number} statusCode - 400 参数错误 / 404 PO 或货件确认不存在 / 409 状态冲突
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ShipmentConfirmationError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toPositiveInt(value, field) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new ShipmentConfirmationError(400, `${field} 须为正整数`);
+  return n;
+}
+
+function toIsoDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new ShipmentConfirmationError(400, `${field} 不是有效日期: ${value}`);
+  return d.toISOString();
+}
+
+function toEnum(value, allowed, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!allowed.includes(value)) throw new ShipmentConfirmationError(400, `${field} 须为 ${allowed.join(' / ')}`);
+  return value;
+}
+
+/** 重量 { value, unitOfMeasure: G | Kg | Oz | Lb } */
+function toWeight(weight, field) {
+  if (!weight) return null;
+  if (weight.value === undefined || !weight.unitOfMeasure) throw new ShipmentConfirmationError(400, `${field} 须包含 value 与 unitOfMeasure`);
+  return { unitOfMeasure: weight.unitOfMeasure, value: String(weight.value) };
+}
+
+/** 尺寸 { length, width, height, unitOfMeasure: In | Ft | Meter | Yard } */
+function toDimensions(dimensions, field) {
+  if (!dimensions) return null;
+  const { length, width, height, unitOfMeasure } = dimensions;
+  if (length === undefined || width === undefined || height === undefined || !unitOfMeasure) {
+    throw new ShipmentConfirmationError(400, `${field} 须包含 length、width、height 与 unitOfMeasure`);
+  }
+  return { length: String(length), width: String(width), height: String(height), unitOfMeasure };
+}
+
+/**
+ * 按 itemSequenceNumber / vendorProductIdentifier / amazonProductIdentifier 定位 PO 行
+ * @param {string} field - 报错时的字段名
+ */
+function resolveLine(lines, input, field) {
+  const seq = input?.itemSequenceNumber;
+  const line = seq !== undefined && seq !== null && seq !== ''
+    ? lines.find((l) => l.itemSequenceNumber === String(seq))
+    : lines.find(
+        (l) =>
+          (input?.vendorProductIdentifier && l.vendorProductIdentifier === String(input.vendorProductIdentifier)) ||
+          (input?.amazonProductIdentifier && l.amazonProductIdentifier === String(input.amazonProductIdentifier))
+      );
+  if (!line) {
+    const key = seq ?? input?.vendorProductIdentifier ?? input?.amazonProductIdentifier ?? '';
+    throw new ShipmentConfirmationError(400, `${field} 中的 ${key} 不是该 PO 的行`);
+  }
+  return line;
+}
+
+function findPurchaseOrder(purchaseOrderNumber, storeId, accountIds) {
+  return findVcPurchaseOrder(purchaseOrderNumber, storeId, accountIds, ShipmentConfirmationError);
+}
+
+/**
+ * 出库单明细（领星不同出库类型字段名略有差异，按常见字段兼容读取；数量为件数）
+ * @returns {Array<{ sku: string, quantity: number }>}
+ */
+function getOutboundItems(order) {
+  const data = order.data || {};
+  const rawItems = data.item_list ?? data.items ?? data.product_list ?? data.products ?? [];
+  return rawItems
+    .map((it) => ({
+      sku: it.sku ?? it.local_sku ?? null,
+      quantity: parseInt(it.outbound_num ?? it.stock_num ?? it.quantity ?? it.num ?? 0, 10) || 0
+    }))
+    .filter((it) => it.sku && it.quantity > 0);
+}
+
+function getOutboundTrackingNumber(order) {
+  const data = order.data || {};
+  return data.tracking_number ?? data.logistics_tracking_number ?? data.waybill_no ?? null;
+}
+
+/**
+ * 加载 PO 对应的领星出库单
+ * - 指定 outboundOrderSns 时按单号取，否则按客户参考号（idempotent_code）= PO 号匹配
+ * - 已撤销的忽略；已被本 PO 其它货件确认（含草稿）使用的，指定时报错、自动匹配时跳过
+ * @param {Object} po - 含 amazonStore
+ * @param {string[]} [outboundOrderSns]
+ * @param {string[]} warnings - 收集提示
+ */
+async function loadOutboundOrders(po, outboundOrderSns, warnings) {
+  const accountId = po.amazonStore.accountId;
+  const explicit = Array.isArray(outboundOrderSns) && outboundOrderSns.length > 0;
+  let orders;
+  if (explicit) {
+    const sns = outboundOrderSns.map(String);
+    orders = await prisma.lingXingOutboundOrder.findMany({ where: { accountId, orderSn: { in: sns }, archived: false } });
+    const found = new Set(orders.map((o) => o.orderSn));
+    const missing = sns.filter((sn) => !found.has(sn));
+    if (missing.length > 0) throw new ShipmentConfirmationError(404, `领星出库单不存在: ${missing.join(', ')}`);
+  } else {
+    orders = await prisma.lingXingOutboundOrder.findMany({
+      where: { accountId, archived: false, data: { path: ['idempotent_code'], equals: po.purchaseOrderNumber } }
+    });
+  }
+  if (orders.length === 0) return [];
+
+  const used = await prisma.amazonVcShipmentConfirmation.findMany({
+    where: {
+      purchaseOrderId: po.id,
+      status: { in: [...EDITABLE_STATUSES, ...SHIPPED_STATUSES] },
+      outboundOrderSns: { hasSome: orders.map((o) => o.orderSn) }
+    },
+    select: { shipmentIdentifier: true, outboundOrderSns: true }
+  });
+  const usedBy = new Map();
+  for (const c of used) for (const sn of c.outboundOrderSns) usedBy.set(sn, c.shipmentIdentifier);
+
+  const usable = [];
+  for (const order of orders) {
+    const status = Number(order.data?.status);
+    if (status === OUTBOUND_STATUS_CANCELLED) {
+      warnings.push(`出库单 ${order.orderSn} 已撤销，已忽略`);
+      continue;
+    }
+    if (usedBy.has(order.orderSn)) {
+      if (explicit) throw new ShipmentConfirmationError(409, `出库单 ${order.orderSn} 已用于货件 ${usedBy.get(order.orderSn)}`);
+      continue;
+    }
+    if (status !== OUTBOUND_STATUS_COMPLETED) warnings.push(`出库单 ${order.orderSn} 尚未出库完成（status=${order.data?.status ?? '-'}）`);
+    usable.push(order);
+  }
+  return usable;
+}
+
+/**
+ * 出库单件数按 SKU 汇总后折算为 PO 行发货数量（SKU 对应 PO 行的 vendorProductIdentifier）
+ * @returns {Map<string, number>} itemSequenceNumber → 发货数量（PO 单位）
+ */
+function quantitiesFromOutbound(lines, orders, warnings) {
+  const eachesBySku = new Map();
+  for (const order of orders) {
+    for (const it of getOutboundItems(order)) eachesBySku.set(it.sku, (eachesBySku.get(it.sku) ?? 0) + it.quantity);
+  }
+  const shipped = new Map();
+  for (const [sku, eaches] of eachesBySku) {
+    const line = lines.find((l) => l.vendorProductIdentifier === sku);
+    if (!line) {
+      warnings.push(`出库单 SKU ${sku} 不在 PO 中，已忽略`);
+      continue;
+    }
+    const unitSize = getUnitSize(line);
+    if (eaches % unitSize !== 0) {
+      throw new ShipmentConfirmationError(400, `SKU ${sku} 出库 ${eaches} 件，不是箱规 ${unitSize} 的整数倍`);
+    }
+    shipped.set(line.itemSequenceNumber, (shipped.get(line.itemSequenceNumber) ?? 0) + eaches / unitSize);
+  }
+  return shipped;
+}
+
+/**
+ * 装箱方案
+ * - 请求指定 cartons 时按请求：[{ sscc?, trackingNumber?, weight?, dimensions?, items: [{ itemSequenceNumber | vendorProductIdentifier, quantity }] }]
+ * - 否则按箱订购（Cases）的行每箱一个 carton，按件订购的行按 unitsPerCarton 装箱；有按件订购的行但未给 unitsPerCarton 时不生成箱信息
+ * @returns {Array<{ sscc, trackingNumber, weight, dimensions, items: Array<{ line, amount }> }>}
+ */
+function planCartons(lines, shipped, body) {
+  if (Array.isArray(body.cartons) && body.cartons.length > 0) {
+    return body.cartons.map((carton, i) => {
+      const field = `cartons[${i}]`;
+      if (!Array.isArray(carton?.items) || carton.items.length === 0) throw new ShipmentConfirmationError(400, `${field}.items 必填`);
+      return {
+        sscc: carton.sscc ? String(carton.sscc) : null,
+        trackingNumber: carton.trackingNumber ?? null,
+        weight: toWeight(carton.weight, `${field}.weight`),
+        dimensions: toDimensions(carton.dimensions, `${field}.dimensions`),
+        items: carton.items.map((it, j) => ({
+          line: resolveLine(lines, it, `${field}.items`),
+          amount: toPositiveInt(it.quantity, `${field}.items[${j}].quantity`)
+        }))
+      };
+    });
+  }
+
+  const unitsPerCarton = body.unitsPerCarton ? toPositiveInt(body.unitsPerCarton, 'unitsPerCarton') : null;
+  const shippedLines = lines.filter((line) => shipped.has(line.itemSequenceNumber));
+  if (!unitsPerCarton && shippedLines.some((line) => line.orderedQuantity.unitOfMeasure === 'Eaches')) return [];
+  const cartons = [];
+  for (const line of shippedLines) {
+    const amount = shipped.get(line.itemSequenceNumber);
+    const perCarton = line.orderedQuantity.unitOfMeasure === 'Eaches' ? unitsPerCarton : 1;
+    for (let packed = 0; packed < amount; packed += perCarton) {
+      cartons.push({ sscc: null, trackingNumber: null, weight: null, dimensions: null, items: [{ line, amount: Math.min(perCarton, amount - packed) }] });
+    }
+  }
+  return cartons;
+}
+
+/**
+ * 托盘方案（托盘须引用箱，cartonSequenceNumbers 为 1 起的箱序号）
+ * - 请求指定 pallets：[{ sscc?, cartonSequenceNumbers: number[], tier?, block?, weight?, dimensions? }]
+ * - 否则给出 cartonsPerPallet 时按箱顺序依次码放
+ * @returns {Array<{ sscc, cartonIndexes: number[], tier, block, weight, dimensions }>}
+ */
+function planPallets(cartons, body) {
+  if (Array.isArray(body.pallets) && body.pallets.length > 0) {
+    if (cartons.length === 0) throw new ShipmentConfirmationError(400, 'pallets 须引用箱，请提供 cartons 或 unitsPerCarton');
+    const assigned = new Set();
+    return body.pallets.map((pallet, i) => {
+      const field = `pallets[${i}]`;
+      const seqs = pallet?.cartonSequenceNumbers;
+      if (!Array.isArray(seqs) || seqs.length === 0) throw new ShipmentConfirmationError(400, `${field}.cartonSequenceNumbers 必填`);
+      const cartonIndexes = seqs.map((seq) => {
+        const n = Number(seq);
+        if (!Number.isInteger(n) || n < 1 || n > cartons.length) throw new ShipmentConfirmationError(400, `${field} 引用的箱序号 ${seq} 不存在`);
+        if (assigned.has(n)) throw new ShipmentConfirmationError(400, `箱 ${n} 被多个托盘引用`);
+        assigned.add(n);
+        return n - 1;
+      });
+      return {
+        sscc: pallet.sscc ? String(pallet.sscc) : null,
+        cartonIndexes,
+        tier: pallet.tier ?? null,
+        block: pallet.block ?? null,
+        weight: toWeight(pallet.weight, `${field}.weight`),
+        dimensions: toDimensions(pallet.dimensions, `${field}.dimensions`)
+      };
+    });
+  }
+  if (!body.cartonsPerPallet || cartons.length === 0) return [];
+  const perPallet = toPositiveInt(body.cartonsPerPallet, 'cartonsPerPallet');
+  const pallets = [];
+  for (let start = 0; start < cartons.length; start += perPallet) {
+    const cartonIndexes = [];
+    for (let i = start; i < Math.min(start + perPallet, cartons.length); i++) cartonIndexes.push(i);
+    pallets.push({ sscc: null, cartonIndexes, tier: null, block: null, weight: null, dimensions: null });
+  }
+  return pallets;
+}
+
+/**
+ * 分配 count 个 SSCC（按厂商识别代码原子递增序列号）
+ * 需配置 AMAZON_VC_GS1_COMPANY_PREFIX（7-10 位）；扩展位取 AMAZON_VC_SSCC_EXTENSION_DIGIT，默认 0
+ * @returns {Promise<string[]>}
+ */
+async function allocateSsccs(count) {
+  if (count <= 0) return [];
+  const companyPrefix = process.env.AMAZON_VC_GS1_COMPANY_PREFIX || '';
+  if (!/^\d{7,10}$/.test(companyPrefix)) {
+    throw new ShipmentConfirmationError(400, '未提供 sscc 时需配置 7-10 位的 AMAZON_VC_GS1_COMPANY_PREFIX 以生成 SSCC');
+  }
+  const extensionDigit = process.env.AMAZON_VC_SSCC_EXTENSION_DIGIT || '0';
+  if (!/^\d$/.test(extensionDigit)) throw new ShipmentConfirmationError(400, 'AMAZON_VC_SSCC_EXTENSION_DIGIT 须为 0-9');
+  const sequence = await prisma.amazonVcSsccSequence.upsert({
+    where: { companyPrefix },
+    create: { companyPrefix, lastSerial: BigInt(count) },
+    update: { lastSerial: { increment: BigInt(count) } }
+  });
+  const last = BigInt(sequence.lastSerial);
+  return Array.from({ length: count }, (_, i) => buildSscc(extensionDigit, companyPrefix, last - BigInt(count - 1 - i)));
+}
+
+/**
+ * 生成默认货件号 PO号-序号：序号按 PO 原子递增（并发创建不重复，删除草稿后不复用），跳过已被占用的号
+ * @param {Object} po
+ * @param {boolean} [preview] - 只预览下一个序号（dryRun），不占用
+ * @returns {Promise<string>}
+ */
+function nextShipmentIdentifier(po, preview = false) {
+  return nextDocumentNumber(
+    `shipment:${po.id}`,
+    (n) => `${po.purchaseOrderNumber}-${n}`,
+    async (shipmentIdentifier) => (await prisma.amazonVcShipmentConfirmation.count({ where: { amazonStoreId: po.amazonStoreId, shipmentIdentifier } })) > 0,
+    preview
+  );
+}
+
+/**
+ * 校验累计发货不超过已接受数量（本系统无确认记录时以订购数量为上限并提示）
+ * @param {Object} po
+ * @param {Map<string, number>} shipped - 本次发货 itemSequenceNumber → 数量
+ * @param {Object} options - { excludeConfirmationId?, replacesShipmentIdentifier?: Replace 时不计被替换货件, warnings? }
+ */
+async function validateShippedQuantities(po, shipped, options = {}) {
+  const { excludeConfirmationId, replacesShipmentIdentifier, warnings } = options;
+  const lines = amazonVcAcknowledgementService.getPoLines(po);
+  const accepted = await amazonVcAcknowledgementService.getAcceptedQuantities(po.id);
+  if (!accepted) warnings?.push(`PO ${po.purchaseOrderNumber} 在本系统无确认记录，按订购数量校验`);
+
+  const shippedByPo = await getShippedQuantitiesByPo([po.id], { excludeConfirmationId, excludeShipmentIdentifier: replacesShipmentIdentifier });
+  const shippedBefore = shippedByPo.get(po.id) ?? new Map();
+
+  for (const [seq, quantity] of shipped) {
+    const line = lines.find((l) => l.itemSequenceNumber === seq);
+    const limit = accepted ? accepted.get(seq) ?? 0 : line?.orderedQuantity.amount ?? 0;
+    const before = shippedBefore.get(seq) ?? 0;
+    if (before + quantity > limit) {
+      throw new ShipmentConfirmationError(
+        400,
+        `行 ${seq}${line?.vendorProductIdentifier ? `（${line.vendorProductIdentifier}）` : ''} 累计发货 ${before + quantity} 超过${accepted ? '已接受' : '订购'}数量 ${limit}${before ? `（此前已确认发货 ${before}）` : ''}`
+      );
+    }
+  }
+}
+
+/**
+ * 校验并生成 shipmentConfirmation
+ * - 发货数量优先取 body.items，其次指定的领星出库单，再次由 body.cartons 汇总，最后按 PO 号自动匹配出库单
+ * - 有箱信息时每行装箱数量之和须等于发货数量
+ * @param {Object} po - 含 amazonStore / items
+ * @param {Object} body - 见 createShipmentConfirmation
+ * @param {Object} [options] - { allocate?: boolean 是否为缺失的 SSCC 分配号码（dryRun 时不分配） }
+ * @returns {Promise<{ payload, items, outboundOrderSns, warnings, cartonCount, palletCount }>}
+ */
+async function buildShipmentConfirmation(po, body, options = {}) {
+  const lines = amazonVcAcknowledgementService.getPoLines(po);
+  if (lines.length === 0) throw new ShipmentConfirmationError(400, `PO ${po.purchaseOrderNumber} 无明细行，请先同步 PO`);
+  const warnings = [];
+
+  let shipped = new Map();
+  let outboundOrders = [];
+  if (Array.isArray(body.items) && body.items.length > 0) {
+    body.items.forEach((it, i) => {
+      const line = resolveLine(lines, it, 'items');
+      if (shipped.has(line.itemSequenceNumber)) throw new ShipmentConfirmationError(400, `行 ${line.itemSequenceNumber} 重复`);
+      shipped.set(line.itemSequenceNumber, toPositiveInt(it.shippedQuantity, `items[${i}].shippedQuantity`));
+    });
+  } else if (body.outboundOrderSns?.length || !body.cartons?.length) {
+    outboundOrders = await loadOutboundOrders(po, body.outboundOrderSns, warnings);
+    if (outboundOrders.length > 0) shipped = quantitiesFromOutbound(lines, outboundOrders, warnings);
+  }
+
+  const cartonPlan = planCartons(lines, shipped, body);
+  if (shipped.size === 0) {
+    for (const carton of cartonPlan) {
+      for (const it of carton.items) shipped.set(it.line.itemSequenceNumber, (shipped.get(it.line.itemSequenceNumber) ?? 0) + it.amount);
+    }
+  }
+  if (shipped.size === 0) {
+    throw new ShipmentConfirmationError(400, `未找到 PO ${po.purchaseOrderNumber} 的发货数量：请提供 items、cartons 或 outboundOrderSns（或出库单客户参考号填写 PO 号）`);
+  }
+  if (cartonPlan.length > 0) {
+    const packed = new Map();
+    for (const carton of cartonPlan) {
+      for (const it of carton.items) packed.set(it.line.itemSequenceNumber, (packed.get(it.line.itemSequenceNumber) ?? 0) + it.amount);
+    }
+    for (const [seq, quantity] of shipped) {
+      if ((packed.get(seq) ?? 0) !== quantity) {
+        throw new ShipmentConfirmationError(400, `行 ${seq} 装箱数量 ${packed.get(seq) ?? 0} 与发货数量 ${quantity} 不一致`);
+      }
+    }
+    for (const seq of packed.keys()) {
+      if (!shipped.has(seq)) throw new ShipmentConfirmationError(400, `行 ${seq} 已装箱但不在发货明细中`);
+    }
+  }
+  const palletPlan = planPallets(cartonPlan, body);
+
+  const confirmationType = toEnum(body.confirmationType, CONFIRMATION_TYPES, 'confirmationType') ?? 'Original';
+  await validateShippedQuantities(po, shipped, {
+    replacesShipmentIdentifier: confirmationType === 'Replace' ? body.shipmentIdentifier : null,
+    warnings
+  });
+
+  // SSCC：请求提供的须合法且不重复，缺失的按序列分配
+  const containers = [...cartonPlan, ...palletPlan];
+  const seen = new Set();
+  for (const container of containers) {
+    if (!container.sscc) continue;
+    if (!isValidSscc(container.sscc)) throw new ShipmentConfirmationError(400, `SSCC ${container.sscc} 不是 18 位或校验位错误`);
+    if (seen.has(container.sscc)) throw new ShipmentConfirmationError(400, `SSCC ${container.sscc} 重复`);
+    seen.add(container.sscc);
+  }
+  const unlabeled = containers.filter((c) => !c.sscc);
+  if (options.allocate && unlabeled.length > 0) {
+    const ssccs = await allocateSsccs(unlabeled.length);
+    unlabeled.forEach((c, i) => { c.sscc = ssccs[i]; });
+  }
+
+  const quantity = (line, amount) => ({ amount, unitOfMeasure: line.orderedQuantity.unitOfMeasure, unitSize: line.orderedQuantity.unitSize });
+  const shippedLines = lines.filter((line) => shipped.has(line.itemSequenceNumber));
+  const shippedItems = shippedLines.map((line) => ({
+    itemSequenceNumber: line.itemSequenceNumber,
+    ...(line.amazonProductIdentifier && { amazonProductIdentifier: line.amazonProductIdentifier }),
+    ...(line.vendorProductIdentifier && { vendorProductIdentifier: line.vendorProductIdentifier }),
+    shippedQuantity: quantity(line, shipped.get(line.itemSequenceNumber))
+  }));
+  const cartons = cartonPlan.map((carton, i) => ({
+    cartonIdentifiers: [{ containerIdentificationType: 'SSCC', containerIdentificationNumber: carton.sscc }],
+    cartonSequenceNumber: String(i + 1),
+    ...(carton.dimensions && { dimensions: carton.dimensions }),
+    ...(carton.weight && { weight: carton.weight }),
+    ...(carton.trackingNumber && { trackingNumber: carton.trackingNumber }),
+    items: carton.items.map((it) => ({ itemReference: it.line.itemSequenceNumber, shippedQuantity: quantity(it.line, it.amount) }))
+  }));
+  const pallets = palletPlan.map((pallet) => ({
+    palletIdentifiers: [{ containerIdentificationType: 'SSCC', containerIdentificationNumber: pallet.sscc }],
+    ...(pallet.tier !== null && { tier: pallet.tier }),
+    ...(pallet.block !== null && { block: pallet.block }),
+    ...(pallet.dimensions && { dimensions: pallet.dimensions }),
+    ...(pallet.weight && { weight: pallet.weight }),
+    cartonReferenceDetails: {
+      cartonCount: pallet.cartonIndexes.length,
+      cartonReferenceNumbers: pallet.cartonIndexes.map((i) => String(i + 1))
+    }
+  }));
+  const mixedCartons = cartonPlan.some((carton) => new Set(carton.items.map((it) => it.line.itemSequenceNumber)).size > 1);
+  const shipmentStructure = body.shipmentStructure
+    ?? (cartons.length === 0 ? null : `${pallets.length > 0 ? 'Palletized' : 'Loose'}${mixedCartons ? 'AssortmentCase' : 'StandardCase'}`);
+
+  const sellingPartyId = po.data?.orderDetails?.sellingParty?.partyId ?? po.sellingPartyPartyId;
+  const shipToPartyId = po.data?.orderDetails?.shipToParty?.partyId ?? po.shipToPartyPartyId;
+  const shipFromPartyId = body.shipFromPartyId ?? po.data?.orderDetails?.shipFromParty?.partyId ?? process.env.AMAZON_VC_SHIP_FROM_PARTY_ID;
+  if (!sellingPartyId || !shipToPartyId) throw new ShipmentConfirmationError(400, `PO ${po.purchaseOrderNumber} 缺少 sellingParty / shipToParty，请先同步 PO`);
+  if (!shipFromPartyId) throw new ShipmentConfirmationError(400, 'shipFromPartyId 必填（或配置 AMAZON_VC_SHIP_FROM_PARTY_ID）');
+
+  const trackingNumber = body.trackingNumber ?? outboundOrders.map(getOutboundTrackingNumber).find(Boolean) ?? null;
+  const transportationDetails = {
+    ...(body.carrierScac && { carrierScac: String(body.carrierScac) }),
+    ...(trackingNumber && { carrierShipmentReferenceNumber: String(trackingNumber) }),
+    ...(body.transportationMode && { transportationMode: toEnum(body.transportationMode, TRANSPORTATION_MODES, 'transportationMode') }),
+    ...(body.billOfLadingNumber && { billOfLadingNumber: String(body.billOfLadingNumber) })
+  };
+  const grossShipmentWeight = toWeight(body.grossShipmentWeight, 'grossShipmentWeight');
+  const shippedDate = toIsoDate(body.shippedDate, 'shippedDate');
+  const estimatedDeliveryDate = toIsoDate(body.estimatedDeliveryDate, 'estimatedDeliveryDate');
+  const shipmentType = toEnum(body.shipmentType, SHIPMENT_TYPES, 'shipmentType');
+
+  const payload = {
+    shipmentIdentifier: body.shipmentIdentifier,
+    shipmentConfirmationType: confirmationType,
+    ...(shipmentType && { shipmentType }),
+    ...(shipmentStructure && { shipmentStructure }),
+    ...(Object.keys(transportationDetails).length > 0 && { transportationDetails }),
+    ...(shippedDate && { shippedDate }),
+    ...(estimatedDeliveryDate && { estimatedDeliveryDate }),
+    sellingParty: { partyId: sellingPartyId },
+    shipFromParty: { partyId: shipFromPartyId },
+    shipToParty: { partyId: shipToPartyId },
+    shipmentMeasurements: {
+      ...(grossShipmentWeight && { grossShipmentWeight }),
+      cartonCount: cartons.length,
+      palletCount: pallets.length
+    },
+    shippedItems,
+    ...(cartons.length > 0 && { cartons }),
+    ...(pallets.length > 0 && { pallets })
+  };
+  const items = shippedLines.map((line) => ({
+    itemSequenceNumber: line.itemSequenceNumber,
+    buyerProductId: line.amazonProductIdentifier,
+    vendorProductId: line.vendorProductIdentifier,
+    shippedQuantity: shipped.get(line.itemSequenceNumber),
+    unitOfMeasure: line.orderedQuantity.unitOfMeasure,
+    unitSize: Number(line.orderedQuantity.unitSize) || 1
+  }));
+  return {
+    payload,
+    items,
+    outboundOrderSns: outboundOrders.map((o) => o.orderSn),
+    warnings,
+    cartonCount: cartons.length,
+    palletCount: pallets.length
+  };
+}
+
+/**
+ * 新建货件确认草稿（可选立即提交）
+ * @param {Object} body
+ *   - poNumber, storeId?（多个店铺同号 PO 时必填）
+ *   - shipmentIdentifier?（默认 PO号-序号）, confirmationType?: Original | Replace（Replace 须与已提交的货件同号）
+ *   - items?: [{ itemSequenceNumber | vendorProductIdentifier | amazonProductIdentifier, shippedQuantity }]（PO 单位）
+ *   - outboundOrderSns?: 领星出库单号（未给 items 时使用；均未给时按客户参考号 = PO 号匹配出库单）
+ *   - cartons?, unitsPerCarton?, pallets?, cartonsPerPallet?（见 planCartons / planPallets）
+ *   - carrierScac?, trackingNumber?（默认取出库单运单号）, transportationMode?, billOfLadingNumber?, shipmentType?, shipmentStructure?
+ *   - shippedDate?（默认提交时间）, estimatedDeliveryDate?, shipFromPartyId?, grossShipmentWeight?
+ *   - submit?: boolean 保存后立即提交, dryRun?: boolean 只校验并返回将保存的内容（不分配 SSCC）
+ * @param {Object} [context] - { actor?, accountIds? }
+ * @returns {Promise<Object>} dryRun 时为 { dryRun: true, ... }，否则为货件确认记录（含 items）
+ */
+async function createShipmentConfirmation(body = {}, context = {}) {
+  const { actor = null, accountIds } = context;
+  if (!body.poNumber) throw new ShipmentConfirmationError(400, 'poNumber 必填');
+  const po = await findPurchaseOrder(String(body.poNumber), body.storeId, accountIds);
+
+  const confirmationType = body.confirmationType ?? 'Original';
+  let shipmentIdentifier = body.shipmentIdentifier ? String(body.shipmentIdentifier) : null;
+  if (!shipmentIdentifier) {
+    if (confirmationType === 'Replace') throw new ShipmentConfirmationError(400, 'Replace 须指定被替换货件的 shipmentIdentifier');
+    shipmentIdentifier = await nextShipmentIdentifier(po, !!body.dryRun);
+  }
+  const sameIdentifier = await prisma.amazonVcShipmentConfirmation.findMany({
+    where: { amazonStoreId: po.amazonStoreId, shipmentIdentifier, status: { not: 'replaced' } },
+    select: { status: true }
+  });
+  if (sameIdentifier.some((c) => EDITABLE_STATUSES.includes(c.status) || c.status === 'submitting')) {
+    throw new ShipmentConfirmationError(409, `货件 ${shipmentIdentifier} 已有未提交的草稿`);
+  }
+  if (sameIdentifier.some((c) => c.status === 'unconfirmed')) {
+    throw new ShipmentConfirmationError(409, `货件 ${shipmentIdentifier} 提交结果未知，请在 Vendor Central 核实后 release`);
+  }
+  if (confirmationType === 'Original' && sameIdentifier.some((c) => c.status !== 'failure')) {
+    throw new ShipmentConfirmationError(409, `货件 ${shipmentIdentifier} 已提交确认，如需修改请使用 confirmationType=Replace`);
+  }
+  if (confirmationType === 'Replace' && !sameIdentifier.some((c) => SHIPPED_STATUSES.includes(c.status))) {
+    throw new ShipmentConfirmationError(400, `货件 ${shipmentIdentifier} 未提交过确认，无法 Replace`);
+  }
+
+  const built = await buildShipmentConfirmation(po, { ...body, shipmentIdentifier }, { allocate: !body.dryRun });
+  if (body.dryRun) return { dryRun: true, ...built };
+
+  const confirmation = await prisma.amazonVcShipmentConfirmation.create({
+    data: {
+      amazonStoreId: po.amazonStoreId,
+      purchaseOrderId: po.id,
+      purchaseOrderNumber: po.purchaseOrderNumber,
+      shipmentIdentifier,
+      confirmationType: built.payload.shipmentConfirmationType,
+      status: 'draft',
+      outboundOrderSns: built.outboundOrderSns,
+      carrierScac: built.payload.transportationDetails?.carrierScac ?? null,
+      trackingNumber: built.payload.transportationDetails?.carrierShipmentReferenceNumber ?? null,
+      billOfLadingNumber: built.payload.transportationDetails?.billOfLadingNumber ?? null,
+      shippedDate: built.payload.shippedDate ? new Date(built.payload.shippedDate) : null,
+      estimatedDeliveryDate: built.payload.estimatedDeliveryDate ? new Date(built.payload.estimatedDeliveryDate) : null,
+      cartonCount: built.cartonCount,
+      palletCount: built.palletCount,
+      payload: built.payload,
+      warnings: built.warnings.length > 0 ? built.warnings : null,
+      createdBy: actor,
+      items: { create: built.items }
+    },
+    include: { items: true }
+  });
+  console.log(`${LOG_PREFIX} 已创建货件确认草稿 ${shipmentIdentifier}（PO ${po.purchaseOrderNumber}，${built.cartonCount} 箱 / ${built.palletCount} 托）`);
+  if (!body.submit) return confirmation;
+  return submitShipmentConfirmation(confirmation.id, { actor, accountIds });
+}
+
+/**
+ * 按 ID 取货件确认（含明细与 PO 店铺）
+ * @param {string[]} [accountIds] - 调用方可访问的领星账户（为空不限），范围外视为不存在
+ */
+async function findConfirmation(id, accountIds) {
+  const where = scopeToAccounts({ id }, accountIds);
+  const confirmation = await prisma.amazonVcShipmentConfirmation.findFirst({
+    where,
+    include: { items: true, purchaseOrder: { include: { amazonStore: true, items: true } } }
+  });
+  if (!confirmation) throw new ShipmentConfirmationError(404, `货件确认 ${id} 不存在`);
+  return confirmation;
+}
+
+/**
+ * 提交草稿（draft / error）
+ * - 先以条件更新置为 submitting 防止重复提交，再重新校验累计发货（期间可能有其它货件已提交）
+ * - Amazon 明确拒绝记为 error，可修正后重新提交；提交结果未知记为 unconfirmed（照常计入累计发货），须核实后 release
+ * @param {string} id
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function submitShipmentConfirmation(id, context = {}) {
+  const { actor = null, accountIds } = context;
+  const confirmation = await findConfirmation(id, accountIds);
+  if (!EDITABLE_STATUSES.includes(confirmation.status)) {
+    throw new ShipmentConfirmationError(409, `货件 ${confirmation.shipmentIdentifier} 当前状态为 ${confirmation.status}，不能提交`);
+  }
+  const claimed = await prisma.amazonVcShipmentConfirmation.updateMany({
+    where: { id, status: { in: EDITABLE_STATUSES } },
+    data: { status: 'submitting' }
+  });
+  if (claimed.count === 0) throw new ShipmentConfirmationError(409, `货件 ${confirmation.shipmentIdentifier} 正在提交或已提交`);
+
+  const po = confirmation.purchaseOrder;
+  try {
+    await validateShippedQuantities(
+      po,
+      new Map(confirmation.items.map((item) => [item.itemSequenceNumber, item.shippedQuantity])),
+      {
+        excludeConfirmationId: id,
+        replacesShipmentIdentifier: confirmation.confirmationType === 'Replace' ? confirmation.shipmentIdentifier : null
+      }
+    );
+  } catch (e) {
+    await prisma.amazonVcShipmentConfirmation.update({ where: { id }, data: { status: confirmation.status } });
+    throw e;
+  }
+
+  const now = new Date();
+  const payload = {
+    ...confirmation.payload,
+    shipmentConfirmationDate: now.toISOString(),
+    shippedDate: confirmation.payload.shippedDate ?? now.toISOString()
+  };
+  const result = await submitDocument(
+    po.amazonStore,
+    { operation: 'submitShipmentConfirmations', endpoint: 'vendorShipments', body: { shipmentConfirmations: [payload] } },
+    { prefix: LOG_PREFIX, label: `货件 ${confirmation.shipmentIdentifier}（PO ${po.purchaseOrderNumber}）` }
+  );
+  const data = { status: result.status, transactionId: result.transactionId, errors: result.errors };
+  // 未被明确拒绝时按已发出记录提交内容
+  if (result.status !== 'error') {
+    Object.assign(data, { payload, shippedDate: new Date(payload.shippedDate), submittedBy: actor, submittedAt: now });
+  }
+  return prisma.amazonVcShipmentConfirmation.update({ where: { id }, data, include: { items: true } });
+}
+
+/**
+ * 标记停留在 submitting 超过 STALE_SUBMITTING_MS 的货件确认为 unconfirmed
+ * @param {string[]} [accountIds]
+ * @returns {Promise<number>} 标记条数
+ */
+async function recoverStaleSubmissions(accountIds) {
+  const marked = await markStaleSubmissions(prisma.amazonVcShipmentConfirmation, accountIds);
+  if (marked.length > 0) console.warn(`${LOG_PREFIX} ${marked.length} 条货件确认停留在 submitting，已标记为 unconfirmed`);
+  return marked.length;
+}
+
+/**
+ * 删除草稿（仅 draft / error）
+ */
+async function deleteShipmentConfirmation(id, accountIds) {
+  const confirmation = await findConfirmation(id, accountIds);
+  const deleted = await prisma.amazonVcShipmentConfirmation.deleteMany({ where: { id, status: { in: EDITABLE_STATUSES } } });
+  if (deleted.count === 0) {
+    throw new ShipmentConfirmationError(409, `货件 ${confirmation.shipmentIdentifier} 已提交，不能删除`);
+  }
+  return { id, shipmentIdentifier: confirmation.shipmentIdentifier, deleted: true };
+}
+
+/** Replace 成功后，同号的原货件确认标记为 replaced */
+async function markReplaced(confirmation) {
+  await prisma.amazonVcShipmentConfirmation.updateMany({
+    where: {
+      amazonStoreId: confirmation.amazonStoreId,
+      shipmentIdentifier: confirmation.shipmentIdentifier,
+      id: { not: confirmation.id },
+      status: { in: [...PENDING_STATUSES, 'success', 'unconfirmed'] }
+    },
+    data: { status: 'replaced' }
+  });
+}
+
+/**
+ * 查询一条货件确认的交易状态并更新（Processing 保持待查；Success / Failure 为终态）
+ * Replace 成功后，同号的原货件确认标记为 replaced
+ * @param {Object} confirmation - AmazonVcShipmentConfirmation（含 purchaseOrder.amazonStore）
+ */
+async function checkShipmentConfirmationStatus(confirmation) {
+  const { status, updated } = await checkTransaction(prisma.amazonVcShipmentConfirmation, confirmation, confirmation.purchaseOrder.amazonStore);
+  if (updated && status === 'success' && confirmation.confirmationType === 'Replace') await markReplaced(confirmation);
+  return {
+    id: confirmation.id,
+    shipmentIdentifier: confirmation.shipmentIdentifier,
+    purchaseOrderNumber: confirmation.purchaseOrderNumber,
+    transactionId: confirmation.transactionId,
+    status
+  };
+}
+
+/**
+ * 跟踪所有未到终态的货件确认（submitted / processing），可由定时任务定期调用；先标记停留在 submitting 的记录（recovered）
+ * @param {Object} [options] - { maxItems?: number 默认 50 }
+ * @param {string[]} [accountIds] - 仅跟踪这些领星账户下店铺的记录（为空不限）
+ * @returns {Promise<{ recovered, processed, success, failure, processing, errors, results }>}
+ */
+function processPendingShipmentConfirmations(options = {}, accountIds) {
+  return processPendingTransactions(
+    {
+      delegate: prisma.amazonVcShipmentConfirmation,
+      prefix: LOG_PREFIX,
+      recover: recoverStaleSubmissions,
+      check: checkShipmentConfirmationStatus,
+      describe: (confirmation) => ({ id: confirmation.id, shipmentIdentifier: confirmation.shipmentIdentifier })
+    },
+    options,
+    accountIds
+  );
+}
+
+/**
+ * 在 Vendor Central 核实后处理提交结果未知（unconfirmed）的货件确认
+ * - received：Amazon 已收到，记为 success（Replace 时同号的原货件确认标记为 replaced）
+ * - notReceived：Amazon 未收到，记为 error，不再计入累计发货，可重新提交或删除
+ * @param {string} id
+ * @param {Object} body - { outcome: 'received' | 'notReceived', note? }
+ * @param {Object} [context] - { actor?, accountIds? }
+ */
+async function releaseShipmentConfirmation(id, body = {}, context = {}) {
+  const confirmation = await findConfirmation(id, context.accountIds);
+  const { status } = await releaseUnconfirmed(prisma.amazonVcShipmentConfirmation, confirmation, body, {
+    actor: context.actor,
+    label: `货件 ${confirmation.shipmentIdentifier}`,
+    ErrorClass: ShipmentConfirmationError
+  });
+  if (status === 'success' && confirmation.confirmationType === 'Replace') await markReplaced(confirmation);
+  console.log(`${LOG_PREFIX} 货件 ${confirmation.shipmentIdentifier} 经 ${context.actor ?? '-'} 核实为 ${status}`);
+  return getShipmentConfirmation(id, context.accountIds);
+}
+
+/**
+ * PO 各行已确认发货数量（PO 单位，计入规则见 getShippedQuantitiesByPo：含 unconfirmed，Replace 提交后不再计入被替换的货件确认）
+ * @param {string} purchaseOrderId
+ * @returns {Promise<Map<string, number>>} itemSequenceNumber → 发货数量
+ */
+async function getShippedQuantities(purchaseOrderId) {
+  const shippedByPo = await getShippedQuantitiesByPo([purchaseOrderId]);
+  return shippedByPo.get(purchaseOrderId) ?? new Map();
+}
+
+/**
+ * 货件确认列表（按创建时间倒序，含明细）
+ * @param {Object} filters - { poNumber?, storeId?, status?, limit? 默认 50 }
+ * @param {string[]} [accountIds]
+ */
+async function listShipmentConfirmations(filters = {}, accountIds) {
+  const where = {};
+  if (filters.poNumber) where.purchaseOrderNumber = String(filters.poNumber);
+  if (filters.storeId) where.amazonStoreId = filters.storeId;
+  if (filters.status) where.status = filters.status;
+  scopeToAccounts(where, accountIds);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+  return prisma.amazonVcShipmentConfirmation.findMany({
+    where,
+    include: { items: true },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+async function getShipmentConfirmation(id, accountIds) {
+  const { purchaseOrder, ...confirmation } = await findConfirmation(id, accountIds);
+  return confirmation;
+}
+
+export default {
+  buildShipmentConfirmation,
+  createShipmentConfirmation,
+  submitShipmentConfirmation,
+  deleteShipmentConfirmation,
+  checkShipmentConfirmationStatus,
+  processPendingShipmentConfirmations,
+  releaseShipmentConfirmation,
+  getShippedQuantities,
+  listShipmentConfirmations,
+  getShipmentConfirmation
+};
@@ -0,0 +1,36 @@
+/**
+ * SC 报表类型配置（参考 Report Type Values - Analytics Seller / Brand Analytics）
+ * https://developer-docs.amazon.com/sp-api/docs/report-type-values-analytics
+ * - period: 'DAY' 按天请求；'WEEK' 按整周请求（周日 ~ 周六，Brand Analytics 要求）
+ * - enabledByDefault: 未指定 reportTypes 时是否同步；Brand Analytics 需品牌备案且报表较大，默认关闭
+ */
+export const SC_REPORT_TYPES = [
+  {
+    reportType: 'GET_SALES_AND_TRAFFIC_REPORT',
+    period: 'DAY',
+    lookbackDays: 30,
+    reportOptions: { dateGranularity: 'DAY', asinGranularity: 'CHILD' },
+    enabledByDefault: true
+  },
+  {
+    reportType: 'GET_BRAND_ANALYTICS_SEARCH_TERMS_REPORT',
+    period: 'WEEK',
+    lookbackDays: 28,
+    reportOptions: { reportPeriod: 'WEEK' },
+    enabledByDefault: false
+  },
+  {
+    reportType: 'GET_BRAND_ANALYTICS_REPEAT_PURCHASE_REPORT',
+    period: 'WEEK',
+    lookbackDays: 28,
+    reportOptions: { reportPeriod: 'WEEK' },
+    enabledByDefault: false
+  },
+  {
+    reportType: 'GET_BRAND_ANALYTICS_MARKET_BASKET_REPORT',
+    period: 'WEEK',
+    lookbackDays: 28,
+    reportOptions: { reportPeriod: 'WEEK' },
+    enabledByDefault: false
+  }
+];
@@ -0,0 +1,232 @@
+/**
+ * VC 报表行解析：把 AmazonVcReportData.data 中的原始行转为各报表类型的结构化记录
+ * - Vendor Analytics 报表文档为 { reportSpecification, <rowsKey>: [...] }，downloadAndParseReport 会把整个文档作为一行保存，
+ *   解析时展开 rowsKey；已是明细行的数组直接解析
+ * - 每条记录含 asin、date（数据日期，UTC 0 点）与各类型字段，data 为原始行
+ * 字段参考 https://developer-docs.amazon.com/sp-api/docs/report-type-values-analytics
+ */
+
+/** 数据日期（UTC 0 点），无效返回 null */
+export function toUtcDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function toDateTime(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function toInt(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+/** Decimal 字段：保留为字符串交给 Prisma，避免浮点误差 */
+function toDecimal(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? String(value) : null;
+}
+
+/** 金额：{ amount, currencyCode } 或数字 */
+function money(value) {
+  if (value && typeof value === 'object') {
+    return { amount: toDecimal(value.amount), currencyCode: value.currencyCode ?? null };
+  }
+  return { amount: toDecimal(value), currencyCode: null };
+}
+
+/** 取第一个有币种的金额的币种 */
+function firstCurrency(...values) {
+  for (const value of values) {
+    if (value && typeof value === 'object' && value.currencyCode) return value.currencyCode;
+  }
+  return null;
+}
+
+/** 实时报表（按小时）：startTime/endTime，date 为 startTime 所在日 */
+function realtimeBase(row) {
+  const startTime = toDateTime(row.startTime);
+  if (!row.asin || !startTime) return null;
+  return {
+    asin: row.asin,
+    startTime,
+    endTime: toDateTime(row.endTime),
+    date: toUtcDate(startTime),
+    hour: startTime.getUTCHours()
+  };
+}
+
+/** 日报表：startDate/endDate */
+function dailyBase(row) {
+  const date = toUtcDate(row.startDate);
+  if (!row.asin || !date) return null;
+  return { asin: row.asin, date, endDate: toUtcDate(row.endDate) };
+}
+
+/**
+ * 各报表类型的解析配置
+ * - model: Prisma 模型名（prisma[model]）
+ * - rowsKey: 报表文档中明细数组的字段名
+ * - uniqueBy: 记录唯一键（除 amazonStoreId、marketplaceId 外）
+ * - parse(row): 返回记录或 null（缺少 asin/日期的行跳过）
+ */
+export const VC_REPORT_NORMALIZERS = {
+  GET_VENDOR_REAL_TIME_SALES_REPORT: {
+    model: 'amazonVcReportRealtimeSales',
+    rowsKey: 'reportData',
+    uniqueBy: ['asin', 'startTime'],
+    parse(row) {
+      const base = realtimeBase(row);
+      if (!base) return null;
+      const revenue = money(row.orderedRevenue);
+      return { ...base, orderedUnits: toInt(row.orderedUnits), orderedRevenue: revenue.amount, currencyCode: revenue.currencyCode };
+    }
+  },
+  GET_VENDOR_REAL_TIME_TRAFFIC_REPORT: {
+    model: 'amazonVcReportRealtimeTraffic',
+    rowsKey: 'reportData',
+    uniqueBy: ['asin', 'startTime'],
+    parse(row) {
+      const base = realtimeBase(row);
+      if (!base) return null;
+      return { ...base, glanceViews: toInt(row.glanceViews) };
+    }
+  },
+  GET_VENDOR_REAL_TIME_INVENTORY_REPORT: {
+    model: 'amazonVcReportRealtimeInventory',
+    rowsKey: 'reportData',
+    uniqueBy: ['asin', 'startTime'],
+    parse(row) {
+      const base = realtimeBase(row);
+      if (!base) return null;
+      return { ...base, highlyAvailableInventory: toInt(row.highlyAvailableInventory) };
+    }
+  },
+  GET_VENDOR_SALES_REPORT: {
+    model: 'amazonVcReportSales',
+    rowsKey: 'salesByAsin',
+    uniqueBy: ['asin', 'date'],
+    parse(row) {
+      const base = dailyBase(row);
+      if (!base) return null;
+      return {
+        ...base,
+        orderedUnits: toInt(row.orderedUnits),
+        orderedRevenue: money(row.orderedRevenue).amount,
+        shippedUnits: toInt(row.shippedUnits),
+        shippedRevenue: money(row.shippedRevenue).amount,
+        shippedCogs: money(row.shippedCogs).amount,
+        customerReturns: toInt(row.customerReturns),
+        currencyCode: firstCurrency(row.shippedRevenue, row.orderedRevenue, row.shippedCogs)
+      };
+    }
+  },
+  GET_VENDOR_NET_PURE_PRODUCT_MARGIN_REPORT: {
+    model: 'amazonVcReportNetPpm',
+    rowsKey: 'netPureProductMarginByAsin',
+    uniqueBy: ['asin', 'date'],
+    parse(row) {
+      const base = dailyBase(row);
+      if (!base) return null;
+      return { ...base, netPureProductMargin: toDecimal(row.netPureProductMargin) };
+    }
+  },
+  GET_VENDOR_TRAFFIC_REPORT: {
+    model: 'amazonVcReportTraffic',
+    rowsKey: 'trafficByAsin',
+    uniqueBy: ['asin', 'date'],
+    parse(row) {
+      const base = dailyBase(row);
+      if (!base) return null;
+      return { ...base, glanceViews: toInt(row.glanceViews) };
+    }
+  },
+  GET_VENDOR_FORECASTING_REPORT: {
+    model: 'amazonVcReportForecast',
+    rowsKey: 'forecastByAsin',
+    uniqueBy: ['asin', 'date'],
+    parse(row) {
+      const base = dailyBase(row);
+      if (!base) return null;
+      return {
+        ...base,
+        forecastGenerationDate: toUtcDate(row.forecastGenerationDate),
+        meanForecastUnits: toDecimal(row.meanForecastUnits),
+        p70ForecastUnits: toDecimal(row.p70ForecastUnits),
+        p80ForecastUnits: toDecimal(row.p80ForecastUnits),
+        p90ForecastUnits: toDecimal(row.p90ForecastUnits)
+      };
+    }
+  },
+  GET_VENDOR_INVENTORY_REPORT: {
+    model: 'amazonVcReportInventory',
+    rowsKey: 'inventoryByAsin',
+    uniqueBy: ['asin', 'date'],
+    parse(row) {
+      const base = dailyBase(row);
+      if (!base) return null;
+      return {
+        ...base,
+        netReceivedUnits: toInt(row.netReceivedUnits),
+        netReceivedAmount: money(row.netReceivedAmount).amount,
+        openPurchaseOrderUnits: toInt(row.openPurchaseOrderUnits),
+        sellableOnHandInventoryUnits: toInt(row.sellableOnHandInventoryUnits),
+        sellableOnHandInventoryCost: money(row.sellableOnHandInventoryCost).amount,
+        unsellableOnHandInventoryUnits: toInt(row.unsellableOnHandInventoryUnits),
+        unsellableOnHandInventoryCost: money(row.unsellableOnHandInventoryCost).amount,
+        aged90PlusDaysSellableInventoryUnits: toInt(row.aged90PlusDaysSellableInventoryUnits),
+        aged90PlusDaysSellableInventoryCost: money(row.aged90PlusDaysSellableInventoryCost).amount,
+        unhealthyInventoryUnits: toInt(row.unhealthyInventoryUnits),
+        unhealthyInventoryCost: money(row.unhealthyInventoryCost).amount,
+        unfilledCustomerOrderedUnits: toInt(row.unfilledCustomerOrderedUnits),
+        sellThroughRate: toDecimal(row.sellThroughRate),
+        vendorConfirmationRate: toDecimal(row.vendorConfirmationRate),
+        receiveFillRate: toDecimal(row.receiveFillRate),
+        procurableProductOutOfStockRate: toDecimal(row.procurableProductOutOfStockRate),
+        sourceableProductOutOfStockRate: toDecimal(row.sourceableProductOutOfStockRate),
+        overallVendorLeadTimeDays: toDecimal(row.overallVendorLeadTimeDays),
+        currencyCode: firstCurrency(row.sellableOnHandInventoryCost, row.netReceivedAmount, row.unsellableOnHandInventoryCost)
+      };
+    }
+  }
+};
+
+/**
+ * 解析报表行
+ * @param {string} reportType
+ * @param {Array<Object>} rows - AmazonVcReportData.data
+ * @returns {{ model: string, records: Object[], skipped: number } | null} 未配置解析的报表类型返回 null
+ */
+export function normalizeReportRows(reportType, rows) {
+  const normalizer = VC_REPORT_NORMALIZERS[reportType];
+  if (!normalizer) return null;
+  const detailRows = (Array.isArray(rows) ? rows : [])
+    .flatMap((row) => (row && Array.isArray(row[normalizer.rowsKey]) ? row[normalizer.rowsKey] : [row]))
+    .filter((row) => row && typeof row === 'object');
+
+  // 同一报表内重复的唯一键保留最后一行
+  const byKey = new Map();
+  let skipped = 0;
+  for (const row of detailRows) {
+    const record = normalizer.parse(row);
+    if (!record) {
+      skipped++;
+      continue;
+    }
+    const key = normalizer.uniqueBy.map((field) => (record[field] instanceof Date ? record[field].toISOString() : record[field])).join('|');
+    byKey.set(key, { ...record, data: row });
+  }
+  return { model: normalizer.model, records: [...byKey.values()], skipped };
+}
+
+export default {
+  VC_REPORT_NORMALIZERS,
+  normalizeReportRows,
+  toUtcDate
+};
@@ -0,0 +1,279 @@
+/**
+ * 亚马逊 VC 单据（PO 确认 / 货件确认 / 发票）提交与交易跟踪的公共规则
+ * - submitting（已领取，正在调用 SP-API）→ submitted / processing（Amazon 已受理，经 getTransaction 跟踪）→ success | failure
+ * - error：Amazon 明确拒绝了提交请求（SP-API 返回 4xx 错误码）或请求未发出，单据未被受理，可修正后重新提交
+ * - unconfirmed：提交结果未知（网络错误 / 5xx、未返回 transactionId、停留在 submitting），单据可能已被受理：
+ *   照常占用接受 / 发货 / 开票数量，不可编辑、删除或重新提交，须在 Vendor Central 核实后由操作员 release
+ */
+import prisma from '../../config/database.js';
+import { generateAmazonRequestId, getAmazonRequestIdFromError } from '../../utils/amazon.js';
+import amazonService from './amazonService.js';
+
+/** 停留在 submitting 超过该时长（毫秒）视为提交结果未知 */
+export const STALE_SUBMITTING_MS = 30 * 60 * 1000;
+/** 已受理、待跟踪交易状态 */
+export const PENDING_STATUSES = ['submitted', 'processing'];
+/** 计入已接受 / 已发货 / 已开票数量的状态（结果未知的提交可能已被受理，照常计入） */
+export const COUNTED_STATUSES = ['submitting', ...PENDING_STATUSES, 'success', 'unconfirmed'];
+/** release 的核实结果：received Vendor Central 已收到（记为 success）| notReceived 未收到（记为 error，可重新提交） */
+export const RELEASE_OUTCOMES = { received: 'success', notReceived: 'error' };
+
+/**
+ * 可确定单据未被 Amazon 受理的错误码
+ * - SP-API 4xx 错误（含限流 QuotaExceeded）
+ * - amazon-sp-api 在发出请求前的校验错误、刷新 access token 失败（LWA OAuth 错误）
+ */
+const REJECTED_ERROR_CODES = new Set([
+  'InvalidInput', 'InvalidRequest', 'InvalidParameterValue', 'Unauthorized', 'AccessDenied', 'Forbidden', 'NotFound',
+  'MethodNotAllowed', 'NotAcceptable', 'RequestTooLarge', 'UnsupportedMediaType', 'QuotaExceeded',
+  'NO_VALID_REGION_PROVIDED', 'NO_REFRESH_TOKEN_PROVIDED', 'NO_ACCESS_TOKEN_PRESENT', 'NO_OPERATION_GIVEN', 'NO_ENDPOINT_GIVEN',
+  'NO_VALID_METHOD_PROVIDED', 'ENDPOINT_NOT_FOUND', 'INVALID_OPERATION_FOR_ENDPOINT', 'OPERATION_NOT_FOUND_FOR_VERSION',
+  'INVALID_VERSION_FOR_ENDPOINTS', 'VERSION_DEFINED_FOR_INVALID_ENDPOINTS', 'REFRESH_ACCESS_TOKEN_PARSE_ERROR',
+  'UNKNOWN_REFRESH_ACCESS_TOKEN_ERROR', 'invalid_grant', 'invalid_client', 'invalid_request', 'unauthorized_client'
+]);
+
+const VERIFY_HINT = '请在 Vendor Central 核实后通过 release 接口处理';
+
+/** PO 行的箱规（按件订购为 1） */
+export function getUnitSize(line) {
+  return line.orderedQuantity.unitOfMeasure === 'Eaches' ? 1 : Math.max(Number(line.orderedQuantity.unitSize) || 1, 1);
+}
+
+/** 限定调用方可访问的领星账户（为空不限）；三类单据均经 purchaseOrder 关联店铺 */
+export function scopeToAccounts(where, accountIds) {
+  if (accountIds?.length) where.purchaseOrder = { amazonStore: { accountId: { in: accountIds } } };
+  return where;
+}
+
+/** 提交请求的错误是否可确定单据未被受理（否则提交结果未知） */
+export function isDefiniteRejection(error) {
+  return REJECTED_ERROR_CODES.has(String(error?.code ?? ''));
+}
+
+/** 提交结果未知时记录的错误 */
+export function unconfirmedError(code, reason) {
+  return { code, message: `${reason}，提交结果未知，${VERIFY_HINT}` };
+}
+
+/**
+ * 按 PO 号查找 PO（含店铺与明细）
+ * @param {string} purchaseOrderNumber
+ * @param {string} [storeId] - 多个 VC 店铺存在同号 PO 时必填
+ * @param {string[]} [accountIds] - 调用方可访问的领星账户（为空不限），范围外的 PO 视为不存在
+ * @param {Function} ErrorClass - 调用方的错误类（statusCode, message）
+ */
+export async function findPurchaseOrder(purchaseOrderNumber, storeId, accountIds, ErrorClass) {
+  const where = { purchaseOrderNumber };
+  if (storeId) where.amazonStoreId = storeId;
+  if (accountIds?.length) where.amazonStore = { accountId: { in: accountIds } };
+  const pos = await prisma.amazonVcPurchaseOrder.findMany({
+    where,
+    include: { amazonStore: true, items: true },
+    take: 2
+  });
+  if (pos.length === 0) throw new ErrorClass(404, `PO ${purchaseOrderNumber} 不存在`);
+  if (pos.length > 1) throw new ErrorClass(409, `多个店铺存在 PO ${purchaseOrderNumber}，请指定 storeId`);
+  return pos[0];
+}
+
+/**
+ * 调用 SP-API 提交单据并归类结果
+ * - 返回 transactionId：submitted
+ * - 明确拒绝（见 isDefiniteRejection）或未能创建客户端：error
+ * - 其它异常（网络、5xx、响应无法解析）或未返回 transactionId：unconfirmed
+ * @param {Object} store - AmazonStore
+ * @param {Object} request - { operation, endpoint, body }
+ * @param {Object} log - { prefix, label: 日志中的单据描述 }
+ * @returns {Promise<{ status: 'submitted' | 'error' | 'unconfirmed', transactionId: string|null, errors: Object[]|null }>}
+ */
+export async function submitDocument(store, request, { prefix, label }) {
+  const requestId = generateAmazonRequestId();
+  let spClient;
+  try {
+    spClient = amazonService.getClient(store);
+  } catch (e) {
+    console.error(`${prefix} [${requestId}] 提交${label} 失败:`, e?.message);
+    return { status: 'error', transactionId: null, errors: [{ code: e?.code ?? null, message: e?.message || String(e) }] };
+  }
+  try {
+    const res = await spClient.callAPI(request);
+    const transactionId = res?.transactionId ?? null;
+    console.log(`${prefix} [${requestId}] 已提交${label} transactionId=${transactionId}`);
+    if (transactionId) return { status: 'submitted', transactionId, errors: null };
+    return { status: 'unconfirmed', transactionId: null, errors: [unconfirmedError('MissingTransactionId', '提交成功但未返回 transactionId')] };
+  } catch (e) {
+    const apiRequestId = getAmazonRequestIdFromError(e) ?? null;
+    console.error(`${prefix} [${requestId}] 提交${label} 失败:`, e?.code ?? e?.name, e?.message, 'apiRequestId=', apiRequestId);
+    if (isDefiniteRejection(e)) {
+      return { status: 'error', transactionId: null, errors: [{ code: e.code, message: e.message, apiRequestId }] };
+    }
+    const error = unconfirmedError(e?.code ?? 'SubmissionUnconfirmed', `提交请求异常（${e?.message || e}）`);
+    return { status: 'unconfirmed', transactionId: null, errors: [{ ...error, apiRequestId }] };
+  }
+}
+
+/**
+ * 把停留在 submitting 超过 STALE_SUBMITTING_MS 的记录标记为 unconfirmed（进程中断或提交后写库失败）
+ * @param {Object} delegate - prisma 模型（amazonVcPoAcknowledgement / amazonVcShipmentConfirmation / amazonVcInvoice）
+ * @param {string[]} [accountIds]
+ * @param {Object} [select] - 额外返回的字段
+ * @returns {Promise<Object[]>} 已标记的记录（含 id、purchaseOrderId 与 select 的字段）
+ */
+export async function markStaleSubmissions(delegate, accountIds, select = {}) {
+  const where = scopeToAccounts({ status: 'submitting', updatedAt: { lt: new Date(Date.now() - STALE_SUBMITTING_MS) } }, accountIds);
+  const stale = await delegate.findMany({ where, select: { ...select, id: true, purchaseOrderId: true } });
+  const marked = [];
+  for (const record of stale) {
+    const { count } = await delegate.updateMany({
+      where: { id: record.id, status: 'submitting' },
+      data: { status: 'unconfirmed', errors: [unconfirmedError('SubmissionUnconfirmed', '停留在 submitting（进程中断或提交后写库失败）')] }
+    });
+    if (count > 0) marked.push(record);
+  }
+  return marked;
+}
+
+/**
+ * 查询一条记录的交易状态并以条件更新写回（Processing 保持待查；Success / Failure 为终态）
+ * @param {Object} delegate
+ * @param {Object} record - 含 id、transactionId、checkCount
+ * @param {Object} store - AmazonStore
+ * @returns {Promise<{ status: 'success' | 'failure' | 'processing', updated: boolean, at: Date }>} updated 为 false 表示记录已不在跟踪中
+ */
+export async function checkTransaction(delegate, record, store) {
+  const spClient = amazonService.getClient(store);
+  const res = await spClient.callAPI({
+    operation: 'getTransaction',
+    endpoint: 'vendorTransactionStatus',
+    path: { transactionId: record.transactionId }
+  });
+  const transaction = res?.transactionStatus ?? res;
+  const reported = String(transaction?.status ?? '').toLowerCase();
+  const status = reported === 'success' || reported === 'failure' ? reported : 'processing';
+  const at = new Date();
+  const data = { status, lastCheckedAt: at, checkCount: record.checkCount + 1 };
+  if (status !== 'processing') Object.assign(data, { completedAt: at, errors: transaction.errors ?? null });
+  // 条件更新：只更新仍未到终态的记录
+  const { count } = await delegate.updateMany({ where: { id: record.id, status: { in: PENDING_STATUSES } }, data });
+  return { status, updated: count > 0, at };
+}
+
+/**
+ * 跟踪所有未到终态的记录（submitted / processing），先标记停留在 submitting 的记录（recovered）
+ * @param {Object} tracker
+ *   - delegate, prefix: 日志前缀
+ *   - recover(accountIds): Promise<number> 标记停留在 submitting 的记录
+ *   - check(record): Promise<Object> 查询一条记录，返回含 status 的结果
+ *   - describe(record): Object 查询出错时结果中的标识字段
+ * @param {Object} [options] - { maxItems?: number 默认 50 }
+ * @param {string[]} [accountIds] - 仅跟踪这些领星账户下店铺的记录（为空不限）
+ * @returns {Promise<{ recovered, processed, success, failure, processing, errors, results }>}
+ */
+export async function processPendingTransactions(tracker, options = {}, accountIds) {
+  const { delegate, prefix, recover, check, describe } = tracker;
+  const recovered = await recover(accountIds);
+  const maxItems = Math.min(Math.max(parseInt(options.maxItems, 10) || 50, 1), 500);
+  const pending = await delegate.findMany({
+    where: scopeToAccounts({ status: { in: PENDING_STATUSES }, transactionId: { not: null } }, accountIds),
+    include: { purchaseOrder: { include: { amazonStore: true } } },
+    orderBy: [{ lastCheckedAt: { sort: 'asc', nulls: 'first' } }, { submittedAt: 'asc' }],
+    take: maxItems
+  });
+  const summary = { recovered, processed: pending.length, success: 0, failure: 0, processing: 0, errors: 0, results: [] };
+  for (const record of pending) {
+    try {
+      const r = await check(record);
+      summary[r.status]++;
+      summary.results.push(r);
+    } catch (e) {
+      summary.errors++;
+      summary.results.push({ ...describe(record), error: e?.message || String(e) });
+      console.error(`${prefix} 查询交易状态失败 transactionId=${record.transactionId}:`, e?.message, 'apiRequestId=', getAmazonRequestIdFromError(e));
+    }
+  }
+  return summary;
+}
+
+/**
+ * 操作员在 Vendor Central 核实后处理 unconfirmed 记录（以条件更新防止并发重复处理）
+ * @param {Object} delegate
+ * @param {Object} record - 已按账户范围查出的记录
+ * @param {Object} body - { outcome: 'received' | 'notReceived', note? }
+ * @param {Object} context - { actor?, label: 报错中的单据描述, ErrorClass }
+ * @returns {Promise<{ status: 'success' | 'error', at: Date }>}
+ */
+export async function releaseUnconfirmed(delegate, record, body, { actor = null, label, ErrorClass }) {
+  const status = RELEASE_OUTCOMES[body?.outcome];
+  if (!status) throw new ErrorClass(400, `outcome 须为 ${Object.keys(RELEASE_OUTCOMES).join(' / ')}`);
+  if (record.status !== 'unconfirmed') throw new ErrorClass(409, `${label} 当前状态为 ${record.status}，只能处理 unconfirmed 状态`);
+  const at = new Date();
+  const note = {
+    code: 'ReleasedByOperator',
+    message: `${actor ?? '-'} 在 Vendor Central 核实为${body.outcome === 'received' ? '已收到' : '未收到'}${body.note ? `：${body.note}` : ''}`
+  };
+  const { count } = await delegate.updateMany({
+    where: { id: record.id, status: 'unconfirmed' },
+    data: { status, completedAt: at, errors: [...(Array.isArray(record.errors) ? record.errors : []), note] }
+  });
+  if (count === 0) throw new ErrorClass(409, `${label} 已被处理`);
+  return { status, at };
+}
+
+/**
+ * 分配默认单据号：序号按 key 原子递增（并发创建不重复，删除草稿后不复用），跳过已被占用的号
+ * @param {string} key - shipment:<PO ID> / invoice:<PO ID>
+ * @param {(n: number) => string} format - 序号 → 单据号
+ * @param {(number: string) => Promise<boolean>} isTaken
+ * @param {boolean} [preview] - 只预览下一个序号（dryRun），不占用
+ * @returns {Promise<string>}
+ */
+export async function nextDocumentNumber(key, format, isTaken, preview = false) {
+  if (preview) {
+    const sequence = await prisma.amazonVcDocumentSequence.findUnique({ where: { key } });
+    return format((sequence?.lastValue ?? 0) + 1);
+  }
+  for (;;) {
+    const sequence = await prisma.amazonVcDocumentSequence.upsert({
+      where: { key },
+      create: { key, lastValue: 1 },
+      update: { lastValue: { increment: 1 } }
+    });
+    const number = format(sequence.lastValue);
+    if (!(await isTaken(number))) return number;
+  }
+}
+
+/**
+ * 各 PO 已确认发货数量（PO 单位，计入 COUNTED_STATUSES 的货件确认）
+ * 同一货件号只计最近创建的一条：Replace 提交后即取代原货件确认，Replace 失败（failure / error）时原货件确认重新计入
+ * @param {string[]} purchaseOrderIds
+ * @param {Object} [options] - { excludeConfirmationId?, excludeShipmentIdentifier?: 不计该货件号（校验其 Replace 时） }
+ * @returns {Promise<Map<string, Map<string, number>>>} purchaseOrderId → itemSequenceNumber → 发货数量
+ */
+export async function getShippedQuantitiesByPo(purchaseOrderIds, options = {}) {
+  const where = { purchaseOrderId: { in: purchaseOrderIds }, status: { in: COUNTED_STATUSES } };
+  if (options.excludeConfirmationId) where.id = { not: options.excludeConfirmationId };
+  const confirmations = await prisma.amazonVcShipmentConfirmation.findMany({
+    where,
+    select: {
+      purchaseOrderId: true,
+      shipmentIdentifier: true,
+      items: { select: { itemSequenceNumber: true, shippedQuantity: true } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+  const shipped = new Map();
+  const seen = new Set();
+  for (const confirmation of confirmations) {
+    if (confirmation.shipmentIdentifier === options.excludeShipmentIdentifier) continue;
+    const key = `${confirmation.purchaseOrderId}:${confirmation.shipmentIdentifier}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const lines = shipped.get(confirmation.purchaseOrderId) ?? new Map();
+    for (const item of confirmation.items) {
+      lines.set(item.itemSequenceNumber, (lines.get(item.itemSequenceNumber) ?? 0) + item.shippedQuantity);
+    }
+    shipped.set(confirmation.purchaseOrderId, lines);
+  }
+  return shipped;
+}
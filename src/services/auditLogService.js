@@ -0,0 +1,132 @@
+import os from 'os';
+import prisma from '../config/database.js';
+
+const LOG_PREFIX = '[AuditLog]';
+
+/** 脱敏的参数名（不区分大小写，部分匹配） */
+const SENSITIVE_KEY_PATTERN = /token|secret|password|passwd|api_?key|oauth_code|authorization|^sign$|^key$/i;
+const REDACTED = '***';
+/** 参数序列化后超过该长度时只保留预览 */
+const MAX_PARAMS_LENGTH = 16000;
+
+/** 递归脱敏 */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, SENSITIVE_KEY_PATTERN.test(k) ? REDACTED : redactSecrets(v)])
+    );
+  }
+  return value;
+}
+
+function limitParams(params) {
+  if (params === null || params === undefined) return null;
+  const text = JSON.stringify(params);
+  if (text.length <= MAX_PARAMS_LENGTH) return params;
+  return { truncated: true, length: text.length, preview: text.slice(0, MAX_PARAMS_LENGTH) };
+}
+
+/**
+ * 审计日志
+ * - API：authRoutes 的 onResponse 钩子记录所有非 GET 请求（及 config.audit=true 的 GET，如 Amazon 授权回调），写入失败只打印日志
+ * - CLI：worker --run 执行结束后记录
+ */
+class AuditLogService {
+  /**
+   * 写入一条审计日志
+   * @param {Object} entry - source, actor?, actorType?, role?, method, route, url?, params?, accountIds?, statusCode?, success, error?, durationMs?, ip?, userAgent?
+   * @returns {Promise<Object|null>} 写入失败返回 null
+   */
+  async record(entry) {
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          source: entry.source,
+          actor: entry.actor ?? null,
+          actorType: entry.actorType ?? null,
+          role: entry.role ?? null,
+          method: entry.method,
+          route: entry.route,
+          url: entry.url ?? null,
+          params: limitParams(redactSecrets(entry.params ?? null)),
+          accountIds: entry.accountIds ?? [],
+          statusCode: entry.statusCode ?? null,
+          success: !!entry.success,
+          error: entry.error ? String(entry.error).slice(0, 4000) : null,
+          durationMs: entry.durationMs !== undefined && entry.durationMs !== null ? Math.round(entry.durationMs) : null,
+          ip: entry.ip ?? null,
+          userAgent: entry.userAgent ? String(entry.userAgent).slice(0, 500) : null
+        }
+      });
+    } catch (err) {
+      console.error(`${LOG_PREFIX} 写入失败 ${entry.method} ${entry.route}:`, err?.message ?? err);
+      return null;
+    }
+  }
+
+  /**
+   * 记录 worker --run 调用
+   * @param {Object} params - taskType, args（命令行参数）, success, error?, durationMs
+   */
+  async recordCliRun({ taskType, args, success, error, durationMs }) {
+    let actor = process.env.AUDIT_ACTOR || null;
+    if (!actor) {
+      try {
+        actor = os.userInfo().username;
+      } catch {
+        actor = null;
+      }
+    }
+    return this.record({
+      source: 'cli',
+      actor: actor ? `${actor}@${os.hostname()}` : os.hostname(),
+      actorType: 'cli',
+      method: 'RUN',
+      route: `--run ${taskType}`,
+      params: { args },
+      statusCode: success ? 0 : 1,
+      success,
+      error,
+      durationMs
+    });
+  }
+
+  /**
+   * 审计日志列表
+   * @param {Object} filters - actor?, source?, method?, route?（包含匹配）, accountId?, success?, statusCode?, from?, to?, page?, pageSize?
+   * @returns {Promise<{ total, page, pageSize, list }>}
+   */
+  async listAuditLogs(filters = {}) {
+    const { actor, source, method, route, accountId, success, statusCode, from, to } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 50, 1), 500);
+    const where = {};
+    if (actor) where.actor = actor;
+    if (source) where.source = source;
+    if (method) where.method = String(method).toUpperCase();
+    if (route) where.route = { contains: route };
+    if (accountId) where.accountIds = { has: String(accountId) };
+    if (success === 'true' || success === true) where.success = true;
+    if (success === 'false' || success === false) where.success = false;
+    if (statusCode !== undefined && statusCode !== '') where.statusCode = parseInt(statusCode, 10);
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [total, list] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      })
+    ]);
+    return { total, page, pageSize, list };
+  }
+}
+
+export default new AuditLogService();
@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+
+/**
+ * API 鉴权与授权
+ * - 凭证：Authorization: Bearer <API 密钥或 JWT>，或 X-API-Key: <API 密钥>；SSE（/api/events）可用 ?access_token=
+ * - API 密钥：存于 api_keys（只存 sha256），/api/auth/keys 管理；AUTH_ADMIN_API_KEY 为引导用的管理员密钥（不限账户）
+ * - JWT：HS256，密钥 AUTH_JWT_SECRET；claims: sub、role、accounts（领星账户ID数组，不传表示不限）、exp；
+ *   可选校验 AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE
+ * - 角色：reader（只读查询）< operator（触发同步/拉取等写操作）< admin（账户、密钥、审计日志、同步状态、限流、任务定义管理）
+ * - 账户范围：限定账户的凭证只能访问带 accountId（路径/查询/Body）且在范围内的请求，不带 accountId 的请求（如遍历所有账户的同步）拒绝；
+ *   按资源 ID 访问的路由通过 config.auth.resourceAccountIds 解析资源所属账户后校验
+ * - AUTH_ENABLED=false 关闭鉴权（仅本地开发）
+ */
+
+const LOG_PREFIX = '[Auth]';
+
+export const ROLES = ['reader', 'operator', 'admin'];
+
+/** 不需要鉴权 */
+export const PUBLIC = 'public';
+
+/** API 密钥查询缓存时间（毫秒）；吊销后其它进程最多在该时间内仍可使用 */
+const KEY_CACHE_TTL_MS = 30 * 1000;
+/** lastUsedAt 最短更新间隔（毫秒） */
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 路由分组所需角色（按顺序匹配第一条；method 不填表示任意方法）
+ * 按已匹配的路由模式（request.routeOptions.url）或规范化后的路径匹配，见 normalizeRequestPath
+ * 未匹配的请求：GET/HEAD 为 reader，其它方法为 operator；OPTIONS（CORS 预检）公开
+ * 路由可通过 config.auth 覆盖：'public'、角色名，或 { role?, accountScope: false }（不校验账户范围），
+ * 或 { role?, resourceAccountIds: async (request) => string[] | null | undefined }（按资源所属账户校验，见 assertResourceAccountScope）
+ */
+const ROUTE_RULES = [
+  { prefix: '/health', role: PUBLIC },
+  { prefix: '/mock/lingxing', role: PUBLIC },
+  { prefix: '/api/accounts', role: 'admin' },
+  { prefix: '/api/auth', role: 'admin' },
+  { prefix: '/api/audit', role: 'admin' },
+  { prefix: '/api/amazon/auth-url', role: 'admin' },
+  { prefix: '/api/amazon/access-token', role: 'admin' },
+  { prefix: '/api/jobs/definitions', method: 'PUT', role: 'admin' },
+  { prefix: '/api/lingxing/sync/state', method: 'PUT', role: 'admin' },
+  { prefix: '/api/lingxing/sync/state', method: 'DELETE', role: 'admin' },
+  { prefix: '/api/lingxing/sync/state/reset', role: 'admin' },
+  { prefix: '/api/lingxing/sync/rate-limits/reset', role: 'admin' }
+];
+
+/** keyHash -> { principal, cachedAt } */
+const keyCache = new Map();
+/** apiKeyId -> 上次写入 lastUsedAt 的时间 */
+const lastUsedWrites = new Map();
+
+export class AuthError extends Error {
+  /**
+   * @param {number} statusCode - 401 未认证 / 403 无权限
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function isAuthEnabled() {
+  return process.env.AUTH_ENABLED !== 'false';
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * 角色是否满足要求
+ * @param {string} role - 凭证角色
+ * @param {string} required - 所需角色
+ */
+export function hasRole(role, required) {
+  if (required === PUBLIC) return true;
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/**
+ * 规范化请求路径：去掉查询串与 ; 之后的部分、百分号解码、合并连续斜杠、去掉末尾斜杠
+ * Fastify 按解码后的路径路由而 request.url 保持原样，不规范化时 /api/%61uth/keys 可绕过 admin 规则
+ * @param {string} url - 原始 request.url 或路由模式
+ * @returns {string}
+ */
+export function normalizeRequestPath(url) {
+  let path = String(url ?? '').split(/[?;#]/)[0];
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // 非法编码保持原样（Fastify 同样无法路由，返回 400/404）
+  }
+  path = path.replace(/\/{2,}/g, '/');
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * 请求所需角色
+ * @param {string} method
+ * @param {string} path - 已匹配的路由模式，未匹配路由时为 request.url（内部规范化）
+ * @param {string|Object} [routeAuth] - 路由 config.auth
+ * @returns {string} 'public' 或角色名
+ */
+export function getRequiredRole(method, path, routeAuth) {
+  if (typeof routeAuth === 'string') return routeAuth;
+  if (routeAuth?.role) return routeAuth.role;
+  const upper = method.toUpperCase();
+  if (upper === 'OPTIONS') return PUBLIC;
+  path = normalizeRequestPath(path);
+  for (const rule of ROUTE_RULES) {
+    if (rule.method && rule.method !== upper) continue;
+    if (path === rule.prefix || path.startsWith(`${rule.prefix}/`)) return rule.role;
+  }
+  return upper === 'GET' || upper === 'HEAD' ? 'reader' : 'operator';
+}
+
+function normalizeAccountIds(accountIds) {
+  if (!Array.isArray(accountIds) || accountIds.length === 0) return null;
+  return accountIds.map(String);
+}
+
+function base64UrlDecode(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * 校验 HS256 JWT
+ * @returns {Object} principal
+ * @throws {AuthError}
+ */
+export function verifyJwt(token) {
+  const secret = process.env.AUTH_JWT_SECRET;
+  if (!secret) throw new AuthError(401, '未配置 JWT 鉴权');
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(headerPart).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(payloadPart).toString('utf8'));
+  } catch {
+    throw new AuthError(401, 'JWT 格式错误');
+  }
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    throw new AuthError(401, 'JWT 格式错误');
+  }
+  if (header.alg !== 'HS256') throw new AuthError(401, `不支持的 JWT 算法: ${header.alg}`);
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest('base64url');
+  if (!safeEqual(expected, signaturePart)) throw new AuthError(401, 'JWT 签名无效');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now >= payload.exp) throw new AuthError(401, 'JWT 已过期');
+  if (payload.nbf !== undefined && now < payload.nbf) throw new AuthError(401, 'JWT 尚未生效');
+  if (process.env.AUTH_JWT_ISSUER && payload.iss !== process.env.AUTH_JWT_ISSUER) throw new AuthError(401, 'JWT iss 不匹配');
+  if (process.env.AUTH_JWT_AUDIENCE) {
+    const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!aud.includes(process.env.AUTH_JWT_AUDIENCE)) throw new AuthError(401, 'JWT aud 不匹配');
+  }
+  if (!ROLES.includes(payload.role)) throw new AuthError(403, 'JWT 缺少有效的 role');
+  return {
+    type: 'jwt',
+    id: payload.sub ?? null,
+    name: payload.sub ?? payload.name ?? 'jwt',
+    role: payload.role,
+    accountIds: normalizeAccountIds(payload.accounts)
+  };
+}
+
+/**
+ * 校验 API 密钥
+ * @returns {Promise<Object>} principal
+ * @throws {AuthError}
+ */
+export async function verifyApiKey(key) {
+  const adminKey = process.env.AUTH_ADMIN_API_KEY;
+  if (adminKey && safeEqual(key, adminKey)) {
+    return { type: 'bootstrap', id: null, name: 'bootstrap-admin', role: 'admin', accountIds: null };
+  }
+
+  const keyHash = hashApiKey(key);
+  const cached = keyCache.get(keyHash);
+  let principal = cached && Date.now() - cached.cachedAt < KEY_CACHE_TTL_MS ? cached.principal : undefined;
+  if (principal === undefined) {
+    const row = await prisma.apiKey.findUnique({ where: { keyHash } });
+    principal = row && row.isActive
+      ? {
+        type: 'apiKey',
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        accountIds: normalizeAccountIds(row.accountIds),
+        expiresAt: row.expiresAt
+      }
+      : null;
+    keyCache.set(keyHash, { principal, cachedAt: Date.now() });
+  }
+  if (!principal) throw new AuthError(401, 'API 密钥无效或已吊销');
+  if (principal.expiresAt && new Date(principal.expiresAt) <= new Date()) throw new AuthError(401, 'API 密钥已过期');
+
+  const lastWrite = lastUsedWrites.get(principal.id) ?? 0;
+  if (Date.now() - lastWrite > LAST_USED_UPDATE_INTERVAL_MS) {
+    lastUsedWrites.set(principal.id, Date.now());
+    prisma.apiKey.update({ where: { id: principal.id }, data: { lastUsedAt: new Date() } })
+      .catch((err) => console.warn(`${LOG_PREFIX} 更新 lastUsedAt 失败: ${err?.message ?? err}`));
+  }
+  return principal;
+}
+
+/**
+ * 从请求中取凭证并校验
+ * @param {Object} request - Fastify request
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken=false] - 允许 ?access_token=（EventSource 无法设置请求头）
+ * @returns {Promise<Object>} principal { type, id, name, role, accountIds }
+ * @throws {AuthError}
+ */
+export async function authenticate(request, { allowQueryToken = false } = {}) {
+  let token = null;
+  const authorization = request.headers.authorization;
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    token = authorization.replace(/^Bearer\s+/i, '').trim();
+  } else if (request.headers['x-api-key']) {
+    token = String(request.headers['x-api-key']).trim();
+  } else if (allowQueryToken && request.query?.access_token) {
+    token = String(request.query.access_token);
+  }
+  if (!token) throw new AuthError(401, '未提供 API 密钥或 JWT');
+  return token.split('.').length === 3 ? verifyJwt(token) : verifyApiKey(token);
+}
+
+/**
+ * 请求中指定的领星账户ID（路径参数、查询、Body 的 accountId / accountIds）
+ * @returns {string[]}
+ */
+export function getRequestAccountIds(request) {
+  const ids = [];
+  for (const source of [request.params, request.query, request.body]) {
+    if (!source || typeof source !== 'object') continue;
+    if (source.accountId !== undefined && source.accountId !== null && source.accountId !== '') ids.push(String(source.accountId));
+    if (Array.isArray(source.accountIds)) ids.push(...source.accountIds.map(String));
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * 校验凭证的账户范围
+ * @throws {AuthError} 403
+ */
+export function assertAccountScope(principal, request) {
+  if (!principal?.accountIds) return;
+  const ids = getRequestAccountIds(request);
+  if (ids.length === 0) {
+    throw new AuthError(403, '该凭证仅限指定领星账户，请在请求中提供 accountId');
+  }
+  const denied = ids.filter((id) => !principal.accountIds.includes(id));
+  if (denied.length > 0) {
+    throw new AuthError(403, `无权访问领星账户: ${denied.join(', ')}`);
+  }
+}
+
+/**
+ * 按资源所属账户校验凭证的账户范围（用于 /runs/:id 这类只带资源 ID 的路由）
+ * @param {Object} principal - request.auth
+ * @param {Array<string>|null|undefined} resourceAccountIds - 资源所属账户；
+ *   undefined 表示资源不存在（交由处理函数返回 404），null 表示资源不限账户（如遍历所有账户的同步），限定账户的凭证拒绝
+ * @throws {AuthError} 403
+ */
+export function assertResourceAccountScope(principal, resourceAccountIds) {
+  if (!principal?.accountIds || resourceAccountIds === undefined) return;
+  if (resourceAccountIds === null) {
+    throw new AuthError(403, '该资源不限定领星账户，限定账户的凭证无权访问');
+  }
+  const denied = [...new Set(resourceAccountIds.map(String))].filter((id) => !principal.accountIds.includes(id));
+  if (denied.length > 0) {
+    throw new AuthError(403, `无权访问领星账户: ${denied.join(', ')}`);
+  }
+}
+
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  role: true,
+  accountIds: true,
+  isActive: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdBy: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * 创建 API 密钥（明文只在此返回）
+ * @param {Object} params - name, role, accountIds?, expiresAt?, createdBy?
+ * @returns {Promise<{ key: string, apiKey: Object }>}
+ */
+export async function createApiKey({ name, role, accountIds = [], expiresAt = null, createdBy = null }) {
+  if (!name) throw new Error('请提供 name');
+  if (!ROLES.includes(role)) throw new Error(`role 必须为 ${ROLES.join(' / ')}`);
+  if (!Array.isArray(accountIds)) throw new Error('accountIds 必须为数组');
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && Number.isNaN(expires.getTime())) throw new Error('expiresAt 格式错误');
+
+  const key = `gdh_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name: String(name),
+      keyPrefix: key.slice(0, 12),
+      keyHash: hashApiKey(key),
+      role,
+      accountIds: accountIds.map(String),
+      expiresAt: expires,
+      createdBy
+    },
+    select: API_KEY_SELECT
+  });
+  return { key, apiKey };
+}
+
+/**
+ * API 密钥列表（不含哈希）
+ */
+export async function listApiKeys({ includeRevoked = false } = {}) {
+  return prisma.apiKey.findMany({
+    where: includeRevoked ? {} : { isActive: true },
+    select: API_KEY_SELECT,
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * 吊销 API 密钥
+ * @returns {Promise<boolean>} 是否存在且此前未吊销
+ */
+export async function revokeApiKey(id) {
+  const result = await prisma.apiKey.updateMany({
+    where: { id, isActive: true },
+    data: { isActive: false }
+  });
+  for (const [keyHash, cached] of keyCache) {
+    if (cached.principal?.id === id) keyCache.delete(keyHash);
+  }
+  return result.count > 0;
+}
+
+/**
+ * 启动时提示鉴权配置
+ */
+export function logAuthConfig() {
+  if (!isAuthEnabled()) {
+    console.warn(`${LOG_PREFIX} AUTH_ENABLED=false，所有接口无需鉴权（仅限本地开发）`);
+    return;
+  }
+  const methods = ['API 密钥'];
+  if (process.env.AUTH_JWT_SECRET) methods.push('JWT');
+  console.log(`${LOG_PREFIX} 已启用鉴权：${methods.join(' / ')}${process.env.AUTH_ADMIN_API_KEY ? '，已配置 AUTH_ADMIN_API_KEY' : ''}`);
+}
+
+export default {
+  ROLES,
+  PUBLIC,
+  AuthError,
+  isAuthEnabled,
+  hashApiKey,
+  hasRole,
+  normalizeRequestPath,
+  getRequiredRole,
+  verifyJwt,
+  verifyApiKey,
+  authenticate,
+  getRequestAccountIds,
+  assertAccountScope,
+  assertResourceAccountScope,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  logAuthConfig
+};
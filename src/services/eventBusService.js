@@ -0,0 +1,197 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import prisma from '../config/database.js';
+
+/**
+ * 同步/任务事件总线
+ * - emitEvent 在本进程内立即分发给订阅者，并批量写入 SyncEvent 表
+ * - worker 与 API 为不同进程：API 有订阅者（SSE 连接）时轮询 SyncEvent 表，将其他进程写入的事件转发给本进程订阅者
+ * - 事件保留 EVENT_RETENTION_HOURS 小时，写入时顺带清理
+ */
+
+const LOG_PREFIX = '[EventBus]';
+
+/** 事件类型 */
+export const EVENT_TYPES = [
+  'task.started', // 同步任务开始（统一同步服务 / VC 服务）
+  'task.finished', // 同步任务结束，data.summary 为汇总
+  'account.failed', // 单个账户（VC 为店铺）同步失败
+  'throttled', // 接口限流
+  'retry.enqueued', // 失败重试已入队
+  'job.started', // 调度器开始执行队列任务
+  'job.finished' // 调度器队列任务结束（data.error 非空表示失败）
+];
+
+/** 当前进程标识，转发时跳过本进程写入的事件 */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+/** 批量写库间隔（毫秒） */
+const PERSIST_INTERVAL_MS = 500;
+/** 未写库事件上限，超过时丢弃最早的事件 */
+const MAX_PENDING = 1000;
+/** 转发轮询间隔（毫秒） */
+const RELAY_POLL_INTERVAL_MS = parseInt(process.env.EVENT_RELAY_POLL_INTERVAL_MS, 10) || 1000;
+/** 事件保留时长（小时） */
+const RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS, 10) || 24;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let seq = 0;
+let pending = [];
+let persistTimer = null;
+let lastCleanupAt = 0;
+let relayTimer = null;
+let relayLastId = null;
+let relayPolling = false;
+
+/**
+ * 按过滤条件判断事件是否需要推送
+ * @param {Object} event
+ * @param {Object} filters - { types?: string[], taskTypes?: string[], accountIds?: string[] }，空数组/不传表示不过滤
+ * @returns {boolean}
+ */
+export function matchesEventFilters(event, filters = {}) {
+  const { types, taskTypes, accountIds } = filters;
+  if (types?.length && !types.includes(event.type)) return false;
+  if (taskTypes?.length && !taskTypes.includes(event.taskType)) return false;
+  if (accountIds?.length && !accountIds.includes(event.accountId)) return false;
+  return true;
+}
+
+async function persistPending() {
+  persistTimer = null;
+  if (pending.length === 0) return;
+  const batch = pending;
+  pending = [];
+  try {
+    await prisma.syncEvent.createMany({
+      data: batch.map((event) => ({
+        type: event.type,
+        source: event.source,
+        taskType: event.taskType,
+        accountId: event.accountId,
+        instanceId: INSTANCE_ID,
+        payload: event,
+        createdAt: new Date(event.at)
+      }))
+    });
+    if (Date.now() - lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+      lastCleanupAt = Date.now();
+      const before = new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000);
+      await prisma.syncEvent.deleteMany({ where: { createdAt: { lt: before } } });
+    }
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} 写入事件失败（${batch.length} 条）:`, err?.message || err);
+  }
+}
+
+/**
+ * 发布事件（不抛错，不阻塞调用方）
+ * @param {string} type - EVENT_TYPES 之一
+ * @param {Object} fields
+ *   - source: 来源模块：unifiedSync、incrementalRunner、scheduler、syncJob、lingxingApi、amazonVc、amazonSc
+ *   - taskType, accountId, accountName: 用于过滤与展示
+ *   - message: 简要说明
+ *   - data: 其他字段
+ * @returns {Object} 事件
+ */
+export function emitEvent(type, fields = {}) {
+  const { source = null, taskType = null, accountId = null, accountName = null, message = null, data = null } = fields;
+  const event = {
+    id: `${INSTANCE_ID}:${++seq}`,
+    type,
+    source,
+    taskType,
+    accountId,
+    accountName,
+    message,
+    data,
+    at: new Date().toISOString()
+  };
+  try {
+    emitter.emit('event', event);
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} 订阅者处理事件异常:`, err?.message || err);
+  }
+
+  pending.push(event);
+  if (pending.length > MAX_PENDING) pending.splice(0, pending.length - MAX_PENDING);
+  if (!persistTimer) {
+    persistTimer = setTimeout(persistPending, PERSIST_INTERVAL_MS);
+    persistTimer.unref?.();
+  }
+  return event;
+}
+
+/**
+ * 立即写入未落库的事件（进程退出前调用）
+ */
+export async function flushEvents() {
+  if (persistTimer) clearTimeout(persistTimer);
+  await persistPending();
+}
+
+async function pollRelay() {
+  if (relayPolling) return;
+  relayPolling = true;
+  try {
+    if (relayLastId === null) {
+      const latest = await prisma.syncEvent.findFirst({ orderBy: { id: 'desc' }, select: { id: true } });
+      relayLastId = latest?.id ?? 0;
+      return;
+    }
+    const rows = await prisma.syncEvent.findMany({
+      where: { id: { gt: relayLastId } },
+      orderBy: { id: 'asc' },
+      take: 500
+    });
+    for (const row of rows) {
+      relayLastId = row.id;
+      if (row.instanceId !== INSTANCE_ID) emitter.emit('event', row.payload);
+    }
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} 读取其他进程事件失败:`, err?.message || err);
+  } finally {
+    relayPolling = false;
+  }
+}
+
+function startRelay() {
+  if (relayTimer) return;
+  relayLastId = null;
+  pollRelay();
+  relayTimer = setInterval(pollRelay, RELAY_POLL_INTERVAL_MS);
+}
+
+function stopRelay() {
+  if (!relayTimer) return;
+  clearInterval(relayTimer);
+  relayTimer = null;
+}
+
+/**
+ * 订阅事件（含其他进程写入的事件）；有订阅者期间轮询转发，最后一个订阅者退出后停止
+ * @param {Object} filters - 见 matchesEventFilters
+ * @param {(event: Object) => void} listener
+ * @returns {() => void} 取消订阅
+ */
+export function subscribe(filters, listener) {
+  const handler = (event) => {
+    if (matchesEventFilters(event, filters)) listener(event);
+  };
+  emitter.on('event', handler);
+  startRelay();
+  return () => {
+    emitter.off('event', handler);
+    if (emitter.listenerCount('event') === 0) stopRelay();
+  };
+}
+
+export default {
+  EVENT_TYPES,
+  matchesEventFilters,
+  emitEvent,
+  flushEvents,
+  subscribe
+};
@@ -0,0 +1,133 @@
+import prisma from '../config/database.js';
+import { isValidCron } from '../utils/cron.js';
+
+/**
+ * 定时任务定义服务（JobDefinition 表）
+ * 代码中的 jobs 提供默认 cron/启用/优先级，首次启动写入表中；之后以表中配置为准，可通过接口运行时修改
+ */
+
+const DEFINITION_SELECT = {
+  jobName: true,
+  taskType: true,
+  cronExpression: true,
+  enabled: true,
+  priority: true,
+  description: true,
+  retryMaxAttempts: true,
+  retryBackoffMs: true,
+  updatedAt: true
+};
+
+/**
+ * 将代码中的默认任务定义写入表（仅插入不存在的 jobName，不覆盖已修改的配置）
+ * @param {Array<{ name, taskType, cronExpression, enabled?, priority?, description? }>} jobs
+ * @returns {Promise<number>} 新插入条数
+ */
+export async function ensureJobDefinitions(jobs) {
+  if (!jobs || jobs.length === 0) return 0;
+  const result = await prisma.jobDefinition.createMany({
+    data: jobs.map((job) => ({
+      jobName: job.name,
+      taskType: job.taskType ?? job.name,
+      cronExpression: job.cronExpression,
+      enabled: job.enabled !== false,
+      priority: job.priority ?? 100,
+      description: job.description ?? null
+    })),
+    skipDuplicates: true
+  });
+  return result.count;
+}
+
+/**
+ * 查询任务定义列表
+ * @param {Object} options - jobNamePrefix: 按任务名前缀过滤；enabled: 按启用状态过滤
+ * @returns {Promise<Array<{ jobName, taskType, cronExpression, enabled, priority, description, updatedAt }>>}
+ */
+export async function listJobDefinitions(options = {}) {
+  const { jobNamePrefix, enabled } = options;
+  const where = {};
+  if (jobNamePrefix) where.jobName = { startsWith: jobNamePrefix };
+  if (enabled !== undefined) where.enabled = enabled;
+
+  return prisma.jobDefinition.findMany({
+    where,
+    orderBy: [{ priority: 'asc' }, { jobName: 'asc' }],
+    select: DEFINITION_SELECT
+  });
+}
+
+/**
+ * 按任务名查询任务定义
+ * @param {string} jobName
+ * @returns {Promise<Object|null>}
+ */
+export async function getJobDefinition(jobName) {
+  return prisma.jobDefinition.findUnique({
+    where: { jobName },
+    select: DEFINITION_SELECT
+  });
+}
+
+/**
+ * 解析可为 null 的非负整数字段（null 表示恢复默认）
+ */
+function parseNullableInt(value, field) {
+  if (value === null) return null;
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n) || n < 0) throw new Error(`无效的 ${field}: ${value}`);
+  return n;
+}
+
+/**
+ * 更新任务定义（仅更新传入的字段）
+ * @param {string} jobName
+ * @param {Object} data - cronExpression, enabled, priority, retryMaxAttempts, retryBackoffMs 选填（重试字段传 null 恢复默认）
+ * @returns {Promise<Object>} 更新后的任务定义
+ */
+export async function updateJobDefinition(jobName, data = {}) {
+  const { cronExpression, enabled, priority, retryMaxAttempts, retryBackoffMs } = data;
+  const updatePayload = {};
+  if (cronExpression !== undefined) {
+    if (typeof cronExpression !== 'string' || !isValidCron(cronExpression)) {
+      throw new Error(`无效的 cron 表达式: ${cronExpression}`);
+    }
+    updatePayload.cronExpression = cronExpression;
+  }
+  if (enabled !== undefined) updatePayload.enabled = Boolean(enabled);
+  if (priority !== undefined) {
+    const p = parseInt(priority, 10);
+    if (Number.isNaN(p)) throw new Error(`无效的 priority: ${priority}`);
+    updatePayload.priority = p;
+  }
+  if (retryMaxAttempts !== undefined) updatePayload.retryMaxAttempts = parseNullableInt(retryMaxAttempts, 'retryMaxAttempts');
+  if (retryBackoffMs !== undefined) updatePayload.retryBackoffMs = parseNullableInt(retryBackoffMs, 'retryBackoffMs');
+
+  const existing = await getJobDefinition(jobName);
+  if (!existing) throw new Error(`任务定义不存在: ${jobName}`);
+
+  return prisma.jobDefinition.update({
+    where: { jobName },
+    data: updatePayload,
+    select: DEFINITION_SELECT
+  });
+}
+
+/**
+ * 任务定义最近一次修改时间（供调度器判断是否需要重新加载）
+ * @returns {Promise<Date|null>}
+ */
+export async function getLatestDefinitionUpdatedAt() {
+  const result = await prisma.jobDefinition.aggregate({
+    _max: { updatedAt: true }
+  });
+  return result._max.updatedAt ?? null;
+}
+
+export default {
+  ensureJobDefinitions,
+  listJobDefinitions,
+  getJobDefinition,
+  updateJobDefinition,
+  getLatestDefinitionUpdatedAt
+};
@@ -0,0 +1,247 @@
+import prisma from '../config/database.js';
+
+/**
+ * 定时任务持久化队列服务（JobQueueItem 表）
+ * - 入队时以 activeKey 去重（默认为 jobName，同一 job 排队/执行中只保留一条；失败重试使用独立的 activeKey）
+ * - availableAt 之前不可领取（失败重试退避）
+ * - worker 通过条件 updateMany 原子领取并持有租约，执行期间定期续约
+ * - 租约过期的 running 任务视为 worker 崩溃，可被任意 worker 重新领取
+ */
+
+export const JOB_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * 入队（相同 activeKey 已在排队/执行中时不重复入队）
+ * @param {Object} data - jobName 必填；args, priority, activeKey（默认 jobName）, availableAt 选填
+ * @returns {Promise<Object|null>} 新入队的记录；重复时返回 null
+ */
+export async function enqueue(data) {
+  const { jobName, args = null, priority = 100, activeKey = jobName, availableAt = null } = data;
+  try {
+    return await prisma.jobQueueItem.create({
+      data: {
+        jobName,
+        args,
+        priority,
+        state: JOB_STATES.PENDING,
+        activeKey,
+        availableAt
+      }
+    });
+  } catch (err) {
+    if (err?.code === 'P2002') return null;
+    throw err;
+  }
+}
+
+/**
+ * 查询可领取的任务：已到 availableAt 的 pending，或 running 但租约已过期
+ * @param {Object} options - limit: 最多返回条数
+ * @returns {Promise<Array>} 按 priority、入队时间排序
+ */
+export async function listClaimable(options = {}) {
+  const { limit = 50 } = options;
+  const now = new Date();
+  return prisma.jobQueueItem.findMany({
+    where: {
+      OR: [
+        { state: JOB_STATES.PENDING, OR: [{ availableAt: null }, { availableAt: { lte: now } }] },
+        { state: JOB_STATES.RUNNING, leaseExpiresAt: { lt: now } }
+      ]
+    },
+    orderBy: [{ priority: 'asc' }, { enqueuedAt: 'asc' }],
+    take: limit
+  });
+}
+
+/**
+ * 原子领取任务并设置租约（其他 worker 已领取时返回 null）
+ * @param {string} id - 队列记录 ID
+ * @param {string} owner - worker 标识
+ * @param {number} leaseMs - 租约时长（毫秒）
+ * @returns {Promise<Object|null>}
+ */
+export async function claim(id, owner, leaseMs) {
+  const now = new Date();
+  const result = await prisma.jobQueueItem.updateMany({
+    where: {
+      id,
+      OR: [
+        { state: JOB_STATES.PENDING, OR: [{ availableAt: null }, { availableAt: { lte: now } }] },
+        { state: JOB_STATES.RUNNING, leaseExpiresAt: { lt: now } }
+      ]
+    },
+    data: {
+      state: JOB_STATES.RUNNING,
+      leaseOwner: owner,
+      leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      startedAt: now,
+      attempts: { increment: 1 }
+    }
+  });
+  if (result.count !== 1) return null;
+  return prisma.jobQueueItem.findUnique({ where: { id } });
+}
+
+/**
+ * 续约（仅当前持有者可续约）
+ * @returns {Promise<boolean>} 是否续约成功（失败说明租约已被他人接管）
+ */
+export async function renewLease(id, owner, leaseMs) {
+  const result = await prisma.jobQueueItem.updateMany({
+    where: { id, state: JOB_STATES.RUNNING, leaseOwner: owner },
+    data: { leaseExpiresAt: new Date(Date.now() + leaseMs) }
+  });
+  return result.count === 1;
+}
+
+/**
+ * 标记任务结束（仅当前持有者可标记）
+ * @param {string} id
+ * @param {string} owner
+ * @param {Object} data - error: 失败时的错误信息，不传表示成功
+ */
+export async function complete(id, owner, data = {}) {
+  const { error } = data;
+  await prisma.jobQueueItem.updateMany({
+    where: { id, leaseOwner: owner },
+    data: {
+      state: error ? JOB_STATES.FAILED : JOB_STATES.SUCCEEDED,
+      lastError: error ?? null,
+      finishedAt: new Date(),
+      activeKey: null,
+      leaseOwner: null,
+      leaseExpiresAt: null
+    }
+  });
+}
+
+/**
+ * 将租约过期且领取次数已达上限的任务标记为失败（避免反复导致 worker 崩溃的任务无限重试）
+ * @param {number} maxAttempts
+ * @returns {Promise<number>} 标记条数
+ */
+export async function failExhausted(maxAttempts) {
+  const result = await prisma.jobQueueItem.updateMany({
+    where: {
+      state: JOB_STATES.RUNNING,
+      leaseExpiresAt: { lt: new Date() },
+      attempts: { gte: maxAttempts }
+    },
+    data: {
+      state: JOB_STATES.FAILED,
+      lastError: `租约过期且已领取 ${maxAttempts} 次，放弃执行`,
+      finishedAt: new Date(),
+      activeKey: null,
+      leaseOwner: null,
+      leaseExpiresAt: null
+    }
+  });
+  return result.count;
+}
+
+/**
+ * 释放某 worker 持有的全部租约（优雅退出时调用，任务回到 pending 以便重启后立即恢复）
+ * @param {string} owner
+ * @returns {Promise<number>} 释放条数
+ */
+export async function releaseLeases(owner) {
+  const result = await prisma.jobQueueItem.updateMany({
+    where: { state: JOB_STATES.RUNNING, leaseOwner: owner },
+    data: {
+      state: JOB_STATES.PENDING,
+      leaseOwner: null,
+      leaseExpiresAt: null
+    }
+  });
+  return result.count;
+}
+
+/**
+ * 查询当前排队（已到 availableAt）或执行中的任务名，供调度器判断前置任务是否已完成
+ * 尚未到 availableAt 的退避重试不计入，避免后置任务长时间等待
+ * @returns {Promise<Set<string>>}
+ */
+export async function listActiveJobNames() {
+  const now = new Date();
+  const rows = await prisma.jobQueueItem.findMany({
+    where: {
+      OR: [
+        { state: JOB_STATES.PENDING, OR: [{ availableAt: null }, { availableAt: { lte: now } }] },
+        { state: JOB_STATES.RUNNING }
+      ]
+    },
+    distinct: ['jobName'],
+    select: { jobName: true }
+  });
+  return new Set(rows.map((row) => row.jobName));
+}
+
+/**
+ * 查询待执行/执行中的失败重试（activeKey 形如 `${jobName}:retry:...`）
+ * @param {string[]} jobNames
+ * @returns {Promise<Array<{ jobName, args, availableAt, enqueuedAt }>>}
+ */
+export async function listPendingRetries(jobNames) {
+  if (!jobNames || jobNames.length === 0) return [];
+  return prisma.jobQueueItem.findMany({
+    where: {
+      jobName: { in: jobNames },
+      state: { in: [JOB_STATES.PENDING, JOB_STATES.RUNNING] },
+      activeKey: { contains: ':retry' }
+    },
+    orderBy: [{ availableAt: 'asc' }],
+    select: { jobName: true, args: true, state: true, availableAt: true, enqueuedAt: true }
+  });
+}
+
+/**
+ * 统计排队/执行中的任务数（供 /metrics 队列深度）
+ * @returns {Promise<{ ready: number, delayed: number, running: number }>} ready 为已到 availableAt 的待执行任务，delayed 为退避等待中的重试
+ */
+export async function countActive() {
+  const now = new Date();
+  const [ready, delayed, running] = await Promise.all([
+    prisma.jobQueueItem.count({ where: { state: JOB_STATES.PENDING, OR: [{ availableAt: null }, { availableAt: { lte: now } }] } }),
+    prisma.jobQueueItem.count({ where: { state: JOB_STATES.PENDING, availableAt: { gt: now } } }),
+    prisma.jobQueueItem.count({ where: { state: JOB_STATES.RUNNING } })
+  ]);
+  return { ready, delayed, running };
+}
+
+/**
+ * 查询队列（供接口使用）
+ * @param {Object} options - state: 按状态过滤；jobName: 按任务名过滤；limit: 默认 100
+ * @returns {Promise<Array>}
+ */
+export async function listQueue(options = {}) {
+  const { state, jobName, limit = 100 } = options;
+  const where = {};
+  if (state) where.state = state;
+  if (jobName) where.jobName = jobName;
+  return prisma.jobQueueItem.findMany({
+    where,
+    orderBy: [{ enqueuedAt: 'desc' }],
+    take: Math.min(parseInt(limit, 10) || 100, 500)
+  });
+}
+
+export default {
+  JOB_STATES,
+  enqueue,
+  listClaimable,
+  claim,
+  renewLease,
+  complete,
+  failExhausted,
+  releaseLeases,
+  listActiveJobNames,
+  listPendingRetries,
+  countActive,
+  listQueue
+};
@@ -0,0 +1,207 @@
+import prisma from '../config/database.js';
+
+/**
+ * 定时任务执行历史服务（JobRun / JobRunAccount 表）
+ * 每次执行 sync-job 记录一条，含按账户的成功/失败、记录数与错误信息
+ */
+
+export const RUN_TRIGGERS = ['cron', 'cli', 'api', 'retry'];
+
+/** 执行状态：skipped 表示前置任务在本轮失败而未执行 */
+export const RUN_STATUSES = ['running', 'success', 'partial', 'failed', 'skipped'];
+
+/**
+ * 从统一同步服务的单账户结果中提取记录数
+ * 增量任务取 summary.totalRecords / recordCount；全量任务按 result 的常见形态取 total 或数组长度
+ */
+function countRecords(one) {
+  const s = one?.summary;
+  if (s) return s.totalRecords ?? s.recordCount ?? s.total ?? 0;
+  const r = one?.result;
+  if (Array.isArray(r)) return r.length;
+  if (r && typeof r === 'object') {
+    if (typeof r.total === 'number') return r.total;
+    if (Array.isArray(r.data)) return r.data.length;
+  }
+  return 0;
+}
+
+/**
+ * 创建执行记录（状态 running）
+ * @param {Object} data - jobName, taskType, trigger 必填；mode, attempt, accountIds（仅执行的账户）, queueItemId 选填
+ * @returns {Promise<Object>}
+ */
+export async function createJobRun(data) {
+  const { jobName, taskType, trigger = 'cron', mode = null, attempt = 1, accountIds = [], queueItemId = null } = data;
+  return prisma.jobRun.create({
+    data: {
+      jobName,
+      taskType,
+      trigger,
+      mode,
+      attempt,
+      accountIds,
+      status: 'running',
+      queueItemId
+    }
+  });
+}
+
+/**
+ * 结束执行记录：写入汇总与按账户明细
+ * @param {string} id - JobRun.id
+ * @param {Object} data
+ *   - result: lingXingUnifiedSyncService 返回的 { results, summary }（成功执行时）
+ *   - error: 整体失败时的错误信息
+ *   - skipReason: 未执行（前置任务失败）的原因，传入时状态记为 skipped
+ *   - attempt: 第几次执行（写入账户明细）
+ *   - retriedAccountIds: 已安排重试的 accountId 集合
+ * @returns {Promise<Object>}
+ */
+export async function finishJobRun(id, data = {}) {
+  const { result = null, error = null, skipReason = null, attempt = 1, retriedAccountIds = new Set() } = data;
+  const run = await prisma.jobRun.findUnique({ where: { id }, select: { startedAt: true } });
+  const finishedAt = new Date();
+  const results = Array.isArray(result?.results) ? result.results : [];
+
+  const accounts = results.map((one) => ({
+    runId: id,
+    accountId: one.accountId,
+    accountName: one.accountName ?? null,
+    success: !!one.success,
+    attempt,
+    recordCount: one.success ? countRecords(one) : 0,
+    error: one.error ?? null,
+    errorCode: one.errorCode != null ? String(one.errorCode) : null,
+    retryScheduled: retriedAccountIds.has(one.accountId),
+    summary: one.summary ?? null
+  }));
+  const successCount = accounts.filter((a) => a.success).length;
+  const failCount = accounts.length - successCount;
+  const totalRecords = accounts.reduce((sum, a) => sum + a.recordCount, 0);
+
+  let status;
+  if (skipReason) status = 'skipped';
+  else if (error) status = 'failed';
+  else if (failCount > 0) status = successCount > 0 ? 'partial' : 'failed';
+  else status = 'success';
+
+  return prisma.$transaction(async (tx) => {
+    if (accounts.length > 0) {
+      await tx.jobRunAccount.createMany({ data: accounts });
+    }
+    return tx.jobRun.update({
+      where: { id },
+      data: {
+        status,
+        finishedAt,
+        durationMs: run ? finishedAt.getTime() - run.startedAt.getTime() : null,
+        accountCount: accounts.length,
+        successCount,
+        failCount,
+        totalRecords,
+        error: error ?? skipReason
+      }
+    });
+  });
+}
+
+/**
+ * 分页查询执行历史
+ * @param {Object} filters
+ *   - taskType, status, trigger: 精确过滤
+ *   - accountId: 仅返回包含该账户的执行；accountStatus: success / failed，配合 accountId 过滤该账户的结果
+ *   - startDate, endDate: 按 startedAt 过滤（Y-m-d 或 ISO）
+ *   - page（默认 1）, pageSize（默认 20，最大 200）
+ * @returns {Promise<{ total: number, page: number, pageSize: number, list: Array }>}
+ */
+export async function listJobRuns(filters = {}) {
+  const { taskType, status, trigger, accountId, accountStatus, startDate, endDate } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 200);
+
+  const where = {};
+  if (taskType) where.taskType = taskType;
+  if (status) where.status = status;
+  if (trigger) where.trigger = trigger;
+  if (startDate || endDate) {
+    where.startedAt = {};
+    if (startDate) where.startedAt.gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      // 仅日期时包含当天
+      if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setDate(end.getDate() + 1);
+      where.startedAt.lt = end;
+    }
+  }
+  if (accountId) {
+    const accountWhere = { accountId };
+    if (accountStatus === 'success') accountWhere.success = true;
+    if (accountStatus === 'failed') accountWhere.success = false;
+    where.accounts = { some: accountWhere };
+  }
+
+  const [total, list] = await Promise.all([
+    prisma.jobRun.count({ where }),
+    prisma.jobRun.findMany({
+      where,
+      orderBy: { startedAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      include: accountId ? { accounts: { where: { accountId } } } : undefined
+    })
+  ]);
+
+  return { total, page, pageSize, list };
+}
+
+/**
+ * 查询某任务在指定时间之后所有已结束的执行（按开始时间升序，含按账户结果），供后置任务合并判断前置任务本轮结果
+ * @param {string} taskType
+ * @param {Date} since
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getFinishedJobRuns(taskType, since) {
+  return prisma.jobRun.findMany({
+    where: { taskType, startedAt: { gte: since }, status: { not: 'running' } },
+    orderBy: { startedAt: 'asc' },
+    select: { status: true, startedAt: true, accountIds: true, accounts: { select: { accountId: true, success: true } } }
+  });
+}
+
+/**
+ * 查询单次执行详情（含按账户明细）
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getJobRun(id) {
+  return prisma.jobRun.findUnique({
+    where: { id },
+    include: { accounts: { orderBy: { accountName: 'asc' } } }
+  });
+}
+
+/**
+ * 单次执行涉及的账户（用于按资源校验凭证的账户范围）
+ * @param {string} id
+ * @returns {Promise<Array<string>|null|undefined>} 无账户明细为 null，执行记录不存在为 undefined
+ */
+export async function getJobRunAccountIds(id) {
+  const run = await prisma.jobRun.findUnique({
+    where: { id },
+    select: { accounts: { select: { accountId: true } } }
+  });
+  if (!run) return undefined;
+  return run.accounts.length > 0 ? [...new Set(run.accounts.map((a) => a.accountId))] : null;
+}
+
+export default {
+  RUN_TRIGGERS,
+  RUN_STATUSES,
+  createJobRun,
+  finishJobRun,
+  listJobRuns,
+  getFinishedJobRuns,
+  getJobRun,
+  getJobRunAccountIds
+};
@@ -1,76 +1,32 @@
+import cronParser from 'cron-parser';
 import prisma from '../config/database.js';
+import { getNextCronRun } from '../utils/cron.js';
+
+/** 默认 cron：每天 1:00、7:00 */
+export const DEFAULT_CRON_EXPRESSION = '0 1,7 * * *';
 
 /**
- * 计算 cron '0 1,7 * * *'（每天 1:00、7:00）的下一次执行时间
+ * 按 cron 表达式计算下一次执行时间
  * @param {Date} [from=new Date()] - 从该时间起算
+ * @param {string} [cronExpression=DEFAULT_CRON_EXPRESSION] - cron 表达式
  * @returns {Date} 下一次执行时刻
  */
-export function getNextScheduledRun(from = new Date()) {
-  const d = new Date(from);
-  const hour = d.getHours();
-  const minute = d.getMinutes();
-  const currentMinutes = hour * 60 + minute;
-
-  // 1:00 = 60, 7:00 = 420
-  if (currentMinutes < 60) {
-    // 0:00 ~ 0:59 → 今天 1:00
-    d.setHours(1, 0, 0, 0);
-    return d;
-  }
-  if (currentMinutes < 420) {
-    // 1:00 ~ 6:59 → 今天 7:00
-    d.setHours(7, 0, 0, 0);
-    return d;
-  }
-  // 7:00 及以后 → 明天 1:00
-  d.setDate(d.getDate() + 1);
-  d.setHours(1, 0, 0, 0);
-  return d;
+export function getNextScheduledRun(from = new Date(), cronExpression = DEFAULT_CRON_EXPRESSION) {
+  return getNextCronRun(cronExpression, from);
 }
 
 /**
- * 当前 cron 轮次的开始时间（用于重启后恢复：本轮未完成的任务会重新入队）
- * '0 1,7 * * *' → 1:00 或 7:00 为轮次起点
+ * 当前 cron 轮次的开始时间
+ * 即 from 之前（含）最近一次 cron 触发时刻
  * @param {Date} [from=new Date()]
+ * @param {string} [cronExpression=DEFAULT_CRON_EXPRESSION] - cron 表达式
  * @returns {Date} 本轮开始时刻
  */
-export function getRoundStart(from = new Date()) {
-  const d = new Date(from);
-  const hour = d.getHours();
-  const minute = d.getMinutes();
-  const currentMinutes = hour * 60 + minute;
-  if (currentMinutes < 60) {
-    d.setDate(d.getDate() - 1);
-    d.setHours(7, 0, 0, 0);
-    return d;
-  }
-  if (currentMinutes < 420) {
-    d.setHours(1, 0, 0, 0);
-    return d;
-  }
-  d.setHours(7, 0, 0, 0);
-  return d;
-}
-
-/**
- * 查询本轮尚未完成的任务类型（lastRunAt < roundStart 或无记录）
- * 用于 PM2 重启后恢复未执行/未完成的任务，不修改表结构
- * @param {Date} roundStart - 本轮开始时间（getRoundStart 返回值）
- * @param {string[]} taskTypes - 全部 sync 任务类型，如 ['marketplaces', 'allOrders', ...]
- * @returns {Promise<string[]>} 未完成的 taskType 列表
- */
-export async function listTaskTypesNotCompletedInRound(roundStart, taskTypes) {
-  if (taskTypes.length === 0) return [];
-  const jobNames = taskTypes.map((t) => `sync-job-${t}`);
-  const list = await prisma.jobTaskStatus.findMany({
-    where: { jobName: { in: jobNames } },
-    select: { jobName: true, taskType: true, lastRunAt: true }
-  });
-  const completedByTask = new Map(list.map((r) => [r.taskType, r.lastRunAt]));
-  return taskTypes.filter((taskType) => {
-    const lastRun = completedByTask.get(taskType);
-    return lastRun == null || lastRun < roundStart;
-  });
+export function getRoundStart(from = new Date(), cronExpression = DEFAULT_CRON_EXPRESSION) {
+  // prev() 不含 currentDate 本身，往后挪 1 秒使恰好处于触发时刻时仍算作本轮
+  const current = new Date(new Date(from).getTime() + 1000);
+  const interval = cronParser.parseExpression(cronExpression, { currentDate: current });
+  return interval.prev().toDate();
 }
 
 /**
@@ -127,7 +83,6 @@ export async function listJobTaskStatus(options = {}) {
 export default {
   getNextScheduledRun,
   getRoundStart,
-  listTaskTypesNotCompletedInRound,
   upsertJobTaskStatus,
   listJobTaskStatus
 };
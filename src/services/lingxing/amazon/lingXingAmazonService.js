@@ -1467,7 +1467,8 @@ class LingXingAmazonService extends LingXingApiClient {
       const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, sid, {
         defaultLookbackDays,
         endDate,
-        timezone
+        timezone,
+        overlapDays: options.overlapDays
       });
 
       if (dateRange.isEmpty) {
@@ -1594,7 +1595,8 @@ class LingXingAmazonService extends LingXingApiClient {
       const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, sid, {
         defaultLookbackDays,
         endDate,
-        timezone
+        timezone,
+        overlapDays: options.overlapDays
       });
 
       if (dateRange.isEmpty) {
@@ -1792,7 +1794,8 @@ class LingXingAmazonService extends LingXingApiClient {
       const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, sid, {
         defaultLookbackDays,
         endDate,
-        timezone
+        timezone,
+        overlapDays: options.overlapDays
       });
 
       if (dateRange.isEmpty) {
@@ -1908,7 +1911,8 @@ class LingXingAmazonService extends LingXingApiClient {
       const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, sid, {
         defaultLookbackDays,
         endDate,
-        timezone
+        timezone,
+        overlapDays: options.overlapDays
       });
 
       if (dateRange.isEmpty) {
@@ -2031,7 +2035,8 @@ class LingXingAmazonService extends LingXingApiClient {
       const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, sid, {
         defaultLookbackDays,
         endDate,
-        timezone
+        timezone,
+        overlapDays: options.overlapDays
       });
 
       if (dateRange.isEmpty) {
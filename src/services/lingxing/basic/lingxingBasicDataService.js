@@ -496,6 +496,16 @@ class LingXingBasicDataService extends LingXingApiClient {
     }
   }
 
+  /**
+   * 查询店铺所属领星账户ID（用于按资源校验凭证的账户范围）
+   * @param {number} sid - 店铺id
+   * @returns {Promise<string|null>} 店铺不存在返回 null
+   */
+  async getSellerAccountId(sid) {
+    const seller = await prisma.lingXingSeller.findUnique({ where: { sid }, select: { accountId: true } });
+    return seller?.accountId ?? null;
+  }
+
   /**
    * 根据sid获取店铺信息
    * @param {number} sid - 店铺id（领星ERP对企业已授权店铺的唯一标识）
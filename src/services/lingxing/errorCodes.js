@@ -7,13 +7,15 @@ const ErrorCodesMap = {
     code: '2001001',
     message: 'appId不存在',
     description: 'appId不存在，检查值有效性',
-    action: '检查app_key是否正确配置'
+    action: '检查app_key是否正确配置',
+    fatal: true
   },
   '2001002': {
     code: '2001002',
     message: 'appSecret不正确',
     description: 'appSecret不正确，检查值有效性',
-    action: '检查app_secret是否正确配置'
+    action: '检查app_secret是否正确配置',
+    fatal: true
   },
   '2001003': {
     code: '2001003',
@@ -27,7 +29,8 @@ const ErrorCodesMap = {
     code: '2001004',
     message: 'API未授权',
     description: '请求的api未授权，联系领星相关工作人员确认',
-    action: '联系领星相关工作人员确认API授权'
+    action: '联系领星相关工作人员确认API授权',
+    fatal: true
   },
   '2001005': {
     code: '2001005',
@@ -39,7 +42,8 @@ const ErrorCodesMap = {
     code: '2001006',
     message: '接口签名不正确',
     description: '接口签名不正确，校验生成签名正确性',
-    action: '检查签名生成逻辑和URL编码处理'
+    action: '检查签名生成逻辑和URL编码处理',
+    fatal: true
   },
   '2001007': {
     code: '2001007',
@@ -59,7 +63,8 @@ const ErrorCodesMap = {
     code: '2001009',
     message: 'refresh_token无效',
     description: 'refresh_token值无效，检查值有效性或重新获取',
-    action: '重新获取refresh_token'
+    action: '重新获取refresh_token',
+    fatal: true
   },
   
   // 请求参数错误
@@ -85,7 +90,8 @@ const ErrorCodesMap = {
     code: '3001002',
     message: 'IP未加入白名单',
     description: 'ip未加入白名单，确认发起ip地址后在ERP内自行增加即可',
-    action: '在ERP内添加IP白名单'
+    action: '在ERP内添加IP白名单',
+    fatal: true
   },
   '3001008': {
     code: '3001008',
@@ -110,6 +116,14 @@ export function getErrorInfo(errorCode) {
   };
 }
 
+/**
+ * 是否为致命错误码（配置/授权类错误，同步任务失败后不应自动重试）
+ */
+export function isFatalErrorCode(errorCode) {
+  if (errorCode === undefined || errorCode === null) return false;
+  return !!ErrorCodesMap[String(errorCode)]?.fatal;
+}
+
 /**
  * 导出错误码映射（用于检查）
  */
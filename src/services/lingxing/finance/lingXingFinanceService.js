@@ -3,6 +3,7 @@ import { moveToHistoryAndDelete } from '../lingxingArchiveHelper.js';
 import LingXingApiClient from '../lingxingApiClient.js';
 import { runAccountLevelIncrementalSync } from '../sync/lingXingIncrementalRunner.js';
 import lingXingSyncStateService from '../sync/lingXingSyncStateService.js';
+import { reportSyncRunProgress } from '../sync/lingXingSyncRunContext.js';
 
 /**
  * 领星ERP财务管理服务
@@ -742,6 +743,7 @@ class LingXingFinanceService extends LingXingApiClient {
     delete baseParams.endDate;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -991,6 +993,7 @@ class LingXingFinanceService extends LingXingApiClient {
     delete baseParams.endDate;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -1441,6 +1444,7 @@ class LingXingFinanceService extends LingXingApiClient {
     delete baseParams.endDate;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -3804,6 +3808,7 @@ class LingXingFinanceService extends LingXingApiClient {
     let totalRecords = 0;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -4007,6 +4012,7 @@ class LingXingFinanceService extends LingXingApiClient {
       const chunkDays = allDays.slice(chunkStart, chunkStart + 7);
       for (const sid of sids) {
         for (const day of chunkDays) {
+          reportSyncRunProgress({ currentDay: day });
           const allRecords = [];
           let offset = 0;
           let totalCount = 0;
@@ -4185,6 +4191,7 @@ class LingXingFinanceService extends LingXingApiClient {
     const totalSteps = sellerIds.length * days.length;
     for (const sellerId of sellerIds) {
       for (const day of days) {
+        reportSyncRunProgress({ currentDay: day });
         const allRecords = [];
         let offset = 0;
         let totalCount = 0;
@@ -4321,6 +4328,7 @@ class LingXingFinanceService extends LingXingApiClient {
     const totalSteps = sellerIds.length * days.length;
     for (const sellerId of sellerIds) {
       for (const day of days) {
+        reportSyncRunProgress({ currentDay: day });
         const allRecords = [];
         let offset = 0;
         let totalCount = 0;
@@ -4459,6 +4467,7 @@ class LingXingFinanceService extends LingXingApiClient {
       const amazonSellerIds = [seller.sellerId];
       const sids = [seller.sid];
       for (const day of days) {
+        reportSyncRunProgress({ currentDay: day });
         const allRecords = [];
         let offset = 0;
         let totalCount = 0;
@@ -5179,6 +5188,7 @@ class LingXingFinanceService extends LingXingApiClient {
     let totalRecords = 0;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -5355,6 +5365,7 @@ class LingXingFinanceService extends LingXingApiClient {
 
       for (let i = 0; i < days.length; i++) {
         const day = days[i];
+        reportSyncRunProgress({ currentDay: day });
         const dayParams = {
           ...listParams,
           startDate: day,
@@ -5803,6 +5814,7 @@ class LingXingFinanceService extends LingXingApiClient {
 
     for (const shopName of shopNames) {
       for (const day of days) {
+        reportSyncRunProgress({ currentDay: day });
         const allRecords = [];
         let offset = 0;
         let totalCount = 0;
@@ -1,9 +1,41 @@
 import axios from 'axios';
-import crypto from 'crypto';
-import CryptoJS from 'crypto-js';
 import prisma from '../../config/database.js';
 import rateLimiter from './rateLimiter.js';
 import { createError, getErrorInfo, ErrorCodes } from './errorCodes.js';
+import { generateSign } from './lingxingSign.js';
+import { emitEvent } from '../eventBusService.js';
+import { throwIfSyncRunCancelled, reportSyncRunProgress } from './sync/lingXingSyncRunContext.js';
+import { counter, histogram } from '../metricsService.js';
+import lingxingRecorder from './lingxingRecorder.js';
+import { encryptSecret, decryptSecret } from '../secretCrypto.js';
+
+/** 接口调用指标：path 为接口路径，account 为领星账户ID，code 为领星返回码（network 表示无响应） */
+const apiRequestsTotal = counter('lingxing_api_requests_total', '领星接口调用次数', ['path', 'account', 'code']);
+const apiRequestDuration = histogram('lingxing_api_request_duration_seconds', '领星接口调用耗时（秒，不含等待令牌）', ['path', 'account']);
+const apiRetriesTotal = counter('lingxing_api_retries_total', '领星接口调用重试次数', ['path', 'account', 'code']);
+const tokenRefreshesTotal = counter('lingxing_api_token_refreshes_total', '领星 access_token 获取/刷新次数', ['account', 'kind', 'result']);
+
+/**
+ * 判断领星返回码是否为成功
+ */
+function isSuccessCode(responseCode, successCode) {
+  return successCode.includes(responseCode) ||
+    (typeof responseCode === 'number' && responseCode === 0) ||
+    (typeof responseCode === 'string' && responseCode === '0');
+}
+
+/**
+ * 由领星非成功响应体创建错误（message 使用领星返回的 message 与 error_details）
+ */
+function createResponseError(data) {
+  const error = createError(String(data.code));
+  error.response = data;
+  if (data?.message) error.message = data.message;
+  if (Array.isArray(data?.error_details) && data.error_details.length) {
+    error.message = (error.message || '') + ': ' + data.error_details.join('; ');
+  }
+  return error;
+}
 
 /**
  * 领星ERP API 通用客户端
@@ -16,12 +48,12 @@ class LingXingApiClient {
 
   /**
    * 获取 access_token（带缓存和自动刷新）
-   * @param {Object} account - 领星账户对象（包含 appId, appSecret, accessToken 等）
+   * @param {Object} account - 领星账户对象（包含 appId, appSecret, accessToken 等，敏感字段可为数据库中的密文）
    */
   async getAccessToken(account) {
     // 如果token存在且未过期，直接返回
     if (account.accessToken && account.tokenExpiresAt && new Date(account.tokenExpiresAt) > new Date()) {
-      return account.accessToken;
+      return decryptSecret(account.accessToken);
     }
 
     // 如果 token 过期但有 refresh_token，先尝试刷新
@@ -53,7 +85,7 @@ class LingXingApiClient {
       const FormData = FormDataModule.default || FormDataModule;
       const formData = new FormData();
       formData.append('appId', account.appId);
-      formData.append('refreshToken', account.refreshToken);
+      formData.append('refreshToken', decryptSecret(account.refreshToken));
 
       const response = await axios.post(
         `${this.baseURL}/api/auth-server/oauth/refresh`,
@@ -81,18 +113,20 @@ class LingXingApiClient {
         throw new Error('刷新access_token失败：响应中未包含access_token');
       }
 
-      // 更新数据库中的token
+      // 更新数据库中的token（加密存储）
       await prisma.lingXingAccount.update({
         where: { id: account.id },
         data: {
-          accessToken: accessToken,
-          refreshToken: refreshToken,
+          accessToken: encryptSecret(accessToken),
+          refreshToken: encryptSecret(refreshToken),
           tokenExpiresAt: new Date(Date.now() + expiresIn * 1000)
         }
       });
 
+      tokenRefreshesTotal.inc({ account: account.id, kind: 'refresh', result: 'success' });
       return accessToken;
     } catch (error) {
+      tokenRefreshesTotal.inc({ account: account.id, kind: 'refresh', result: 'failed' });
       console.error('刷新领星ERP access_token失败:', error.message);
 
       if (error.code && ErrorCodes[error.code]) {
@@ -124,7 +158,7 @@ class LingXingApiClient {
       const FormData = FormDataModule.default || FormDataModule;
       const formData = new FormData();
       formData.append('appId', account.appId);
-      formData.append('appSecret', account.appSecret);
+      formData.append('appSecret', decryptSecret(account.appSecret));
 
       const response = await axios.post(
         `${this.baseURL}/api/auth-server/oauth/access-token`,
@@ -152,18 +186,20 @@ class LingXingApiClient {
         throw new Error('获取access_token失败：响应中未包含access_token');
       }
 
-      // 更新数据库中的token
+      // 更新数据库中的token（加密存储）
       await prisma.lingXingAccount.update({
         where: { id: account.id },
         data: {
-          accessToken: accessToken,
-          refreshToken: refreshToken,
+          accessToken: encryptSecret(accessToken),
+          refreshToken: encryptSecret(refreshToken),
           tokenExpiresAt: new Date(Date.now() + expiresIn * 1000)
         }
       });
 
+      tokenRefreshesTotal.inc({ account: account.id, kind: 'new', result: 'success' });
       return accessToken;
     } catch (error) {
+      tokenRefreshesTotal.inc({ account: account.id, kind: 'new', result: 'failed' });
       console.error('获取领星ERP access_token失败:', error.message);
 
       if (error.code && ErrorCodes[error.code]) {
@@ -180,74 +216,7 @@ class LingXingApiClient {
    * @param {Object} params - 业务参数
    */
   generateSign(account, params = {}) {
-    // 合并所有参数
-    const allParams = {
-      ...params
-    };
-
-    // 确保固定参数存在
-    if (!allParams.app_key) {
-      allParams.app_key = account.appId;
-    }
-    if (!allParams.timestamp) {
-      allParams.timestamp = Math.floor(Date.now() / 1000).toString();
-    }
-
-    // 按ASCII排序并过滤
-    const sortedKeys = Object.keys(allParams)
-      .filter(key => key !== 'sign')
-      .filter(key => {
-        const value = allParams[key];
-        return value !== '' && value !== undefined;
-      })
-      .sort();
-
-    // 拼接为 key1=value1&key2=value2 格式
-    const signString = sortedKeys
-      .map(key => {
-        const value = allParams[key];
-        let valueStr;
-        if (value === null) {
-          valueStr = 'null';
-        } else if (Array.isArray(value)) {
-          // 数组参数需要转换为 JSON 格式，如 [271237,271238]
-          valueStr = JSON.stringify(value);
-        } else if (typeof value === 'object') {
-          // 对象参数也需要转换为 JSON 格式
-          valueStr = JSON.stringify(value);
-        } else {
-          valueStr = String(value);
-        }
-        return `${key}=${valueStr}`;
-      })
-      .join('&');
-
-    // MD5加密并转大写
-    const md5Hash = crypto.createHash('md5').update(signString).digest('hex').toUpperCase();
-
-    // AES/ECB/PKCS5PADDING加密
-    let key = account.appId;
-    if (key.length < 16) {
-      key = key.padEnd(16, '0');
-    } else if (key.length > 16 && key.length < 24) {
-      key = key.padEnd(24, '0');
-    } else if (key.length > 24 && key.length < 32) {
-      key = key.padEnd(32, '0');
-    } else if (key.length > 32) {
-      key = key.substring(0, 32);
-    }
-
-    const encrypted = CryptoJS.AES.encrypt(
-      CryptoJS.enc.Utf8.parse(md5Hash),
-      CryptoJS.enc.Utf8.parse(key),
-      {
-        mode: CryptoJS.mode.ECB,
-        padding: CryptoJS.pad.Pkcs7
-      }
-    ).toString();
-
-    // URL编码
-    return encodeURIComponent(encrypted);
+    return generateSign(account.appId, params);
   }
 
   /**
@@ -327,14 +296,24 @@ class LingXingApiClient {
       skipRateLimit = false
     } = options;
 
+    // 同步运行已请求取消时，在发起下一页请求前停止
+    throwIfSyncRunCancelled();
+
+    // 回放模式：从录制中取响应，不访问网络
+    if (lingxingRecorder.isReplaying()) {
+      return this.replayApi(method, path, params, successCode);
+    }
+
     const fullUrl = `${this.baseURL}${path}`;
     let requestId = null;
     let requestConfig = null; // 保存请求配置，用于错误时生成curl命令
+    let endRequestTimer = null; // 已发出请求时记录耗时与返回码
+    const metricLabels = { path, account: account.id };
 
     try {
       // 限流：尝试获取令牌
       if (!skipRateLimit) {
-        const tokenResult = rateLimiter.acquireToken(account.appId, fullUrl);
+        const tokenResult = await rateLimiter.acquireToken(account.appId, fullUrl);
 
         if (!tokenResult.success) {
           throw createError('3001008');
@@ -402,19 +381,22 @@ class LingXingApiClient {
         };
       }
 
+      endRequestTimer = apiRequestDuration.startTimer(metricLabels);
       const response = await axios(config);
+      const seconds = endRequestTimer();
+      endRequestTimer = null;
+      apiRequestsTotal.inc({ ...metricLabels, code: String(response.data?.code ?? response.status) });
+      lingxingRecorder.record({ method, path, params, status: response.status, response: response.data, durationMs: Math.round(seconds * 1000) });
 
       // 检查响应状态
       const responseCode = response.data.code;
-      const isSuccess = successCode.includes(responseCode) ||
-        (typeof responseCode === 'number' && responseCode === 0) ||
-        (typeof responseCode === 'string' && responseCode === '0');
+      const isSuccess = isSuccessCode(responseCode, successCode);
 
       if (!isSuccess && responseCode !== undefined) {
         // 如果是限流错误码，释放令牌
         if (responseCode === '3001008' || responseCode === 3001008) {
           if (requestId) {
-            rateLimiter.releaseToken(account.appId, fullUrl, requestId);
+            rateLimiter.releaseToken(account.appId, fullUrl, requestId, 'throttled');
           }
         }
 
@@ -425,19 +407,12 @@ class LingXingApiClient {
         console.error('完整响应数据:', JSON.stringify(response.data, null, 2));
         console.error('==================');
 
-        const errorCode = String(responseCode);
-        const error = createError(errorCode);
-        error.response = response.data;
-        if (response.data?.message) error.message = response.data.message;
-        if (Array.isArray(response.data?.error_details) && response.data.error_details.length) {
-          error.message = (error.message || '') + ': ' + response.data.error_details.join('; ');
-        }
-        throw error;
+        throw createResponseError(response.data);
       }
 
       // 请求成功，释放令牌
       if (requestId) {
-        rateLimiter.releaseToken(account.appId, fullUrl, requestId);
+        rateLimiter.releaseToken(account.appId, fullUrl, requestId, 'success');
       }
       requestId = null;
 
@@ -470,12 +445,46 @@ class LingXingApiClient {
       //   }
       // }
 
+      reportSyncRunProgress({}, { pagesFetched: 1 });
       return response.data;
     } catch (error) {
+      if (endRequestTimer) {
+        // axios 抛错（HTTP 错误或网络异常）
+        const seconds = endRequestTimer();
+        apiRequestsTotal.inc({ ...metricLabels, code: String(error.response?.data?.code ?? error.response?.status ?? 'network') });
+        lingxingRecorder.record({
+          method,
+          path,
+          params,
+          status: error.response?.status ?? null,
+          response: error.response?.data ?? null,
+          error: error.message,
+          durationMs: Math.round(seconds * 1000)
+        });
+      }
+
+      if (error.code === '3001008') {
+        emitEvent('throttled', {
+          source: 'lingxingApi',
+          accountId: account.id ?? null,
+          accountName: account.name ?? null,
+          message: error.message,
+          data: { path, retryCount, willRetry: !!error.shouldRetry && retryCount < maxRetries }
+        });
+      }
+
       // 处理需要重试的错误
       if (error.shouldRetry && retryCount < maxRetries) {
-        // 如果是token过期，先刷新token
+        apiRetriesTotal.inc({ ...metricLabels, code: String(error.code) });
+        // 重试会重新获取令牌，先归还本次令牌
+        if (requestId) {
+          rateLimiter.releaseToken(account.appId, fullUrl, requestId);
+        }
+
+        // 如果是token过期，先刷新token（同时清除内存中的 token，否则重试仍使用过期 token）
         if (error.shouldRefreshToken) {
+          account.accessToken = null;
+          account.tokenExpiresAt = null;
           await prisma.lingXingAccount.update({
             where: { id: account.id },
             data: {
@@ -534,9 +543,9 @@ class LingXingApiClient {
       if (error.response && error.response.data) {
         const errorCode = String(error.response.data.code || error.code || '');
         if (errorCode && ErrorCodes[errorCode]) {
-          // 释放令牌（除了需要重试的错误）
-          if (requestId && (errorCode !== '3001008' || !ErrorCodes[errorCode].shouldRetry)) {
-            rateLimiter.releaseToken(account.appId, fullUrl, requestId);
+          // 释放令牌（重试时会重新获取令牌）
+          if (requestId) {
+            rateLimiter.releaseToken(account.appId, fullUrl, requestId, errorCode === '3001008' ? 'throttled' : undefined);
           }
 
           // 创建友好的错误对象
@@ -576,6 +585,28 @@ class LingXingApiClient {
     }
   }
 
+  /**
+   * 回放模式下的 callApi：按录制的响应走与实际调用相同的成功/错误判断（不重试、不限流）
+   * @returns {Promise<Object>} 录制的响应数据
+   */
+  async replayApi(method, path, params, successCode) {
+    const entry = lingxingRecorder.replay(method, path, params);
+    const data = entry.response;
+    if (!data || typeof data !== 'object') {
+      throw new Error(`[回放] ${path} 录制时无响应: ${entry.error || `HTTP ${entry.status}`}`);
+    }
+    if (entry.status >= 400 && !ErrorCodes[String(data.code)]) {
+      const error = new Error(`[回放] ${path} HTTP ${entry.status}: ${entry.error || data.message || ''}`);
+      error.response = data;
+      throw error;
+    }
+    if (!isSuccessCode(data.code, successCode) && data.code !== undefined) {
+      throw createResponseError(data);
+    }
+    reportSyncRunProgress({}, { pagesFetched: 1 });
+    return data;
+  }
+
   /**
    * GET请求快捷方法
    * @param {Object} account - 领星账户对象
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { getSyncRunInfo } from './sync/lingXingSyncRunContext.js';
+
+const LOG_PREFIX = '[LingXingRecorder]';
+
+/** 脱敏的参数名（不区分大小写，完全匹配；分页用的 next_token 等不脱敏） */
+const SENSITIVE_KEYS = new Set([
+  'access_token',
+  'accesstoken',
+  'refresh_token',
+  'refreshtoken',
+  'token',
+  'app_secret',
+  'appsecret',
+  'client_secret',
+  'secret',
+  'password',
+  'sign',
+  'app_key',
+  'appkey',
+  'app_id',
+  'appid'
+]);
+const REDACTED = '***';
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEYS.has(String(key).toLowerCase());
+}
+
+/** 递归脱敏 */
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, isSensitiveKey(k) ? REDACTED : sanitize(v)])
+    );
+  }
+  return value;
+}
+
+/** 键排序后序列化，保证相同参数得到相同指纹 */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** 去掉敏感参数（匹配时不比较） */
+function stripSensitive(value) {
+  if (Array.isArray(value)) return value.map(stripSensitive);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).filter(([k]) => !isSensitiveKey(k)).map(([k, v]) => [k, stripSensitive(v)])
+    );
+  }
+  return value;
+}
+
+/** 同一请求的匹配键：方法 + 路径 + 业务参数（不含敏感参数） */
+function fingerprint(method, apiPath, params) {
+  return `${method.toUpperCase()} ${apiPath} ${stableStringify(stripSensitive(params ?? {}))}`;
+}
+
+/**
+ * 领星接口调用录制与回放（默认关闭，LINGXING_RECORD_MODE 开启）
+ * - record：每次实际发出的请求追加一行 JSON 到 LINGXING_RECORDING_DIR/<runId>.jsonl
+ *   （同步运行 / 定时任务执行历史 ID，不在运行中时为 pid-<pid>），包含脱敏后的业务参数与原始响应
+ * - replay：callApi 不访问网络（不获取令牌、不取 access_token），按 方法 + 路径 + 参数 从 LINGXING_REPLAY_FROM（录制文件或目录）取响应；
+ *   相同请求按录制顺序依次返回。参数不一致（如增量日期随当天变化）时默认按 方法 + 路径 取下一条未用的记录，
+ *   LINGXING_REPLAY_STRICT=true 时要求参数完全一致
+ * 用于离线复现解析/入库问题：
+ *   LINGXING_RECORD_MODE=replay LINGXING_REPLAY_FROM=recordings/lingxing/<runId>.jsonl node src/worker.js --run <taskType>
+ */
+export class LingXingRecorder {
+  constructor() {
+    this.mode = (process.env.LINGXING_RECORD_MODE || 'off').toLowerCase();
+    this.dir = process.env.LINGXING_RECORDING_DIR || path.join(process.cwd(), 'recordings', 'lingxing');
+    this.replayFrom = process.env.LINGXING_REPLAY_FROM || null;
+    this.replayStrict = process.env.LINGXING_REPLAY_STRICT === 'true';
+    /** 录制写入队列（按文件串行追加） */
+    this.writeChain = Promise.resolve();
+    this.seq = 0;
+    /** 回放索引：fingerprint -> entries[]，`${method} ${path}` -> entries[]（entry.used 标记已返回） */
+    this.replayIndex = null;
+    if (!['off', 'record', 'replay'].includes(this.mode)) {
+      console.warn(`${LOG_PREFIX} 未知的 LINGXING_RECORD_MODE=${this.mode}，已关闭录制`);
+      this.mode = 'off';
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * 录制一次调用（不阻塞调用方，写入失败只打印日志）
+   * @param {Object} call - method, path, params（业务参数）, status（HTTP 状态，无响应为 null）, response（响应体）, error（无响应时的错误信息）, durationMs
+   */
+  record(call) {
+    if (!this.isRecording()) return;
+    const { runId, taskType } = getSyncRunInfo();
+    const entry = {
+      seq: ++this.seq,
+      at: new Date().toISOString(),
+      runId,
+      taskType,
+      method: call.method.toUpperCase(),
+      path: call.path,
+      params: sanitize(call.params ?? {}),
+      status: call.status ?? null,
+      response: call.response ?? null,
+      error: call.error ?? null,
+      durationMs: call.durationMs ?? null
+    };
+    const file = path.join(this.dir, `${runId ?? `pid-${process.pid}`}.jsonl`);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      })
+      .catch((err) => console.error(`${LOG_PREFIX} 写入录制失败 ${file}:`, err?.message ?? err));
+  }
+
+  /**
+   * 等待录制写入完成（进程退出前调用）
+   */
+  async flush() {
+    await this.writeChain;
+  }
+
+  /**
+   * 读取回放文件（目录时读取其中所有 .jsonl，按文件名与 seq 排序）
+   */
+  loadReplayIndex() {
+    if (this.replayIndex) return this.replayIndex;
+    if (!this.replayFrom) throw new Error('回放模式需要设置 LINGXING_REPLAY_FROM（录制文件或目录）');
+    const stat = fs.statSync(this.replayFrom);
+    const files = stat.isDirectory()
+      ? fs.readdirSync(this.replayFrom).filter((f) => f.endsWith('.jsonl')).sort().map((f) => path.join(this.replayFrom, f))
+      : [this.replayFrom];
+    const byFingerprint = new Map();
+    const byEndpoint = new Map();
+    let count = 0;
+    for (const file of files) {
+      const entries = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line))
+        .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+      for (const entry of entries) {
+        const fp = fingerprint(entry.method, entry.path, entry.params);
+        const endpoint = `${entry.method} ${entry.path}`;
+        if (!byFingerprint.has(fp)) byFingerprint.set(fp, []);
+        if (!byEndpoint.has(endpoint)) byEndpoint.set(endpoint, []);
+        byFingerprint.get(fp).push(entry);
+        byEndpoint.get(endpoint).push(entry);
+        count++;
+      }
+    }
+    console.log(`${LOG_PREFIX} 已加载回放记录 ${count} 条（${files.length} 个文件）`);
+    this.replayIndex = { byFingerprint, byEndpoint };
+    return this.replayIndex;
+  }
+
+  /**
+   * 查找回放记录
+   * @param {string} method
+   * @param {string} apiPath
+   * @param {Object} params - 业务参数
+   * @returns {Object} 录制的 entry（status, response, error）
+   * @throws 找不到可用记录时
+   */
+  replay(method, apiPath, params) {
+    const { byFingerprint, byEndpoint } = this.loadReplayIndex();
+    const next = (list) => list?.find((entry) => !entry.used);
+    let entry = next(byFingerprint.get(fingerprint(method, apiPath, params)));
+    if (!entry && !this.replayStrict) entry = next(byEndpoint.get(`${method.toUpperCase()} ${apiPath}`));
+    if (!entry) {
+      throw new Error(`回放记录中没有可用的请求: ${method.toUpperCase()} ${apiPath} ${JSON.stringify(sanitize(params ?? {}))}`);
+    }
+    entry.used = true;
+    return entry;
+  }
+}
+
+export default new LingXingRecorder();
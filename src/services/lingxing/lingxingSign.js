@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import CryptoJS from 'crypto-js';
+
+/**
+ * 领星 OpenAPI 接口签名（客户端请求与本地 mock 服务校验共用）
+ * - 参数（含 access_token、app_key、timestamp，不含 sign）按 key 的 ASCII 排序，过滤空字符串与 undefined，拼接为 key1=value1&key2=value2
+ * - 数组/对象值转 JSON，null 为 'null'
+ * - MD5 转大写后以 appId 为密钥 AES/ECB/PKCS5PADDING 加密，再 URL 编码
+ * @param {string} appId - APP ID
+ * @param {Object} params - 参与签名的全部参数
+ * @returns {string} sign
+ */
+export function generateSign(appId, params = {}) {
+  // 合并所有参数
+  const allParams = {
+    ...params
+  };
+
+  // 确保固定参数存在
+  if (!allParams.app_key) {
+    allParams.app_key = appId;
+  }
+  if (!allParams.timestamp) {
+    allParams.timestamp = Math.floor(Date.now() / 1000).toString();
+  }
+
+  // 按ASCII排序并过滤
+  const sortedKeys = Object.keys(allParams)
+    .filter(key => key !== 'sign')
+    .filter(key => {
+      const value = allParams[key];
+      return value !== '' && value !== undefined;
+    })
+    .sort();
+
+  // 拼接为 key1=value1&key2=value2 格式
+  const signString = sortedKeys
+    .map(key => {
+      const value = allParams[key];
+      let valueStr;
+      if (value === null) {
+        valueStr = 'null';
+      } else if (Array.isArray(value)) {
+        // 数组参数需要转换为 JSON 格式，如 [271237,271238]
+        valueStr = JSON.stringify(value);
+      } else if (typeof value === 'object') {
+        // 对象参数也需要转换为 JSON 格式
+        valueStr = JSON.stringify(value);
+      } else {
+        valueStr = String(value);
+      }
+      return `${key}=${valueStr}`;
+    })
+    .join('&');
+
+  // MD5加密并转大写
+  const md5Hash = crypto.createHash('md5').update(signString).digest('hex').toUpperCase();
+
+  // AES/ECB/PKCS5PADDING加密
+  let key = appId;
+  if (key.length < 16) {
+    key = key.padEnd(16, '0');
+  } else if (key.length > 16 && key.length < 24) {
+    key = key.padEnd(24, '0');
+  } else if (key.length > 24 && key.length < 32) {
+    key = key.padEnd(32, '0');
+  } else if (key.length > 32) {
+    key = key.substring(0, 32);
+  }
+
+  const encrypted = CryptoJS.AES.encrypt(
+    CryptoJS.enc.Utf8.parse(md5Hash),
+    CryptoJS.enc.Utf8.parse(key),
+    {
+      mode: CryptoJS.mode.ECB,
+      padding: CryptoJS.pad.Pkcs7
+    }
+  ).toString();
+
+  // URL编码
+  return encodeURIComponent(encrypted);
+}
+
+export default {
+  generateSign
+};
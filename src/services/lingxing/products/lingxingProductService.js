@@ -280,6 +280,16 @@ class LingXingProductService extends LingXingApiClient {
     }
   }
 
+  /**
+   * 查询本地产品所属领星账户ID（用于按资源校验凭证的账户范围）
+   * @param {number} productId - 产品ID
+   * @returns {Promise<string|null>} 产品不存在返回 null
+   */
+  async getLocalProductAccountId(productId) {
+    const product = await prisma.lingXingLocalProduct.findUnique({ where: { productId }, select: { accountId: true } });
+    return product?.accountId ?? null;
+  }
+
   /**
    * 根据产品ID获取产品信息
    * @param {number} productId - 产品ID
@@ -1079,7 +1089,8 @@ class LingXingProductService extends LingXingApiClient {
     const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, null, {
       defaultLookbackDays,
       endDate,
-      timezone
+      timezone,
+      overlapDays: options.overlapDays
     });
 
     if (dateRange.isEmpty) {
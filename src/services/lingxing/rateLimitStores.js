@@ -0,0 +1,361 @@
+import prisma from '../../config/database.js';
+
+const LOG_PREFIX = '[RateLimiter]';
+
+/** 并发已满时建议的重试间隔（毫秒），实际等待由调用方按剩余等待时间截断 */
+const CONCURRENCY_RETRY_MS = 500;
+/** 乐观锁冲突（其他进程同时修改同一桶）时的重试次数 */
+const MAX_OPTIMISTIC_RETRIES = 5;
+
+/**
+ * 按配置计算补充后的令牌数
+ * @param {{ tokens: number, refilledAt: number }} state
+ * @param {{ ratePerSecond: number|null, burst: number }} config
+ * @param {number} now
+ * @returns {number}
+ */
+function refillTokens(state, config, now) {
+  if (!config.ratePerSecond) return config.burst;
+  const elapsedSeconds = Math.max(now - state.refilledAt, 0) / 1000;
+  return Math.min(config.burst, state.tokens + elapsedSeconds * config.ratePerSecond);
+}
+
+/**
+ * 按自适应系数缩小限流配置（领星返回 3001008 后降低，持续成功后恢复）
+ * @param {{ concurrency: number, ratePerSecond: number|null, burst: number }} config - 配置的限流
+ * @param {number} limitFactor - 0~1
+ * @returns {{ concurrency: number, ratePerSecond: number|null, burst: number }} 实际生效的限流
+ */
+export function applyLimitFactor(config, limitFactor = 1) {
+  if (limitFactor >= 1) return config;
+  return {
+    concurrency: Math.max(Math.floor(config.concurrency * limitFactor), 1),
+    ratePerSecond: config.ratePerSecond ? config.ratePerSecond * limitFactor : null,
+    burst: Math.max(Math.floor(config.burst * limitFactor), 1)
+  };
+}
+
+/** 令牌不足时距离补满 1 个令牌的毫秒数 */
+function msUntilNextToken(tokens, config) {
+  return Math.ceil(((1 - tokens) / config.ratePerSecond) * 1000);
+}
+
+/**
+ * 计算限流降级后的系数；距上次降级不足 cooldownMs 时不再降（同一波限流的并发请求只算一次）
+ * @returns {number|null} 新系数，null 表示不调整
+ */
+function decreasedFactor(bucket, policy, now) {
+  const last = bucket.lastThrottledAt ? new Date(bucket.lastThrottledAt).getTime() : 0;
+  if (now - last < policy.cooldownMs) return null;
+  return Math.max(bucket.limitFactor * policy.decreaseFactor, policy.minFactor);
+}
+
+/**
+ * 进程内令牌桶存储（仅限制本进程，供单进程部署或 Postgres 不可用时回退）
+ * key -> { inFlight, tokens, refilledAt, limitFactor, requestCount, throttleCount, lastThrottledAt, lastRecoveredAt }
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  getBucket(key, config) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        key,
+        inFlight: 0,
+        tokens: config.burst,
+        refilledAt: Date.now(),
+        limitFactor: 1,
+        requestCount: 0,
+        throttleCount: 0,
+        lastThrottledAt: null,
+        lastRecoveredAt: null
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * 尝试占用一个令牌
+   * @param {string} key - 桶 key（appId:url）
+   * @param {{ concurrency: number, ratePerSecond: number|null, burst: number }} baseConfig - 配置的限流（按桶的 limitFactor 缩小后生效）
+   * @returns {Promise<{ acquired: boolean, retryAfterMs?: number, limitFactor: number }>}
+   */
+  async tryAcquire(key, baseConfig) {
+    const bucket = this.getBucket(key, baseConfig);
+    const { limitFactor } = bucket;
+    const config = applyLimitFactor(baseConfig, limitFactor);
+    if (bucket.inFlight >= config.concurrency) {
+      return { acquired: false, retryAfterMs: CONCURRENCY_RETRY_MS, limitFactor };
+    }
+    const now = Date.now();
+    const tokens = refillTokens(bucket, config, now);
+    if (config.ratePerSecond && tokens < 1) {
+      return { acquired: false, retryAfterMs: msUntilNextToken(tokens, config), limitFactor };
+    }
+    bucket.inFlight++;
+    bucket.requestCount++;
+    bucket.tokens = config.ratePerSecond ? tokens - 1 : tokens;
+    bucket.refilledAt = now;
+    return { acquired: true, limitFactor };
+  }
+
+  async release(key) {
+    const bucket = this.buckets.get(key);
+    if (bucket && bucket.inFlight > 0) bucket.inFlight--;
+  }
+
+  /**
+   * 记录一次领星限流响应（3001008），按策略降低系数并清空令牌
+   * @param {string} key
+   * @param {{ decreaseFactor: number, minFactor: number, cooldownMs: number }} policy
+   * @returns {Promise<number|null>} 降低后的系数；未调整返回 null
+   */
+  async recordThrottle(key, policy) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return null;
+    const now = Date.now();
+    const next = decreasedFactor(bucket, policy, now);
+    bucket.throttleCount++;
+    bucket.lastThrottledAt = now;
+    if (next === null) return null;
+    bucket.limitFactor = next;
+    bucket.tokens = 0;
+    bucket.refilledAt = now;
+    return next;
+  }
+
+  /**
+   * 持续成功后提高系数（不超过 1）
+   * @returns {Promise<number|null>} 提高后的系数；未调整返回 null
+   */
+  async increaseFactor(key, step) {
+    const bucket = this.buckets.get(key);
+    if (!bucket || bucket.limitFactor >= 1) return null;
+    bucket.limitFactor = Math.min(bucket.limitFactor + step, 1);
+    bucket.lastRecoveredAt = Date.now();
+    return bucket.limitFactor;
+  }
+
+  /**
+   * 恢复系数为 1（key 为空时全部恢复）
+   * @returns {Promise<number>} 恢复的桶数
+   */
+  async resetFactor(key) {
+    let count = 0;
+    for (const bucket of this.buckets.values()) {
+      if ((!key || bucket.key === key) && bucket.limitFactor < 1) {
+        bucket.limitFactor = 1;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async listBuckets() {
+    return [...this.buckets.values()].map((bucket) => ({
+      ...bucket,
+      refilledAt: new Date(bucket.refilledAt),
+      lastThrottledAt: bucket.lastThrottledAt ? new Date(bucket.lastThrottledAt) : null,
+      lastRecoveredAt: bucket.lastRecoveredAt ? new Date(bucket.lastRecoveredAt) : null
+    }));
+  }
+
+  async cleanup() {}
+
+  async releaseInstance() {}
+}
+
+/**
+ * Postgres 令牌桶存储：API 与 worker 等多个进程共享同一 appId + 接口的令牌桶
+ * - RateLimitBucket：inFlight 为进行中的请求数（并发上限），tokens / refilledAt 为按速率补充的令牌
+ * - 占用令牌为带 version 条件的 updateMany（乐观锁），并写入 RateLimitLease；请求结束删除租约并归还
+ * - 进程崩溃未归还的租约在 expiresAt 后由任一进程的定期清理回收
+ * - limitFactor 为自适应系数，所有进程按同一系数缩小限流
+ */
+export class PostgresRateLimitStore {
+  /**
+   * @param {string} instanceId - 当前进程标识，写入租约便于排查与退出时释放
+   */
+  constructor(instanceId) {
+    this.instanceId = instanceId;
+  }
+
+  async getBucket(key, config) {
+    const existing = await prisma.rateLimitBucket.findUnique({ where: { key } });
+    if (existing) return existing;
+    try {
+      return await prisma.rateLimitBucket.create({
+        data: { key, inFlight: 0, tokens: config.burst, refilledAt: new Date() }
+      });
+    } catch (err) {
+      // 其他进程同时创建
+      if (err?.code === 'P2002') return prisma.rateLimitBucket.findUnique({ where: { key } });
+      throw err;
+    }
+  }
+
+  /**
+   * 尝试占用一个令牌
+   * @param {string} key
+   * @param {{ concurrency: number, ratePerSecond: number|null, burst: number }} baseConfig - 配置的限流（按桶的 limitFactor 缩小后生效）
+   * @param {string} requestId - 租约 ID
+   * @param {number} leaseMs - 租约时长（请求超时后自动回收）
+   * @returns {Promise<{ acquired: boolean, retryAfterMs?: number, limitFactor?: number }>}
+   */
+  async tryAcquire(key, baseConfig, requestId, leaseMs) {
+    for (let attempt = 0; attempt < MAX_OPTIMISTIC_RETRIES; attempt++) {
+      const bucket = await this.getBucket(key, baseConfig);
+      const { limitFactor } = bucket;
+      const config = applyLimitFactor(baseConfig, limitFactor);
+      if (bucket.inFlight >= config.concurrency) {
+        return { acquired: false, retryAfterMs: CONCURRENCY_RETRY_MS, limitFactor };
+      }
+      const now = Date.now();
+      const tokens = refillTokens({ tokens: bucket.tokens, refilledAt: bucket.refilledAt.getTime() }, config, now);
+      if (config.ratePerSecond && tokens < 1) {
+        return { acquired: false, retryAfterMs: msUntilNextToken(tokens, config), limitFactor };
+      }
+      const { count } = await prisma.rateLimitBucket.updateMany({
+        where: { key, version: bucket.version, inFlight: { lt: config.concurrency } },
+        data: {
+          inFlight: { increment: 1 },
+          requestCount: { increment: 1 },
+          tokens: config.ratePerSecond ? tokens - 1 : tokens,
+          refilledAt: new Date(now),
+          version: { increment: 1 }
+        }
+      });
+      if (count === 0) continue;
+      try {
+        await prisma.rateLimitLease.create({
+          data: { id: requestId, bucketKey: key, instanceId: this.instanceId, expiresAt: new Date(now + leaseMs) }
+        });
+      } catch (err) {
+        await this.decrement(key, 1);
+        throw err;
+      }
+      return { acquired: true, limitFactor };
+    }
+    return { acquired: false, retryAfterMs: CONCURRENCY_RETRY_MS };
+  }
+
+  async decrement(key, count) {
+    const { count: updated } = await prisma.rateLimitBucket.updateMany({
+      where: { key, inFlight: { gte: count } },
+      data: { inFlight: { decrement: count } }
+    });
+    if (updated === 0) {
+      await prisma.rateLimitBucket.updateMany({ where: { key }, data: { inFlight: 0 } });
+    }
+  }
+
+  /**
+   * 归还令牌：删除租约并减少 inFlight（租约已被清理回收时不重复归还）
+   */
+  async release(key, requestId) {
+    const { count } = await prisma.rateLimitLease.deleteMany({ where: { id: requestId } });
+    if (count > 0) await this.decrement(key, count);
+  }
+
+  /**
+   * 记录一次领星限流响应（3001008），按策略降低系数并清空令牌
+   * @param {string} key
+   * @param {{ decreaseFactor: number, minFactor: number, cooldownMs: number }} policy
+   * @returns {Promise<number|null>} 降低后的系数；未调整（冷却中或被其他进程抢先）返回 null
+   */
+  async recordThrottle(key, policy) {
+    const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+    if (!bucket) return null;
+    const now = Date.now();
+    const next = decreasedFactor(bucket, policy, now);
+    if (next !== null) {
+      const { count } = await prisma.rateLimitBucket.updateMany({
+        where: { key, version: bucket.version },
+        data: {
+          limitFactor: next,
+          tokens: 0,
+          refilledAt: new Date(now),
+          throttleCount: { increment: 1 },
+          lastThrottledAt: new Date(now),
+          version: { increment: 1 }
+        }
+      });
+      if (count > 0) return next;
+    }
+    await prisma.rateLimitBucket.updateMany({
+      where: { key },
+      data: { throttleCount: { increment: 1 }, lastThrottledAt: new Date(now) }
+    });
+    return null;
+  }
+
+  /**
+   * 持续成功后提高系数（不超过 1）
+   * @returns {Promise<number|null>} 提高后的系数；未调整返回 null
+   */
+  async increaseFactor(key, step) {
+    const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+    if (!bucket || bucket.limitFactor >= 1) return null;
+    const next = Math.min(bucket.limitFactor + step, 1);
+    const { count } = await prisma.rateLimitBucket.updateMany({
+      where: { key, version: bucket.version },
+      data: { limitFactor: next, lastRecoveredAt: new Date(), version: { increment: 1 } }
+    });
+    return count > 0 ? next : null;
+  }
+
+  /**
+   * 恢复系数为 1（key 为空时全部恢复）
+   * @returns {Promise<number>} 恢复的桶数
+   */
+  async resetFactor(key) {
+    const { count } = await prisma.rateLimitBucket.updateMany({
+      where: { ...(key && { key }), limitFactor: { lt: 1 } },
+      data: { limitFactor: 1, lastRecoveredAt: new Date() }
+    });
+    return count;
+  }
+
+  async listBuckets() {
+    return prisma.rateLimitBucket.findMany({ orderBy: { key: 'asc' } });
+  }
+
+  /**
+   * 回收已过期的租约（进程崩溃或请求超时未归还）
+   */
+  async cleanup() {
+    const now = new Date();
+    const expired = await prisma.rateLimitLease.groupBy({
+      by: ['bucketKey'],
+      where: { expiresAt: { lt: now } }
+    });
+    for (const { bucketKey } of expired) {
+      const { count } = await prisma.rateLimitLease.deleteMany({ where: { bucketKey, expiresAt: { lt: now } } });
+      if (count > 0) {
+        await this.decrement(bucketKey, count);
+        console.warn(`${LOG_PREFIX} 回收过期租约 ${bucketKey} ${count} 个`);
+      }
+    }
+  }
+
+  /**
+   * 释放本进程持有的全部租约（进程退出前调用）
+   */
+  async releaseInstance() {
+    const leases = await prisma.rateLimitLease.findMany({
+      where: { instanceId: this.instanceId },
+      select: { id: true, bucketKey: true }
+    });
+    for (const { id, bucketKey } of leases) {
+      await this.release(bucketKey, id);
+    }
+  }
+}
+
+export default {
+  applyLimitFactor,
+  MemoryRateLimitStore,
+  PostgresRateLimitStore
+};
@@ -1,22 +1,79 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import os from 'os';
+import { MemoryRateLimitStore, PostgresRateLimitStore, applyLimitFactor } from './rateLimitStores.js';
+import { counter, gauge, histogram, registerCollector } from '../metricsService.js';
+
+const LOG_PREFIX = '[RateLimiter]';
+
+/** 接口使用记录上下文：store 为 Set<url>，由 runWithUsageTracking 创建 */
+const usageStorage = new AsyncLocalStorage();
+
+/** 等待令牌时的最小轮询间隔（毫秒） */
+const MIN_POLL_MS = 100;
+
+/**
+ * 自适应限流（AIMD）：领星返回 3001008 时按 decreaseFactor 乘性降低限流系数（同一桶 cooldownMs 内只降一次，最低 minFactor），
+ * 系数小于 1 时每连续 recoverAfterSuccesses 次成功加性恢复 increaseStep，直到 1
+ */
+const ADAPTIVE_POLICY = {
+  decreaseFactor: 0.5,
+  minFactor: 0.1,
+  cooldownMs: 10000,
+  increaseStep: 0.1,
+  recoverAfterSuccesses: 20
+};
+
+/** 限流指标：path 为接口路径（不含域名） */
+const waitSeconds = histogram('lingxing_rate_limit_wait_seconds', '获取令牌的等待时间（秒）', ['path'], [0.01, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120]);
+const acquisitionsTotal = counter('lingxing_rate_limit_acquisitions_total', '获取令牌次数（result: acquired / rejected 等待超时被限流）', ['path', 'result']);
+const throttlesTotal = counter('lingxing_rate_limit_throttles_total', '领星返回 3001008 的次数', ['path']);
+const fallbacksTotal = counter('lingxing_rate_limit_fallbacks_total', '共享限流存储不可用、回退到本进程限流的次数');
+const limitFactorGauge = gauge('lingxing_rate_limit_factor', '自适应限流系数（1 为按配置限流）', ['app', 'path']);
+const inFlightGauge = gauge('lingxing_rate_limit_in_flight', '本进程持有的令牌数（进行中的请求）', ['path']);
+
+/** 取 url 的路径部分作为指标标签 */
+function urlPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url ?? '');
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** 解析 JSON 环境变量，格式错误时忽略 */
+function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`${LOG_PREFIX} 环境变量 ${name} 不是合法 JSON，已忽略: ${err.message}`);
+    return null;
+  }
+}
+
 /**
  * 令牌桶限流器
  * 改进的令牌桶算法：
  * - 为每一个请求提供一个令牌
- * - 当请求到达时，如果桶中有足够的令牌，则会消耗一个令牌并允许请求通过
- * - 如果没有令牌，则请求被限流（错误码：3001008）
+ * - 并发上限：同一桶进行中的请求数不超过 concurrency
+ * - 速率上限（可选）：按 ratePerSecond 补充令牌，最多积累 burst 个
+ * - 没有令牌时等待（最长 waitTimeoutMs），超时仍未获得则被限流（错误码：3001008）
  * - 令牌回收是基于请求完成、异常、超时（2min）
  * - 令牌桶的维度：appId + 接口url
+ * - 自适应：领星返回 3001008 时临时缩小该桶的并发与速率，持续成功后逐步恢复（见 ADAPTIVE_POLICY，RATE_LIMIT_ADAPTIVE=false 关闭）
+ * - 存储：默认 Postgres（RATE_LIMITER_BACKEND=postgres），API 与 worker 进程共享同一桶；
+ *   memory 为仅限本进程；Postgres 不可用时单次请求回退到本进程存储
  */
 class RateLimiter {
   constructor(options = {}) {
-    // 令牌桶存储：key = `${appId}:${url}`, value = { tokens: number, maxTokens: number, requests: Map<requestId, requestInfo> }
-    this.buckets = new Map();
-    
     // 每个桶的初始令牌数（可配置，默认10个）
     this.initialTokens = options.initialTokens || 10;
     
     // 按接口URL配置的令牌桶容量映射
-    // key: 接口路径（支持部分匹配），value: 令牌桶容量
+    // key: 接口路径（支持部分匹配），value: 并发容量，或 { concurrency, ratePerSecond, burst }
     this.urlTokenConfig = options.urlTokenConfig || {
       '/bd/fee/management/open/feeManagement/otherFee/type': 1,
       '/bd/profit/report/open/report/msku/list': 10,
@@ -59,13 +116,41 @@ class RateLimiter {
       '/erp/sc/data/fba_report/storageFeeMonth': 1
     };
     
+    // 环境变量覆盖：LINGXING_RATE_LIMITS='{"/erp/sc/data/sales_report/sales": {"concurrency": 5, "ratePerSecond": 2}}'
+    const envLimits = parseJsonEnv('LINGXING_RATE_LIMITS');
+    if (envLimits && typeof envLimits === 'object') {
+      this.urlTokenConfig = { ...this.urlTokenConfig, ...envLimits };
+    }
+
+    // 未单独配置速率的接口的默认每秒请求数（不设置则只限并发）
+    const defaultRps = Number(options.defaultRatePerSecond ?? process.env.RATE_LIMIT_DEFAULT_RPS);
+    this.defaultRatePerSecond = Number.isFinite(defaultRps) && defaultRps > 0 ? defaultRps : null;
+
+    // 获取令牌的默认最长等待时间（0 表示不等待，立即返回限流）
+    const waitTimeout = Number(options.waitTimeoutMs ?? process.env.RATE_LIMIT_WAIT_TIMEOUT_MS);
+    this.waitTimeoutMs = Number.isFinite(waitTimeout) && waitTimeout >= 0 ? waitTimeout : 60000;
+
     // 请求超时时间（2分钟）
     this.requestTimeout = options.requestTimeout || (2 * 60 * 1000);
-    
+
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.backend = (options.backend || process.env.RATE_LIMITER_BACKEND || 'postgres').toLowerCase();
+    this.memoryStore = new MemoryRateLimitStore();
+    this.store = this.backend === 'memory' ? this.memoryStore : new PostgresRateLimitStore(this.instanceId);
+
+    // 本进程持有的令牌：requestId -> { store, key, path, limitFactor, timeout }
+    this.leases = new Map();
+
+    // 自适应限流：系数存于共享存储；连续成功次数按进程计数 key -> number
+    this.adaptive = options.adaptive ?? process.env.RATE_LIMIT_ADAPTIVE !== 'false';
+    this.adaptivePolicy = { ...ADAPTIVE_POLICY, ...(options.adaptivePolicy || {}) };
+    this.successStreaks = new Map();
+
     // 定期清理超时请求
     this.cleanupInterval = setInterval(() => {
       this.cleanupTimeoutRequests();
     }, 60000); // 每分钟清理一次
+    this.cleanupInterval.unref?.();
   }
 
   /**
@@ -76,76 +161,108 @@ class RateLimiter {
   }
 
   /**
-   * 获取接口对应的令牌桶容量
+   * 获取接口对应的限流配置
    * @param {string} url - 接口URL
-   * @returns {number} 令牌桶容量
+   * @returns {{ concurrency: number, ratePerSecond: number|null, burst: number }}
    */
-  getTokenCapacity(url) {
+  getBucketConfig(url) {
+    let matched = this.initialTokens;
     // 检查是否有针对该接口的配置
-    for (const [pattern, capacity] of Object.entries(this.urlTokenConfig)) {
+    for (const [pattern, config] of Object.entries(this.urlTokenConfig)) {
       if (url.includes(pattern)) {
-        return capacity;
+        matched = config;
+        break;
       }
     }
-    // 如果没有匹配的配置，使用默认值
-    return this.initialTokens;
+    const limit = typeof matched === 'number' ? { concurrency: matched } : matched;
+    const concurrency = limit.concurrency || this.initialTokens;
+    const ratePerSecond = limit.ratePerSecond || this.defaultRatePerSecond;
+    return {
+      concurrency,
+      ratePerSecond: ratePerSecond || null,
+      burst: limit.burst || Math.max(Math.ceil(ratePerSecond || 1), 1)
+    };
+  }
+
+  /**
+   * 获取接口对应的令牌桶容量（并发上限）
+   * @param {string} url - 接口URL
+   * @returns {number} 令牌桶容量
+   */
+  getTokenCapacity(url) {
+    return this.getBucketConfig(url).concurrency;
   }
 
   /**
-   * 获取或创建令牌桶
+   * 在指定存储上尝试占用令牌；共享存储异常时回退到本进程存储
+   * @returns {Promise<{ acquired: boolean, retryAfterMs?: number, store: Object }>}
    */
-  getBucket(appId, url) {
-    const key = this.getBucketKey(appId, url);
-    if (!this.buckets.has(key)) {
-      const tokenCapacity = this.getTokenCapacity(url);
-      this.buckets.set(key, {
-        tokens: tokenCapacity, // 初始令牌数
-        maxTokens: tokenCapacity, // 最大令牌数（用于限制并发）
-        requests: new Map() // 存储进行中的请求 { requestId: { timestamp, timeout } }
-      });
+  async tryAcquire(key, config, requestId) {
+    if (this.store !== this.memoryStore) {
+      try {
+        const result = await this.store.tryAcquire(key, config, requestId, this.requestTimeout);
+        return { ...result, store: this.store };
+      } catch (err) {
+        fallbacksTotal.inc();
+        console.warn(`${LOG_PREFIX} 共享限流存储不可用，回退到本进程限流: ${err.message}`);
+      }
     }
-    return this.buckets.get(key);
+    const result = await this.memoryStore.tryAcquire(key, config, requestId, this.requestTimeout);
+    return { ...result, store: this.memoryStore };
   }
 
   /**
-   * 尝试获取令牌
+   * 获取令牌（无可用令牌时等待，直到获得或超时）
    * @param {string} appId - APP ID
    * @param {string} url - 接口URL
-   * @returns {Object} { success: boolean, requestId?: string, error?: string }
+   * @param {Object} [options]
+   *   - waitTimeoutMs: number 最长等待时间，默认 RATE_LIMIT_WAIT_TIMEOUT_MS（60s），0 表示不等待
+   * @returns {Promise<Object>} { success: boolean, requestId?: string, error?: string, errorCode?: string }
    */
-  acquireToken(appId, url) {
-    const bucket = this.getBucket(appId, url);
-    
-    // 检查是否有可用令牌
-    if (bucket.tokens > 0) {
-      // 消耗一个令牌
-      bucket.tokens--;
-      
-      // 生成请求ID
-      const requestId = `${Date.now()}-${Math.random().toString(36).substring(7)}`;
-      
-      // 记录请求
-      const timeout = setTimeout(() => {
+  async acquireToken(appId, url, options = {}) {
+    usageStorage.getStore()?.add(url);
+    const key = this.getBucketKey(appId, url);
+    const config = this.getBucketConfig(url);
+    const waitTimeoutMs = options.waitTimeoutMs ?? this.waitTimeoutMs;
+    const deadline = Date.now() + waitTimeoutMs;
+
+    // 生成请求ID
+    const requestId = `${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    const path = urlPath(url);
+    const endWaitTimer = waitSeconds.startTimer({ path });
+
+    for (;;) {
+      const { acquired, retryAfterMs, limitFactor, store } = await this.tryAcquire(key, config, requestId);
+      if (limitFactor !== undefined) limitFactorGauge.set({ app: appId, path }, limitFactor);
+      if (acquired) {
+        endWaitTimer();
+        acquisitionsTotal.inc({ path, result: 'acquired' });
         // 超时后释放令牌
-        this.releaseToken(appId, url, requestId);
-      }, this.requestTimeout);
-      
-      bucket.requests.set(requestId, {
-        timestamp: Date.now(),
-        timeout: timeout
-      });
-      
-      return {
-        success: true,
-        requestId: requestId
-      };
-    } else {
-      // 没有可用令牌，请求被限流
-      return {
-        success: false,
-        error: '请求被限流',
-        errorCode: '3001008'
-      };
+        const timeout = setTimeout(() => {
+          this.releaseToken(appId, url, requestId);
+        }, this.requestTimeout);
+        timeout.unref?.();
+        this.leases.set(requestId, { store, key, path, limitFactor: limitFactor ?? 1, timeout });
+        return {
+          success: true,
+          requestId: requestId
+        };
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        // 等待超时，请求被限流
+        endWaitTimer();
+        acquisitionsTotal.inc({ path, result: 'rejected' });
+        return {
+          success: false,
+          error: '请求被限流',
+          errorCode: '3001008'
+        };
+      }
+      // 加随机抖动，避免多个等待者同时重试
+      const delay = Math.max(retryAfterMs ?? MIN_POLL_MS, MIN_POLL_MS) + Math.floor(Math.random() * MIN_POLL_MS);
+      await sleep(Math.min(remaining, delay));
     }
   }
 
@@ -154,58 +271,149 @@ class RateLimiter {
    * @param {string} appId - APP ID
    * @param {string} url - 接口URL
    * @param {string} requestId - 请求ID
+   * @param {string} [outcome] - 请求结果：success（成功）/ throttled（领星返回 3001008），用于自适应限流；其他异常不传
+   * @returns {Promise<void>} 不会 reject
    */
-  releaseToken(appId, url, requestId) {
-    const key = this.getBucketKey(appId, url);
-    const bucket = this.buckets.get(key);
-    
-    // 如果桶不存在，说明这个请求ID无效，直接返回
-    if (!bucket) {
+  async releaseToken(appId, url, requestId, outcome) {
+    const lease = this.leases.get(requestId);
+    // 请求ID无效或已释放，直接返回
+    if (!lease) {
       return;
     }
-    
-    // 查找并移除请求
-    const request = bucket.requests.get(requestId);
-    if (request) {
-      // 清除超时定时器
-      if (request.timeout) {
-        clearTimeout(request.timeout);
-      }
-      
-      // 移除请求记录
-      bucket.requests.delete(requestId);
-      
-      // 回收令牌（不超过最大令牌数）
-      if (bucket.tokens < bucket.maxTokens) {
-        bucket.tokens++;
-      }
+    clearTimeout(lease.timeout);
+    this.leases.delete(requestId);
+    try {
+      await lease.store.release(lease.key, requestId);
+    } catch (err) {
+      // 共享存储中的租约到期后由清理任务回收
+      console.warn(`${LOG_PREFIX} 释放令牌失败 ${lease.key}: ${err.message}`);
+    }
+    if (outcome === 'throttled') throttlesTotal.inc({ path: lease.path });
+    if (this.adaptive && outcome) {
+      await this.adapt(lease, outcome);
     }
   }
 
   /**
-   * 清理超时请求
+   * 按请求结果调整桶的限流系数（AIMD）
+   * @param {{ store: Object, key: string, limitFactor: number }} lease
+   * @param {string} outcome - success / throttled
    */
-  cleanupTimeoutRequests() {
-    const now = Date.now();
-    
-    for (const [key, bucket] of this.buckets.entries()) {
-      const [appId, url] = key.split(':');
-      const timeoutRequests = [];
-      
-      // 找出超时的请求
-      for (const [requestId, request] of bucket.requests.entries()) {
-        if (now - request.timestamp > this.requestTimeout) {
-          timeoutRequests.push(requestId);
+  async adapt(lease, outcome) {
+    const { store, key } = lease;
+    const policy = this.adaptivePolicy;
+    try {
+      if (outcome === 'throttled') {
+        this.successStreaks.set(key, 0);
+        const next = await store.recordThrottle(key, policy);
+        if (next !== null) {
+          console.warn(`${LOG_PREFIX} ${key} 触发领星限流，限流系数降为 ${next.toFixed(2)}`);
         }
+        return;
+      }
+      if (outcome !== 'success' || lease.limitFactor >= 1) return;
+      const streak = (this.successStreaks.get(key) ?? 0) + 1;
+      if (streak < policy.recoverAfterSuccesses) {
+        this.successStreaks.set(key, streak);
+        return;
       }
-      
-      // 释放超时请求的令牌
-      for (const requestId of timeoutRequests) {
-        this.releaseToken(appId, url, requestId);
+      this.successStreaks.set(key, 0);
+      const next = await store.increaseFactor(key, policy.increaseStep);
+      if (next !== null) {
+        console.log(`${LOG_PREFIX} ${key} 持续成功，限流系数恢复到 ${next.toFixed(2)}`);
       }
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} 调整限流系数失败 ${key}: ${err.message}`);
     }
   }
 
+  /**
+   * 各接口令牌桶的实际生效限流与限流统计（供调优 urlTokenConfig）
+   * memory 存储时只包含本进程数据
+   * @param {Object} [filters] - appId?, url?（部分匹配）, throttledOnly?（只看触发过限流的）
+   * @returns {Promise<Array<Object>>}
+   */
+  async getLimitStats(filters = {}) {
+    const buckets = await this.store.listBuckets();
+    return buckets
+      .map((bucket) => {
+        const separator = bucket.key.indexOf(':');
+        const appId = bucket.key.slice(0, separator);
+        const url = bucket.key.slice(separator + 1);
+        const configured = this.getBucketConfig(url);
+        return {
+          key: bucket.key,
+          appId,
+          url,
+          configured,
+          limitFactor: bucket.limitFactor,
+          effective: applyLimitFactor(configured, bucket.limitFactor),
+          inFlight: bucket.inFlight,
+          requestCount: bucket.requestCount,
+          throttleCount: bucket.throttleCount,
+          throttleRate: bucket.requestCount > 0 ? bucket.throttleCount / bucket.requestCount : 0,
+          lastThrottledAt: bucket.lastThrottledAt,
+          lastRecoveredAt: bucket.lastRecoveredAt
+        };
+      })
+      .filter((item) => !filters.appId || item.appId === filters.appId)
+      .filter((item) => !filters.url || item.url.includes(filters.url))
+      .filter((item) => !filters.throttledOnly || item.throttleCount > 0);
+  }
+
+  /**
+   * 将限流系数恢复为 1（不清空统计）
+   * @param {string} [key] - 桶 key（appId:url），不传则全部恢复
+   * @returns {Promise<number>} 恢复的桶数
+   */
+  async resetAdaptiveLimits(key) {
+    if (key) this.successStreaks.delete(key);
+    else this.successStreaks.clear();
+    return this.store.resetFactor(key);
+  }
+
+  /**
+   * 清理超时请求（回收共享存储中其他进程崩溃遗留的过期租约）
+   */
+  async cleanupTimeoutRequests() {
+    try {
+      await this.store.cleanup();
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} 清理过期租约失败: ${err.message}`);
+    }
+  }
+
+  /**
+   * 在跟踪上下文中执行 fn，记录期间（含异步调用链）申请过令牌的接口 url
+   * 供调度器判断不同任务是否争用同一令牌桶
+   * @param {() => Promise<any>} fn
+   * @returns {Promise<{ result: any, urls: Set<string> }>} fn 抛错时错误对象上附带 usedUrls
+   */
+  async runWithUsageTracking(fn) {
+    const urls = new Set();
+    try {
+      const result = await usageStorage.run(urls, fn);
+      return { result, urls };
+    } catch (err) {
+      if (err && typeof err === 'object') err.usedUrls = urls;
+      throw err;
+    }
+  }
+
+  /**
+   * 进程退出前归还本进程持有的全部令牌，避免共享桶被占用到租约过期
+   */
+  async shutdown() {
+    const pending = [...this.leases.entries()].map(([requestId, lease]) => this.releaseToken(null, null, requestId));
+    await Promise.all(pending);
+    try {
+      await this.store.releaseInstance();
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} 退出时释放租约失败: ${err.message}`);
+    }
+    this.destroy();
+  }
+
   /**
    * 销毁限流器（清理资源）
    */
@@ -215,18 +423,22 @@ class RateLimiter {
     }
     
     // 清理所有定时器
-    for (const bucket of this.buckets.values()) {
-      for (const request of bucket.requests.values()) {
-        if (request.timeout) {
-          clearTimeout(request.timeout);
-        }
-      }
+    for (const lease of this.leases.values()) {
+      clearTimeout(lease.timeout);
     }
     
-    this.buckets.clear();
+    this.leases.clear();
   }
 }
 
 // 单例模式
-export default new RateLimiter();
+const rateLimiter = new RateLimiter();
+
+registerCollector(() => {
+  inFlightGauge.reset();
+  for (const lease of rateLimiter.leases.values()) {
+    inFlightGauge.inc({ path: lease.path });
+  }
+});
 
+export default rateLimiter;
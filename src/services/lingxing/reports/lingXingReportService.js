@@ -3,6 +3,7 @@ import { moveToHistoryAndDelete } from '../lingxingArchiveHelper.js';
 import LingXingApiClient from '../lingxingApiClient.js';
 import lingxingBasicDataService from '../basic/lingxingBasicDataService.js';
 import { runAccountLevelIncrementalSync } from '../sync/lingXingIncrementalRunner.js';
+import { reportSyncRunProgress } from '../sync/lingXingSyncRunContext.js';
 
 /**
  * 领星ERP报表服务
@@ -2012,6 +2013,7 @@ class LingXingReportService extends LingXingApiClient {
     delete baseParams.endDate;
     for (let i = 0; i < days.length; i++) {
       const day = days[i];
+      reportSyncRunProgress({ currentDay: day });
       const allRecords = [];
       let offset = 0;
       let totalCount = 0;
@@ -2156,6 +2158,7 @@ class LingXingReportService extends LingXingApiClient {
     }
     let totalRecords = 0;
     for (const day of days) {
+      reportSyncRunProgress({ currentDay: day });
       for (const sw of sysWidList) {
         const result = await this.getStorageReportLocalAggregate(accountId, { start_date: day, end_date: day, sys_wid: sw || undefined });
         await this.saveStorageReportLocalAggregateForDay(accountId, day, sw, result.data);
@@ -2229,6 +2232,7 @@ class LingXingReportService extends LingXingApiClient {
     }
     let totalRecords = 0;
     for (const day of days) {
+      reportSyncRunProgress({ currentDay: day });
       for (const sw of sysWidList) {
         let offset = 1;
         let total = 0;
@@ -2304,6 +2308,7 @@ class LingXingReportService extends LingXingApiClient {
     }
     let totalRecords = 0;
     for (const day of days) {
+      reportSyncRunProgress({ currentDay: day });
       for (const sw of sysWidList) {
         const result = await this.getStorageReportOverseasAggregate(accountId, { start_date: day, end_date: day, sys_wid: sw || undefined });
         await this.saveStorageReportOverseasAggregateForDay(accountId, day, sw, result.data);
@@ -2377,6 +2382,7 @@ class LingXingReportService extends LingXingApiClient {
     }
     let totalRecords = 0;
     for (const day of days) {
+      reportSyncRunProgress({ currentDay: day });
       for (const sw of sysWidList) {
         let offset = 1;
         let total = 0;
@@ -0,0 +1,370 @@
+import prisma from '../../../config/database.js';
+import lingXingUnifiedSyncService, { INCREMENTAL_TASK_REGISTRY } from './lingXingUnifiedSyncService.js';
+import {
+  isSyncCancelledError,
+  throwIfSyncRunCancelled,
+  reportSyncRunProgress,
+  setSyncRunDateRange
+} from './lingXingSyncRunContext.js';
+
+const LOG_PREFIX = '[Backfill]';
+
+const DEFAULT_CHUNK_DAYS = 7;
+const MAX_CHUNK_DAYS = 31;
+/** 单次回补最多分片数（账户数 × 日期分片），避免误传超长范围 */
+const MAX_CHUNKS = 5000;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** 可领取执行的回补状态（running 另按关联运行判断，见 claimBackfill） */
+const CLAIMABLE_STATUSES = ['pending', 'partial', 'failed', 'cancelled'];
+/** 已领取但未关联运行（启动期间进程退出）超过该时长的回补允许重新领取 */
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 将 [startDate, endDate] 按 chunkDays 切分
+ * @returns {Array<{ startDate: string, endDate: string }>}
+ */
+function splitDateRange(startDate, endDate, chunkDays) {
+  const chunks = [];
+  for (let start = startDate; start <= endDate; start = addDays(start, chunkDays)) {
+    const end = addDays(start, chunkDays - 1);
+    chunks.push({ startDate: start, endDate: end < endDate ? end : endDate });
+  }
+  return chunks;
+}
+
+/**
+ * 从 runIncrementalSyncForAccount 返回值判断分片结果：
+ * 方法抛错时 success = false；方法正常返回但 summary.failCount > 0（部分店铺/日期失败）也视为失败，便于 resume 重跑
+ * @returns {{ success: boolean, recordCount: number, error: string|null }}
+ */
+function evaluateChunkResult(result) {
+  if (result?.success === false) {
+    return { success: false, recordCount: 0, error: result.error || '执行失败' };
+  }
+  const summary = result?.summary;
+  const recordCount = summary?.totalRecords ?? summary?.recordCount ?? result?.recordCount ?? 0;
+  if (summary?.failCount > 0) {
+    const failed = (result.results || []).filter((r) => r.success === false);
+    const error = failed.map((r) => `${r.sid != null ? `sid=${r.sid} ` : ''}${r.error}`).join('; ') || `${summary.failCount} 个分段失败`;
+    return { success: false, recordCount, error };
+  }
+  return { success: true, recordCount, error: null };
+}
+
+/**
+ * 领星增量任务历史回补服务
+ * - 复用各任务的增量方法：在同步运行上下文中设置回补窗口，getIncrementalDateRange 返回该窗口、upsertSyncState 不写入，
+ *   因此按天/按店铺拉取与保存逻辑不变，且不推进增量同步状态（水位）
+ * - 按 账户 × 日期分片 记录完成情况（SyncBackfillChunk），取消或失败后可 resume 只执行未成功的分片
+ * - 执行由 lingXingSyncRunService 以 kind = backfill 的同步运行承载（进度查询与取消同 /runs/:id）
+ */
+class LingXingBackfillService {
+  /**
+   * 创建回补及分片（不执行）
+   * @param {Object} params
+   *   - taskType: 增量任务类型（须支持回补）
+   *   - accountIds?: 指定账户，不传则全部启用账户
+   *   - sids?: 指定店铺，仅按店铺记录同步状态的任务（perSid）可用
+   *   - startDate, endDate: Y-m-d，endDate 不晚于今天
+   *   - chunkDays?: 分片天数，默认 7，最大 31
+   *   - options?: 透传给增量方法的选项（如 pageSize）
+   * @returns {Promise<Object>} SyncBackfill 记录
+   */
+  async createBackfill(params = {}) {
+    const { taskType, accountIds = null, sids = null, startDate, endDate, options = {} } = params;
+    const chunkDays = params.chunkDays == null ? DEFAULT_CHUNK_DAYS : parseInt(params.chunkDays, 10);
+
+    const entry = INCREMENTAL_TASK_REGISTRY[taskType];
+    if (!entry) {
+      throw new Error(`不支持的增量任务类型: ${taskType}`);
+    }
+    if (entry.backfill === false) {
+      throw new Error(`任务 ${taskType} 不支持回补`);
+    }
+    if (!DATE_RE.test(startDate || '') || !DATE_RE.test(endDate || '')) {
+      throw new Error('startDate、endDate 必填，格式 Y-m-d');
+    }
+    if (startDate > endDate) {
+      throw new Error('startDate 不能晚于 endDate');
+    }
+    if (endDate > new Date().toISOString().slice(0, 10)) {
+      throw new Error('endDate 不能晚于今天');
+    }
+    if (!Number.isInteger(chunkDays) || chunkDays < 1 || chunkDays > MAX_CHUNK_DAYS) {
+      throw new Error(`chunkDays 须为 1~${MAX_CHUNK_DAYS} 的整数`);
+    }
+    let sidList = null;
+    if (Array.isArray(sids) && sids.length > 0) {
+      if (!entry.perSid) {
+        throw new Error(`任务 ${taskType} 不按店铺同步，不支持 sids`);
+      }
+      sidList = sids.map((sid) => parseInt(sid, 10));
+      if (sidList.some((sid) => !Number.isInteger(sid))) {
+        throw new Error('sids 须为店铺ID数组');
+      }
+    }
+
+    const accounts = await lingXingUnifiedSyncService.getActiveAccounts(accountIds);
+    if (accounts.length === 0) {
+      throw new Error('没有可回补的启用账户');
+    }
+    if (Array.isArray(accountIds) && accountIds.length > 0) {
+      const found = new Set(accounts.map((a) => a.id));
+      const missing = accountIds.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        throw new Error(`账户不存在或未启用: ${missing.join(', ')}`);
+      }
+    }
+
+    const ranges = splitDateRange(startDate, endDate, chunkDays);
+    const totalChunks = ranges.length * accounts.length;
+    if (totalChunks > MAX_CHUNKS) {
+      throw new Error(`分片过多（${totalChunks}），请缩小日期范围或增大 chunkDays（单次最多 ${MAX_CHUNKS} 个分片）`);
+    }
+
+    const backfill = await prisma.$transaction(async (tx) => {
+      const created = await tx.syncBackfill.create({
+        data: {
+          taskType,
+          accountIds: Array.isArray(accountIds) && accountIds.length > 0 ? accountIds : undefined,
+          sids: sidList ?? undefined,
+          startDate,
+          endDate,
+          chunkDays,
+          options,
+          status: 'pending',
+          totalChunks
+        }
+      });
+      await tx.syncBackfillChunk.createMany({
+        data: accounts.flatMap((account) =>
+          ranges.map((range) => ({ backfillId: created.id, accountId: account.id, ...range }))
+        )
+      });
+      return created;
+    });
+    console.log(`${LOG_PREFIX} 已创建 id=${backfill.id} taskType=${taskType} ${startDate}~${endDate} 账户 ${accounts.length} 个 分片 ${totalChunks} 个`);
+    return backfill;
+  }
+
+  /**
+   * 领取回补以启动执行：条件更新为 running 并清空 runId（启动后由 attachRun 关联新运行），
+   * 并发的创建/续跑只有一个能领取成功；running 的回补须先经 getResumeConflict 确认关联运行已结束
+   * @param {Object} backfill - 领取前读取的 SyncBackfill 记录
+   * @returns {Promise<boolean>} 是否领取成功
+   */
+  async claimBackfill(backfill) {
+    const or = [{ status: { in: CLAIMABLE_STATUSES } }];
+    if (backfill.status === 'running') {
+      // 进程重启后停留在 running：关联运行已结束，或领取后未关联运行且已超时
+      or.push(backfill.runId
+        ? { status: 'running', runId: backfill.runId }
+        : { status: 'running', runId: null, updatedAt: { lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } });
+    }
+    const { count } = await prisma.syncBackfill.updateMany({
+      where: { id: backfill.id, OR: or },
+      data: { status: 'running', runId: null }
+    });
+    return count > 0;
+  }
+
+  /**
+   * 启动同步运行失败时释放领取，恢复领取前的状态与 runId
+   * @param {Object} backfill - 领取前读取的 SyncBackfill 记录
+   */
+  async releaseBackfill(backfill) {
+    await prisma.syncBackfill.updateMany({
+      where: { id: backfill.id, status: 'running', runId: null },
+      data: { status: backfill.status === 'running' ? 'failed' : backfill.status, runId: backfill.runId ?? null }
+    });
+  }
+
+  /**
+   * 记录本次执行的同步运行ID
+   */
+  async attachRun(backfillId, runId) {
+    return prisma.syncBackfill.update({ where: { id: backfillId }, data: { runId } });
+  }
+
+  /**
+   * 执行回补中未成功（pending / failed）的分片，须在同步运行上下文中调用
+   * @param {string} backfillId
+   * @returns {Promise<{ backfillId, status, totalChunks, doneChunks, failedChunks, totalRecords }>}
+   */
+  async runBackfill(backfillId) {
+    const backfill = await prisma.syncBackfill.findUnique({ where: { id: backfillId } });
+    if (!backfill) throw new Error(`回补不存在: ${backfillId}`);
+    const chunks = await prisma.syncBackfillChunk.findMany({
+      where: { backfillId, status: { in: ['pending', 'failed'] } },
+      orderBy: [{ accountId: 'asc' }, { startDate: 'asc' }]
+    });
+    const accounts = await prisma.lingXingAccount.findMany({
+      where: { id: { in: [...new Set(chunks.map((c) => c.accountId))] } },
+      select: { id: true, name: true }
+    });
+    const accountNames = new Map(accounts.map((a) => [a.id, a.name]));
+    const options = { ...(backfill.options || {}) };
+    const sids = Array.isArray(backfill.sids) ? backfill.sids : null;
+
+    await prisma.syncBackfill.update({ where: { id: backfillId }, data: { status: 'running' } });
+    reportSyncRunProgress({ currentTaskType: backfill.taskType, chunkCount: chunks.length });
+    console.log(`${LOG_PREFIX} 开始 id=${backfillId} taskType=${backfill.taskType} 待执行分片 ${chunks.length} 个`);
+
+    let cancelled = false;
+    let summary;
+    try {
+      for (const chunk of chunks) {
+        throwIfSyncRunCancelled();
+        reportSyncRunProgress({
+          currentAccount: { id: chunk.accountId, name: accountNames.get(chunk.accountId) ?? null },
+          currentSegment: { taskType: backfill.taskType, sid: null, startDate: chunk.startDate, endDate: chunk.endDate },
+          currentDay: null
+        });
+        setSyncRunDateRange({ startDate: chunk.startDate, endDate: chunk.endDate, sids });
+
+        let outcome;
+        try {
+          // 与增量同步同一入口（含目录回溯天数默认值与错误捕获），取消错误原样抛出
+          outcome = evaluateChunkResult(
+            await lingXingUnifiedSyncService.runIncrementalSyncForAccount(chunk.accountId, backfill.taskType, options)
+          );
+        } finally {
+          setSyncRunDateRange(null);
+        }
+
+        await prisma.syncBackfillChunk.update({
+          where: { id: chunk.id },
+          data: {
+            status: outcome.success ? 'success' : 'failed',
+            attempts: { increment: 1 },
+            recordCount: outcome.recordCount,
+            error: outcome.error,
+            finishedAt: new Date()
+          }
+        });
+        reportSyncRunProgress({}, { chunksDone: 1, recordsSaved: outcome.recordCount, ...(outcome.success ? {} : { chunksFailed: 1 }) });
+        if (!outcome.success) {
+          console.warn(`${LOG_PREFIX} id=${backfillId} accountId=${chunk.accountId} ${chunk.startDate}~${chunk.endDate} 失败: ${outcome.error}`);
+        }
+      }
+    } catch (err) {
+      if (!isSyncCancelledError(err)) throw err;
+      cancelled = true;
+    } finally {
+      summary = await this.refreshBackfillStatus(backfillId, cancelled);
+    }
+    if (cancelled) {
+      console.log(`${LOG_PREFIX} 已取消 id=${backfillId} 已完成 ${summary.doneChunks}/${summary.totalChunks}`);
+      throwIfSyncRunCancelled();
+    }
+    console.log(`${LOG_PREFIX} 结束 id=${backfillId} status=${summary.status} 成功 ${summary.doneChunks}/${summary.totalChunks} 失败 ${summary.failedChunks}`);
+    return summary;
+  }
+
+  /**
+   * 按分片状态汇总回补状态
+   * @param {string} backfillId
+   * @param {boolean} cancelled - 本次执行被取消
+   */
+  async refreshBackfillStatus(backfillId, cancelled = false) {
+    const grouped = await prisma.syncBackfillChunk.groupBy({
+      by: ['status'],
+      where: { backfillId },
+      _count: { _all: true },
+      _sum: { recordCount: true }
+    });
+    const countOf = (status) => grouped.find((g) => g.status === status)?._count._all ?? 0;
+    const totalChunks = grouped.reduce((s, g) => s + g._count._all, 0);
+    const doneChunks = countOf('success');
+    const failedChunks = countOf('failed');
+    const totalRecords = grouped.reduce((s, g) => s + (g._sum.recordCount ?? 0), 0);
+
+    let status;
+    if (cancelled) status = 'cancelled';
+    else if (failedChunks === 0 && doneChunks === totalChunks) status = 'success';
+    else if (doneChunks > 0) status = 'partial';
+    else status = 'failed';
+
+    await prisma.syncBackfill.update({
+      where: { id: backfillId },
+      data: { status, doneChunks, failedChunks, totalRecords }
+    });
+    return { backfillId, status, totalChunks, doneChunks, failedChunks, totalRecords };
+  }
+
+  /**
+   * 判断回补能否（重新）执行
+   * @param {Object} backfill - SyncBackfill 记录
+   * @returns {Promise<string|null>} 不能执行的原因；可以执行返回 null
+   */
+  async getResumeConflict(backfill) {
+    // 以关联的同步运行判断是否执行中（进程重启后回补可能停留在 running，此时运行已被标记失败，允许续跑）
+    if (backfill.runId) {
+      const activeRun = await prisma.syncRun.findFirst({
+        where: { id: backfill.runId, status: { in: ['running', 'cancelling'] } },
+        select: { id: true }
+      });
+      if (activeRun) return `回补正在执行中（runId=${activeRun.id}）`;
+    }
+    const remaining = await prisma.syncBackfillChunk.count({
+      where: { backfillId: backfill.id, status: { in: ['pending', 'failed'] } }
+    });
+    return remaining === 0 ? '回补分片已全部完成' : null;
+  }
+
+  /**
+   * 回补涉及的账户（用于按资源校验凭证的账户范围）
+   * @param {string} id
+   * @returns {Promise<Array<string>|null|undefined>} 未指定账户（全部启用账户）为 null，回补不存在为 undefined
+   */
+  async getBackfillAccountIds(id) {
+    const backfill = await prisma.syncBackfill.findUnique({ where: { id }, select: { accountIds: true } });
+    if (!backfill) return undefined;
+    return Array.isArray(backfill.accountIds) && backfill.accountIds.length > 0 ? backfill.accountIds : null;
+  }
+
+  /**
+   * 查询回补详情：failedChunkList 列出失败分片（最多 100 条）
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getBackfill(id) {
+    const backfill = await prisma.syncBackfill.findUnique({ where: { id } });
+    if (!backfill) return null;
+    const failed = await prisma.syncBackfillChunk.findMany({
+      where: { backfillId: id, status: 'failed' },
+      orderBy: [{ accountId: 'asc' }, { startDate: 'asc' }],
+      take: 100,
+      select: { accountId: true, startDate: true, endDate: true, attempts: true, error: true, finishedAt: true }
+    });
+    return { ...backfill, failedChunkList: failed };
+  }
+
+  /**
+   * 分页查询回补
+   * @param {Object} filters - taskType, status, page（默认 1）, pageSize（默认 20，最大 200）
+   */
+  async listBackfills(filters = {}) {
+    const { taskType, status } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 200);
+    const where = {};
+    if (taskType) where.taskType = taskType;
+    if (status) where.status = status;
+    const [total, list] = await Promise.all([
+      prisma.syncBackfill.count({ where }),
+      prisma.syncBackfill.findMany({ where, orderBy: { createdAt: 'desc' }, skip: (page - 1) * pageSize, take: pageSize })
+    ]);
+    return { total, page, pageSize, list };
+  }
+}
+
+export default new LingXingBackfillService();
@@ -1,4 +1,6 @@
 import lingXingSyncStateService from './lingXingSyncStateService.js';
+import { isSyncCancelledError } from './lingXingSyncRunContext.js';
+import { emitEvent } from '../../eventBusService.js';
 
 const LOG_PREFIX = '[IncrementalSync]';
 
@@ -11,6 +13,7 @@ const LOG_PREFIX = '[IncrementalSync]';
  * @param {Object} options - 选项
  *   - endDate: string Y-m-d，不传则到昨天
  *   - defaultLookbackDays: number 无历史状态时回溯天数
+ *   - overlapDays: number 有历史状态时重新拉取的重叠天数（默认 0）
  *   - timezone: string
  *   - extraParams: object 合并进 fetchFn 的日期参数（如 search_field_time: 'update_time', date_type: 4）
  *   - pageSize, delayBetweenPages 等由 fetchFn 内部使用
@@ -29,7 +32,8 @@ async function runAccountLevelIncrementalSync(accountId, taskType, options, fetc
   const dateRange = await syncState.getIncrementalDateRange(accountId, taskType, null, {
     defaultLookbackDays,
     endDate,
-    timezone
+    timezone,
+    overlapDays: options.overlapDays
   });
 
   if (dateRange.isEmpty) {
@@ -79,6 +83,15 @@ async function runAccountLevelIncrementalSync(accountId, taskType, options, fetc
     }).catch(() => {});
 
     console.error(`${LOG_PREFIX} [${taskType}] accountId=${accountId} 失败 ${dateRange.start_date}~${dateRange.end_date} error=${message}`);
+    if (!isSyncCancelledError(err)) {
+      emitEvent('account.failed', {
+        source: 'incrementalRunner',
+        taskType,
+        accountId,
+        message,
+        data: { errorCode: err?.code ?? null, start_date: dateRange.start_date, end_date: dateRange.end_date }
+      });
+    }
     return {
       success: false,
       recordCount: 0,
@@ -0,0 +1,225 @@
+import { Prisma } from '@prisma/client';
+import { getSyncRunReconcile } from './lingXingSyncRunContext.js';
+
+const LOG_PREFIX = '[Reconcile]';
+
+/** 每份报告保留的变更样例数 */
+const MAX_SAMPLES = 20;
+/** 比较时忽略的字段（写入时间、归档标记等，每次保存都会变化） */
+const IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'archived', 'archivedAt', 'lastSyncAt']);
+/** 参与比较的写操作；deleteMany / updateMany 只在执行前记录旧数据快照 */
+const WATCHED_OPERATIONS = new Set(['upsert', 'create', 'createMany', 'deleteMany', 'updateMany']);
+
+/** Prisma 模型名（PascalCase）转 client 属性名 */
+function toDelegateName(model) {
+  return model.charAt(0).toLowerCase() + model.slice(1);
+}
+
+/** 归一化后用于比较：Date 转 ISO、Decimal/BigInt 转字符串、对象按 key 排序 */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return value.toString();
+  if (value?.constructor?.name === 'Decimal') return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) out[key] = normalizeValue(value[key]);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * 比较写入值与库中值是否一致
+ * 库中为 DateTime 而写入字符串时按日期比较；数值与 Decimal 按字符串比较
+ */
+function isSameValue(stored, incoming) {
+  if (stored instanceof Date && typeof incoming === 'string') {
+    const parsed = new Date(incoming);
+    return !Number.isNaN(parsed.getTime()) && parsed.getTime() === stored.getTime();
+  }
+  const a = normalizeValue(stored);
+  const b = normalizeValue(incoming);
+  if (a !== null && typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b || (a !== null && b !== null && String(a) === String(b));
+}
+
+/**
+ * 写入数据中与库中不一致的字段
+ * 跳过库中行没有的字段（关联写入等）与 IGNORED_FIELDS；{ set } 取其值，其他原子操作（increment 等）不比较
+ * @returns {string[]}
+ */
+function diffFields(stored, data) {
+  const changed = [];
+  for (const [key, raw] of Object.entries(data || {})) {
+    if (IGNORED_FIELDS.has(key) || !(key in stored)) continue;
+    let value = raw;
+    // 库中为标量而写入对象：为 { set } / { increment } 等原子操作（Json 字段库中为对象，整体比较）
+    const isOperation = value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)
+      && stored[key] !== null && typeof stored[key] !== 'object';
+    if (isOperation) {
+      if (!('set' in value)) continue;
+      value = value.set;
+    }
+    if (!isSameValue(stored[key], value)) changed.push(key);
+  }
+  return changed;
+}
+
+/**
+ * 对账统计收集器
+ * - byModel / samples 写入对账报告
+ * - snapshots：按天覆盖的保存先删除或归档当天旧数据再写入，删除/归档前的旧行按模型记录在此，写入时与之比较
+ */
+export function createCollector() {
+  return { byModel: {}, samples: [], snapshots: {} };
+}
+
+/**
+ * @param {Object} collector
+ * @param {string} model
+ * @param {'inserted'|'updated'|'unchanged'} outcome
+ * @param {Object} detail - updated 时 key、fields 记入样例
+ */
+function record(collector, model, outcome, { key = null, fields = null } = {}) {
+  const stats = collector.byModel[model] ?? (collector.byModel[model] = { inserted: 0, updated: 0, unchanged: 0 });
+  stats[outcome] += 1;
+  if (outcome === 'updated' && collector.samples.length < MAX_SAMPLES) {
+    collector.samples.push({ model, key, fields });
+  }
+}
+
+export function sumCollector(collector) {
+  const totals = { inserted: 0, updated: 0, unchanged: 0 };
+  for (const stats of Object.values(collector.byModel)) {
+    totals.inserted += stats.inserted;
+    totals.updated += stats.updated;
+    totals.unchanged += stats.unchanged;
+  }
+  return totals;
+}
+
+/** 快照行按一组字段取值拼成的查找键 */
+function snapshotKey(row, fields) {
+  return JSON.stringify(fields.map((field) => normalizeValue(row[field])));
+}
+
+/**
+ * 在快照中查找与条件字段全部一致的旧行（按字段组合建索引），找到后从快照移除，避免重复匹配
+ * @param {Object} collector
+ * @param {string} delegateName
+ * @param {Object} criteria - 字段 → 值（标量）
+ * @returns {Object|null}
+ */
+function takeFromSnapshot(collector, delegateName, criteria) {
+  const snapshot = collector.snapshots[delegateName];
+  const fields = Object.keys(criteria).sort();
+  if (!snapshot || fields.length === 0) return null;
+  const signature = fields.join(',');
+  let index = snapshot.indexes.get(signature);
+  if (!index) {
+    index = new Map();
+    snapshot.rows.forEach((row, i) => {
+      if (!fields.every((field) => field in row)) return;
+      const key = snapshotKey(row, fields);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(i);
+    });
+    snapshot.indexes.set(signature, index);
+  }
+  const candidates = index.get(snapshotKey(criteria, fields)) || [];
+  const i = candidates.find((candidate) => !snapshot.taken.has(candidate));
+  if (i === undefined) return null;
+  snapshot.taken.add(i);
+  return snapshot.rows[i];
+}
+
+/** upsert 的唯一条件展开为字段 → 值（复合唯一键 { name: { a, b } } 展开为 { a, b }） */
+function flattenUniqueWhere(where = {}) {
+  const criteria = {};
+  for (const [key, value] of Object.entries(where)) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) Object.assign(criteria, value);
+    else criteria[key] = value;
+  }
+  return criteria;
+}
+
+/** create 写入数据中的标量字段（accountId、sid、日期、唯一键等），用于在快照中查找上一版本 */
+function scalarCriteria(data = {}) {
+  const criteria = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) criteria[key] = value;
+  }
+  return criteria;
+}
+
+function compareWithPrevious(collector, delegateName, previous, data, key) {
+  if (!previous) {
+    record(collector, delegateName, 'inserted');
+    return;
+  }
+  const fields = diffFields(previous, data);
+  if (fields.length > 0) record(collector, delegateName, 'updated', { key, fields });
+  else record(collector, delegateName, 'unchanged');
+}
+
+/**
+ * 写入前比较并计数
+ * - deleteMany / updateMany（归档）：执行前把命中的行记入快照，不计数
+ * - upsert：库中已有行则与之比较；不存在（已被按天覆盖删除）时与快照中同唯一键的旧行比较，都没有计 inserted
+ * - create / createMany：与快照中标量字段一致的旧行比较，没有计 inserted
+ */
+async function compareWrite(client, collector, delegateName, operation, args) {
+  if (operation === 'deleteMany' || operation === 'updateMany') {
+    if (operation === 'updateMany' && args.data?.archived !== true) return;
+    const rows = await client[delegateName].findMany({ where: args.where });
+    if (rows.length === 0) return;
+    const snapshot = collector.snapshots[delegateName]
+      ?? (collector.snapshots[delegateName] = { rows: [], taken: new Set(), indexes: new Map() });
+    snapshot.rows.push(...rows);
+    snapshot.indexes.clear();
+    return;
+  }
+  if (operation === 'upsert') {
+    const stored = await client[delegateName].findUnique({ where: args.where });
+    if (stored) {
+      compareWithPrevious(collector, delegateName, stored, args.update, args.where);
+      return;
+    }
+    const previous = takeFromSnapshot(collector, delegateName, flattenUniqueWhere(args.where));
+    compareWithPrevious(collector, delegateName, previous, args.create, args.where);
+    return;
+  }
+  const rows = operation === 'createMany' ? [].concat(args.data ?? []) : [args.data ?? {}];
+  for (const data of rows) {
+    const previous = takeFromSnapshot(collector, delegateName, scalarCriteria(data));
+    compareWithPrevious(collector, delegateName, previous, data, previous ? { id: previous.id } : null);
+  }
+}
+
+/**
+ * 对账统计的 Prisma 查询扩展（仅在设置了对账统计的运行上下文中生效，见 lingXingSyncRunContext.setSyncRunReconcile）
+ * History 表（按天覆盖时旧数据的迁移目标）不计数；比较失败不影响写入
+ */
+export const reconcileExtension = Prisma.defineExtension((client) => client.$extends({
+  name: 'lingXingReconcile',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const collector = getSyncRunReconcile();
+        if (!collector || !WATCHED_OPERATIONS.has(operation) || model.endsWith('History')) {
+          return query(args);
+        }
+        const delegateName = toDelegateName(model);
+        try {
+          await compareWrite(client, collector, delegateName, operation, args);
+        } catch (err) {
+          console.warn(`${LOG_PREFIX} ${delegateName}.${operation} 比较失败:`, err?.message || err);
+        }
+        return query(args);
+      }
+    }
+  }
+}));
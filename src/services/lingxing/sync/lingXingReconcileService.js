@@ -0,0 +1,164 @@
+import prisma from '../../../config/database.js';
+import lingXingUnifiedSyncService, { INCREMENTAL_TASK_REGISTRY } from './lingXingUnifiedSyncService.js';
+import { sortTaskTypesByDependencies } from './lingXingTaskCatalog.js';
+import {
+  ensureSyncRunContext,
+  throwIfSyncRunCancelled,
+  reportSyncRunProgress,
+  setSyncRunDateRange,
+  setSyncRunReconcile
+} from './lingXingSyncRunContext.js';
+import { createCollector, sumCollector } from './lingXingReconcileExtension.js';
+
+const LOG_PREFIX = '[Reconcile]';
+
+/** 手动对账未指定天数且任务未配置 reconcileDays 时的默认天数 */
+const DEFAULT_RECONCILE_DAYS = 30;
+const MAX_RECONCILE_DAYS = 366;
+
+/**
+ * 领星增量数据对账服务
+ * - 以回补窗口的方式重新拉取各任务尾部 N 天（不推进增量水位），保存逻辑不变（upsert / 按天覆盖，幂等）
+ * - 写入前与库中已有数据比较（lingXingReconcileExtension，按天覆盖的表与删除/归档前的快照比较），统计新增 / 变更 / 未变行数，
+ *   每个 任务 × 账户 写一份 SyncReconcileReport
+ * - 定时对账（worker reconcileJob）执行目录中配置了 reconcileDays 的任务；API 以 kind = reconcile 的同步运行执行
+ */
+class LingXingReconcileService {
+  /**
+   * 解析要对账的任务（按依赖排序）
+   * @param {string[]|null} taskTypes - 不传则为目录中配置了 reconcileDays 的任务
+   * @returns {string[]}
+   */
+  resolveTaskTypes(taskTypes) {
+    if (!Array.isArray(taskTypes) || taskTypes.length === 0) {
+      return sortTaskTypesByDependencies(
+        Object.entries(INCREMENTAL_TASK_REGISTRY)
+          .filter(([, entry]) => entry.reconcileDays != null)
+          .map(([taskType, entry]) => ({ taskType, dependsOn: entry.dependsOn }))
+      );
+    }
+    for (const taskType of taskTypes) {
+      const entry = INCREMENTAL_TASK_REGISTRY[taskType];
+      if (!entry) throw new Error(`不支持的增量任务类型: ${taskType}`);
+      if (entry.backfill === false) throw new Error(`任务 ${taskType} 不支持按日期窗口重新拉取，不能对账`);
+    }
+    return sortTaskTypesByDependencies(taskTypes.map((taskType) => ({ taskType, dependsOn: INCREMENTAL_TASK_REGISTRY[taskType].dependsOn })));
+  }
+
+  /**
+   * 校验对账天数
+   * @returns {number|null} 不传返回 null（使用各任务的 reconcileDays）
+   */
+  resolveDays(days) {
+    if (days == null || days === '') return null;
+    const value = parseInt(days, 10);
+    if (!(Number.isInteger(value) && value > 0 && value <= MAX_RECONCILE_DAYS)) {
+      throw new Error(`days 须为 1~${MAX_RECONCILE_DAYS} 的整数`);
+    }
+    return value;
+  }
+
+  /**
+   * 执行对账
+   * @param {Object} params
+   *   - taskTypes?: 指定任务；不传则为配置了 reconcileDays 的任务
+   *   - accountIds?: 指定账户；不传则全部启用账户
+   *   - days?: 重新拉取的天数（含今天），不传用任务的 reconcileDays（未配置为 30）
+   *   - trigger?: cron / api（默认 api）
+   *   - options?: 透传给增量方法的选项
+   * @returns {Promise<{ taskCount, accountCount, totals: { inserted, updated, unchanged, failed }, reports: Array }>}
+   */
+  async runReconcile(params = {}) {
+    const { accountIds = null, trigger = 'api', options = {} } = params;
+    const days = this.resolveDays(params.days);
+    const taskTypes = this.resolveTaskTypes(params.taskTypes);
+    const accounts = await lingXingUnifiedSyncService.getActiveAccounts(accountIds);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const totals = { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+    const reports = [];
+    console.log(`${LOG_PREFIX} 开始 trigger=${trigger} 任务 ${taskTypes.length} 个 账户 ${accounts.length} 个`);
+
+    await ensureSyncRunContext(async () => {
+      reportSyncRunProgress({ taskCount: taskTypes.length });
+      for (const taskType of taskTypes) {
+        const windowDays = days ?? INCREMENTAL_TASK_REGISTRY[taskType].reconcileDays ?? DEFAULT_RECONCILE_DAYS;
+        const start = new Date(`${today}T00:00:00.000Z`);
+        start.setUTCDate(start.getUTCDate() - windowDays + 1);
+        const startDate = start.toISOString().slice(0, 10);
+        reportSyncRunProgress({ currentTaskType: taskType, currentAccount: null });
+
+        for (const account of accounts) {
+          throwIfSyncRunCancelled();
+          reportSyncRunProgress({ currentAccount: { id: account.id, name: account.name } });
+          const startedAt = Date.now();
+          const collector = createCollector();
+          setSyncRunDateRange({ startDate, endDate: today });
+          setSyncRunReconcile(collector);
+          let result;
+          try {
+            result = await lingXingUnifiedSyncService.runIncrementalSyncForAccount(account.id, taskType, options);
+          } finally {
+            setSyncRunDateRange(null);
+            setSyncRunReconcile(null);
+          }
+
+          const counts = sumCollector(collector);
+          const failCount = result.summary?.failCount ?? 0;
+          const success = result.success && failCount === 0;
+          const error = result.success
+            ? (failCount > 0 ? `${failCount} 个分段失败` : null)
+            : result.error;
+          const report = await prisma.syncReconcileReport.create({
+            data: {
+              trigger,
+              taskType,
+              accountId: account.id,
+              startDate,
+              endDate: today,
+              status: success ? 'success' : 'failed',
+              recordCount: result.summary?.totalRecords ?? 0,
+              ...counts,
+              byModel: collector.byModel,
+              samples: collector.samples.length > 0 ? collector.samples : undefined,
+              error,
+              durationMs: Date.now() - startedAt
+            }
+          });
+          totals.inserted += counts.inserted;
+          totals.updated += counts.updated;
+          totals.unchanged += counts.unchanged;
+          if (!success) totals.failed += 1;
+          reports.push({ id: report.id, taskType, accountId: account.id, status: report.status, ...counts });
+          reportSyncRunProgress({}, { accountsDone: 1, recordsSaved: report.recordCount });
+          console.log(`${LOG_PREFIX} [${taskType}] accountId=${account.id} ${startDate}~${today} 新增 ${counts.inserted} 变更 ${counts.updated} 未变 ${counts.unchanged}${error ? ` 失败: ${error}` : ''}`);
+        }
+        reportSyncRunProgress({}, { tasksDone: 1 });
+      }
+    });
+
+    console.log(`${LOG_PREFIX} 结束 新增 ${totals.inserted} 变更 ${totals.updated} 未变 ${totals.unchanged} 失败 ${totals.failed}`);
+    return { taskCount: taskTypes.length, accountCount: accounts.length, totals, reports };
+  }
+
+  /**
+   * 分页查询对账报告
+   * @param {Object} filters - taskType, accountId, changedOnly（仅 updated > 0）, page（默认 1）, pageSize（默认 20，最大 200）
+   */
+  async listReconcileReports(filters = {}) {
+    const { taskType, accountId } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 200);
+    const where = {};
+    if (taskType) where.taskType = taskType;
+    if (accountId) where.accountId = accountId;
+    if (filters.changedOnly === true || filters.changedOnly === 'true') where.updated = { gt: 0 };
+    const [total, list] = await Promise.all([
+      prisma.syncReconcileReport.count({ where }),
+      prisma.syncReconcileReport.findMany({ where, orderBy: { createdAt: 'desc' }, skip: (page - 1) * pageSize, take: pageSize })
+    ]);
+    return { total, page, pageSize, list };
+  }
+}
+
+export default new LingXingReconcileService();
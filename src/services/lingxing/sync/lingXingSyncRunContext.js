@@ -0,0 +1,135 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * 同步运行上下文（异步执行的同步运行在此上下文中进行）
+ * store 为 { progress, cancelled, onProgress, runId?, dateRange?, reconcile? }，由 lingXingSyncRunService 创建
+ * 不在运行上下文中（如 worker 定时任务、CLI）时，以下函数均为空操作
+ */
+const runStorage = new AsyncLocalStorage();
+
+/** 取消同步运行时抛出的错误码，调用链中按账户/店铺捕获错误处需原样抛出 */
+export const SYNC_CANCELLED_CODE = 'SYNC_CANCELLED';
+
+/**
+ * 在运行上下文中执行 fn
+ * @param {Object} store - { progress: Object, cancelled: boolean, onProgress?: (progress) => void }
+ * @param {Function} fn
+ */
+export function runWithSyncRunContext(store, fn) {
+  return runStorage.run(store, fn);
+}
+
+/**
+ * 判断错误是否为取消同步运行
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isSyncCancelledError(err) {
+  return err?.code === SYNC_CANCELLED_CODE;
+}
+
+/**
+ * 当前运行是否已请求取消
+ * @returns {boolean}
+ */
+export function isSyncRunCancelled() {
+  return !!runStorage.getStore()?.cancelled;
+}
+
+/**
+ * 已请求取消时抛出取消错误；在发起下一页请求、开始下一个店铺/账户前调用，保证在页与页之间停止
+ */
+export function throwIfSyncRunCancelled() {
+  if (!isSyncRunCancelled()) return;
+  const err = new Error('同步运行已取消');
+  err.code = SYNC_CANCELLED_CODE;
+  throw err;
+}
+
+/**
+ * 上报进度：数值字段以 increments 累加，其余字段以 patch 覆盖
+ * @param {Object} patch - 如 { currentAccount, currentSegment }
+ * @param {Object} increments - 如 { pagesFetched: 1 }、{ recordsSaved: 100 }
+ */
+export function reportSyncRunProgress(patch = {}, increments = {}) {
+  const store = runStorage.getStore();
+  if (!store) return;
+  Object.assign(store.progress, patch);
+  for (const [key, value] of Object.entries(increments)) {
+    store.progress[key] = (store.progress[key] || 0) + (Number(value) || 0);
+  }
+  store.onProgress?.(store.progress);
+}
+
+/**
+ * 设置回补窗口：设置后 getIncrementalDateRange 返回该窗口、upsertSyncState 不写入（不推进增量水位）
+ * 仅在运行上下文中生效；传 null 清除
+ * @param {{ startDate: string, endDate: string, sids?: number[] }|null} range
+ */
+export function setSyncRunDateRange(range) {
+  const store = runStorage.getStore();
+  if (store) store.dateRange = range;
+}
+
+/**
+ * 当前回补窗口，非回补运行返回 null
+ * @returns {{ startDate: string, endDate: string, sids?: number[] }|null}
+ */
+export function getSyncRunDateRange() {
+  return runStorage.getStore()?.dateRange ?? null;
+}
+
+/**
+ * 设置对账统计：设置后 upsert/create 会先与库中已有数据比较并计入 collector（见 lingXingReconcileExtension）
+ * 仅在运行上下文中生效；传 null 清除
+ * @param {Object|null} collector
+ */
+export function setSyncRunReconcile(collector) {
+  const store = runStorage.getStore();
+  if (store) store.reconcile = collector;
+}
+
+/**
+ * 当前对账统计，非对账运行返回 null
+ * @returns {Object|null}
+ */
+export function getSyncRunReconcile() {
+  return runStorage.getStore()?.reconcile ?? null;
+}
+
+/**
+ * 当前运行标识（供接口录制等按运行归档），不在运行上下文中时均为 null
+ * @returns {{ runId: string|null, taskType: string|null }} taskType 为正在执行的任务（progress.currentTaskType）
+ */
+export function getSyncRunInfo() {
+  const store = runStorage.getStore();
+  return {
+    runId: store?.runId ?? null,
+    taskType: store?.progress?.currentTaskType ?? store?.taskType ?? null
+  };
+}
+
+/**
+ * 在运行上下文中执行 fn：已在上下文中（API 触发的同步运行）时直接执行，否则创建一个仅在本进程内使用的上下文（如 worker 定时任务）
+ * @param {Function} fn
+ * @param {Object} [init] - 新建上下文时的附加字段，如 { runId, taskType }
+ */
+export function ensureSyncRunContext(fn, init = {}) {
+  if (runStorage.getStore()) return fn();
+  return runStorage.run({ ...init, progress: {}, cancelled: false }, fn);
+}
+
+export default {
+  SYNC_CANCELLED_CODE,
+  runWithSyncRunContext,
+  isSyncCancelledError,
+  isSyncRunCancelled,
+  throwIfSyncRunCancelled,
+  reportSyncRunProgress,
+  setSyncRunDateRange,
+  getSyncRunDateRange,
+  setSyncRunReconcile,
+  getSyncRunReconcile,
+  getSyncRunInfo,
+  ensureSyncRunContext
+};
@@ -0,0 +1,328 @@
+import os from 'os';
+import prisma from '../../../config/database.js';
+import lingXingUnifiedSyncService from './lingXingUnifiedSyncService.js';
+import lingXingBackfillService from './lingXingBackfillService.js';
+import lingXingReconcileService from './lingXingReconcileService.js';
+import { runWithSyncRunContext, isSyncCancelledError } from './lingXingSyncRunContext.js';
+
+const LOG_PREFIX = '[SyncRun]';
+
+/** 进度写库的最小间隔（毫秒），同时借此读取其他进程发出的取消请求 */
+const PROGRESS_FLUSH_INTERVAL_MS = parseInt(process.env.SYNC_RUN_PROGRESS_FLUSH_MS, 10) || 2000;
+/** 执行中运行的心跳间隔（毫秒）；超过 4 个间隔未刷新视为执行进程已退出 */
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SYNC_RUN_HEARTBEAT_MS, 10) || 30000;
+const STALE_HEARTBEAT_MS = HEARTBEAT_INTERVAL_MS * 4;
+
+/** 当前进程标识，写入 SyncRun.ownerId（容器重启后 hostname 与 pid 通常不变，据此识别本实例上次遗留的运行） */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+export const SYNC_RUN_KINDS = ['incremental', 'full', 'all-incremental', 'all-full', 'backfill', 'reconcile'];
+
+export const SYNC_RUN_STATUSES = ['running', 'cancelling', 'success', 'failed', 'cancelled'];
+
+const ACTIVE_STATUSES = ['running', 'cancelling'];
+
+/** 列表字段（result 可能很大，列表不返回） */
+const LIST_SELECT = {
+  id: true,
+  kind: true,
+  taskType: true,
+  taskTypes: true,
+  status: true,
+  progress: true,
+  error: true,
+  cancelRequestedAt: true,
+  startedAt: true,
+  finishedAt: true,
+  durationMs: true
+};
+
+function createInitialProgress() {
+  return {
+    currentTaskType: null,
+    currentAccount: null,
+    currentSegment: null,
+    currentDay: null,
+    taskCount: 1,
+    tasksDone: 0,
+    accountsDone: 0,
+    segmentsDone: 0,
+    pagesFetched: 0,
+    recordsSaved: 0
+  };
+}
+
+/**
+ * 领星同步运行服务
+ * - 同步路由创建运行记录后立即返回 runId，同步在后台执行
+ * - 执行期间通过 lingXingSyncRunContext 收集进度（当前账户、店铺/日期分段、已拉取页数、已保存记录数），节流写入 SyncRun.progress
+ * - 取消：设置取消标记，下一次请求领星接口或开始下一个店铺/账户前抛出取消错误，已保存的分段保留，未完成分段不推进同步状态
+ * - 运行记录 ownerId 为执行进程，执行期间定期刷新 heartbeatAt；API 启动时只将本实例或心跳超时的运行标记为中断
+ */
+class LingXingSyncRunService {
+  constructor() {
+    // 本进程内执行中的运行：id -> 运行上下文 store
+    this.activeRuns = new Map();
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * 校验并解析要执行的同步
+   * @returns {Function} 在运行上下文中执行的同步函数
+   */
+  resolveExecutor(kind, taskType, taskTypes, options) {
+    const service = lingXingUnifiedSyncService;
+    switch (kind) {
+      case 'incremental':
+        if (!service.isIncrementalSupported(taskType)) {
+          throw new Error(`不支持的增量任务类型: ${taskType}`);
+        }
+        return () => service.runIncrementalSyncByTaskType(taskType, options);
+      case 'full':
+        if (!service.isFullTaskSupported(taskType)) {
+          throw new Error(`不支持的全量任务类型: ${taskType}`);
+        }
+        return () => service.runFullSyncByTaskType(taskType, options);
+      case 'all-incremental':
+        return () => service.runAllIncrementalSync(options, taskTypes);
+      case 'all-full':
+        return () => service.runAllFullSync(options, taskTypes);
+      case 'backfill':
+        if (!options.backfillId) {
+          throw new Error('回补运行缺少 backfillId');
+        }
+        return () => lingXingBackfillService.runBackfill(options.backfillId);
+      case 'reconcile':
+        lingXingReconcileService.resolveTaskTypes(taskTypes);
+        lingXingReconcileService.resolveDays(options.days);
+        return () => lingXingReconcileService.runReconcile({ ...options, taskTypes, trigger: 'api' });
+      default:
+        throw new Error(`不支持的同步运行类型: ${kind}，可选: ${SYNC_RUN_KINDS.join(', ')}`);
+    }
+  }
+
+  /**
+   * 创建同步运行并在后台执行
+   * @param {Object} params
+   *   - kind: incremental / full / all-incremental / all-full / backfill / reconcile
+   *   - taskType: 单任务运行时必填
+   *   - taskTypes: run-all、reconcile 时可选
+   *   - options: 透传给统一同步服务的选项；backfill 为 { backfillId }；reconcile 为 { accountIds?, days?, options? }
+   * @returns {Promise<Object>} SyncRun 记录（status = running）
+   */
+  async startSyncRun({ kind, taskType = null, taskTypes = null, options = {} }) {
+    const executor = this.resolveExecutor(kind, taskType, taskTypes, options);
+    const progress = createInitialProgress();
+    const run = await prisma.syncRun.create({
+      data: {
+        kind,
+        taskType,
+        taskTypes: Array.isArray(taskTypes) && taskTypes.length > 0 ? taskTypes : undefined,
+        options,
+        status: 'running',
+        progress,
+        ownerId: INSTANCE_ID,
+        heartbeatAt: new Date()
+      }
+    });
+
+    const store = {
+      runId: run.id,
+      taskType: taskType ?? null,
+      progress,
+      cancelled: false,
+      lastFlushAt: Date.now(),
+      flushing: false,
+      onProgress: () => this.flushProgress(run.id, store)
+    };
+    this.activeRuns.set(run.id, store);
+    this.startHeartbeat();
+
+    console.log(`${LOG_PREFIX} 开始 id=${run.id} kind=${kind} taskType=${taskType ?? '-'}`);
+    this.executeSyncRun(run, store, executor).catch((err) => {
+      console.error(`${LOG_PREFIX} id=${run.id} 结束状态写入失败:`, err?.message || err);
+    });
+    return run;
+  }
+
+  /**
+   * 在运行上下文中执行同步并写入结束状态
+   */
+  async executeSyncRun(run, store, executor) {
+    let status;
+    let result = null;
+    let error = null;
+    try {
+      result = await runWithSyncRunContext(store, executor);
+      status = store.cancelled ? 'cancelled' : 'success';
+    } catch (err) {
+      if (isSyncCancelledError(err)) {
+        status = 'cancelled';
+      } else {
+        status = 'failed';
+        error = err?.message || String(err);
+        console.error(`${LOG_PREFIX} id=${run.id} 失败:`, error);
+      }
+    } finally {
+      this.activeRuns.delete(run.id);
+      if (this.activeRuns.size === 0) this.stopHeartbeat();
+    }
+
+    const finishedAt = new Date();
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: {
+        status,
+        progress: store.progress,
+        result: result ?? undefined,
+        error,
+        finishedAt,
+        durationMs: finishedAt.getTime() - run.startedAt.getTime()
+      }
+    });
+    console.log(`${LOG_PREFIX} 结束 id=${run.id} status=${status} pages=${store.progress.pagesFetched} records=${store.progress.recordsSaved}`);
+  }
+
+  /**
+   * 本进程有执行中的运行时定期刷新其心跳
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      const ids = [...this.activeRuns.keys()];
+      if (ids.length === 0) return;
+      prisma.syncRun.updateMany({
+        where: { id: { in: ids }, status: { in: ACTIVE_STATUSES } },
+        data: { heartbeatAt: new Date() }
+      }).catch((err) => {
+        console.warn(`${LOG_PREFIX} 刷新心跳失败:`, err?.message || err);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref?.();
+  }
+
+  stopHeartbeat() {
+    if (!this.heartbeatTimer) return;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * 节流写入进度；返回的记录中有取消请求（可能来自其他进程）时设置取消标记
+   */
+  flushProgress(id, store) {
+    if (store.flushing || Date.now() - store.lastFlushAt < PROGRESS_FLUSH_INTERVAL_MS) return;
+    store.flushing = true;
+    store.lastFlushAt = Date.now();
+    prisma.syncRun.update({
+      where: { id },
+      data: { progress: store.progress, heartbeatAt: new Date() },
+      select: { cancelRequestedAt: true }
+    }).then((row) => {
+      if (row.cancelRequestedAt) store.cancelled = true;
+    }).catch((err) => {
+      console.warn(`${LOG_PREFIX} id=${id} 写入进度失败:`, err?.message || err);
+    }).finally(() => {
+      store.flushing = false;
+    });
+  }
+
+  /**
+   * 同步运行涉及的账户（用于按资源校验凭证的账户范围）：回补取回补的账户，其它取 options.accountIds
+   * @param {string} id
+   * @returns {Promise<Array<string>|null|undefined>} 遍历所有启用账户为 null，运行不存在为 undefined
+   */
+  async getSyncRunAccountIds(id) {
+    const run = await prisma.syncRun.findUnique({ where: { id }, select: { options: true } });
+    if (!run) return undefined;
+    const options = run.options || {};
+    if (options.backfillId) {
+      return (await lingXingBackfillService.getBackfillAccountIds(options.backfillId)) ?? null;
+    }
+    return Array.isArray(options.accountIds) && options.accountIds.length > 0 ? options.accountIds : null;
+  }
+
+  /**
+   * 查询同步运行；本进程执行中的运行返回实时进度
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getSyncRun(id) {
+    const run = await prisma.syncRun.findUnique({ where: { id } });
+    if (!run) return null;
+    const store = this.activeRuns.get(id);
+    return store ? { ...run, progress: { ...store.progress } } : run;
+  }
+
+  /**
+   * 分页查询同步运行（不含 result）
+   * @param {Object} filters - status, kind, taskType, page（默认 1）, pageSize（默认 20，最大 200）
+   * @returns {Promise<{ total, page, pageSize, list }>}
+   */
+  async listSyncRuns(filters = {}) {
+    const { status, kind, taskType } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 200);
+    const where = {};
+    if (status) where.status = status;
+    if (kind) where.kind = kind;
+    if (taskType) where.taskType = taskType;
+
+    const [total, list] = await Promise.all([
+      prisma.syncRun.count({ where }),
+      prisma.syncRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: LIST_SELECT
+      })
+    ]);
+    return { total, page, pageSize, list };
+  }
+
+  /**
+   * 请求取消同步运行：在当前页请求完成后、下一页请求前停止
+   * @param {string} id
+   * @returns {Promise<{ run: Object, cancelled: boolean }|null>} 不存在返回 null；已结束时 cancelled = false
+   */
+  async cancelSyncRun(id) {
+    const { count } = await prisma.syncRun.updateMany({
+      where: { id, status: 'running' },
+      data: { status: 'cancelling', cancelRequestedAt: new Date() }
+    });
+    const store = this.activeRuns.get(id);
+    if (count > 0 && store) store.cancelled = true;
+
+    const run = await this.getSyncRun(id);
+    if (!run) return null;
+    if (count > 0) console.log(`${LOG_PREFIX} 已请求取消 id=${id}`);
+    return { run, cancelled: count > 0 || run.status === 'cancelling' };
+  }
+
+  /**
+   * 将已中断的运行标记为失败（API 启动时调用）
+   * - 本实例（同一 ownerId）上次退出时遗留的运行
+   * - 心跳超时的运行（执行进程已退出）；未记录心跳的旧运行按开始时间判断
+   * 其他存活 API 进程执行中的运行心跳持续刷新，不受影响
+   * @returns {Promise<number>} 标记条数
+   */
+  async failInterruptedSyncRuns() {
+    const staleBefore = new Date(Date.now() - STALE_HEARTBEAT_MS);
+    const { count } = await prisma.syncRun.updateMany({
+      where: {
+        status: { in: ACTIVE_STATUSES },
+        OR: [
+          { ownerId: INSTANCE_ID },
+          { heartbeatAt: { lt: staleBefore } },
+          { heartbeatAt: null, startedAt: { lt: staleBefore } }
+        ]
+      },
+      data: { status: 'failed', error: '进程重启，同步运行中断', finishedAt: new Date() }
+    });
+    if (count > 0) console.warn(`${LOG_PREFIX} 已将 ${count} 个中断的同步运行标记为失败`);
+    return count;
+  }
+}
+
+export default new LingXingSyncRunService();
@@ -0,0 +1,193 @@
+import prisma from '../../../config/database.js';
+import { INCREMENTAL_TASK_REGISTRY } from './lingXingUnifiedSyncService.js';
+
+const LOG_PREFIX = '[SyncStateAdmin]';
+
+const STATE_SELECT = {
+  id: true,
+  accountId: true,
+  taskType: true,
+  sid: true,
+  lastEndTimestamp: true,
+  lastSyncAt: true,
+  lastRecordCount: true,
+  lastStatus: true,
+  lastErrorMessage: true,
+  updatedAt: true
+};
+
+/** sid 参数转库中值：不按店铺的任务为 0 */
+function toSidValue(sid) {
+  if (sid === undefined || sid === null || sid === '') return 0;
+  const value = parseInt(sid, 10);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`sid 无效: ${sid}`);
+  return value;
+}
+
+/**
+ * 解析水位时间：Y-m-d 视为当天 23:59:59（UTC，与同步写入的 end_timestamp 一致），其他按 ISO 时间解析
+ * @returns {Date}
+ */
+function parseWatermark(value) {
+  if (value == null || value === '') throw new Error('lastEndTimestamp 必填');
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T23:59:59.000Z`) : new Date(text);
+  if (Number.isNaN(date.getTime())) throw new Error(`lastEndTimestamp 无效: ${value}`);
+  if (date.getTime() > Date.now()) throw new Error('lastEndTimestamp 不能晚于当前时间');
+  return date;
+}
+
+/**
+ * 领星增量同步状态（水位）管理
+ * - 供值班人员查看、设置（固定到指定时间）与重置 LingXingSyncState，无需直接改库
+ * - 重置即删除同步状态，下次增量按任务的 defaultLookbackDays 回溯
+ * - 每次变更写入 LingXingSyncStateAudit（操作人取请求头 X-Operator）
+ * 注意：任务执行中修改的水位会被本次执行结束时写入的状态覆盖
+ */
+class LingXingSyncStateAdminService {
+  /**
+   * 校验任务类型与 sid 维度
+   * @returns {{ entry: Object, sidVal: number }}
+   */
+  resolveTarget(taskType, sid) {
+    const entry = INCREMENTAL_TASK_REGISTRY[taskType];
+    if (!entry) throw new Error(`不支持的增量任务类型: ${taskType}`);
+    const sidVal = toSidValue(sid);
+    if (entry.perSid && sidVal === 0) throw new Error(`任务 ${taskType} 按店铺记录同步状态，sid 必填`);
+    if (!entry.perSid && sidVal !== 0) throw new Error(`任务 ${taskType} 不按店铺记录同步状态，不能传 sid`);
+    return { entry, sidVal };
+  }
+
+  async writeAudit(action, target, before, after, actor = {}) {
+    await prisma.lingXingSyncStateAudit.create({
+      data: {
+        action,
+        accountId: target.accountId ?? null,
+        taskType: target.taskType,
+        sid: target.sid ?? null,
+        before: before ?? undefined,
+        after: after ?? undefined,
+        operator: actor.operator ?? null,
+        reason: actor.reason ?? null,
+        ip: actor.ip ?? null
+      }
+    });
+  }
+
+  /**
+   * 分页查询同步状态
+   * @param {Object} filters - accountId, taskType, sid, status（lastStatus）, page（默认 1）, pageSize（默认 50，最大 500）
+   */
+  async listSyncStates(filters = {}) {
+    const { accountId, taskType, status } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 50, 1), 500);
+    const where = {};
+    if (accountId) where.accountId = accountId;
+    if (taskType) where.taskType = taskType;
+    if (filters.sid !== undefined && filters.sid !== '') where.sid = toSidValue(filters.sid);
+    if (status) where.lastStatus = status;
+    const [total, list] = await Promise.all([
+      prisma.lingXingSyncState.count({ where }),
+      prisma.lingXingSyncState.findMany({
+        where,
+        orderBy: [{ taskType: 'asc' }, { accountId: 'asc' }, { sid: 'asc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: STATE_SELECT
+      })
+    ]);
+    return { total, page, pageSize, list };
+  }
+
+  /**
+   * 设置水位：下次增量从 lastEndTimestamp 开始（不存在时创建）
+   * @param {Object} params - accountId, taskType, sid?, lastEndTimestamp（Y-m-d 或 ISO 时间）
+   * @param {Object} actor - operator, reason, ip
+   * @returns {Promise<Object>} 设置后的同步状态
+   */
+  async setWatermark(params = {}, actor = {}) {
+    const { accountId, taskType } = params;
+    if (!accountId) throw new Error('accountId 必填');
+    const { sidVal } = this.resolveTarget(taskType, params.sid);
+    const lastEndTimestamp = parseWatermark(params.lastEndTimestamp);
+    const account = await prisma.lingXingAccount.findUnique({ where: { id: accountId }, select: { id: true } });
+    if (!account) throw new Error(`账户不存在: ${accountId}`);
+
+    const where = { accountId_taskType_sid: { accountId, taskType, sid: sidVal } };
+    const before = await prisma.lingXingSyncState.findUnique({ where, select: STATE_SELECT });
+    const after = await prisma.lingXingSyncState.upsert({
+      where,
+      update: { lastEndTimestamp },
+      create: { accountId, taskType, sid: sidVal, lastEndTimestamp },
+      select: STATE_SELECT
+    });
+    await this.writeAudit('set', { accountId, taskType, sid: sidVal }, before, after, actor);
+    console.log(`${LOG_PREFIX} 设置水位 accountId=${accountId} taskType=${taskType} sid=${sidVal} ${before?.lastEndTimestamp?.toISOString() ?? '(无)'} -> ${lastEndTimestamp.toISOString()} operator=${actor.operator ?? '-'}`);
+    return after;
+  }
+
+  /**
+   * 重置单条同步状态（删除），下次增量按 defaultLookbackDays 回溯
+   * @param {Object} params - accountId, taskType, sid?
+   * @param {Object} actor - operator, reason, ip
+   * @returns {Promise<Object|null>} 被删除的同步状态；不存在返回 null
+   */
+  async resetSyncState(params = {}, actor = {}) {
+    const { accountId, taskType } = params;
+    if (!accountId) throw new Error('accountId 必填');
+    const { sidVal } = this.resolveTarget(taskType, params.sid);
+    const where = { accountId_taskType_sid: { accountId, taskType, sid: sidVal } };
+    const before = await prisma.lingXingSyncState.findUnique({ where, select: STATE_SELECT });
+    if (!before) return null;
+    await prisma.lingXingSyncState.delete({ where });
+    await this.writeAudit('reset', { accountId, taskType, sid: sidVal }, before, null, actor);
+    console.log(`${LOG_PREFIX} 重置 accountId=${accountId} taskType=${taskType} sid=${sidVal} operator=${actor.operator ?? '-'}`);
+    return before;
+  }
+
+  /**
+   * 按任务类型批量重置（可限定账户）
+   * @param {Object} params - taskType, accountIds?
+   * @param {Object} actor - operator, reason, ip
+   * @returns {Promise<{ taskType, accountIds, deleted: number }>}
+   */
+  async bulkResetSyncStates(params = {}, actor = {}) {
+    const { taskType } = params;
+    if (!INCREMENTAL_TASK_REGISTRY[taskType]) throw new Error(`不支持的增量任务类型: ${taskType}`);
+    const accountIds = Array.isArray(params.accountIds) && params.accountIds.length > 0 ? params.accountIds : null;
+    const where = { taskType, ...(accountIds && { accountId: { in: accountIds } }) };
+    const states = await prisma.lingXingSyncState.findMany({ where, select: STATE_SELECT });
+    const { count } = await prisma.lingXingSyncState.deleteMany({ where });
+    await this.writeAudit(
+      'bulk-reset',
+      { accountId: accountIds?.length === 1 ? accountIds[0] : null, taskType },
+      { accountIds, count, states },
+      null,
+      actor
+    );
+    console.log(`${LOG_PREFIX} 批量重置 taskType=${taskType} accountIds=${accountIds?.join(',') ?? '全部'} 删除 ${count} 条 operator=${actor.operator ?? '-'}`);
+    return { taskType, accountIds, deleted: count };
+  }
+
+  /**
+   * 分页查询变更审计
+   * @param {Object} filters - accountId, taskType, action, page（默认 1）, pageSize（默认 20，最大 200）
+   */
+  async listAudits(filters = {}) {
+    const { accountId, taskType, action } = filters;
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), 200);
+    const where = {};
+    if (accountId) where.accountId = accountId;
+    if (taskType) where.taskType = taskType;
+    if (action) where.action = action;
+    const [total, list] = await Promise.all([
+      prisma.lingXingSyncStateAudit.count({ where }),
+      prisma.lingXingSyncStateAudit.findMany({ where, orderBy: { createdAt: 'desc' }, skip: (page - 1) * pageSize, take: pageSize })
+    ]);
+    return { total, page, pageSize, list };
+  }
+}
+
+export default new LingXingSyncStateAdminService();
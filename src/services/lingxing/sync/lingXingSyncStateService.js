@@ -1,4 +1,10 @@
 import prisma from '../../../config/database.js';
+import {
+  isSyncRunCancelled,
+  throwIfSyncRunCancelled,
+  reportSyncRunProgress,
+  getSyncRunDateRange
+} from './lingXingSyncRunContext.js';
 
 const LOG_PREFIX = '[IncrementalSync]';
 
@@ -24,9 +30,20 @@ class LingXingSyncStateService {
 
   /**
    * 创建或更新同步状态（upsert）
+   * 在同步运行上下文中：成功时累加进度的 recordsSaved / segmentsDone；
+   * 运行已取消时不写入 failed 状态（取消导致的中断不算失败，保留上次状态）；回补运行不写入（不推进增量水位）
    */
   async upsertSyncState(accountId, taskType, sid, data = {}) {
     const sidVal = sid === undefined || sid === null ? 0 : parseInt(sid, 10);
+    if (getSyncRunDateRange()) {
+      return null;
+    }
+    if (data.lastStatus === 'failed' && isSyncRunCancelled()) {
+      return this.getSyncState(accountId, taskType, sid);
+    }
+    if (data.lastStatus === 'success') {
+      reportSyncRunProgress({}, { recordsSaved: data.lastRecordCount ?? 0, segmentsDone: 1 });
+    }
     return prisma.lingXingSyncState.upsert({
       where: {
         accountId_taskType_sid: { accountId, taskType, sid: sidVal }
@@ -53,12 +70,14 @@ class LingXingSyncStateService {
 
   /**
    * 计算本次增量同步的日期范围
-   * 若从未同步过：从 defaultLookbackDays 天前到 endDate；否则：从上次同步的 lastEndTimestamp 到当前时间点。
+   * 若从未同步过：从 defaultLookbackDays 天前到 endDate；否则：从上次同步的 lastEndTimestamp（减去 overlapDays 天重叠窗口）到当前时间点。
+   * 重叠窗口用于重新拉取领星事后更新的数据（结算调整、延迟退款、利润报表重算等），各任务保存均为 upsert/按天覆盖，重复拉取幂等。
    * 传入的 endDate 不做任何处理，原样使用。
+   * 回补/对账运行中（lingXingBackfillService / lingXingReconcileService）直接返回指定窗口；不在 sids 中的店铺返回 isEmpty = true。
    * @param {string} accountId - 领星账户ID
    * @param {string} taskType - 任务类型
    * @param {number|null} sid - 店铺ID
-   * @param {Object} options - defaultLookbackDays, endDate（原样使用，不处理）, timezone
+   * @param {Object} options - defaultLookbackDays, endDate（原样使用，不处理）, timezone, overlapDays（默认 0）
    * @returns {Promise<{ start_date: string, start_timestamp: Date, end_date: string, end_datetime: string, end_timestamp: Date, isEmpty: boolean }>}
    */
   async getIncrementalDateRange(accountId, taskType, sid, options = {}) {
@@ -67,6 +86,29 @@ class LingXingSyncStateService {
       endDate: optionEndDate = null,
       timezone = 'Asia/Shanghai'
     } = options;
+    const overlapDays = Math.max(parseInt(options.overlapDays, 10) || 0, 0);
+
+    // 开始下一个店铺/分段前检查取消
+    throwIfSyncRunCancelled();
+
+    // 回补/对账运行：使用指定窗口，不读同步状态；按店铺的任务只处理指定 sids
+    const backfillRange = getSyncRunDateRange();
+    if (backfillRange) {
+      const sidSkipped = sid != null && backfillRange.sids?.length > 0 && !backfillRange.sids.includes(parseInt(sid, 10));
+      const start_timestamp = new Date(`${backfillRange.startDate}T00:00:00.000Z`);
+      const end_timestamp = new Date(`${backfillRange.endDate}T23:59:59.000Z`);
+      if (!sidSkipped) {
+        reportSyncRunProgress({ currentSegment: { taskType, sid: sid ?? null, startDate: backfillRange.startDate, endDate: backfillRange.endDate } });
+      }
+      return {
+        start_date: backfillRange.startDate,
+        start_timestamp,
+        end_date: backfillRange.endDate,
+        end_datetime: backfillRange.endDate,
+        end_timestamp,
+        isEmpty: sidSkipped
+      };
+    }
 
     const state = await this.getSyncState(accountId, taskType, sid);
 
@@ -79,14 +121,15 @@ class LingXingSyncStateService {
     let end_timestamp;
 
     if (state?.lastEndTimestamp) {
-      // 有历史状态：从 lastEndTimestamp 到当前时间点（不使用传入的 endDate）
+      // 有历史状态：从 lastEndTimestamp（减去重叠天数）到当前时间点（不使用传入的 endDate）
       const last = new Date(state.lastEndTimestamp);
+      if (overlapDays > 0) last.setUTCDate(last.getUTCDate() - overlapDays);
       start_date = last.toISOString().slice(0, 10);
       start_timestamp = last;
       end_timestamp = new Date();
       end_datetime = end_timestamp.toLocaleString('sv-SE', { timeZone: timezone }).replace(' ', 'T');
       end_date = end_timestamp.toLocaleString('sv-SE', { timeZone: timezone }).slice(0, 10);
-      console.log(`${LOG_PREFIX} [getIncrementalDateRange] accountId=${accountId} taskType=${taskType} sid=${sid ?? 'null'} 有历史状态 lastEndTimestamp=${state.lastEndTimestamp.toISOString()} => 本次范围 ${start_date} ~ ${end_date}`);
+      console.log(`${LOG_PREFIX} [getIncrementalDateRange] accountId=${accountId} taskType=${taskType} sid=${sid ?? 'null'} 有历史状态 lastEndTimestamp=${state.lastEndTimestamp.toISOString()}${overlapDays > 0 ? ` 重叠${overlapDays}天` : ''} => 本次范围 ${start_date} ~ ${end_date}`);
     } else {
       // 从未同步过：从 defaultLookbackDays 天前到 endDate（未传 endDate 则到当前时间）
       if (hasExplicitEndDate) {
@@ -105,6 +148,7 @@ class LingXingSyncStateService {
       console.log(`${LOG_PREFIX} [getIncrementalDateRange] accountId=${accountId} taskType=${taskType} sid=${sid ?? 'null'} 无历史状态 使用回溯${defaultLookbackDays}天 => 本次范围 ${start_date} ~ ${end_date}`);
     }
 
+    reportSyncRunProgress({ currentSegment: { taskType, sid: sid ?? null, startDate: start_date, endDate: end_date } });
     return { start_date, start_timestamp, end_date, end_datetime, end_timestamp, isEmpty: false };
   }
 }
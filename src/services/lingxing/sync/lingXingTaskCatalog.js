@@ -0,0 +1,1055 @@
+import prisma from '../../../config/database.js';
+import { isValidCron } from '../../../utils/cron.js';
+import { DEFAULT_CRON_EXPRESSION } from '../../jobTaskStatusService.js';
+import lingXingAmazonService from '../amazon/lingXingAmazonService.js';
+import lingXingReportService from '../reports/lingXingReportService.js';
+import lingXingFinanceService from '../finance/lingXingFinanceService.js';
+import lingXingWarehouseService from '../warehouse/lingXingWarehouseService.js';
+import lingXingVcService from '../vc/lingXingVcService.js';
+import lingXingPurchaseService from '../purchase/lingXingPurchaseService.js';
+import lingxingProductService from '../products/lingxingProductService.js';
+import lingXingSalesService from '../sales/lingXingSalesService.js';
+import lingxingBasicDataService from '../basic/lingxingBasicDataService.js';
+import lingXingLogisticsService from '../logistics/lingXingLogisticsService.js';
+import lingXingToolsService from '../tools/lingXingToolsService.js';
+
+/**
+ * 领星同步任务目录（任务元数据的唯一来源）
+ * 统一同步服务的增量/全量注册表与全量归档配置、定时任务列表（syncJob）、task-types / task-status 接口均由此生成，
+ * 新增或调整任务只改这里；进程启动时 assertTaskCatalog() 校验，配置不一致直接报错退出。
+ *
+ * taskType -> {
+ *   label: 中文名称
+ *   domain: 业务域（见 TASK_DOMAINS）
+ *   models: 写入的 Prisma 模型
+ *   dependsOn?: 前置任务 taskType，如按店铺遍历、读取 LingXingSeller 的任务依赖 sellerLists，VC 任务依赖 vcSellers
+ *   incremental?: { service, methodName, defaultLookbackDays?, perSid?, backfill?, overlapDays?, reconcileDays? }  增量拉取；defaultLookbackDays 为无同步状态时的回溯天数，不填用方法内默认值；
+ *     perSid: 同步状态按店铺（sid）记录，回补可按 sids 过滤；backfill: false 表示不支持回补（未使用 getIncrementalDateRange 计算日期范围）
+ *     overlapDays: 每次增量从上次水位往前多拉的天数，用于领星事后更新的数据（结算调整、延迟退款、利润重算），保存须为 upsert/按天覆盖
+ *     reconcileDays: 定时对账（lingXingReconcileService）重新拉取的尾部天数，不填表示不参与定时对账
+ *   full?: { service, methodName, label?, hasListParams?, secondArg?, thirdArg?, middleParam?, archive? }
+ *     全量/按需拉取，调用方式见 lingXingUnifiedSyncService.runFullSyncForAccount；
+ *     archive: 全量前需归档的表 [{ model, accountField, historyModel }]，有 historyModel 时迁移到 History 表后删除，否则软删除
+ *   schedule?: { mode: 'incremental' | 'full', cron? }  定时同步（worker），cron 默认 DEFAULT_CRON_EXPRESSION；不填表示仅按需执行
+ * }
+ */
+
+/** 业务域 -> 中文名（定时任务名称前缀） */
+export const TASK_DOMAINS = {
+  basic: '基础信息',
+  product: '产品',
+  purchase: '采购',
+  logistics: '物流',
+  sales: '销售',
+  warehouse: '仓库',
+  tools: '工具',
+  amazon: '亚马逊源数据',
+  finance: '财务',
+  report: '报表',
+  vc: 'VC'
+};
+
+/** 每周一1点执行（基础数据变化少） */
+const WEEKLY_CRON = '0 1 * * 1';
+/** 每小时整点执行（财务数据需要及时刷新） */
+const HOURLY_CRON = '0 * * * *';
+
+export const TASK_CATALOG = {
+  // 基础信息
+  marketplaces: {
+    label: '亚马逊所有市场列表',
+    domain: 'basic',
+    models: ['lingXingMarketplace'],
+    full: { service: lingxingBasicDataService, methodName: 'getAllMarketplaces', secondArg: 'useCache', archive: [{ model: 'lingXingMarketplace', accountField: null, historyModel: 'lingXingMarketplaceHistory' }] },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+  worldStates: {
+    label: '亚马逊国家下地区列表',
+    domain: 'basic',
+    models: ['lingXingWorldState'],
+    full: { service: lingxingBasicDataService, methodName: 'getWorldStates', secondArg: 'countryCode', thirdArg: 'useCache', archive: [{ model: 'lingXingWorldState', accountField: null, historyModel: 'lingXingWorldStateHistory' }] },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+  currencyRates: {
+    label: '汇率(当前月份)',
+    domain: 'basic',
+    models: ['lingXingCurrencyRate'],
+    full: { service: lingxingBasicDataService, methodName: 'getCurrencyRates', secondArg: 'currentMonthDate', thirdArg: 'useCache' },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+  accountUsers: {
+    label: '账户用户',
+    domain: 'basic',
+    models: ['lingXingAccountUser'],
+    full: { service: lingxingBasicDataService, methodName: 'getAccountUsers', secondArg: 'useCache', archive: [{ model: 'lingXingAccountUser', accountField: 'accountId', historyModel: 'lingXingAccountUserHistory' }] },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+  sellerLists: {
+    label: '亚马逊店铺列表',
+    domain: 'basic',
+    models: ['lingXingSeller'],
+    full: { service: lingxingBasicDataService, methodName: 'getSellerLists', secondArg: 'useCache', archive: [{ model: 'lingXingSeller', accountField: 'accountId', historyModel: 'lingXingSellerHistory' }] },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+  conceptSellerLists: {
+    label: '概念店铺列表',
+    domain: 'basic',
+    models: ['lingXingConceptSeller'],
+    full: { service: lingxingBasicDataService, methodName: 'getConceptSellerLists', secondArg: 'useCache', archive: [{ model: 'lingXingConceptSeller', accountField: 'accountId', historyModel: 'lingXingConceptSellerHistory' }] },
+    schedule: { mode: 'full', cron: WEEKLY_CRON }
+  },
+
+  // 产品
+  localProduct: {
+    label: '本地产品',
+    domain: 'product',
+    models: ['lingXingLocalProduct'],
+    incremental: { service: lingxingProductService, methodName: 'incrementalSyncLocalProducts' },
+    schedule: { mode: 'incremental' }
+  },
+  localProductsFull: {
+    label: '本地产品(全量)',
+    domain: 'product',
+    models: ['lingXingLocalProduct'],
+    full: { service: lingxingProductService, methodName: 'fetchAllLocalProducts', hasListParams: true, archive: [{ model: 'lingXingLocalProduct', accountField: 'accountId', historyModel: 'lingXingLocalProductHistory' }] }
+  },
+
+  // 采购
+  suppliers: {
+    label: '供应商',
+    domain: 'purchase',
+    models: ['lingXingSupplier'],
+    full: { service: lingXingPurchaseService, methodName: 'fetchAllSuppliers', archive: [{ model: 'lingXingSupplier', accountField: 'accountId', historyModel: 'lingXingSupplierHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  purchasers: {
+    label: '采购方',
+    domain: 'purchase',
+    models: ['lingXingPurchaser'],
+    full: { service: lingXingPurchaseService, methodName: 'fetchAllPurchasers', archive: [{ model: 'lingXingPurchaser', accountField: 'accountId', historyModel: 'lingXingPurchaserHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  purchaseOrder: {
+    label: '采购单',
+    domain: 'purchase',
+    models: ['lingXingPurchaseOrder'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  purchasePlan: {
+    label: '采购计划',
+    domain: 'purchase',
+    models: ['lingXingPurchasePlan'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchasePlans' },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseReturnOrder: {
+    label: '采购退货单',
+    domain: 'purchase',
+    models: ['lingXingPurchaseReturnOrder'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReturnOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseChangeOrder: {
+    label: '采购变更单',
+    domain: 'purchase',
+    models: ['lingXingPurchaseChangeOrder'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseChangeOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseReportProductFull: {
+    label: '采购报表-产品(全量)',
+    domain: 'purchase',
+    models: ['lingXingPurchaseReportProduct'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportProductByDay', hasListParams: true, archive: [{ model: 'lingXingPurchaseReportProduct', accountField: 'accountId', historyModel: 'lingXingPurchaseReportProductHistory' }] }
+  },
+  purchaseReportSupplierFull: {
+    label: '采购报表-供应商(全量)',
+    domain: 'purchase',
+    models: ['lingXingPurchaseReportSupplier'],
+    full: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportSupplierByDay', hasListParams: true, archive: [{ model: 'lingXingPurchaseReportSupplier', accountField: 'accountId', historyModel: 'lingXingPurchaseReportSupplierHistory' }] }
+  },
+  purchaseReportBuyerFull: {
+    label: '采购报表-采购员(全量)',
+    domain: 'purchase',
+    models: ['lingXingPurchaseReportBuyer'],
+    full: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportBuyerByDay', hasListParams: true, archive: [{ model: 'lingXingPurchaseReportBuyer', accountField: 'accountId', historyModel: 'lingXingPurchaseReportBuyerHistory' }] }
+  },
+
+  // 物流
+  channels: {
+    label: '物流渠道',
+    domain: 'logistics',
+    models: ['lingXingLogisticsChannel'],
+    full: { service: lingXingLogisticsService, methodName: 'fetchAllChannels', archive: [{ model: 'lingXingLogisticsChannel', accountField: 'accountId', historyModel: 'lingXingLogisticsChannelHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  headLogisticsProviders: {
+    label: '头程物流商',
+    domain: 'logistics',
+    models: ['lingXingHeadLogisticsProvider'],
+    full: { service: lingXingLogisticsService, methodName: 'fetchAllHeadLogisticsProviders', hasListParams: true, archive: [{ model: 'lingXingHeadLogisticsProvider', accountField: 'accountId', historyModel: 'lingXingHeadLogisticsProviderHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  transportMethods: {
+    label: '运输方式',
+    domain: 'logistics',
+    models: ['lingXingTransportMethod'],
+    full: { service: lingXingLogisticsService, methodName: 'fetchAllTransportMethods', archive: [{ model: 'lingXingTransportMethod', accountField: 'accountId', historyModel: 'lingXingTransportMethodHistory' }] },
+    schedule: { mode: 'full' }
+  },
+
+  // 销售
+  salesAmazonOrder: {
+    label: '销售-亚马逊订单',
+    domain: 'sales',
+    models: ['lingXingAmazonOrder'],
+    incremental: { service: lingXingSalesService, methodName: 'incrementalSyncAmazonOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  listings: {
+    label: '亚马逊Listing(全量)',
+    domain: 'sales',
+    models: ['lingXingAmazonListing'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingSalesService, methodName: 'fetchAllListings', archive: [{ model: 'lingXingAmazonListing', accountField: 'accountId', historyModel: 'lingXingAmazonListingHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  amazonOrdersFull: {
+    label: '亚马逊订单(全量)',
+    domain: 'sales',
+    models: ['lingXingAmazonOrder', 'lingXingAmazonOrderItem'],
+    full: { service: lingXingSalesService, methodName: 'fetchAllAmazonOrders', hasListParams: true, archive: [{ model: 'lingXingAmazonOrder', accountField: 'accountId', historyModel: 'lingXingAmazonOrderHistory' }] }
+  },
+
+  // 仓库
+  warehouses: {
+    label: '仓库列表',
+    domain: 'warehouse',
+    models: ['lingXingWarehouse'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllWarehouses', hasListParams: true, archive: [{ model: 'lingXingWarehouse', accountField: 'accountId', historyModel: 'lingXingWarehouseHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  inventoryDetails: {
+    label: '库存明细',
+    domain: 'warehouse',
+    models: ['lingXingInventoryDetail'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllInventoryDetails', hasListParams: true, archive: [{ model: 'lingXingInventoryDetail', accountField: 'accountId', historyModel: 'lingXingInventoryDetailHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  fbaWarehouseDetails: {
+    label: 'FBA仓库明细',
+    domain: 'warehouse',
+    models: ['lingXingFbaWarehouseDetail'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllFbaWarehouseDetails', hasListParams: true, archive: [{ model: 'lingXingFbaWarehouseDetail', accountField: 'accountId', historyModel: 'lingXingFbaWarehouseDetailHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  inventoryBinDetails: {
+    label: '库位库存明细',
+    domain: 'warehouse',
+    models: ['lingXingInventoryBinDetail'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllInventoryBinDetails', hasListParams: true, archive: [{ model: 'lingXingInventoryBinDetail', accountField: 'accountId', historyModel: 'lingXingInventoryBinDetailHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  purchaseReceiptOrder: {
+    label: '收货单',
+    domain: 'warehouse',
+    models: ['lingXingPurchaseReceiptOrder'],
+    incremental: { service: lingXingWarehouseService, methodName: 'incrementalSyncPurchaseReceiptOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  inboundOrder: {
+    label: '入库单',
+    domain: 'warehouse',
+    models: ['lingXingInboundOrder'],
+    incremental: { service: lingXingWarehouseService, methodName: 'incrementalSyncInboundOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  outboundOrder: {
+    label: '出库单',
+    domain: 'warehouse',
+    models: ['lingXingOutboundOrder'],
+    incremental: { service: lingXingWarehouseService, methodName: 'incrementalSyncOutboundOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  warehouseBins: {
+    label: '仓库库位',
+    domain: 'warehouse',
+    models: ['lingXingWarehouseBin', 'lingXingWarehouseBinSku'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllWarehouseBins', hasListParams: true, archive: [{ model: 'lingXingWarehouseBin', accountField: 'accountId', historyModel: 'lingXingWarehouseBinHistory' }] }
+  },
+  wmsOrders: {
+    label: 'WMS订单',
+    domain: 'warehouse',
+    models: ['lingXingWmsOrder'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllWmsOrders', hasListParams: true, archive: [{ model: 'lingXingWmsOrder', accountField: 'accountId', historyModel: 'lingXingWmsOrderHistory' }] }
+  },
+  overseasWarehouseStockOrders: {
+    label: '海外仓备货单',
+    domain: 'warehouse',
+    models: ['lingXingOverseasWarehouseStockOrder'],
+    full: { service: lingXingWarehouseService, methodName: 'fetchAllOverseasWarehouseStockOrders', hasListParams: true, archive: [{ model: 'lingXingOverseasWarehouseStockOrder', accountField: 'accountId', historyModel: 'lingXingOverseasWarehouseStockOrderHistory' }] }
+  },
+
+  // 工具
+  keywords: {
+    label: '关键词列表',
+    domain: 'tools',
+    models: ['lingXingKeywordRank'],
+    full: { service: lingXingToolsService, methodName: 'fetchAllKeywords', hasListParams: true },
+    schedule: { mode: 'full' }
+  },
+  operateLogFull: {
+    label: '运营日志(全量)',
+    domain: 'tools',
+    models: ['lingXingOperateLog'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingToolsService, methodName: 'fetchAllOperateLogByDay', hasListParams: true, archive: [{ model: 'lingXingOperateLog', accountField: 'accountId', historyModel: 'lingXingOperateLogHistory' }] }
+  },
+
+  // 亚马逊源数据
+  allOrders: {
+    label: '所有订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncAllOrdersReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  fbaOrders: {
+    label: 'FBA订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaOrdersReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  fbaExchangeOrders: {
+    label: 'FBA换货订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaExchangeOrdersReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  fbaRefundOrders: {
+    label: 'FBA退货订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaRefundOrdersReport', perSid: true, overlapDays: 7, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  fbmReturnOrders: {
+    label: 'FBM退货订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncFbmReturnOrdersReport', perSid: true, overlapDays: 7, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  removalOrders: {
+    label: '移除订单',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncRemovalOrdersReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  removalShipment: {
+    label: '移除货件',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncRemovalShipmentReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  transaction: {
+    label: '交易明细',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncTransactionReport', perSid: true, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  amazonFulfilledShipments: {
+    label: 'Amazon Fulfilled Shipments',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncAmazonFulfilledShipmentsReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  fbaInventoryEventDetail: {
+    label: 'FBA库存动销明细',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaInventoryEventDetailReport', perSid: true },
+    schedule: { mode: 'incremental' }
+  },
+  adjustmentList: {
+    label: '盘存记录',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncAdjustmentListReport', perSid: true, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  allOrdersReportFull: {
+    label: '所有订单报表(全量)',
+    domain: 'amazon',
+    models: ['lingXingAmazonReport'],
+    full: { service: lingXingAmazonService, methodName: 'fetchAllOrdersReport', hasListParams: true, archive: [{ model: 'lingXingAmazonReport', accountField: 'accountId', historyModel: 'lingXingAmazonReportHistory' }] }
+  },
+  reimbursementReportFull: {
+    label: '亚马逊赔偿报告(全量)',
+    domain: 'amazon',
+    models: ['lingXingReimbursementReport'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingAmazonService, methodName: 'fetchAllReimbursementReportByDateRange', hasListParams: true, archive: [{ model: 'lingXingReimbursementReport', accountField: 'accountId', historyModel: 'lingXingReimbursementReportHistory' }] }
+  },
+
+  // 财务
+  requestFundsPoolPurchase: {
+    label: '请款池-货款现结',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolPurchase'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolPurchase', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolPurchase', label: '请款池-货款现结(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolPurchase', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolPurchaseHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsPoolInbound: {
+    label: '请款池-货款月结',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolInbound'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolInbound', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolInbound', label: '请款池-货款月结(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolInbound', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolInboundHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsPoolPrepay: {
+    label: '请款池-货款预付款',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolPrepay'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolPrepay', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolPrepay', label: '请款池-货款预付款(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolPrepay', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolPrepayHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsPoolLogistics: {
+    label: '请款池-物流请款',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolLogistics'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolLogistics', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolLogistics', label: '请款池-物流请款(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolLogistics', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolLogisticsHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsPoolCustomFee: {
+    label: '请款池-其他应付款',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolCustomFee'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolCustomFee', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolCustomFee', label: '请款池-其他应付款(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolCustomFee', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolCustomFeeHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsPoolOtherFee: {
+    label: '请款池-其他费用',
+    domain: 'finance',
+    models: ['lingXingRequestFundsPoolOtherFee'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolOtherFee', defaultLookbackDays: 90 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolOtherFee', label: '请款池-其他费用(全量)', hasListParams: true, archive: [{ model: 'lingXingRequestFundsPoolOtherFee', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolOtherFeeHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  feeTypes: {
+    label: '费用类型',
+    domain: 'finance',
+    models: ['lingXingFeeType'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllFeeTypes', archive: [{ model: 'lingXingFeeType', accountField: 'accountId', historyModel: 'lingXingFeeTypeHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  receivableReport: {
+    label: '应收报告(按月)',
+    domain: 'finance',
+    models: ['lingXingReceivableReport'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReport', backfill: false },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllReceivableReportList', label: '应收报告(全量)', hasListParams: true, archive: [{ model: 'lingXingReceivableReport', accountField: 'accountId', historyModel: 'lingXingReceivableReportHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  feeDetail: {
+    label: '费用明细',
+    domain: 'finance',
+    models: ['lingXingFeeDetail'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncFeeDetails' },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  requestFundsOrder: {
+    label: '请款单',
+    domain: 'finance',
+    models: ['lingXingRequestFundsOrder'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsOrders', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  profitReportOrderTransactionFull: {
+    label: '利润报表-订单transaction(全量)',
+    domain: 'finance',
+    models: ['lingXingProfitReportOrderTransaction'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllProfitReportOrdersTransaction', hasListParams: true, archive: [{ model: 'lingXingProfitReportOrderTransaction', accountField: 'accountId', historyModel: 'lingXingProfitReportOrderTransactionHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  receivableReportDetail: {
+    label: '应收报告-详情-列表(按月)',
+    domain: 'finance',
+    models: ['lingXingReceivableReport', 'lingXingReceivableReportDetail'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReportDetailList', backfill: false },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllReceivableReportDetailList', label: '应收报告详情(全量)', hasListParams: true, archive: [{ model: 'lingXingReceivableReportDetail', accountField: 'accountId', historyModel: 'lingXingReceivableReportDetailHistory' }] },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  receivableReportDetailInfo: {
+    label: '应收报告-详情-基础信息(按月)',
+    domain: 'finance',
+    models: ['lingXingReceivableReport', 'lingXingReceivableReportDetailInfo'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReportDetailInfo', backfill: false },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  settlementSummary: {
+    label: '结算中心-结算汇总(按日)',
+    domain: 'finance',
+    models: ['lingXingSettlementSummary'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementSummary', defaultLookbackDays: 90, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  settlementTransactionDetail: {
+    label: '结算中心-交易明细(按sid按日)',
+    domain: 'finance',
+    models: ['lingXingSettlementTransactionDetail'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementTransactionDetail', defaultLookbackDays: 7, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  inventoryLedgerDetail: {
+    label: '库存分类账detail(按sellerId按日)',
+    domain: 'finance',
+    models: ['lingXingInventoryLedgerDetail'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncInventoryLedgerDetail', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  inventoryLedgerSummary: {
+    label: '库存分类账summary(按sellerId按日)',
+    domain: 'finance',
+    models: ['lingXingInventoryLedgerSummary'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncInventoryLedgerSummary', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  settlementReport: {
+    label: '发货结算报告(按sid按日,更新时间)',
+    domain: 'finance',
+    models: ['lingXingSettlementReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementReport', defaultLookbackDays: 90, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  fbaCostStream: {
+    label: 'FBA成本流水(按shopName按日)',
+    domain: 'finance',
+    models: ['lingXingFbaCostStream'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncFbaCostStream', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  adsInvoice: {
+    label: '广告发票(按sid按日)',
+    domain: 'finance',
+    models: ['lingXingAdsInvoice'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncAdsInvoice', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  fbaStorageFeeMonth: {
+    label: 'FBA月仓储费',
+    domain: 'finance',
+    models: ['lingXingFbaStorageFeeMonth'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncFbaStorageFeeMonth', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental', cron: HOURLY_CRON }
+  },
+  feeDetailsFull: {
+    label: '费用明细(全量)',
+    domain: 'finance',
+    models: ['lingXingFeeDetail'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllFeeDetails', hasListParams: true, archive: [{ model: 'lingXingFeeDetail', accountField: 'accountId', historyModel: 'lingXingFeeDetailHistory' }] }
+  },
+  requestFundsOrdersFull: {
+    label: '请款单(全量)',
+    domain: 'finance',
+    models: ['lingXingRequestFundsOrder'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsOrders', hasListParams: true, archive: [{ model: 'lingXingRequestFundsOrder', accountField: 'accountId', historyModel: 'lingXingRequestFundsOrderHistory' }] }
+  },
+  settlementSummaryFull: {
+    label: '结算中心-结算汇总(全量)',
+    domain: 'finance',
+    models: ['lingXingSettlementSummary'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllSettlementSummaryList', hasListParams: true, archive: [{ model: 'lingXingSettlementSummary', accountField: 'accountId', historyModel: 'lingXingSettlementSummaryHistory' }] }
+  },
+  settlementTransactionDetailFull: {
+    label: '结算中心-交易明细(全量)',
+    domain: 'finance',
+    models: ['lingXingSettlementTransactionDetail'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllSettlementTransactionDetailList', hasListParams: true, archive: [{ model: 'lingXingSettlementTransactionDetail', accountField: 'accountId', historyModel: 'lingXingSettlementTransactionDetailHistory' }] }
+  },
+  inventoryLedgerDetailFull: {
+    label: '库存分类账detail(全量)',
+    domain: 'finance',
+    models: ['lingXingInventoryLedgerDetail'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllInventoryLedgerDetailList', hasListParams: true, archive: [{ model: 'lingXingInventoryLedgerDetail', accountField: 'accountId', historyModel: 'lingXingInventoryLedgerDetailHistory' }] }
+  },
+  inventoryLedgerSummaryFull: {
+    label: '库存分类账summary(全量)',
+    domain: 'finance',
+    models: ['lingXingInventoryLedgerSummary'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllInventoryLedgerSummaryList', hasListParams: true, archive: [{ model: 'lingXingInventoryLedgerSummary', accountField: 'accountId', historyModel: 'lingXingInventoryLedgerSummaryHistory' }] }
+  },
+  settlementReportFull: {
+    label: '发货结算报告(全量)',
+    domain: 'finance',
+    models: ['lingXingSettlementReport'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllSettlementReportList', hasListParams: true, archive: [{ model: 'lingXingSettlementReport', accountField: 'accountId', historyModel: 'lingXingSettlementReportHistory' }] }
+  },
+  fbaCostStreamFull: {
+    label: 'FBA成本流水(全量按日)',
+    domain: 'finance',
+    models: ['lingXingFbaCostStream'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllFbaCostStreamByDay', hasListParams: true, archive: [{ model: 'lingXingFbaCostStream', accountField: 'accountId', historyModel: 'lingXingFbaCostStreamHistory' }] }
+  },
+  adsInvoiceFull: {
+    label: '广告发票(全量按日)',
+    domain: 'finance',
+    models: ['lingXingAdsInvoice'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllAdsInvoiceListByDay', hasListParams: true, archive: [{ model: 'lingXingAdsInvoice', accountField: 'accountId', historyModel: 'lingXingAdsInvoiceHistory' }] }
+  },
+  profitReportOrderFull: {
+    label: '利润报表-订单(全量)',
+    domain: 'finance',
+    models: ['lingXingProfitReportOrder'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllProfitReportOrders', hasListParams: true, archive: [{ model: 'lingXingProfitReportOrder', accountField: 'accountId', historyModel: 'lingXingProfitReportOrderHistory' }] }
+  },
+  mskuProfitReport: {
+    label: 'MSKU利润报表',
+    domain: 'finance',
+    models: ['lingXingMskuProfitReport'],
+    full: { service: lingXingFinanceService, methodName: 'fetchAllMskuProfitReport', hasListParams: true, archive: [{ model: 'lingXingMskuProfitReport', accountField: 'accountId', historyModel: 'lingXingMskuProfitReportHistory' }] }
+  },
+
+  // 报表
+  salesReport: {
+    label: '销量报表',
+    domain: 'report',
+    models: ['lingXingSalesReport', 'lingXingSalesReportItem'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncSalesReport', defaultLookbackDays: 10 },
+    schedule: { mode: 'incremental' }
+  },
+  productPerformance: {
+    label: '产品表现',
+    domain: 'report',
+    models: ['lingXingProductPerformance', 'lingXingProductPerformancePage'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncProductPerformance', defaultLookbackDays: 10 },
+    schedule: { mode: 'incremental' }
+  },
+  mskuProfitStatistics: {
+    label: '利润统计MSKU',
+    domain: 'report',
+    models: ['lingXingMskuProfitStatistics', 'lingXingMskuProfitStatisticsItem'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncMskuProfitStatistics', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  profitReportOrder: {
+    label: '利润报表-订单',
+    domain: 'report',
+    models: ['lingXingProfitReportOrder'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncProfitReportOrders', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  profitReportOrderTransaction: {
+    label: '利润报表-订单transaction',
+    domain: 'report',
+    models: ['lingXingProfitReportOrderTransaction'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncProfitReportOrderTransaction', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  asinProfitReport: {
+    label: '利润报表-ASIN',
+    domain: 'report',
+    models: ['lingXingAsinProfitReport'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncAsinProfitReport', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  parentAsinProfitReport: {
+    label: '利润报表-父ASIN',
+    domain: 'report',
+    models: ['lingXingParentAsinProfitReport'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncParentAsinProfitReport', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    schedule: { mode: 'incremental' }
+  },
+  sellerProfitReport: {
+    label: '利润报表-店铺',
+    domain: 'report',
+    models: ['lingXingSellerProfitReport'],
+    incremental: { service: lingXingFinanceService, methodName: 'incrementalSyncSellerProfitReport', defaultLookbackDays: 10, overlapDays: 3, reconcileDays: 30 },
+    full: { service: lingXingFinanceService, methodName: 'fetchAllSellerProfitReport', label: '卖家利润报表', hasListParams: true, archive: [{ model: 'lingXingSellerProfitReport', accountField: 'accountId', historyModel: 'lingXingSellerProfitReportHistory' }] },
+    schedule: { mode: 'incremental' }
+  },
+  reimbursementReport: {
+    label: '亚马逊赔偿报告',
+    domain: 'report',
+    models: ['lingXingReimbursementReport'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingAmazonService, methodName: 'incrementalSyncReimbursementReport', defaultLookbackDays: 90, perSid: true, overlapDays: 7, reconcileDays: 60 },
+    schedule: { mode: 'incremental' }
+  },
+  returnOrderAnalysis: {
+    label: '退货分析',
+    domain: 'report',
+    models: ['lingXingReturnOrderAnalysis'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncReturnOrderAnalysis', defaultLookbackDays: 366 },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseReportProduct: {
+    label: '采购报表-产品',
+    domain: 'report',
+    models: ['lingXingPurchaseReportProduct'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportProduct', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseReportSupplier: {
+    label: '采购报表-供应商',
+    domain: 'report',
+    models: ['lingXingPurchaseReportSupplier'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportSupplier', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  purchaseReportBuyer: {
+    label: '采购报表-采购员',
+    domain: 'report',
+    models: ['lingXingPurchaseReportBuyer'],
+    incremental: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportBuyer', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  operateLog: {
+    label: '运营日志(新)',
+    domain: 'report',
+    models: ['lingXingOperateLog'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingToolsService, methodName: 'incrementalSyncOperateLog', defaultLookbackDays: 3 },
+    schedule: { mode: 'incremental' }
+  },
+  storeSummarySales: {
+    label: '店铺汇总销量',
+    domain: 'report',
+    models: ['lingXingStoreSummarySales'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStoreSummarySales', defaultLookbackDays: 10 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportLocalAggregate: {
+    label: '库存报表-本地仓-汇总',
+    domain: 'report',
+    models: ['lingXingStorageReportLocalAggregate'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportLocalAggregate', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportLocalDetail: {
+    label: '库存报表-本地仓-明细',
+    domain: 'report',
+    models: ['lingXingStorageReportLocalDetail'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportLocalDetail', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportOverseasAggregate: {
+    label: '库存报表-海外仓-汇总',
+    domain: 'report',
+    models: ['lingXingStorageReportOverseasAggregate'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportOverseasAggregate', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportOverseasDetail: {
+    label: '库存报表-海外仓-明细',
+    domain: 'report',
+    models: ['lingXingStorageReportOverseasDetail'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportOverseasDetail', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportFbaGather: {
+    label: '库存报表-FBA-汇总',
+    domain: 'report',
+    models: ['lingXingStorageReportFbaGather'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportFbaGather', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  storageReportFbaDetail: {
+    label: '库存报表-FBA-明细',
+    domain: 'report',
+    models: ['lingXingStorageReportFbaDetail'],
+    dependsOn: ['sellerLists'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportFbaDetail', defaultLookbackDays: 90 },
+    schedule: { mode: 'incremental' }
+  },
+  asin360HourData: {
+    label: 'ASIN360小时数据',
+    domain: 'report',
+    models: ['lingXingAsin360HourData'],
+    incremental: { service: lingXingReportService, methodName: 'incrementalSyncAsin360HourData', defaultLookbackDays: 10 }
+  },
+  storeSummarySalesFull: {
+    label: '店铺汇总销量(全量)',
+    domain: 'report',
+    models: ['lingXingStoreSummarySales'],
+    full: { service: lingXingReportService, methodName: 'fetchAllStoreSummarySalesByDay', hasListParams: true, archive: [{ model: 'lingXingStoreSummarySales', accountField: 'accountId', historyModel: 'lingXingStoreSummarySalesHistory' }] }
+  },
+  returnOrderAnalysisFull: {
+    label: '退货分析(全量)',
+    domain: 'report',
+    models: ['lingXingReturnOrderAnalysis'],
+    dependsOn: ['sellerLists'],
+    full: { service: lingXingReportService, methodName: 'fetchAllReturnOrderAnalysisByDay', hasListParams: true, archive: [{ model: 'lingXingReturnOrderAnalysis', accountField: 'accountId', historyModel: 'lingXingReturnOrderAnalysisHistory' }] }
+  },
+  fbaStorageFeeMonthFull: {
+    label: 'FBA月仓储费(全量)',
+    domain: 'report',
+    models: ['lingXingFbaStorageFeeMonth'],
+    full: { service: lingXingReportService, methodName: 'fetchAllFbaStorageFeeMonthByMonth', hasListParams: true, archive: [{ model: 'lingXingFbaStorageFeeMonth', accountField: 'accountId', historyModel: 'lingXingFbaStorageFeeMonthHistory' }] }
+  },
+
+  // VC
+  vcSellers: {
+    label: 'VC店铺',
+    domain: 'vc',
+    models: ['lingXingVcSeller'],
+    full: { service: lingXingVcService, methodName: 'fetchAllVcSellers', archive: [{ model: 'lingXingVcSeller', accountField: 'accountId', historyModel: 'lingXingVcSellerHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  vcListings: {
+    label: 'VC Listing',
+    domain: 'vc',
+    models: ['lingXingVcListing'],
+    dependsOn: ['vcSellers'],
+    full: { service: lingXingVcService, methodName: 'fetchAllVcListings', middleParam: 'vcStoreIds', archive: [{ model: 'lingXingVcListing', accountField: 'accountId', historyModel: 'lingXingVcListingHistory' }] },
+    schedule: { mode: 'full' }
+  },
+  vcOrder: {
+    label: 'VC订单',
+    domain: 'vc',
+    models: ['lingXingVcOrder', 'lingXingVcOrderItem'],
+    dependsOn: ['vcSellers'],
+    incremental: { service: lingXingVcService, methodName: 'incrementalSyncVcOrders' },
+    schedule: { mode: 'incremental' }
+  },
+  vcInvoice: {
+    label: 'VC发货单',
+    domain: 'vc',
+    models: ['lingXingVcInvoice', 'lingXingVcInvoiceItem', 'lingXingVcInvoiceItemDimension', 'lingXingVcInvoiceTracking'],
+    dependsOn: ['vcSellers'],
+    incremental: { service: lingXingVcService, methodName: 'incrementalSyncVcInvoices' },
+    schedule: { mode: 'incremental' }
+  },
+  vcOrdersFull: {
+    label: 'VC订单(全量)',
+    domain: 'vc',
+    models: ['lingXingVcOrder', 'lingXingVcOrderItem'],
+    dependsOn: ['vcSellers'],
+    full: { service: lingXingVcService, methodName: 'fetchAllVcOrders', hasListParams: true, archive: [{ model: 'lingXingVcOrder', accountField: 'accountId', historyModel: 'lingXingVcOrderHistory' }] }
+  },
+  vcInvoicesFull: {
+    label: 'VC发货单(全量)',
+    domain: 'vc',
+    models: ['lingXingVcInvoice', 'lingXingVcInvoiceItem', 'lingXingVcInvoiceItemDimension', 'lingXingVcInvoiceTracking'],
+    dependsOn: ['vcSellers'],
+    full: { service: lingXingVcService, methodName: 'fetchAllVcInvoices', hasListParams: true, archive: [{ model: 'lingXingVcInvoice', accountField: 'accountId', historyModel: 'lingXingVcInvoiceHistory' }] }
+  }
+};
+
+export const TASK_MODES = ['incremental', 'full'];
+
+/**
+ * 取某任务某模式的完整定义（合并公共字段）
+ * @param {string} taskType
+ * @param {'incremental'|'full'} mode
+ * @returns {Object|null} { taskType, mode, label, description, domain, models, dependsOn, scheduled, service, methodName, ... }
+ */
+export function getTaskDefinition(taskType, mode) {
+  const entry = TASK_CATALOG[taskType];
+  const def = entry?.[mode];
+  if (!def) return null;
+  const label = def.label ?? entry.label;
+  return {
+    ...def,
+    taskType,
+    mode,
+    label,
+    description: label,
+    domain: entry.domain,
+    models: entry.models,
+    dependsOn: entry.dependsOn || [],
+    scheduled: entry.schedule?.mode === mode
+  };
+}
+
+/**
+ * 生成某模式的任务注册表：taskType -> 定义（供 lingXingUnifiedSyncService 使用）
+ * @param {'incremental'|'full'} mode
+ * @returns {Object}
+ */
+export function buildTaskRegistry(mode) {
+  const registry = {};
+  for (const taskType of Object.keys(TASK_CATALOG)) {
+    const def = getTaskDefinition(taskType, mode);
+    if (def) registry[taskType] = def;
+  }
+  return registry;
+}
+
+/**
+ * 生成全量同步前的归档配置：taskType -> [{ model, accountField, historyModel }]
+ * @returns {Object}
+ */
+export function buildArchiveMap() {
+  const map = {};
+  for (const [taskType, entry] of Object.entries(TASK_CATALOG)) {
+    if (entry.full?.archive) map[taskType] = entry.full.archive;
+  }
+  return map;
+}
+
+/**
+ * 定时同步任务列表（按目录顺序）
+ * @returns {Array<{ taskType, label, domain, mode, full: boolean, cronExpression, dependsOn }>}
+ */
+export function listScheduledTasks() {
+  return Object.entries(TASK_CATALOG)
+    .filter(([, entry]) => entry.schedule)
+    .map(([taskType, entry]) => {
+      const { mode, cron: cronExpression = DEFAULT_CRON_EXPRESSION } = entry.schedule;
+      const full = mode === 'full';
+      return {
+        taskType,
+        label: `${TASK_DOMAINS[entry.domain] ?? entry.domain}-${getTaskDefinition(taskType, mode)?.label ?? entry.label}${full ? '全量' : '增量'}同步`,
+        domain: entry.domain,
+        mode,
+        full,
+        cronExpression,
+        dependsOn: entry.dependsOn || []
+      };
+    });
+}
+
+/**
+ * 按 dependsOn 对任务做拓扑排序（Kahn 算法），无依赖关系的任务保持传入顺序
+ * 仅考虑 nodes 内部的依赖，依赖 nodes 之外的任务视为已满足
+ * @param {Array<{ taskType: string, dependsOn?: string[] }>} nodes
+ * @returns {Array<string>} 排序后的 taskType
+ * @throws {Error} 存在循环依赖时
+ */
+export function sortTaskTypesByDependencies(nodes) {
+  const known = new Set(nodes.map((n) => n.taskType));
+  const pending = new Map(nodes.map((n) => [n.taskType, (n.dependsOn || []).filter((d) => known.has(d) && d !== n.taskType)]));
+  const order = [];
+  while (pending.size > 0) {
+    const ready = [...pending.keys()].filter((t) => pending.get(t).every((d) => !pending.has(d)));
+    if (ready.length === 0) {
+      throw new Error(`任务依赖存在循环: ${[...pending.keys()].join(', ')}`);
+    }
+    for (const t of ready) {
+      order.push(t);
+      pending.delete(t);
+    }
+  }
+  return order;
+}
+
+/**
+ * 校验任务目录，返回全部问题（空数组表示通过）
+ * - 业务域、服务方法、Prisma 模型（含归档表与 History 表）是否存在
+ * - 依赖的任务是否存在、是否有循环；定时任务的前置任务也须为定时任务（否则无法保证同一轮先执行）
+ * - 定时任务的模式须已定义、cron 合法；defaultLookbackDays、reconcileDays 为正整数，overlapDays 为非负整数；对账任务须支持回补
+ * @returns {Array<string>}
+ */
+export function validateTaskCatalog() {
+  const errors = [];
+  for (const [taskType, entry] of Object.entries(TASK_CATALOG)) {
+    const at = `[${taskType}]`;
+    if (!entry.label) errors.push(`${at} 缺少 label`);
+    if (!TASK_DOMAINS[entry.domain]) errors.push(`${at} 未知的 domain: ${entry.domain}`);
+    if (!entry.incremental && !entry.full) errors.push(`${at} 未定义 incremental 或 full`);
+    for (const model of entry.models || []) {
+      if (!prisma[model]) errors.push(`${at} Prisma 模型不存在: ${model}`);
+    }
+    for (const mode of TASK_MODES) {
+      const def = entry[mode];
+      if (!def) continue;
+      if (typeof def.service?.[def.methodName] !== 'function') {
+        errors.push(`${at} ${mode} 服务方法不存在: ${def.methodName}`);
+      }
+      if (def.defaultLookbackDays != null && !(Number.isInteger(def.defaultLookbackDays) && def.defaultLookbackDays > 0)) {
+        errors.push(`${at} ${mode} defaultLookbackDays 无效: ${def.defaultLookbackDays}`);
+      }
+      if (def.overlapDays != null && !(Number.isInteger(def.overlapDays) && def.overlapDays >= 0)) {
+        errors.push(`${at} ${mode} overlapDays 无效: ${def.overlapDays}`);
+      }
+      if (def.reconcileDays != null) {
+        if (!(Number.isInteger(def.reconcileDays) && def.reconcileDays > 0)) errors.push(`${at} ${mode} reconcileDays 无效: ${def.reconcileDays}`);
+        if (def.backfill === false) errors.push(`${at} ${mode} 不支持回补的任务不能配置 reconcileDays`);
+      }
+    }
+    for (const { model, historyModel } of entry.full?.archive || []) {
+      if (!(entry.models || []).includes(model)) errors.push(`${at} 归档表 ${model} 不在 models 中`);
+      if (historyModel && !prisma[historyModel]) errors.push(`${at} History 模型不存在: ${historyModel}`);
+    }
+    for (const dep of entry.dependsOn || []) {
+      if (dep === taskType) errors.push(`${at} 不能依赖自身`);
+      else if (!TASK_CATALOG[dep]) errors.push(`${at} 前置任务不存在: ${dep}`);
+      else if (entry.schedule && !TASK_CATALOG[dep].schedule) errors.push(`${at} 前置任务 ${dep} 未加入定时同步`);
+    }
+    if (entry.schedule) {
+      const { mode, cron: cronExpression } = entry.schedule;
+      if (!TASK_MODES.includes(mode) || !entry[mode]) errors.push(`${at} schedule.mode=${mode} 未定义对应的拉取方法`);
+      if (cronExpression !== undefined && !isValidCron(cronExpression)) errors.push(`${at} 无效的 cron 表达式: ${cronExpression}`);
+    }
+  }
+  try {
+    sortTaskTypesByDependencies(Object.entries(TASK_CATALOG).map(([taskType, entry]) => ({ taskType, dependsOn: entry.dependsOn })));
+  } catch (err) {
+    errors.push(err.message);
+  }
+  return errors;
+}
+
+/**
+ * 校验任务目录，有问题时抛错（进程启动时调用）
+ * @throws {Error}
+ */
+export function assertTaskCatalog() {
+  const errors = validateTaskCatalog();
+  if (errors.length > 0) {
+    throw new Error(`同步任务目录校验失败（${errors.length} 项）:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+export default {
+  TASK_DOMAINS,
+  TASK_MODES,
+  TASK_CATALOG,
+  getTaskDefinition,
+  buildTaskRegistry,
+  buildArchiveMap,
+  listScheduledTasks,
+  sortTaskTypesByDependencies,
+  validateTaskCatalog,
+  assertTaskCatalog
+};
@@ -1,258 +1,173 @@
 import prisma from '../../../config/database.js';
 import { moveToHistoryAndDelete } from '../lingxingArchiveHelper.js';
-import lingXingAmazonService from '../amazon/lingXingAmazonService.js';
-import lingXingReportService from '../reports/lingXingReportService.js';
-import lingXingFinanceService from '../finance/lingXingFinanceService.js';
-import lingXingWarehouseService from '../warehouse/lingXingWarehouseService.js';
-import lingXingVcService from '../vc/lingXingVcService.js';
-import lingXingPurchaseService from '../purchase/lingXingPurchaseService.js';
-import lingxingProductService from '../products/lingxingProductService.js';
-import lingXingSalesService from '../sales/lingXingSalesService.js';
-import lingxingBasicDataService from '../basic/lingxingBasicDataService.js';
-import lingXingLogisticsService from '../logistics/lingXingLogisticsService.js';
-import lingXingToolsService from '../tools/lingXingToolsService.js';
+import { emitEvent } from '../../eventBusService.js';
+import { isSyncCancelledError, throwIfSyncRunCancelled, reportSyncRunProgress } from './lingXingSyncRunContext.js';
+import {
+  buildTaskRegistry,
+  buildArchiveMap,
+  sortTaskTypesByDependencies
+} from './lingXingTaskCatalog.js';
 
 const LOG_PREFIX = '[LingXingUnifiedSync]';
 
 /**
- * 支持增量拉取的任务注册表
- * taskType -> { service, methodName, description }
+ * 支持增量拉取的任务注册表（由 lingXingTaskCatalog 生成）
+ * taskType -> { service, methodName, description, defaultLookbackDays?, dependsOn, ... }
  */
-const INCREMENTAL_TASK_REGISTRY = {
-  // 亚马逊报表
-  allOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncAllOrdersReport', description: '所有订单' },
-  fbaOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaOrdersReport', description: 'FBA订单' },
-  fbaExchangeOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaExchangeOrdersReport', description: 'FBA换货订单' },
-  fbaRefundOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaRefundOrdersReport', description: 'FBA退货订单' },
-  fbmReturnOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncFbmReturnOrdersReport', description: 'FBM退货订单' },
-  removalOrders: { service: lingXingAmazonService, methodName: 'incrementalSyncRemovalOrdersReport', description: '移除订单' },
-  removalShipment: { service: lingXingAmazonService, methodName: 'incrementalSyncRemovalShipmentReport', description: '移除货件' },
-  transaction: { service: lingXingAmazonService, methodName: 'incrementalSyncTransactionReport', description: '交易明细' },
-  amazonFulfilledShipments: { service: lingXingAmazonService, methodName: 'incrementalSyncAmazonFulfilledShipmentsReport', description: 'Amazon Fulfilled Shipments' },
-  fbaInventoryEventDetail: { service: lingXingAmazonService, methodName: 'incrementalSyncFbaInventoryEventDetailReport', description: 'FBA库存动销明细' },
-  adjustmentList: { service: lingXingAmazonService, methodName: 'incrementalSyncAdjustmentListReport', description: '盘存记录' },
-  reimbursementReport: { service: lingXingAmazonService, methodName: 'incrementalSyncReimbursementReport', description: '亚马逊赔偿报告' },
-
-  // 报表
-  salesReport: { service: lingXingReportService, methodName: 'incrementalSyncSalesReport', description: '销量报表' },
-  storeSummarySales: { service: lingXingReportService, methodName: 'incrementalSyncStoreSummarySales', description: '店铺汇总销量' },
-  productPerformance: { service: lingXingReportService, methodName: 'incrementalSyncProductPerformance', description: '产品表现' },
-  asin360HourData: { service: lingXingReportService, methodName: 'incrementalSyncAsin360HourData', description: 'ASIN360小时数据' },
-  mskuProfitStatistics: { service: lingXingReportService, methodName: 'incrementalSyncMskuProfitStatistics', description: '利润统计MSKU' },
-  profitReportOrder: { service: lingXingFinanceService, methodName: 'incrementalSyncProfitReportOrders', description: '利润报表-订单' },
-  profitReportOrderTransaction: { service: lingXingFinanceService, methodName: 'incrementalSyncProfitReportOrderTransaction', description: '利润报表-订单transaction' },
-  asinProfitReport: { service: lingXingFinanceService, methodName: 'incrementalSyncAsinProfitReport', description: '利润报表-ASIN' },
-  parentAsinProfitReport: { service: lingXingFinanceService, methodName: 'incrementalSyncParentAsinProfitReport', description: '利润报表-父ASIN' },
-  sellerProfitReport: { service: lingXingFinanceService, methodName: 'incrementalSyncSellerProfitReport', description: '利润报表-店铺' },
-  returnOrderAnalysis: { service: lingXingReportService, methodName: 'incrementalSyncReturnOrderAnalysis', description: '退货分析' },
-
-  // 财务
-  feeDetail: { service: lingXingFinanceService, methodName: 'incrementalSyncFeeDetails', description: '费用明细' },
-  requestFundsOrder: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsOrders', description: '请款单' },
-  requestFundsPoolPurchase: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolPurchase', description: '请款池-货款现结' },
-  requestFundsPoolInbound: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolInbound', description: '请款池-货款月结' },
-  requestFundsPoolPrepay: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolPrepay', description: '请款池-货款预付款' },
-  requestFundsPoolLogistics: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolLogistics', description: '请款池-物流请款' },
-  requestFundsPoolCustomFee: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolCustomFee', description: '请款池-其他应付款' },
-  requestFundsPoolOtherFee: { service: lingXingFinanceService, methodName: 'incrementalSyncRequestFundsPoolOtherFee', description: '请款池-其他费用' },
-  receivableReport: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReport', description: '应收报告(按月)' },
-  receivableReportDetail: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReportDetailList', description: '应收报告-详情-列表(按月)' },
-  receivableReportDetailInfo: { service: lingXingFinanceService, methodName: 'incrementalSyncReceivableReportDetailInfo', description: '应收报告-详情-基础信息(按月)' },
-  settlementSummary: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementSummary', description: '结算中心-结算汇总(按日)' },
-  settlementTransactionDetail: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementTransactionDetail', description: '结算中心-交易明细(按sid按日)' },
-  inventoryLedgerDetail: { service: lingXingFinanceService, methodName: 'incrementalSyncInventoryLedgerDetail', description: '库存分类账detail(按sellerId按日)' },
-  inventoryLedgerSummary: { service: lingXingFinanceService, methodName: 'incrementalSyncInventoryLedgerSummary', description: '库存分类账summary(按sellerId按日)' },
-  settlementReport: { service: lingXingFinanceService, methodName: 'incrementalSyncSettlementReport', description: '发货结算报告(按sid按日,更新时间)' },
-  fbaCostStream: { service: lingXingFinanceService, methodName: 'incrementalSyncFbaCostStream', description: 'FBA成本流水(按shopName按日)' },
-  adsInvoice: { service: lingXingFinanceService, methodName: 'incrementalSyncAdsInvoice', description: '广告发票(按sid按日)' },
-
-  // 仓库
-  purchaseReceiptOrder: { service: lingXingWarehouseService, methodName: 'incrementalSyncPurchaseReceiptOrders', description: '收货单' },
-  inboundOrder: { service: lingXingWarehouseService, methodName: 'incrementalSyncInboundOrders', description: '入库单' },
-  outboundOrder: { service: lingXingWarehouseService, methodName: 'incrementalSyncOutboundOrders', description: '出库单' },
-  storageReportLocalAggregate: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportLocalAggregate', description: '库存报表-本地仓-汇总' },
-  storageReportLocalDetail: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportLocalDetail', description: '库存报表-本地仓-明细' },
-  storageReportOverseasAggregate: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportOverseasAggregate', description: '库存报表-海外仓-汇总' },
-  storageReportOverseasDetail: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportOverseasDetail', description: '库存报表-海外仓-明细' },
-  storageReportFbaGather: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportFbaGather', description: '库存报表-FBA-汇总' },
-  storageReportFbaDetail: { service: lingXingReportService, methodName: 'incrementalSyncStorageReportFbaDetail', description: '库存报表-FBA-明细' },
-  fbaStorageFeeMonth: { service: lingXingReportService, methodName: 'incrementalSyncFbaStorageFeeMonth', description: 'FBA月仓储费' },
-
-  // VC
-  vcOrder: { service: lingXingVcService, methodName: 'incrementalSyncVcOrders', description: 'VC订单' },
-  vcInvoice: { service: lingXingVcService, methodName: 'incrementalSyncVcInvoices', description: 'VC发货单' },
-
-  // 采购
-  purchaseOrder: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseOrders', description: '采购单' },
-  purchasePlan: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchasePlans', description: '采购计划' },
-  purchaseReturnOrder: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReturnOrders', description: '采购退货单' },
-  purchaseChangeOrder: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseChangeOrders', description: '采购变更单' },
-  purchaseReportProduct: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportProduct', description: '采购报表-产品' },
-  purchaseReportSupplier: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportSupplier', description: '采购报表-供应商' },
-  purchaseReportBuyer: { service: lingXingPurchaseService, methodName: 'incrementalSyncPurchaseReportBuyer', description: '采购报表-采购员' },
-
-  // 产品
-  localProduct: { service: lingxingProductService, methodName: 'incrementalSyncLocalProducts', description: '本地产品' },
-
-  // 销售
-  salesAmazonOrder: { service: lingXingSalesService, methodName: 'incrementalSyncAmazonOrders', description: '销售-亚马逊订单' },
-
-  // 工具
-  operateLog: { service: lingXingToolsService, methodName: 'incrementalSyncOperateLog', description: '运营日志(新)' }
-};
+const INCREMENTAL_TASK_REGISTRY = buildTaskRegistry('incremental');
 
 /**
- * 非增量（全量/按需）拉取任务注册表
+ * 非增量（全量/按需）拉取任务注册表（由 lingXingTaskCatalog 生成）
  * 方法签名为 (accountId, options) 或 (accountId, listParams, options)，不要求传入 accountId，由服务内遍历启用账户执行
- * taskType -> { service, methodName, description, hasListParams?: boolean }  hasListParams 为 true 时调用为 (accountId, options.listParams||{}, options)
+ * taskType -> { service, methodName, description, hasListParams?: boolean, dependsOn, ... }  hasListParams 为 true 时调用为 (accountId, options.listParams||{}, options)
  */
-const FULL_TASK_REGISTRY = {
-  // 基础数据（第二参为 useCache，从 options.useCache 取，默认 true）
-  sellerLists: { service: lingxingBasicDataService, methodName: 'getSellerLists', description: '亚马逊店铺列表', secondArg: 'useCache' },
-  conceptSellerLists: { service: lingxingBasicDataService, methodName: 'getConceptSellerLists', description: '概念店铺列表', secondArg: 'useCache' },
-  accountUsers: { service: lingxingBasicDataService, methodName: 'getAccountUsers', description: '账户用户', secondArg: 'useCache' },
-  marketplaces: { service: lingxingBasicDataService, methodName: 'getAllMarketplaces', description: '亚马逊所有市场列表', secondArg: 'useCache' },
-  worldStates: { service: lingxingBasicDataService, methodName: 'getWorldStates', description: '亚马逊国家下地区列表', secondArg: 'countryCode', thirdArg: 'useCache' },
-  currencyRates: { service: lingxingBasicDataService, methodName: 'getCurrencyRates', description: '汇率(当前月份)', secondArg: 'currentMonthDate', thirdArg: 'useCache' },
-
-  // 物流
-  channels: { service: lingXingLogisticsService, methodName: 'fetchAllChannels', description: '物流渠道' },
-  headLogisticsProviders: { service: lingXingLogisticsService, methodName: 'fetchAllHeadLogisticsProviders', description: '头程物流商', hasListParams: true },
-  transportMethods: { service: lingXingLogisticsService, methodName: 'fetchAllTransportMethods', description: '运输方式' },
-
-  // 采购（采购计划/退货单/变更单已支持增量，见 INCREMENTAL_TASK_REGISTRY）
-  suppliers: { service: lingXingPurchaseService, methodName: 'fetchAllSuppliers', description: '供应商' },
-  purchasers: { service: lingXingPurchaseService, methodName: 'fetchAllPurchasers', description: '采购方' },
-
-  // VC
-  vcSellers: { service: lingXingVcService, methodName: 'fetchAllVcSellers', description: 'VC店铺' },
-  vcListings: { service: lingXingVcService, methodName: 'fetchAllVcListings', description: 'VC Listing', middleParam: 'vcStoreIds' },
-  vcOrdersFull: { service: lingXingVcService, methodName: 'fetchAllVcOrders', description: 'VC订单(全量)', hasListParams: true },
-  vcInvoicesFull: { service: lingXingVcService, methodName: 'fetchAllVcInvoices', description: 'VC发货单(全量)', hasListParams: true },
-
-  // 仓库
-  warehouses: { service: lingXingWarehouseService, methodName: 'fetchAllWarehouses', description: '仓库列表', hasListParams: true },
-  warehouseBins: { service: lingXingWarehouseService, methodName: 'fetchAllWarehouseBins', description: '仓库库位', hasListParams: true },
-  fbaWarehouseDetails: { service: lingXingWarehouseService, methodName: 'fetchAllFbaWarehouseDetails', description: 'FBA仓库明细', hasListParams: true },
-  inventoryDetails: { service: lingXingWarehouseService, methodName: 'fetchAllInventoryDetails', description: '库存明细', hasListParams: true },
-  inventoryBinDetails: { service: lingXingWarehouseService, methodName: 'fetchAllInventoryBinDetails', description: '库位库存明细', hasListParams: true },
-  wmsOrders: { service: lingXingWarehouseService, methodName: 'fetchAllWmsOrders', description: 'WMS订单', hasListParams: true },
-  overseasWarehouseStockOrders: { service: lingXingWarehouseService, methodName: 'fetchAllOverseasWarehouseStockOrders', description: '海外仓备货单', hasListParams: true },
-
-  // 财务
-  feeTypes: { service: lingXingFinanceService, methodName: 'fetchAllFeeTypes', description: '费用类型' },
-  feeDetailsFull: { service: lingXingFinanceService, methodName: 'fetchAllFeeDetails', description: '费用明细(全量)', hasListParams: true },
-  requestFundsOrdersFull: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsOrders', description: '请款单(全量)', hasListParams: true },
-  requestFundsPoolPurchase: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolPurchase', description: '请款池-货款现结(全量)', hasListParams: true },
-  requestFundsPoolInbound: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolInbound', description: '请款池-货款月结(全量)', hasListParams: true },
-  requestFundsPoolPrepay: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolPrepay', description: '请款池-货款预付款(全量)', hasListParams: true },
-  requestFundsPoolLogistics: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolLogistics', description: '请款池-物流请款(全量)', hasListParams: true },
-  requestFundsPoolCustomFee: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolCustomFee', description: '请款池-其他应付款(全量)', hasListParams: true },
-  requestFundsPoolOtherFee: { service: lingXingFinanceService, methodName: 'fetchAllRequestFundsPoolOtherFee', description: '请款池-其他费用(全量)', hasListParams: true },
-  receivableReport: { service: lingXingFinanceService, methodName: 'fetchAllReceivableReportList', description: '应收报告(全量)', hasListParams: true },
-  receivableReportDetail: { service: lingXingFinanceService, methodName: 'fetchAllReceivableReportDetailList', description: '应收报告详情(全量)', hasListParams: true },
-  settlementSummaryFull: { service: lingXingFinanceService, methodName: 'fetchAllSettlementSummaryList', description: '结算中心-结算汇总(全量)', hasListParams: true },
-  settlementTransactionDetailFull: { service: lingXingFinanceService, methodName: 'fetchAllSettlementTransactionDetailList', description: '结算中心-交易明细(全量)', hasListParams: true },
-  inventoryLedgerDetailFull: { service: lingXingFinanceService, methodName: 'fetchAllInventoryLedgerDetailList', description: '库存分类账detail(全量)', hasListParams: true },
-  inventoryLedgerSummaryFull: { service: lingXingFinanceService, methodName: 'fetchAllInventoryLedgerSummaryList', description: '库存分类账summary(全量)', hasListParams: true },
-  settlementReportFull: { service: lingXingFinanceService, methodName: 'fetchAllSettlementReportList', description: '发货结算报告(全量)', hasListParams: true },
-  fbaCostStreamFull: { service: lingXingFinanceService, methodName: 'fetchAllFbaCostStreamByDay', description: 'FBA成本流水(全量按日)', hasListParams: true },
-  adsInvoiceFull: { service: lingXingFinanceService, methodName: 'fetchAllAdsInvoiceListByDay', description: '广告发票(全量按日)', hasListParams: true },
-  profitReportOrderFull: { service: lingXingFinanceService, methodName: 'fetchAllProfitReportOrders', description: '利润报表-订单(全量)', hasListParams: true },
-  profitReportOrderTransactionFull: { service: lingXingFinanceService, methodName: 'fetchAllProfitReportOrdersTransaction', description: '利润报表-订单transaction(全量)', hasListParams: true },
-  mskuProfitReport: { service: lingXingFinanceService, methodName: 'fetchAllMskuProfitReport', description: 'MSKU利润报表', hasListParams: true },
-  sellerProfitReport: { service: lingXingFinanceService, methodName: 'fetchAllSellerProfitReport', description: '卖家利润报表', hasListParams: true },
-
-  // 产品
-  localProductsFull: { service: lingxingProductService, methodName: 'fetchAllLocalProducts', description: '本地产品(全量)', hasListParams: true },
-
-  // 销售
-  amazonOrdersFull: { service: lingXingSalesService, methodName: 'fetchAllAmazonOrders', description: '亚马逊订单(全量)', hasListParams: true },
-  listings: { service: lingXingSalesService, methodName: 'fetchAllListings', description: '亚马逊Listing(全量)' },
-
-  // 亚马逊报表（全量拉取）
-  allOrdersReportFull: { service: lingXingAmazonService, methodName: 'fetchAllOrdersReport', description: '所有订单报表(全量)', hasListParams: true },
-  storeSummarySalesFull: { service: lingXingReportService, methodName: 'fetchAllStoreSummarySalesByDay', description: '店铺汇总销量(全量)', hasListParams: true },
-  reimbursementReportFull: { service: lingXingAmazonService, methodName: 'fetchAllReimbursementReportByDateRange', description: '亚马逊赔偿报告(全量)', hasListParams: true },
-  purchaseReportProductFull: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportProductByDay', description: '采购报表-产品(全量)', hasListParams: true },
-  purchaseReportSupplierFull: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportSupplierByDay', description: '采购报表-供应商(全量)', hasListParams: true },
-  purchaseReportBuyerFull: { service: lingXingPurchaseService, methodName: 'fetchAllPurchaseReportBuyerByDay', description: '采购报表-采购员(全量)', hasListParams: true },
-  returnOrderAnalysisFull: { service: lingXingReportService, methodName: 'fetchAllReturnOrderAnalysisByDay', description: '退货分析(全量)', hasListParams: true },
-  operateLogFull: { service: lingXingToolsService, methodName: 'fetchAllOperateLogByDay', description: '运营日志(全量)', hasListParams: true },
-  fbaStorageFeeMonthFull: { service: lingXingReportService, methodName: 'fetchAllFbaStorageFeeMonthByMonth', description: 'FBA月仓储费(全量)', hasListParams: true },
-
-  // 工具
-  keywords: { service: lingXingToolsService, methodName: 'fetchAllKeywords', description: '关键词列表', hasListParams: true }
-};
+const FULL_TASK_REGISTRY = buildTaskRegistry('full');
 
 /**
- * 全量同步前需归档的领星表：taskType -> [{ model, accountField, historyModel }]
+ * 全量同步前需归档的领星表：taskType -> [{ model, accountField, historyModel }]（由 lingXingTaskCatalog 的 full.archive 生成）
  * 有 historyModel 时：将符合 where 的行迁移到 History 表后删除，避免唯一键冲突；无 historyModel 时回退为 updateMany(archived: true)。
  */
-const FULL_SYNC_ARCHIVE_MAP = {
-  sellerLists: [{ model: 'lingXingSeller', accountField: 'accountId', historyModel: 'lingXingSellerHistory' }],
-  conceptSellerLists: [{ model: 'lingXingConceptSeller', accountField: 'accountId', historyModel: 'lingXingConceptSellerHistory' }],
-  accountUsers: [{ model: 'lingXingAccountUser', accountField: 'accountId', historyModel: 'lingXingAccountUserHistory' }],
-  marketplaces: [{ model: 'lingXingMarketplace', accountField: null, historyModel: 'lingXingMarketplaceHistory' }],
-  worldStates: [{ model: 'lingXingWorldState', accountField: null, historyModel: 'lingXingWorldStateHistory' }],
-  channels: [{ model: 'lingXingLogisticsChannel', accountField: 'accountId', historyModel: 'lingXingLogisticsChannelHistory' }],
-  headLogisticsProviders: [{ model: 'lingXingHeadLogisticsProvider', accountField: 'accountId', historyModel: 'lingXingHeadLogisticsProviderHistory' }],
-  transportMethods: [{ model: 'lingXingTransportMethod', accountField: 'accountId', historyModel: 'lingXingTransportMethodHistory' }],
-  suppliers: [{ model: 'lingXingSupplier', accountField: 'accountId', historyModel: 'lingXingSupplierHistory' }],
-  purchasers: [{ model: 'lingXingPurchaser', accountField: 'accountId', historyModel: 'lingXingPurchaserHistory' }],
-  vcSellers: [{ model: 'lingXingVcSeller', accountField: 'accountId', historyModel: 'lingXingVcSellerHistory' }],
-  vcListings: [{ model: 'lingXingVcListing', accountField: 'accountId', historyModel: 'lingXingVcListingHistory' }],
-  vcOrdersFull: [{ model: 'lingXingVcOrder', accountField: 'accountId', historyModel: 'lingXingVcOrderHistory' }],
-  vcInvoicesFull: [{ model: 'lingXingVcInvoice', accountField: 'accountId', historyModel: 'lingXingVcInvoiceHistory' }],
-  warehouses: [{ model: 'lingXingWarehouse', accountField: 'accountId', historyModel: 'lingXingWarehouseHistory' }],
-  warehouseBins: [{ model: 'lingXingWarehouseBin', accountField: 'accountId', historyModel: 'lingXingWarehouseBinHistory' }],
-  fbaWarehouseDetails: [{ model: 'lingXingFbaWarehouseDetail', accountField: 'accountId', historyModel: 'lingXingFbaWarehouseDetailHistory' }],
-  inventoryDetails: [{ model: 'lingXingInventoryDetail', accountField: 'accountId', historyModel: 'lingXingInventoryDetailHistory' }],
-  inventoryBinDetails: [{ model: 'lingXingInventoryBinDetail', accountField: 'accountId', historyModel: 'lingXingInventoryBinDetailHistory' }],
-  wmsOrders: [{ model: 'lingXingWmsOrder', accountField: 'accountId', historyModel: 'lingXingWmsOrderHistory' }],
-  overseasWarehouseStockOrders: [{ model: 'lingXingOverseasWarehouseStockOrder', accountField: 'accountId', historyModel: 'lingXingOverseasWarehouseStockOrderHistory' }],
-  feeTypes: [{ model: 'lingXingFeeType', accountField: 'accountId', historyModel: 'lingXingFeeTypeHistory' }],
-  feeDetailsFull: [{ model: 'lingXingFeeDetail', accountField: 'accountId', historyModel: 'lingXingFeeDetailHistory' }],
-  requestFundsOrdersFull: [{ model: 'lingXingRequestFundsOrder', accountField: 'accountId', historyModel: 'lingXingRequestFundsOrderHistory' }],
-  requestFundsPoolPurchase: [{ model: 'lingXingRequestFundsPoolPurchase', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolPurchaseHistory' }],
-  requestFundsPoolInbound: [{ model: 'lingXingRequestFundsPoolInbound', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolInboundHistory' }],
-  requestFundsPoolPrepay: [{ model: 'lingXingRequestFundsPoolPrepay', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolPrepayHistory' }],
-  requestFundsPoolLogistics: [{ model: 'lingXingRequestFundsPoolLogistics', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolLogisticsHistory' }],
-  requestFundsPoolCustomFee: [{ model: 'lingXingRequestFundsPoolCustomFee', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolCustomFeeHistory' }],
-  requestFundsPoolOtherFee: [{ model: 'lingXingRequestFundsPoolOtherFee', accountField: 'accountId', historyModel: 'lingXingRequestFundsPoolOtherFeeHistory' }],
-  receivableReport: [{ model: 'lingXingReceivableReport', accountField: 'accountId', historyModel: 'lingXingReceivableReportHistory' }],
-  receivableReportDetail: [{ model: 'lingXingReceivableReportDetail', accountField: 'accountId', historyModel: 'lingXingReceivableReportDetailHistory' }],
-  receivableReportDetailInfo: [{ model: 'lingXingReceivableReportDetailInfo', accountField: 'accountId', historyModel: 'lingXingReceivableReportDetailInfoHistory' }],
-  settlementSummaryFull: [{ model: 'lingXingSettlementSummary', accountField: 'accountId', historyModel: 'lingXingSettlementSummaryHistory' }],
-  settlementTransactionDetailFull: [{ model: 'lingXingSettlementTransactionDetail', accountField: 'accountId', historyModel: 'lingXingSettlementTransactionDetailHistory' }],
-  inventoryLedgerDetailFull: [{ model: 'lingXingInventoryLedgerDetail', accountField: 'accountId', historyModel: 'lingXingInventoryLedgerDetailHistory' }],
-  inventoryLedgerSummaryFull: [{ model: 'lingXingInventoryLedgerSummary', accountField: 'accountId', historyModel: 'lingXingInventoryLedgerSummaryHistory' }],
-  settlementReportFull: [{ model: 'lingXingSettlementReport', accountField: 'accountId', historyModel: 'lingXingSettlementReportHistory' }],
-  fbaCostStreamFull: [{ model: 'lingXingFbaCostStream', accountField: 'accountId', historyModel: 'lingXingFbaCostStreamHistory' }],
-  adsInvoiceFull: [{ model: 'lingXingAdsInvoice', accountField: 'accountId', historyModel: 'lingXingAdsInvoiceHistory' }],
-  profitReportOrderFull: [{ model: 'lingXingProfitReportOrder', accountField: 'accountId', historyModel: 'lingXingProfitReportOrderHistory' }],
-  profitReportOrderTransactionFull: [{ model: 'lingXingProfitReportOrderTransaction', accountField: 'accountId', historyModel: 'lingXingProfitReportOrderTransactionHistory' }],
-  mskuProfitReport: [{ model: 'lingXingMskuProfitReport', accountField: 'accountId', historyModel: 'lingXingMskuProfitReportHistory' }],
-  sellerProfitReport: [{ model: 'lingXingSellerProfitReport', accountField: 'accountId', historyModel: 'lingXingSellerProfitReportHistory' }],
-  localProductsFull: [{ model: 'lingXingLocalProduct', accountField: 'accountId', historyModel: 'lingXingLocalProductHistory' }],
-  amazonOrdersFull: [{ model: 'lingXingAmazonOrder', accountField: 'accountId', historyModel: 'lingXingAmazonOrderHistory' }],
-  listings: [{ model: 'lingXingAmazonListing', accountField: 'accountId', historyModel: 'lingXingAmazonListingHistory' }],
-  allOrdersReportFull: [{ model: 'lingXingAmazonReport', accountField: 'accountId', historyModel: 'lingXingAmazonReportHistory' }],
-  storeSummarySalesFull: [{ model: 'lingXingStoreSummarySales', accountField: 'accountId', historyModel: 'lingXingStoreSummarySalesHistory' }],
-  reimbursementReportFull: [{ model: 'lingXingReimbursementReport', accountField: 'accountId', historyModel: 'lingXingReimbursementReportHistory' }],
-  purchaseReportProductFull: [{ model: 'lingXingPurchaseReportProduct', accountField: 'accountId', historyModel: 'lingXingPurchaseReportProductHistory' }],
-  purchaseReportSupplierFull: [{ model: 'lingXingPurchaseReportSupplier', accountField: 'accountId', historyModel: 'lingXingPurchaseReportSupplierHistory' }],
-  purchaseReportBuyerFull: [{ model: 'lingXingPurchaseReportBuyer', accountField: 'accountId', historyModel: 'lingXingPurchaseReportBuyerHistory' }],
-  returnOrderAnalysisFull: [{ model: 'lingXingReturnOrderAnalysis', accountField: 'accountId', historyModel: 'lingXingReturnOrderAnalysisHistory' }],
-  operateLogFull: [{ model: 'lingXingOperateLog', accountField: 'accountId', historyModel: 'lingXingOperateLogHistory' }],
-  fbaStorageFeeMonthFull: [{ model: 'lingXingFbaStorageFeeMonth', accountField: 'accountId', historyModel: 'lingXingFbaStorageFeeMonthHistory' }]
-};
+const FULL_SYNC_ARCHIVE_MAP = buildArchiveMap();
+
+/**
+ * 以有限并发依次处理 items，结果顺序与 items 一致
+ * 不同领星账户的 appId 不同、令牌桶相互独立，可安全并发
+ * @param {Array} items
+ * @param {number} limit - 并发数，<=1 时串行
+ * @param {(item: any) => Promise<any>} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  const workers = Array.from({ length: workerCount }, async () => {
+    while (next < items.length) {
+      throwIfSyncRunCancelled();
+      const idx = next++;
+      results[idx] = await fn(items[idx]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * 按本次运行中前置任务的结果决定后置任务如何执行（与 worker 定时任务的 checkPrerequisites 一致）
+ * - 前置任务异常、全部账户失败或已跳过：跳过本任务
+ * - 前置任务部分账户失败：本任务跳过这些账户
+ * 本次运行未执行的前置任务视为已满足
+ * @param {Array<string>} dependsOn
+ * @param {Map<string, { failed: boolean, failedAccountIds: string[] }>} outcomes - taskType -> 本次运行中的结果
+ * @returns {{ skipReason: string|null, excludeAccountIds: string[] }}
+ */
+function checkPrerequisiteOutcomes(dependsOn = [], outcomes) {
+  const excludeAccountIds = new Set();
+  for (const dep of dependsOn) {
+    const outcome = outcomes.get(dep);
+    if (!outcome) continue;
+    if (outcome.failed) {
+      return { skipReason: `前置任务 ${dep} 本次执行失败或已跳过`, excludeAccountIds: [] };
+    }
+    for (const accountId of outcome.failedAccountIds) excludeAccountIds.add(accountId);
+  }
+  return { skipReason: null, excludeAccountIds: [...excludeAccountIds] };
+}
+
+/**
+ * 任务结果是否整体失败及失败账户（失败判定与 JobRun 状态一致：异常、跳过或没有成功账户）
+ * @param {Object} taskResult - runIncrementalSyncByTaskType / runFullSyncByTaskType 的返回或异常/跳过时的占位结果
+ * @returns {{ failed: boolean, failedAccountIds: string[] }}
+ */
+function getTaskOutcome(taskResult) {
+  const { successCount = 0, failCount = 0, error } = taskResult.summary || {};
+  return {
+    failed: !!taskResult.skipped || !!error || (failCount > 0 && successCount === 0),
+    failedAccountIds: (taskResult.results || []).filter((one) => !one.success).map((one) => one.accountId)
+  };
+}
+
+/**
+ * 依次执行任务列表，跳过前置任务失败的任务、排除前置任务失败的账户
+ * @param {Object} params
+ * @param {Array<string>} params.list - 已按依赖排序的任务类型
+ * @param {Object} params.registry - INCREMENTAL_TASK_REGISTRY / FULL_TASK_REGISTRY
+ * @param {Object} params.options - 透传选项（excludeAccountIds 与前置任务失败的账户合并）
+ * @param {number} params.accountCount - 启用账户数（任务异常时计为全部失败）
+ * @param {(taskType: string, options: Object) => Promise<Object>} params.runTask
+ * @param {string} params.logName - 日志中的方法名
+ * @returns {Promise<Array<Object>>} taskResults，跳过的任务 skipped=true、summary.skipReason 为原因
+ */
+async function runTaskList({ list, registry, options, accountCount, runTask, logName }) {
+  const taskResults = [];
+  const outcomes = new Map();
+  reportSyncRunProgress({ taskCount: list.length });
+  for (const taskType of list) {
+    const description = registry[taskType]?.description || taskType;
+    const check = checkPrerequisiteOutcomes(registry[taskType]?.dependsOn, outcomes);
+    let taskResult;
+    if (check.skipReason) {
+      console.warn(`${LOG_PREFIX} ${logName} taskType=${taskType} ${check.skipReason}，跳过`);
+      taskResult = {
+        taskType,
+        description,
+        accountCount: 0,
+        results: [],
+        skipped: true,
+        summary: { successCount: 0, failCount: 0, skipReason: check.skipReason }
+      };
+    } else {
+      let taskOptions = options;
+      if (check.excludeAccountIds.length > 0) {
+        console.warn(`${LOG_PREFIX} ${logName} taskType=${taskType} 前置任务失败的账户将跳过: ${check.excludeAccountIds.join(', ')}`);
+        taskOptions = {
+          ...options,
+          excludeAccountIds: [...new Set([...(options.excludeAccountIds || []), ...check.excludeAccountIds])]
+        };
+      }
+      try {
+        taskResult = await runTask(taskType, taskOptions);
+      } catch (err) {
+        if (isSyncCancelledError(err)) throw err;
+        console.error(`${LOG_PREFIX} ${logName} taskType=${taskType} 异常:`, err?.message);
+        taskResult = {
+          taskType,
+          description,
+          accountCount,
+          results: [],
+          summary: { successCount: 0, failCount: accountCount, error: err?.message }
+        };
+      }
+    }
+    outcomes.set(taskType, getTaskOutcome(taskResult));
+    taskResults.push(taskResult);
+    reportSyncRunProgress({}, { tasksDone: 1 });
+  }
+  return taskResults;
+}
+
+/**
+ * 发布账户同步失败事件
+ * @param {string} taskType
+ * @param {Object} one - 单账户结果 { accountId, accountName, error, errorCode }
+ */
+function emitAccountFailed(taskType, one) {
+  emitEvent('account.failed', {
+    source: 'unifiedSync',
+    taskType,
+    accountId: one.accountId,
+    accountName: one.accountName,
+    message: one.error,
+    data: { errorCode: one.errorCode ?? null }
+  });
+}
 
 /**
  * 领星统一同步服务
  * - 不接收 accountId，从数据表遍历所有启用账户
  * - 仅对支持增量拉取的任务使用增量方法
  * - 全量同步前将该任务对应的领星表下该账户（或全表）数据软删除（archived = true），upsert 时由各服务写入 archived = false
+ * - 在同步运行上下文（lingXingSyncRunService）中执行时上报当前任务/账户进度；取消错误不按账户失败处理，直接向上抛出
  */
 class LingXingUnifiedSyncService {
   /**
@@ -288,11 +203,20 @@ class LingXingUnifiedSyncService {
 
   /**
    * 从数据表获取所有启用账户
+   * @param {Array<string>|null} accountIds - 仅返回这些账户（如失败重试）；不传则返回全部启用账户
+   * @param {Array<string>|null} excludeAccountIds - 排除这些账户（如前置任务失败的账户）
    * @returns {Promise<Array<{ id: string, name: string }>>}
    */
-  async getActiveAccounts() {
+  async getActiveAccounts(accountIds = null, excludeAccountIds = null) {
+    const where = { isActive: true };
+    if (Array.isArray(accountIds) && accountIds.length > 0) {
+      where.id = { in: accountIds };
+    }
+    if (Array.isArray(excludeAccountIds) && excludeAccountIds.length > 0) {
+      where.id = { ...(where.id || {}), notIn: excludeAccountIds };
+    }
     const accounts = await prisma.lingXingAccount.findMany({
-      where: { isActive: true },
+      where,
       select: { id: true, name: true },
       orderBy: { name: 'asc' }
     });
@@ -301,12 +225,21 @@ class LingXingUnifiedSyncService {
 
   /**
    * 获取所有支持增量拉取的任务类型及说明
-   * @returns {Array<{ taskType: string, description: string }>}
+   * @returns {Array<{ taskType, description, domain, models, dependsOn, scheduled, defaultLookbackDays, perSid, backfill, overlapDays, reconcileDays }>}
    */
   getSupportedIncrementalTaskTypes() {
-    return Object.entries(INCREMENTAL_TASK_REGISTRY).map(([taskType, { description }]) => ({
+    return Object.entries(INCREMENTAL_TASK_REGISTRY).map(([taskType, { description, domain, models, dependsOn, scheduled, defaultLookbackDays, perSid, backfill, overlapDays, reconcileDays }]) => ({
       taskType,
-      description
+      description,
+      domain,
+      models,
+      dependsOn,
+      scheduled,
+      defaultLookbackDays: defaultLookbackDays ?? null,
+      perSid: !!perSid,
+      backfill: backfill !== false,
+      overlapDays: overlapDays ?? 0,
+      reconcileDays: reconcileDays ?? null
     }));
   }
 
@@ -335,7 +268,14 @@ class LingXingUnifiedSyncService {
       return { accountId, taskType, success: false, error: `服务方法不存在: ${methodName}` };
     }
     try {
-      const result = await method.call(service, accountId, options);
+      // 目录中配置了回溯天数、重叠天数时作为默认值，调用方传入的优先
+      const callOptions = {
+        ...(entry.defaultLookbackDays != null && { defaultLookbackDays: entry.defaultLookbackDays }),
+        ...(entry.overlapDays != null && { overlapDays: entry.overlapDays }),
+        ...options
+      };
+      const result = await method.call(service, accountId, callOptions);
+      throwIfSyncRunCancelled();
       return {
         accountId,
         taskType,
@@ -344,9 +284,10 @@ class LingXingUnifiedSyncService {
         results: result?.results
       };
     } catch (err) {
+      if (isSyncCancelledError(err)) throw err;
       const message = err?.message || String(err);
       console.error(`${LOG_PREFIX} accountId=${accountId} taskType=${taskType} 失败:`, message);
-      return { accountId, taskType, success: false, error: message };
+      return { accountId, taskType, success: false, error: message, errorCode: err?.code ?? null };
     }
   }
 
@@ -354,6 +295,9 @@ class LingXingUnifiedSyncService {
    * 按任务类型执行增量同步：从数据表获取所有启用账户，逐账户执行该任务的增量方法
    * @param {string} taskType - 任务类型（见 getSupportedIncrementalTaskTypes）
    * @param {Object} options - 透传给各账户的增量方法选项（如 endDate, defaultLookbackDays, delayBetweenShops 等）
+   *   - accountConcurrency: 同时执行的账户数（默认 1，串行）
+   *   - accountIds: 仅执行这些账户（如失败重试），不传则全部启用账户
+   *   - excludeAccountIds: 跳过这些账户（如前置任务在本轮失败的账户）
    * @returns {Promise<{ taskType, description, accountCount, results: Array<{ accountId, accountName?, success, summary?, error? }>, summary }>}
    */
   async runIncrementalSyncByTaskType(taskType, options = {}) {
@@ -362,7 +306,7 @@ class LingXingUnifiedSyncService {
       throw new Error(`不支持的增量任务类型: ${taskType}，可选: ${Object.keys(INCREMENTAL_TASK_REGISTRY).join(', ')}`);
     }
 
-    const accounts = await this.getActiveAccounts();
+    const accounts = await this.getActiveAccounts(options.accountIds, options.excludeAccountIds);
     if (accounts.length === 0) {
       console.warn(`${LOG_PREFIX} 无启用账户，跳过 taskType=${taskType}`);
       return {
@@ -375,25 +319,31 @@ class LingXingUnifiedSyncService {
     }
 
     console.log(`${LOG_PREFIX} [${taskType}] 开始 共 ${accounts.length} 个账户`);
-    const results = [];
+    emitEvent('task.started', { source: 'unifiedSync', taskType, data: { mode: 'incremental', accountCount: accounts.length } });
     let successCount = 0;
     let failCount = 0;
     let totalRecords = 0;
 
-    for (const account of accounts) {
+    const results = await mapWithConcurrency(accounts, options.accountConcurrency, async (account) => {
+      reportSyncRunProgress({ currentTaskType: taskType, currentAccount: { id: account.id, name: account.name }, currentSegment: null, currentDay: null });
       const one = await this.runIncrementalSyncForAccount(account.id, taskType, options);
-      results.push({ ...one, accountName: account.name });
+      reportSyncRunProgress({}, { accountsDone: 1 });
+      return { ...one, accountName: account.name };
+    });
+    for (const one of results) {
       if (one.success) {
         successCount++;
         const s = one.summary || {};
         totalRecords += s.totalRecords ?? s.recordCount ?? 0;
       } else {
         failCount++;
+        emitAccountFailed(taskType, one);
       }
     }
 
     const summary = { accountCount: accounts.length, successCount, failCount, totalRecords };
     console.log(`${LOG_PREFIX} [${taskType}] 结束`, summary);
+    emitEvent('task.finished', { source: 'unifiedSync', taskType, data: { mode: 'incremental', summary } });
     return {
       taskType,
       description: entry.description,
@@ -404,15 +354,17 @@ class LingXingUnifiedSyncService {
   }
 
   /**
-   * 执行全部支持增量拉取的任务：按任务类型依次执行，每种类型会遍历所有启用账户
+   * 执行全部支持增量拉取的任务：按任务类型依次执行（前置任务在前），每种类型会遍历所有启用账户
+   * 前置任务本次失败时跳过后置任务，部分账户失败时后置任务跳过这些账户
    * @param {Object} options - 透传给各任务增量方法的选项
    * @param {Array<string>} taskTypes - 仅执行这些任务类型；不传则执行全部
-   * @returns {Promise<{ accountCount, taskResults: Array<{ taskType, description, results, summary }>, summary }>}
+   * @returns {Promise<{ accountCount, taskResults: Array<{ taskType, description, results, summary, skipped? }>, summary }>}
    */
   async runAllIncrementalSync(options = {}, taskTypes = null) {
-    const list = taskTypes && taskTypes.length > 0
+    const selected = taskTypes && taskTypes.length > 0
       ? taskTypes.filter(t => this.isIncrementalSupported(t))
       : Object.keys(INCREMENTAL_TASK_REGISTRY);
+    const list = sortTaskTypesByDependencies(selected.map((taskType) => ({ taskType, dependsOn: INCREMENTAL_TASK_REGISTRY[taskType].dependsOn })));
 
     if (list.length === 0) {
       return {
@@ -423,27 +375,19 @@ class LingXingUnifiedSyncService {
     }
 
     const accounts = await this.getActiveAccounts();
-    const taskResults = [];
-
-    for (const taskType of list) {
-      try {
-        const taskResult = await this.runIncrementalSyncByTaskType(taskType, options);
-        taskResults.push(taskResult);
-      } catch (err) {
-        console.error(`${LOG_PREFIX} runAllIncrementalSync taskType=${taskType} 异常:`, err?.message);
-        taskResults.push({
-          taskType,
-          description: INCREMENTAL_TASK_REGISTRY[taskType]?.description || taskType,
-          accountCount: accounts.length,
-          results: [],
-          summary: { successCount: 0, failCount: accounts.length, error: err?.message }
-        });
-      }
-    }
+    const taskResults = await runTaskList({
+      list,
+      registry: INCREMENTAL_TASK_REGISTRY,
+      options,
+      accountCount: accounts.length,
+      runTask: (taskType, taskOptions) => this.runIncrementalSyncByTaskType(taskType, taskOptions),
+      logName: 'runAllIncrementalSync'
+    });
 
     const totalSuccess = taskResults.reduce((s, r) => s + (r.summary?.successCount ?? 0), 0);
     const totalFail = taskResults.reduce((s, r) => s + (r.summary?.failCount ?? 0), 0);
     const totalRecords = taskResults.reduce((s, r) => s + (r.summary?.totalRecords ?? 0), 0);
+    const skippedTaskCount = taskResults.filter((r) => r.skipped).length;
 
     return {
       accountCount: accounts.length,
@@ -452,7 +396,8 @@ class LingXingUnifiedSyncService {
         taskCount: list.length,
         totalSuccess,
         totalFail,
-        totalRecords
+        totalRecords,
+        skippedTaskCount
       }
     };
   }
@@ -461,12 +406,17 @@ class LingXingUnifiedSyncService {
 
   /**
    * 获取所有非增量任务类型及说明
-   * @returns {Array<{ taskType: string, description: string }>}
+   * @returns {Array<{ taskType, description, domain, models, dependsOn, scheduled, archiveModels }>}
    */
   getSupportedFullTaskTypes() {
-    return Object.entries(FULL_TASK_REGISTRY).map(([taskType, { description }]) => ({
+    return Object.entries(FULL_TASK_REGISTRY).map(([taskType, { description, domain, models, dependsOn, scheduled, archive }]) => ({
       taskType,
-      description
+      description,
+      domain,
+      models,
+      dependsOn,
+      scheduled,
+      archiveModels: (archive || []).map((a) => a.model)
     }));
   }
 
@@ -513,11 +463,13 @@ class LingXingUnifiedSyncService {
         args = [accountId, options];
       }
       const result = await method.apply(service, args);
+      throwIfSyncRunCancelled();
       return { accountId, taskType, success: true, result };
     } catch (err) {
+      if (isSyncCancelledError(err)) throw err;
       const message = err?.message || String(err);
       console.error(`${LOG_PREFIX} [full] accountId=${accountId} taskType=${taskType} 失败:`, message);
-      return { accountId, taskType, success: false, error: message };
+      return { accountId, taskType, success: false, error: message, errorCode: err?.code ?? null };
     }
   }
 
@@ -525,6 +477,9 @@ class LingXingUnifiedSyncService {
    * 按任务类型执行全量/按需拉取：从数据表获取所有启用账户，逐账户执行
    * @param {string} taskType - 任务类型
    * @param {Object} options - 透传选项（可含 listParams/searchParams 等）
+   *   - accountConcurrency: 同时执行的账户数（默认 1，串行）
+   *   - accountIds: 仅执行这些账户（如失败重试），不传则全部启用账户
+   *   - excludeAccountIds: 跳过这些账户（如前置任务在本轮失败的账户）
    * @returns {Promise<{ taskType, description, accountCount, results, summary }>}
    */
   async runFullSyncByTaskType(taskType, options = {}) {
@@ -533,7 +488,7 @@ class LingXingUnifiedSyncService {
       throw new Error(`不支持的全量任务类型: ${taskType}，可选: ${Object.keys(FULL_TASK_REGISTRY).join(', ')}`);
     }
 
-    const accounts = await this.getActiveAccounts();
+    const accounts = await this.getActiveAccounts(options.accountIds, options.excludeAccountIds);
     if (accounts.length === 0) {
       console.warn(`${LOG_PREFIX} [full] 无启用账户，跳过 taskType=${taskType}`);
       return {
@@ -546,19 +501,28 @@ class LingXingUnifiedSyncService {
     }
 
     console.log(`${LOG_PREFIX} [full] [${taskType}] 开始 共 ${accounts.length} 个账户`);
-    const results = [];
+    emitEvent('task.started', { source: 'unifiedSync', taskType, data: { mode: 'full', accountCount: accounts.length } });
     let successCount = 0;
     let failCount = 0;
 
-    for (const account of accounts) {
+    const results = await mapWithConcurrency(accounts, options.accountConcurrency, async (account) => {
+      reportSyncRunProgress({ currentTaskType: taskType, currentAccount: { id: account.id, name: account.name }, currentSegment: null, currentDay: null });
       const one = await this.runFullSyncForAccount(account.id, taskType, options);
-      results.push({ ...one, accountName: account.name });
-      if (one.success) successCount++;
-      else failCount++;
+      reportSyncRunProgress({}, { accountsDone: 1 });
+      return { ...one, accountName: account.name };
+    });
+    for (const one of results) {
+      if (one.success) {
+        successCount++;
+      } else {
+        failCount++;
+        emitAccountFailed(taskType, one);
+      }
     }
 
     const summary = { accountCount: accounts.length, successCount, failCount };
     console.log(`${LOG_PREFIX} [full] [${taskType}] 结束`, summary);
+    emitEvent('task.finished', { source: 'unifiedSync', taskType, data: { mode: 'full', summary } });
     return {
       taskType,
       description: entry.description,
@@ -569,15 +533,17 @@ class LingXingUnifiedSyncService {
   }
 
   /**
-   * 执行全部（或指定）非增量任务：按任务类型依次执行，每种类型遍历所有启用账户
+   * 执行全部（或指定）非增量任务：按任务类型依次执行（前置任务在前），每种类型遍历所有启用账户
+   * 前置任务本次失败时跳过后置任务，部分账户失败时后置任务跳过这些账户
    * @param {Object} options - 透传给各任务的选项
    * @param {Array<string>} taskTypes - 仅执行这些任务类型；不传则执行全部
    * @returns {Promise<{ accountCount, taskResults, summary }>}
    */
   async runAllFullSync(options = {}, taskTypes = null) {
-    const list = taskTypes && taskTypes.length > 0
+    const selected = taskTypes && taskTypes.length > 0
       ? taskTypes.filter(t => this.isFullTaskSupported(t))
       : Object.keys(FULL_TASK_REGISTRY);
+    const list = sortTaskTypesByDependencies(selected.map((taskType) => ({ taskType, dependsOn: FULL_TASK_REGISTRY[taskType].dependsOn })));
 
     if (list.length === 0) {
       return {
@@ -588,31 +554,23 @@ class LingXingUnifiedSyncService {
     }
 
     const accounts = await this.getActiveAccounts();
-    const taskResults = [];
-
-    for (const taskType of list) {
-      try {
-        const taskResult = await this.runFullSyncByTaskType(taskType, options);
-        taskResults.push(taskResult);
-      } catch (err) {
-        console.error(`${LOG_PREFIX} runAllFullSync taskType=${taskType} 异常:`, err?.message);
-        taskResults.push({
-          taskType,
-          description: FULL_TASK_REGISTRY[taskType]?.description || taskType,
-          accountCount: accounts.length,
-          results: [],
-          summary: { successCount: 0, failCount: accounts.length, error: err?.message }
-        });
-      }
-    }
+    const taskResults = await runTaskList({
+      list,
+      registry: FULL_TASK_REGISTRY,
+      options,
+      accountCount: accounts.length,
+      runTask: (taskType, taskOptions) => this.runFullSyncByTaskType(taskType, taskOptions),
+      logName: 'runAllFullSync'
+    });
 
     const totalSuccess = taskResults.reduce((s, r) => s + (r.summary?.successCount ?? 0), 0);
     const totalFail = taskResults.reduce((s, r) => s + (r.summary?.failCount ?? 0), 0);
+    const skippedTaskCount = taskResults.filter((r) => r.skipped).length;
 
     return {
       accountCount: accounts.length,
       taskResults,
-      summary: { taskCount: list.length, totalSuccess, totalFail }
+      summary: { taskCount: list.length, totalSuccess, totalFail, skippedTaskCount }
     };
   }
 }
@@ -0,0 +1,188 @@
+/**
+ * 进程内指标注册表，按 Prometheus 文本格式（exposition format 0.0.4）输出
+ * - counter / gauge / histogram 在模块内定义一次，按标签累加
+ * - registerCollector 注册采集时才计算的指标（如队列深度），renderMetrics 时执行
+ * - API 与 worker 为不同进程，各自暴露 GET /metrics，由 Prometheus 分别抓取
+ */
+
+const LOG_PREFIX = '[Metrics]';
+
+/** 默认直方图分桶（秒） */
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** name -> { type, help, labelNames, buckets?, series: Map<labelKey, { labels, value } | { labels, counts, sum, count }> } */
+const metrics = new Map();
+const collectors = [];
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/** 只保留已声明的标签，缺失的标签记为空字符串 */
+function pickLabels(metric, labels = {}) {
+  const picked = {};
+  for (const name of metric.labelNames) picked[name] = labels[name] ?? '';
+  return picked;
+}
+
+function getSeries(metric, labels) {
+  const picked = pickLabels(metric, labels);
+  const key = metric.labelNames.map((name) => picked[name]).join('\u0000');
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { labels: picked, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels: picked, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function define(type, name, help, labelNames = [], extra = {}) {
+  const existing = metrics.get(name);
+  if (existing) {
+    if (existing.type !== type) throw new Error(`${LOG_PREFIX} 指标 ${name} 已定义为 ${existing.type}`);
+    return existing;
+  }
+  const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+  metrics.set(name, metric);
+  return metric;
+}
+
+/**
+ * 定义计数器（只增）
+ * @returns {{ inc: (labels?: Object, value?: number) => void }}
+ */
+export function counter(name, help, labelNames = []) {
+  const metric = define('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels).value += value;
+    }
+  };
+}
+
+/**
+ * 定义仪表（可增可减，或直接设置）
+ * @returns {{ set: Function, inc: Function, dec: Function, reset: Function }}
+ */
+export function gauge(name, help, labelNames = []) {
+  const metric = define('gauge', name, help, labelNames);
+  return {
+    set(labels = {}, value = 0) {
+      getSeries(metric, labels).value = value;
+    },
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels).value += value;
+    },
+    dec(labels = {}, value = 1) {
+      getSeries(metric, labels).value -= value;
+    },
+    /** 清空所有标签组合（采集前重置，避免已消失的标签残留） */
+    reset() {
+      metric.series.clear();
+    }
+  };
+}
+
+/**
+ * 定义直方图
+ * @param {number[]} [buckets] - 分桶上界（升序），默认 DEFAULT_BUCKETS
+ * @returns {{ observe: (labels: Object, value: number) => void, startTimer: (labels?: Object) => (extraLabels?: Object) => number }}
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = define('histogram', name, help, labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+  const observe = (labels = {}, value = 0) => {
+    const series = getSeries(metric, labels);
+    metric.buckets.forEach((upper, i) => {
+      if (value <= upper) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  };
+  return {
+    observe,
+    /** 开始计时，返回的函数结束计时并记录秒数（可补充标签） */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    }
+  };
+}
+
+/**
+ * 注册采集回调：每次输出指标前执行（可异步，如查询队列深度后 set 仪表），失败时只打印日志
+ * @param {() => Promise<void>|void} fn
+ */
+export function registerCollector(fn) {
+  collectors.push(fn);
+}
+
+const processStartTime = gauge('process_start_time_seconds', '进程启动时间（Unix 秒）');
+const processResidentMemory = gauge('process_resident_memory_bytes', '进程常驻内存（字节）');
+const processHeapUsed = gauge('nodejs_heap_used_bytes', 'Node.js 已用堆内存（字节）');
+processStartTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+/**
+ * 输出全部指标（Prometheus 文本格式）
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+  const memory = process.memoryUsage();
+  processResidentMemory.set({}, memory.rss);
+  processHeapUsed.set({}, memory.heapUsed);
+  for (const collect of collectors) {
+    try {
+      await collect();
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} 采集指标失败: ${err?.message ?? err}`);
+    }
+  }
+
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((upper, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(upper) })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  DEFAULT_BUCKETS,
+  CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  registerCollector,
+  renderMetrics
+};
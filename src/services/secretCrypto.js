@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+
+/**
+ * 敏感字段加密存储（信封加密）
+ * - 每个值生成随机数据密钥（DEK），AES-256-GCM 加密明文；DEK 再由环境变量中的主密钥（KEK）AES-256-GCM 加密
+ * - 密文格式：enc:v1:<keyId>:<加密后的 DEK>:<iv>:<tag>:<密文>（均为 base64）
+ * - 主密钥：SECRETS_ENCRYPTION_KEY（32 字节，base64 或 64 位 hex），SECRETS_ENCRYPTION_KEY_ID 为其标识（默认 k1）
+ * - 轮换：新密钥设为当前密钥，旧密钥放入 SECRETS_ENCRYPTION_OLD_KEYS（JSON { keyId: key }）后执行 npm run secrets:rotate
+ * - 未配置主密钥时不加密（原样存储）；读取时非 enc: 开头的值视为明文原样返回，便于迁移期间新旧数据共存
+ */
+
+const LOG_PREFIX = '[SecretCrypto]';
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+/** 各模型中加密存储的字段 */
+export const SECRET_FIELDS = {
+  lingXingAccount: ['appSecret', 'accessToken', 'refreshToken'],
+  amazonStore: ['refreshToken']
+};
+
+let keyring = null;
+let warnedNoKey = false;
+
+/** 解析 base64 / hex 密钥，要求 32 字节 */
+function parseKey(raw, name) {
+  const text = String(raw).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new Error(`${LOG_PREFIX} ${name} 必须为 32 字节（base64 或 64 位 hex）`);
+  return key;
+}
+
+/**
+ * 读取主密钥（首次调用时解析环境变量）
+ * @returns {{ currentId: string|null, keys: Map<string, Buffer> }}
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+  const keys = new Map();
+  let currentId = null;
+  if (process.env.SECRETS_ENCRYPTION_KEY) {
+    currentId = process.env.SECRETS_ENCRYPTION_KEY_ID || 'k1';
+    keys.set(currentId, parseKey(process.env.SECRETS_ENCRYPTION_KEY, 'SECRETS_ENCRYPTION_KEY'));
+  }
+  if (process.env.SECRETS_ENCRYPTION_OLD_KEYS) {
+    const oldKeys = JSON.parse(process.env.SECRETS_ENCRYPTION_OLD_KEYS);
+    for (const [id, raw] of Object.entries(oldKeys)) {
+      if (id === currentId) throw new Error(`${LOG_PREFIX} SECRETS_ENCRYPTION_OLD_KEYS 中的 ${id} 与当前密钥标识重复`);
+      keys.set(id, parseKey(raw, `SECRETS_ENCRYPTION_OLD_KEYS.${id}`));
+    }
+  }
+  keyring = { currentId, keys };
+  return keyring;
+}
+
+/**
+ * 丢弃已解析的主密钥，下次使用时重新读取环境变量（测试切换密钥用）
+ */
+export function resetKeyring() {
+  keyring = null;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * 是否已配置主密钥
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+  return getKeyring().currentId !== null;
+}
+
+/**
+ * 是否为本模块生成的密文
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * 密文使用的主密钥标识，明文返回 null
+ * @param {any} value
+ * @returns {string|null}
+ */
+export function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * 加密（null/undefined/空字符串原样返回；已是密文时不重复加密；未配置主密钥时返回明文）
+ * @param {string|null|undefined} plaintext
+ * @returns {string|null|undefined}
+ */
+export function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) return plaintext;
+  const { currentId, keys } = getKeyring();
+  if (!currentId) {
+    if (!warnedNoKey) {
+      console.warn(`${LOG_PREFIX} 未配置 SECRETS_ENCRYPTION_KEY，敏感字段将以明文存储`);
+      warnedNoKey = true;
+    }
+    return plaintext;
+  }
+  const dek = crypto.randomBytes(32);
+  const data = seal(dek, Buffer.from(String(plaintext), 'utf8'));
+  const wrapped = seal(keys.get(currentId), dek);
+  const wrappedDek = Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64');
+  return `${PREFIX}${currentId}:${wrappedDek}:${data.iv.toString('base64')}:${data.tag.toString('base64')}:${data.ciphertext.toString('base64')}`;
+}
+
+/**
+ * 解密（非密文原样返回）
+ * @param {string|null|undefined} value
+ * @returns {string|null|undefined}
+ * @throws 缺少对应主密钥或密文被篡改时
+ */
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+  const [keyId, wrappedDek, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const kek = getKeyring().keys.get(keyId);
+  if (!kek) throw new Error(`${LOG_PREFIX} 缺少主密钥 ${keyId}，无法解密（检查 SECRETS_ENCRYPTION_KEY / SECRETS_ENCRYPTION_OLD_KEYS）`);
+  const wrapped = Buffer.from(wrappedDek, 'base64');
+  const dek = open(kek, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+  return open(dek, Buffer.from(iv, 'base64'), Buffer.from(tag, 'base64'), Buffer.from(ciphertext, 'base64')).toString('utf8');
+}
+
+/**
+ * 值是否需要（重新）加密：明文，或密文不是当前主密钥加密的
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function needsReencrypt(value) {
+  if (value === null || value === undefined || value === '') return false;
+  const { currentId } = getKeyring();
+  if (!currentId) return false;
+  return getKeyId(value) !== currentId;
+}
+
+/**
+ * 加密写入数据中的敏感字段（只处理 data 中出现的字段）
+ * @param {string} model - SECRET_FIELDS 的 key
+ * @param {Object} data - prisma create/update data
+ * @returns {Object} 新对象
+ */
+export function encryptFields(model, data) {
+  if (!data) return data;
+  const result = { ...data };
+  for (const field of SECRET_FIELDS[model] || []) {
+    if (field in result) result[field] = encryptSecret(result[field]);
+  }
+  return result;
+}
+
+/**
+ * 解密记录中的敏感字段
+ * @param {string} model - SECRET_FIELDS 的 key
+ * @param {Object|null} row
+ * @returns {Object|null} 新对象
+ */
+export function decryptFields(model, row) {
+  if (!row) return row;
+  const result = { ...row };
+  for (const field of SECRET_FIELDS[model] || []) {
+    if (field in result) result[field] = decryptSecret(result[field]);
+  }
+  return result;
+}
+
+/**
+ * 去掉记录中的敏感字段（接口返回用），以 has<Field> 标记是否已设置
+ * @param {string} model - SECRET_FIELDS 的 key
+ * @param {Object|null} row
+ * @returns {Object|null}
+ */
+export function omitSecretFields(model, row) {
+  if (!row) return row;
+  const result = { ...row };
+  for (const field of SECRET_FIELDS[model] || []) {
+    if (!(field in result)) continue;
+    result[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!result[field];
+    delete result[field];
+  }
+  return result;
+}
+
+export default {
+  SECRET_FIELDS,
+  resetKeyring,
+  isEncryptionEnabled,
+  isEncrypted,
+  getKeyId,
+  encryptSecret,
+  decryptSecret,
+  needsReencrypt,
+  encryptFields,
+  decryptFields,
+  omitSecretFields
+};
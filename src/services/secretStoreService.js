@@ -0,0 +1,58 @@
+import prisma from '../config/database.js';
+import { SECRET_FIELDS, encryptSecret, decryptSecret, needsReencrypt, isEncrypted, isEncryptionEnabled } from './secretCrypto.js';
+
+const LOG_PREFIX = '[SecretStore]';
+
+/**
+ * 重新加密已存储的敏感字段
+ * - onlyPlaintext=true：只加密明文（首次迁移）；false：明文与非当前主密钥的密文都用当前主密钥重新加密（密钥轮换）
+ * - 按原值条件 updateMany 写回，期间 token 被刷新（原值已变）的行跳过，不覆盖新 token（新 token 写入时已用当前密钥加密）
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyPlaintext=false]
+ * @param {boolean} [options.dryRun=false] - 只统计不写入
+ * @returns {Promise<Object>} { [model]: { scanned, updated, skipped } }
+ */
+export async function reencryptSecrets({ onlyPlaintext = false, dryRun = false } = {}) {
+  if (!isEncryptionEnabled()) {
+    throw new Error(`${LOG_PREFIX} 未配置 SECRETS_ENCRYPTION_KEY，无法加密`);
+  }
+  const summary = {};
+  for (const [model, fields] of Object.entries(SECRET_FIELDS)) {
+    const stats = { scanned: 0, updated: 0, skipped: 0 };
+    const select = { id: true };
+    for (const field of fields) select[field] = true;
+    const rows = await prisma[model].findMany({ select });
+
+    for (const row of rows) {
+      stats.scanned++;
+      const where = { id: row.id };
+      const data = {};
+      for (const field of fields) {
+        const value = row[field];
+        if (!needsReencrypt(value)) continue;
+        if (onlyPlaintext && isEncrypted(value)) continue;
+        where[field] = value;
+        // 旧密钥缺失时 decryptSecret 抛错，中止轮换，避免留下无法解密的数据
+        data[field] = encryptSecret(decryptSecret(value));
+      }
+      if (Object.keys(data).length === 0) continue;
+      if (dryRun) {
+        stats.updated++;
+        continue;
+      }
+      const result = await prisma[model].updateMany({ where, data });
+      if (result.count > 0) {
+        stats.updated++;
+      } else {
+        stats.skipped++;
+      }
+    }
+    summary[model] = stats;
+    console.log(`${LOG_PREFIX} ${model}: 扫描 ${stats.scanned} 条, ${dryRun ? '待' : '已'}加密 ${stats.updated} 条, 跳过(并发修改) ${stats.skipped} 条`);
+  }
+  return summary;
+}
+
+export default {
+  reencryptSecrets
+};
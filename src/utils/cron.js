@@ -0,0 +1,69 @@
+/**
+ * cron 工具：表达式校验、下次执行时间与定时触发统一基于 cron-parser，
+ * 保证接口接受的表达式与调度器实际触发时刻、展示的下次执行时间一致
+ */
+import cronParser from 'cron-parser';
+
+/** setTimeout 最大延迟（约 24.8 天），更远的触发时刻分段等待 */
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * 是否为合法 cron 表达式
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') return false;
+  try {
+    cronParser.parseExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * from 之后（不含）的下一次触发时刻
+ * @param {string} expression
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+function getNextCronRun(expression, from = new Date()) {
+  return cronParser.parseExpression(expression, { currentDate: new Date(from) }).next().toDate();
+}
+
+/**
+ * 按 cron 表达式定时执行 onTick（进程阻塞错过的触发不补执行，从当前时间起算下一次）
+ * @param {string} expression - 须先经 isValidCron 校验
+ * @param {Function} onTick - 参数为本次触发时刻
+ * @returns {{ stop: Function }}
+ */
+function scheduleCron(expression, onTick) {
+  let timer = null;
+  let stopped = false;
+  const arm = (target) => {
+    if (stopped) return;
+    const delay = Math.min(Math.max(target.getTime() - Date.now(), 0), MAX_TIMEOUT_MS);
+    timer = setTimeout(() => {
+      if (Date.now() < target.getTime()) {
+        arm(target);
+        return;
+      }
+      arm(getNextCronRun(expression, new Date(Math.max(Date.now(), target.getTime()))));
+      onTick(target);
+    }, delay);
+  };
+  arm(getNextCronRun(expression));
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+export {
+  isValidCron,
+  getNextCronRun,
+  scheduleCron
+};
@@ -0,0 +1,54 @@
+/**
+ * SSCC（Serial Shipping Container Code，GS1 系列货运包装箱代码）工具
+ * 结构：扩展位(1) + GS1 厂商识别代码 + 序列号 + 校验位(1)，共 18 位
+ */
+
+const SSCC_LENGTH = 18;
+
+/**
+ * 计算 GS1 校验位（从右往左依次乘 3、1、3、1…，取补 10 的余数）
+ * @param {string} digits - 不含校验位的数字串（SSCC 为 17 位）
+ * @returns {number}
+ */
+function computeGs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * 是否为合法 SSCC（18 位数字且校验位正确）
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidSscc(value) {
+  const s = String(value ?? '');
+  if (!/^\d{18}$/.test(s)) return false;
+  return computeGs1CheckDigit(s.slice(0, SSCC_LENGTH - 1)) === Number(s[SSCC_LENGTH - 1]);
+}
+
+/**
+ * 由扩展位、厂商识别代码与序列号生成 SSCC
+ * @param {string|number} extensionDigit - 0-9
+ * @param {string} companyPrefix - GS1 厂商识别代码（7-10 位）
+ * @param {number|bigint} serial - 序列号，位数不超过 16 - 厂商识别代码位数
+ * @returns {string} 18 位 SSCC
+ */
+function buildSscc(extensionDigit, companyPrefix, serial) {
+  const serialLength = SSCC_LENGTH - 2 - companyPrefix.length;
+  const serialStr = String(serial).padStart(serialLength, '0');
+  if (serialStr.length > serialLength) {
+    throw new Error(`SSCC 序列号 ${serial} 超出厂商识别代码 ${companyPrefix} 的可用位数（${serialLength} 位）`);
+  }
+  const body = `${extensionDigit}${companyPrefix}${serialStr}`;
+  return `${body}${computeGs1CheckDigit(body)}`;
+}
+
+export {
+  computeGs1CheckDigit,
+  isValidSscc,
+  buildSscc
+};
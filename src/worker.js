@@ -3,19 +3,55 @@
  * 独立于 API 服务运行，由 PM2 单独管理
  *
  * 调试：按需执行单个 job（不启动 cron）
- *   node src/worker.js --run <taskType>        # 按 SYNC_TASKS 定义执行增量/全量
+ *   node src/worker.js --run <taskType>        # 按任务目录（lingXingTaskCatalog）定义执行增量/全量
  *   node src/worker.js --run <taskType> --full # 强制全量
  *   node src/worker.js --run list              # 列出所有 taskType
+ * --run 执行结果写入审计日志（操作人取 AUDIT_ACTOR，未设置时为系统用户@主机名）
+ * 离线复现：LINGXING_RECORD_MODE=record 录制领星接口响应，replay 时从录制回放（见 lingxingRecorder）
+ *
+ * 常驻模式在 WORKER_METRICS_PORT（默认 9464，0 关闭）提供 GET /metrics（Prometheus 文本格式），
+ * 无鉴权，默认只监听 127.0.0.1（WORKER_METRICS_HOST 可改，对外暴露须自行在网络层限制访问）
  */
+import http from 'http';
 import dotenv from 'dotenv';
-import jobTaskStatusService from './services/jobTaskStatusService.js';
-import { startScheduler, stopScheduler, enqueueJob } from './workers/scheduler.js';
+import { startScheduler, stopScheduler } from './workers/scheduler.js';
 import { runSyncJobByTaskType, SYNC_TASKS } from './workers/jobs/syncJob.js';
+import { assertTaskCatalog } from './services/lingxing/sync/lingXingTaskCatalog.js';
+import { flushEvents } from './services/eventBusService.js';
+import rateLimiter from './services/lingxing/rateLimiter.js';
+import lingxingRecorder from './services/lingxing/lingxingRecorder.js';
+import auditLogService from './services/auditLogService.js';
+import { renderMetrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './services/metricsService.js';
 
 dotenv.config();
 
 const log = (msg) => console.log(`[Worker] ${new Date().toISOString()} ${msg}`);
 
+/**
+ * 启动指标 HTTP 服务（worker 没有 Fastify，仅提供 /metrics）
+ * @returns {http.Server|null}
+ */
+function startMetricsServer() {
+  const raw = process.env.WORKER_METRICS_PORT;
+  const port = raw === undefined || raw === '' ? 9464 : parseInt(raw, 10);
+  if (!port) return null;
+  const host = process.env.WORKER_METRICS_HOST || '127.0.0.1';
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    renderMetrics()
+      .then((body) => res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE }).end(body))
+      .catch((err) => res.writeHead(500).end(String(err?.message ?? err)));
+  });
+  server.on('error', (err) => console.error('[Worker] 指标服务异常:', err?.message ?? err));
+  server.listen(port, host, () => log(`指标服务已启动: http://${host}:${port}/metrics`));
+  return server;
+}
+
+let metricsServer = null;
+
 /** 解析 --run <taskType> 和 --full */
 function parseRunArgs() {
   const argv = process.argv.slice(2);
@@ -28,17 +64,27 @@ function parseRunArgs() {
 
 process.on('SIGINT', async () => {
   log('收到 SIGINT，正在停止调度器...');
+  metricsServer?.close();
   await stopScheduler();
+  await rateLimiter.shutdown();
+  await flushEvents();
+  await lingxingRecorder.flush();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   log('收到 SIGTERM，正在停止调度器...');
+  metricsServer?.close();
   await stopScheduler();
+  await rateLimiter.shutdown();
+  await flushEvents();
+  await lingxingRecorder.flush();
   process.exit(0);
 });
 
 const run = async () => {
+  // 同步任务目录不一致（方法/模型不存在、依赖缺失或成环等）时直接退出
+  assertTaskCatalog();
   const runArgs = parseRunArgs();
 
   if (runArgs) {
@@ -46,19 +92,27 @@ const run = async () => {
     const { taskType, full } = runArgs;
     if (taskType === 'list') {
       console.log('可用 taskType（--run <taskType>）：');
-      SYNC_TASKS.forEach(([t, label, fullFlag]) => {
+      SYNC_TASKS.forEach(({ taskType: t, label, full: fullFlag }) => {
         console.log(`  ${t}  ${fullFlag ? '[全量]' : '[增量]'} ${label}`);
       });
       process.exit(0);
       return;
     }
     log(`按需执行: ${taskType}${full ? ' (全量)' : ''}`);
+    const startedAt = Date.now();
+    const args = process.argv.slice(2);
     try {
-      await runSyncJobByTaskType(taskType, { full });
+      await runSyncJobByTaskType(taskType, { full, trigger: 'cli' });
       log(`${taskType} 执行完成`);
+      await auditLogService.recordCliRun({ taskType, args, success: true, durationMs: Date.now() - startedAt });
+      await flushEvents();
+      await lingxingRecorder.flush();
       process.exit(0);
     } catch (err) {
       console.error('[Worker] 执行失败:', err?.message ?? err);
+      await auditLogService.recordCliRun({ taskType, args, success: false, error: err?.message ?? String(err), durationMs: Date.now() - startedAt });
+      await flushEvents();
+      await lingxingRecorder.flush();
       process.exit(1);
     }
     return;
@@ -66,23 +120,10 @@ const run = async () => {
 
   // 常驻模式：启动 cron 调度器
   log('Worker 进程启动');
+  metricsServer = startMetricsServer();
+  // 启动时会立即领取持久化队列中未完成的任务（pending 或租约过期），实现 PM2 重启后恢复
   await startScheduler();
 
-  // PM2 内存重启后恢复：本轮未完成/待执行的任务重新入队（不修改表结构）
-  try {
-    const roundStart = jobTaskStatusService.getRoundStart(new Date());
-    const taskTypes = SYNC_TASKS.map(([t]) => t);
-    const toRecover = await jobTaskStatusService.listTaskTypesNotCompletedInRound(roundStart, taskTypes);
-    if (toRecover.length > 0) {
-      log(`恢复本轮未完成任务: ${toRecover.length} 个 (roundStart: ${roundStart.toISOString()})`);
-      for (const taskType of toRecover) {
-        enqueueJob(`sync-job-${taskType}`, () => runSyncJobByTaskType(taskType, {}));
-      }
-    }
-  } catch (err) {
-    console.error('[Worker] 恢复未完成任务失败:', err?.message ?? err);
-  }
-
   log('调度器已启动，等待定时任务执行');
 };
 
@@ -0,0 +1,45 @@
+import amazonVcAcknowledgementService from '../../services/amazon/amazonVcAcknowledgementService.js';
+import amazonVcShipmentConfirmationService from '../../services/amazon/amazonVcShipmentConfirmationService.js';
+import amazonVcInvoiceService from '../../services/amazon/amazonVcInvoiceService.js';
+
+const LOG_PREFIX = '[AmazonVcJob]';
+
+/**
+ * 亚马逊 VC 提交结果跟踪：查询已提交交易的状态直到 Success / Failure，并标记停留在 submitting 的记录
+ * 默认每 15 分钟执行，cron/启用以 JobDefinition 表为准（/api/jobs/definitions 可修改）
+ */
+export const amazonVcJobs = [
+  {
+    name: 'amazon-vc-acknowledgements',
+    taskType: 'amazonVcAcknowledgements',
+    description: '亚马逊 VC PO 确认交易状态跟踪',
+    cronExpression: '*/15 * * * *',
+    enabled: true,
+    async handler() {
+      const summary = await amazonVcAcknowledgementService.processPendingAcknowledgements({ maxItems: 200 });
+      console.log(`${LOG_PREFIX} PO 确认: 跟踪 ${summary.processed} 条，成功 ${summary.success}，失败 ${summary.failure}，处理中 ${summary.processing}，查询出错 ${summary.errors}，提交结果未知 ${summary.recovered}`);
+    }
+  },
+  {
+    name: 'amazon-vc-shipment-confirmations',
+    taskType: 'amazonVcShipmentConfirmations',
+    description: '亚马逊 VC 货件确认（ASN）交易状态跟踪',
+    cronExpression: '*/15 * * * *',
+    enabled: true,
+    async handler() {
+      const summary = await amazonVcShipmentConfirmationService.processPendingShipmentConfirmations({ maxItems: 200 });
+      console.log(`${LOG_PREFIX} 货件确认: 跟踪 ${summary.processed} 条，成功 ${summary.success}，失败 ${summary.failure}，处理中 ${summary.processing}，查询出错 ${summary.errors}，提交结果未知 ${summary.recovered}`);
+    }
+  },
+  {
+    name: 'amazon-vc-invoices',
+    taskType: 'amazonVcInvoices',
+    description: '亚马逊 VC 发票交易状态跟踪',
+    cronExpression: '*/15 * * * *',
+    enabled: true,
+    async handler() {
+      const summary = await amazonVcInvoiceService.processPendingInvoices({ maxItems: 200 });
+      console.log(`${LOG_PREFIX} 发票: 跟踪 ${summary.processed} 条，成功 ${summary.success}，失败 ${summary.failure}，处理中 ${summary.processing}，查询出错 ${summary.errors}，提交结果未知 ${summary.recovered}`);
+    }
+  }
+];
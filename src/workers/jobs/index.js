@@ -3,7 +3,11 @@
  * 新增任务：在 jobs 目录下新建文件并在此引入，格式见 exampleJob.js
  */
 import { syncJobs } from './syncJob.js';
+import { reconcileJobs } from './reconcileJob.js';
+import { amazonVcJobs } from './amazonVcJob.js';
 
 export const jobs = [
-  ...syncJobs
+  ...syncJobs,
+  ...reconcileJobs,
+  ...amazonVcJobs
 ];
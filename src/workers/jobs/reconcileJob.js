@@ -0,0 +1,19 @@
+import lingXingReconcileService from '../../services/lingxing/sync/lingXingReconcileService.js';
+
+/**
+ * 定时对账：重新拉取目录中配置了 reconcileDays 的增量任务的尾部窗口，统计与库中数据的差异（写入 SyncReconcileReport）
+ * 默认每周日 4 点执行，cron/启用以 JobDefinition 表为准（/api/jobs/definitions 可修改）
+ */
+export const reconcileJobs = [
+  {
+    name: 'sync-reconcile',
+    taskType: 'reconcile',
+    description: '领星增量数据对账',
+    cronExpression: '0 4 * * 0',
+    enabled: true,
+    priority: 10000, // 排在各同步任务之后
+    async handler() {
+      await lingXingReconcileService.runReconcile({ trigger: 'cron' });
+    }
+  }
+];
@@ -0,0 +1,73 @@
+import { isFatalErrorCode } from '../../services/lingxing/errorCodes.js';
+
+/**
+ * 同步任务失败重试策略
+ * - 账户级失败只对失败的 (taskType, accountId) 重新入队，任务整体异常对整个任务重新入队
+ * - 第 n 次重试等待 backoffBaseMs * 2^(n-1)，不超过 backoffMaxMs
+ * - 致命错误码（errorCodes.js 中 fatal: true，如 2001004 API未授权）不重试；可按任务额外指定
+ * 优先级：JobDefinition 表（retryMaxAttempts / retryBackoffMs）> TASK_RETRY_POLICIES > DEFAULT_RETRY_POLICY
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: parseInt(process.env.SYNC_RETRY_MAX_ATTEMPTS, 10) || 3, // 含首次执行
+  backoffBaseMs: parseInt(process.env.SYNC_RETRY_BACKOFF_MS, 10) || 10 * 60 * 1000,
+  backoffMaxMs: 2 * 60 * 60 * 1000,
+  fatalErrorCodes: [], // 在 errorCodes.js fatal 之外额外视为致命的错误码
+  retryableErrorCodes: [] // 即使标记为 fatal 也重试的错误码
+};
+
+/**
+ * 按 taskType 覆盖默认策略（仅需写与默认不同的字段）
+ */
+export const TASK_RETRY_POLICIES = {
+  // 结算/利润类报表数据量大，失败多为限流或超时，间隔拉长
+  settlementTransactionDetail: { backoffBaseMs: 30 * 60 * 1000 },
+  profitReportOrderTransaction: { backoffBaseMs: 30 * 60 * 1000 },
+  // 全量任务重试会再次归档整表，次数从严
+  profitReportOrderTransactionFull: { maxAttempts: 2 }
+};
+
+/**
+ * 合并得到某任务的生效重试策略
+ * @param {string} taskType
+ * @param {Object|null} definition - JobDefinition 记录（可选）
+ * @returns {{ maxAttempts, backoffBaseMs, backoffMaxMs, fatalErrorCodes, retryableErrorCodes }}
+ */
+export function resolveRetryPolicy(taskType, definition = null) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(TASK_RETRY_POLICIES[taskType] || {}) };
+  if (definition?.retryMaxAttempts != null) policy.maxAttempts = definition.retryMaxAttempts;
+  if (definition?.retryBackoffMs != null) policy.backoffBaseMs = definition.retryBackoffMs;
+  return policy;
+}
+
+/**
+ * 判断失败是否应重试
+ * @param {Object} policy - resolveRetryPolicy 返回值
+ * @param {string|number|null} errorCode - 领星错误码，无则视为可重试（网络/数据库等临时错误）
+ * @returns {boolean}
+ */
+export function isRetryable(policy, errorCode) {
+  const code = errorCode == null ? null : String(errorCode);
+  if (code && policy.retryableErrorCodes.includes(code)) return true;
+  if (code && policy.fatalErrorCodes.includes(code)) return false;
+  return !isFatalErrorCode(code);
+}
+
+/**
+ * 计算第 attempt 次执行失败后的重试等待时间
+ * @param {Object} policy
+ * @param {number} attempt - 刚失败的是第几次执行（从 1 开始）
+ * @returns {number} 毫秒
+ */
+export function getRetryDelayMs(policy, attempt) {
+  const delay = policy.backoffBaseMs * Math.pow(2, Math.max(0, attempt - 1));
+  return Math.min(delay, policy.backoffMaxMs);
+}
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  TASK_RETRY_POLICIES,
+  resolveRetryPolicy,
+  isRetryable,
+  getRetryDelayMs
+};
@@ -1,231 +1,196 @@
 import jobTaskStatusService from '../../services/jobTaskStatusService.js';
+import jobDefinitionService from '../../services/jobDefinitionService.js';
+import jobRunService from '../../services/jobRunService.js';
+import jobQueueService from '../../services/jobQueueService.js';
+import { emitEvent } from '../../services/eventBusService.js';
+import { resolveRetryPolicy, isRetryable, getRetryDelayMs } from './retryPolicy.js';
 import lingXingUnifiedSyncService from '../../services/lingxing/sync/lingXingUnifiedSyncService.js';
+import { ensureSyncRunContext } from '../../services/lingxing/sync/lingXingSyncRunContext.js';
+import { listScheduledTasks, sortTaskTypesByDependencies } from '../../services/lingxing/sync/lingXingTaskCatalog.js';
 
 const LOG_PREFIX = '[sync-job]';
-const CRON_EXPRESSION = '0 1,7 * * *'; // 每天1点/7点执行
+/** 单个任务内同时执行的账户数（不同账户令牌桶独立） */
+const ACCOUNT_CONCURRENCY = parseInt(process.env.SYNC_ACCOUNT_CONCURRENCY, 10) || 1;
 
 /**
- * 增量同步子任务列表（与 lingXingUnifiedSyncService.INCREMENTAL_TASK_REGISTRY 一致）
- * [ taskType, 中文描述 ]，供 task-status 接口展示完整任务列表
+ * 定时同步任务列表（lingXingTaskCatalog 中配置了 schedule 的任务），供 worker 与 task-status 接口使用
+ * [{ taskType, label, domain, mode, full, cronExpression, dependsOn }]
+ * 默认 cron 仅在 JobDefinition 表无记录时写入，之后以表中配置为准（/api/jobs/definitions 可修改）
  */
-export const SYNC_TASKS = [
-  // 亚马逊市场列表全量同步 /api/lingxing/sync/run-full/marketplaces
-  ['marketplaces', '基础信息-亚马逊市场列表全量同步', 1],
-  // 世界州列表全量同步 /api/lingxing/sync/run-full/worldStates
-  ['worldStates', '基础信息-世界州列表全量同步', 1],
-  // 汇率全量同步 /api/lingxing/sync/run-full/currencyRates
-  ['currencyRates', '基础信息-汇率全量同步', 1],
-  // 账户用户全量同步 /api/lingxing/sync/run-full/accountUsers
-  ['accountUsers', '基础信息-账户用户全量同步', 1],
-  // 亚马逊店铺列表全量同步 /api/lingxing/sync/run-full/sellerLists
-  ['sellerLists', '基础信息-亚马逊店铺列表全量同步', 1],
-  // 概念店铺列表全量同步 /api/lingxing/sync/run-full/conceptSellerLists
-  ['conceptSellerLists', '基础信息-概念店铺列表全量同步', 1],
+export const SYNC_TASKS = listScheduledTasks();
 
-  // 本地产品增量同步 /api/lingxing/sync/run/localProduct
-  ['localProduct', '产品-本地产品增量同步', 0],
+const tasksByType = new Map(SYNC_TASKS.map((task) => [task.taskType, task]));
 
-  // /api/lingxing/sync/run-full/suppliers
-  ['suppliers', '采购-供应商全量同步', 1],
-  // /api/lingxing/sync/run-full/purchasers
-  ['purchasers', '采购-采购商全量同步', 1],
-  // /api/lingxing/sync/run/purchaseOrder
-  ['purchaseOrder', '采购-采购单增量同步', 0],
-  // /api/lingxing/sync/run/purchasePlan
-  ['purchasePlan', '采购-采购计划增量同步', 0],
-  // /api/lingxing/sync/run/purchaseReturnOrder
-  ['purchaseReturnOrder', '采购-采购退货单增量同步', 0],
-  // /api/lingxing/sync/run/incrementalSyncPurchaseChangeOrders
-  ['purchaseChangeOrder', '采购-采购变更单增量同步', 0],
-
-  // /api/lingxing/sync/run-full/channels
-  ['channels', '物流-物流渠道全量同步', 1],
-  // /api/lingxing/sync/run-full/headLogisticsProviders
-  ['headLogisticsProviders', '物流-头程物流商全量同步', 1],
-  // /api/lingxing/sync/run-full/transportMethods
-  ['transportMethods', '物流-运输方式全量同步', 1],
-
-  // /api/lingxing/sync/run/salesAmazonOrder
-  ['salesAmazonOrder', '销售-亚马逊订单增量同步', 0],
-  // /api/lingxing/sync/run-full/listings
-  ['listings', '销售-Listing全量同步', 1],
+/**
+ * 根据 taskType 查找定时任务，返回 { taskType, label, full, cronExpression, dependsOn, ... } 或 null
+ */
+function findTaskByType(taskType) {
+  return tasksByType.get(taskType) ?? null;
+}
 
-  // /api/lingxing/sync/run-full/warehouses
-  ['warehouses', '仓库-仓库全量同步', 1],
-  // /api/lingxing/sync/run-full/warehouseBins
-  // ['warehouseBins', '仓库-仓库库位全量同步', 1],
-  // /api/lingxing/sync/run-full/inventoryDetails
-  ['inventoryDetails', '仓库-库存明细全量同步', 1],
-  // /api/lingxing/sync/run-full/fbaWarehouseDetails
-  ['fbaWarehouseDetails', '仓库-FBA仓库明细全量同步', 1],
-  // /api/lingxing/sync/run-full/inventoryBinDetails
-  ['inventoryBinDetails', '仓库-库位库存明细全量同步', 1],
-  // /api/lingxing/sync/run/purchaseReceiptOrder
-  ['purchaseReceiptOrder', '仓库-收货单增量同步', 0],
-  // /api/lingxing/sync/run/inboundOrder
-  ['inboundOrder', '仓库-入库单增量同步', 0],
-  // /api/lingxing/sync/run/outboundOrder
-  ['outboundOrder', '仓库-出库单增量同步', 0],
+/**
+ * 构建任务依赖图（依赖关系来自 lingXingTaskCatalog 的 dependsOn，目录校验保证前置任务均为定时任务且无环）
+ * @returns {{ nodes: Array<{ taskType, jobName, label, full, dependsOn, level }>, order: string[] }}
+ */
+function buildTaskGraph() {
+  const order = sortTaskTypesByDependencies(SYNC_TASKS);
+  const levels = new Map();
+  for (const taskType of order) {
+    const { dependsOn } = tasksByType.get(taskType);
+    levels.set(taskType, dependsOn.length > 0 ? Math.max(...dependsOn.map((d) => levels.get(d) ?? 0)) + 1 : 0);
+  }
+  return {
+    nodes: order.map((taskType) => {
+      const { label, full, dependsOn } = tasksByType.get(taskType);
+      return { taskType, jobName: `sync-job-${taskType}`, label, full, dependsOn, level: levels.get(taskType) };
+    }),
+    order
+  };
+}
 
-  // /api/lingxing/sync/run-full/keywords
-  ['keywords', '工具-关键词全量同步', 1],
+const TASK_GRAPH = buildTaskGraph();
 
-  // /api/lingxing/sync/run/allOrders
-  ['allOrders', '亚马逊源数据-所有订单增量同步', 0],
-  // /api/lingxing/sync/run/fbaOrders
-  ['fbaOrders', '亚马逊源数据-FBA订单增量同步', 0],
-  // /api/lingxing/sync/run/fbaExchangeOrders
-  ['fbaExchangeOrders', '亚马逊源数据-FBA换货订单增量同步', 0],
-  // /api/lingxing/sync/run/fbaRefundOrders
-  ['fbaRefundOrders', '亚马逊源数据-FBA退款订单增量同步', 0],
-  // /api/lingxing/sync/run/fbmReturnOrders
-  ['fbmReturnOrders', '亚马逊源数据-FBM退货订单增量同步', 0],
-  // /api/lingxing/sync/run/removalOrders
-  ['removalOrders', '亚马逊源数据-移除订单增量同步', 0],
-  // /api/lingxing/sync/run/removalShipment
-  ['removalShipment', '亚马逊源数据-移除货件增量同步', 0],
-  // /api/lingxing/sync/run/transaction
-  ['transaction', '亚马逊源数据-交易明细增量同步', 0],
-  // /api/lingxing/sync/run/amazonFulfilledShipments
-  ['amazonFulfilledShipments', '亚马逊源数据-Amazon Fulfilled Shipments增量同步', 0],
-  // /api/lingxing/sync/run/fbaInventoryEventDetail
-  ['fbaInventoryEventDetail', '亚马逊源数据-FBA库存动销明细增量同步', 0],
-  // /api/lingxing/sync/run/adjustmentList
-  ['adjustmentList', '亚马逊源数据-盘存记录增量同步', 0],
+/**
+ * 定时同步任务依赖图（供接口展示）
+ * @returns {{ nodes: Array, edges: Array<{ from, to }>, order: string[] }} order 为拓扑序，level 为距最上游的层数
+ */
+export function getSyncTaskGraph() {
+  const edges = TASK_GRAPH.nodes.flatMap((n) => n.dependsOn.map((d) => ({ from: d, to: n.taskType })));
+  return { nodes: TASK_GRAPH.nodes, edges, order: TASK_GRAPH.order };
+}
 
-  // /api/lingxing/sync/run/requestFundsPoolPurchase
-  ['requestFundsPoolPurchase', '财务-请款池采购单增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsPoolInbound
-  ['requestFundsPoolInbound', '财务-请款池入库单增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsPoolPrepay
-  ['requestFundsPoolPrepay', '财务-请款池预付单增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsPoolLogistics
-  ['requestFundsPoolLogistics', '财务-请款池物流单增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsPoolCustomFee
-  ['requestFundsPoolCustomFee', '财务-请款池自定义费用增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsPoolOtherFee
-  ['requestFundsPoolOtherFee', '财务-请款池其他费用增量同步', 0],
+/**
+ * 检查前置任务在其本轮（前置任务 cron 最近一次触发之后）的执行结果
+ * 按前置任务自身的 cron 计算轮次：后置任务比前置任务执行更频繁时（如每小时的财务任务依赖每周的店铺列表），
+ * 前置任务失败会一直阻塞到其下一轮，而不只阻塞同一小时
+ * 合并本轮所有执行（含只重跑部分账户的重试），每个账户以最后一次执行的结果为准：
+ * - 前置任务最近一次全账户执行被跳过、整体失败，或其失败账户均未被后续重试成功：本任务跳过
+ * - 仍有失败账户：本任务跳过这些账户（只重跑部分账户的执行失败不视为整个任务失败）
+ * 本轮前置任务未执行时不阻塞（前置任务排队/执行中时由调度器推迟领取本任务）
+ * @returns {Promise<{ skipReason: string|null, excludeAccountIds: string[] }>}
+ */
+async function checkPrerequisites(dependsOn) {
+  const now = new Date();
+  const excludeAccountIds = new Set();
+  for (const dep of dependsOn) {
+    const definition = await loadJobDefinition(`sync-job-${dep}`);
+    const depCron = definition?.cronExpression || findTaskByType(dep)?.cronExpression;
+    const roundStart = jobTaskStatusService.getRoundStart(now, depCron);
+    const runs = await jobRunService.getFinishedJobRuns(dep, roundStart);
+    if (runs.length === 0) continue;
 
-  // /api/lingxing/sync/run-full/feeTypes
-  ['feeTypes', '财务-费用类型全量同步', 1],
-  // /api/lingxing/sync/run/receivableReport
-  ['receivableReport', '财务-应收报告增量同步', 0],
-  // /api/lingxing/sync/run/feeDetail
-  ['feeDetail', '财务-费用明细增量同步', 0],
-  // /api/lingxing/sync/run/requestFundsOrder
-  ['requestFundsOrder', '财务-请款单增量同步', 0],
-  // // /api/lingxing/sync/run-full/requestFundsPoolPurchase
-  // ['requestFundsPoolPurchase', '财务-请款池采购单全量同步', 1],
-  // // /api/lingxing/sync/run-full/requestFundsPoolInbound
-  // ['requestFundsPoolInbound', '财务-请款池入库单全量同步', 1],
-  // // /api/lingxing/sync/run-full/requestFundsPoolPrepay
-  // ['requestFundsPoolPrepay', '财务-请款池预付单全量同步', 1],
-  // // /api/lingxing/sync/run-full/requestFundsPoolLogistics
-  // ['requestFundsPoolLogistics', '财务-请款池物流单全量同步', 1],
-  // // /api/lingxing/sync/run-full/requestFundsPoolCustomFee
-  // ['requestFundsPoolCustomFee', '财务-请款池自定义费用全量同步', 1],
-  // // /api/lingxing/sync/run-full/requestFundsPoolOtherFee
-  // ['requestFundsPoolOtherFee', '财务-请款池其他费用全量同步', 1],
-  // /api/lingxing/sync/run/profitReportOrderTransactionFull
-  ['profitReportOrderTransactionFull', '财务-利润报表订单交易明细全量同步', 1],
-  // /api/lingxing/sync/run/receivableReportDetail
-  ['receivableReportDetail', '财务-应收报告明细增量同步', 0],
-  // /api/lingxing/sync/run/receivableReportDetailInfo
-  ['receivableReportDetailInfo', '财务-应收报告明细信息增量同步', 0],
-  // /api/lingxing/sync/run/settlementSummary
-  ['settlementSummary', '财务-结算汇总增量同步', 0],
-  // /api/lingxing/sync/run/settlementTransactionDetail
-  ['settlementTransactionDetail', '财务-结算交易明细增量同步', 0],
-  // /api/lingxing/sync/run/inventoryLedgerDetail
-  ['inventoryLedgerDetail', '财务-库存流水明细增量同步', 0],
-  // /api/lingxing/sync/run/inventoryLedgerSummary
-  ['inventoryLedgerSummary', '财务-库存流水汇总增量同步', 0],
-  // /api/lingxing/sync/run/settlementReport
-  ['settlementReport', '财务-结算报表增量同步', 0],
-  // /api/lingxing/sync/run/fbaCostStream
-  ['fbaCostStream', '财务-FBA成本流增量同步', 0],
-  // /api/lingxing/sync/run/adsInvoice
-  ['adsInvoice', '财务-广告发票增量同步', 0],
+    /** accountId -> 最后一次执行是否成功 */
+    const succeeded = new Map();
+    for (const run of runs) {
+      // 只重跑部分账户的执行整体异常时没有账户明细，视为这些账户均失败
+      if (run.accounts.length === 0 && run.status === 'failed') run.accountIds.forEach((accountId) => succeeded.set(accountId, false));
+      for (const { accountId, success } of run.accounts) succeeded.set(accountId, success);
+    }
+    const fullRun = runs.findLast((run) => run.accountIds.length === 0);
+    if (fullRun && (fullRun.status === 'failed' || fullRun.status === 'skipped')) {
+      const stillFailed = fullRun.accounts.every(({ accountId }) => succeeded.get(accountId) === false);
+      if (fullRun.status === 'skipped' || stillFailed) {
+        return {
+          skipReason: `前置任务 ${dep} 本轮${fullRun.status === 'failed' ? '执行失败' : '已跳过'}`,
+          excludeAccountIds: []
+        };
+      }
+    }
+    for (const [accountId, success] of succeeded) if (!success) excludeAccountIds.add(accountId);
+  }
+  return { skipReason: null, excludeAccountIds: [...excludeAccountIds] };
+}
 
-  // /api/lingxing/sync/run/salesReport
-  ['salesReport', '报表-销量报表增量同步', 0],
-  // /api/lingxing/sync/run/productPerformance
-  ['productPerformance', '报表-产品表现增量同步', 0],
-  // /api/lingxing/sync/run/mskuProfitStatistics
-  ['mskuProfitStatistics', '报表-利润统计MSKU增量同步', 0],
-  // /api/lingxing/sync/run/profitReportOrder
-  ['profitReportOrder', '报表-利润报表订单增量同步', 0],
-  // /api/lingxing/sync/run/profitReportOrderTransaction
-  ['profitReportOrderTransaction', '报表-利润报表订单交易明细增量同步', 0],
-  // /api/lingxing/sync/run/asinProfitReport
-  ['asinProfitReport', '报表-利润报表ASIN增量同步', 0],
-  // /api/lingxing/sync/run/parentAsinProfitReport
-  ['parentAsinProfitReport', '报表-利润报表父ASIN增量同步', 0],
-  // /api/lingxing/sync/run/sellerProfitReport
-  ['sellerProfitReport', '报表-利润报表卖家增量同步', 0],  
-  // /api/lingxing/sync/run/reimbursementReport
-  ['reimbursementReport', '报表-理赔报告增量同步', 0],
-  // /api/lingxing/sync/run/returnOrderAnalysis
-  ['returnOrderAnalysis', '报表-退货订单分析增量同步', 0],
-  // /api/lingxing/sync/run/purchaseReportProduct
-  ['purchaseReportProduct', '报表-采购报表产品增量同步', 0],
-  // /api/lingxing/sync/run/purchaseReportSupplier
-  ['purchaseReportSupplier', '报表-采购报表供应商增量同步', 0],
-  // /api/lingxing/sync/run/purchaseReportBuyer
-  ['purchaseReportBuyer', '报表-采购报表采购商增量同步', 0],
-  // /api/lingxing/sync/run/operateLog
-  ['operateLog', '报表-操作日志增量同步', 0],
-  // /api/lingxing/sync/run/storeSummarySales
-  ['storeSummarySales', '报表-店铺汇总销量增量同步', 0],
-  // /api/lingxing/sync/run/storageReportLocalAggregate
-  ['storageReportLocalAggregate', '报表-本地仓库存报表增量同步', 0],
-  // /api/lingxing/sync/run/storageReportLocalDetail
-  ['storageReportLocalDetail', '报表-本地仓库存报表明细增量同步', 0],
-  // /api/lingxing/sync/run/storageReportOverseasAggregate
-  ['storageReportOverseasAggregate', '报表-海外仓库存报表增量同步', 0],
-  // /api/lingxing/sync/run/storageReportOverseasDetail
-  ['storageReportOverseasDetail', '报表-海外仓库存报表明细增量同步', 0],
-  // /api/lingxing/sync/run/storageReportFbaGather
-  ['storageReportFbaGather', '报表-FBA库存报表增量同步', 0],
-  // /api/lingxing/sync/run/storageReportFbaDetail
-  ['storageReportFbaDetail', '报表-FBA库存报表明细增量同步', 0],
-  // /api/lingxing/sync/run/fbaStorageFeeMonth
-  ['fbaStorageFeeMonth', '财务-FBA仓储费月度报表增量同步', 0],
-  
-  // /api/lingxing/sync/run-full/vcSellers
-  ['vcSellers', 'VC-VC店铺全量同步', 1],
-  // /api/lingxing/sync/run-full/vcListings
-  ['vcListings', 'VC-VCListing全量同步', 1],
-  // /api/lingxing/sync/run/vcOrder
-  ['vcOrder', 'VC-VC订单增量同步', 0],
-  // /api/lingxing/sync/run/vcInvoice
-  ['vcInvoice', 'VC-VC发货单增量同步', 0],
-];
+/**
+ * 读取任务定义（JobDefinition 表），查询失败或无记录时返回 null，由调用方回退代码默认值
+ */
+async function loadJobDefinition(jobName) {
+  try {
+    return await jobDefinitionService.getJobDefinition(jobName);
+  } catch (e) {
+    console.error(`${LOG_PREFIX} [${jobName}] 读取任务定义失败:`, e?.message);
+    return null;
+  }
+}
 
 /**
- * 根据 taskType 查找任务定义，返回 { taskType, label, full } 或 null
+ * 按重试策略为失败的账户（或整个任务）安排重试：写入持久化队列并设置 availableAt 退避
+ * 每个失败账户单独入队（activeKey = jobName:retry:accountId），只重跑该账户
+ * @param {Object} ctx - { taskType, jobName, definition, attempt }
+ * @param {Array<{ accountId, error?, errorCode? }>} failures - 失败账户；任务整体异常时传 [{ accountId: null, ... }]
+ * @returns {Promise<Set<string|null>>} 已安排重试的 accountId（整体重试为 null）
  */
-function findTaskByType(taskType) {
-  const row = SYNC_TASKS.find(([t]) => t === taskType);
-  if (!row) return null;
-  const [t, label, full] = row;
-  return { taskType: t, label, full };
+async function scheduleRetries(ctx, failures) {
+  const { taskType, jobName, definition, attempt } = ctx;
+  const policy = resolveRetryPolicy(taskType, definition);
+  const scheduled = new Set();
+  if (attempt >= policy.maxAttempts) {
+    if (failures.length > 0) {
+      console.warn(`${LOG_PREFIX} [${taskType}] 已执行 ${attempt} 次（上限 ${policy.maxAttempts}），不再重试`);
+    }
+    return scheduled;
+  }
+  const delayMs = getRetryDelayMs(policy, attempt);
+  for (const { accountId, errorCode } of failures) {
+    if (!isRetryable(policy, errorCode)) {
+      console.warn(`${LOG_PREFIX} [${taskType}] accountId=${accountId ?? '-'} 错误码 ${errorCode} 不可重试`);
+      continue;
+    }
+    try {
+      const item = await jobQueueService.enqueue({
+        jobName,
+        args: {
+          trigger: 'retry',
+          attempt: attempt + 1,
+          ...(accountId ? { accountIds: [accountId] } : {})
+        },
+        priority: definition?.priority ?? 100,
+        activeKey: accountId ? `${jobName}:retry:${accountId}` : `${jobName}:retry`,
+        availableAt: new Date(Date.now() + delayMs)
+      });
+      if (item) {
+        scheduled.add(accountId);
+        console.log(`${LOG_PREFIX} [${taskType}] accountId=${accountId ?? '-'} 将于 ${Math.round(delayMs / 1000)}s 后第 ${attempt + 1} 次执行`);
+        emitEvent('retry.enqueued', {
+          source: 'syncJob',
+          taskType,
+          accountId,
+          data: { jobName, attempt: attempt + 1, availableAt: item.availableAt, errorCode: errorCode ?? null }
+        });
+      }
+    } catch (e) {
+      console.error(`${LOG_PREFIX} [${taskType}] accountId=${accountId ?? '-'} 安排重试失败:`, e?.message);
+    }
+  }
+  return scheduled;
 }
 
 /**
  * 执行单个同步任务（与 cron job 相同逻辑），供 CLI 或 API 按需触发
  * 全量/增量以 lingXingUnifiedSyncService 的 FULL/INCREMENTAL 注册表为准，避免与实现不一致
+ * 每次执行写入 JobRun 执行历史（含按账户明细）；失败账户按 retryPolicy 退避重试（CLI 触发不重试）
+ * 定时/重试触发时，前置任务本轮失败则跳过（记为 skipped），前置任务部分账户失败则跳过这些账户
  * @param {string} taskType - 任务类型，如 marketplaces、purchaseOrder
+ * @param {Object} options
+ *   - trigger: 触发来源 cron / cli / api / retry（默认 cron）
+ *   - queueItemId: 经持久化队列执行时的队列记录 ID
+ *   - accountIds: 仅执行这些账户（失败重试时传入）
+ *   - attempt: 第几次执行（默认 1）
  */
 export async function runSyncJobByTaskType(taskType, options = {}) {
   const task = findTaskByType(taskType);
   if (!task) {
-    throw new Error(`未知的 taskType: ${taskType}，可用: ${SYNC_TASKS.map(([t]) => t).join(', ')}`);
+    throw new Error(`未知的 taskType: ${taskType}，可用: ${SYNC_TASKS.map((t) => t.taskType).join(', ')}`);
   }
   const { full, label } = task;
   const jobName = `sync-job-${taskType}`;
+  const trigger = options.trigger || 'cron';
+  const attempt = parseInt(options.attempt, 10) || 1;
+  const accountIds = Array.isArray(options.accountIds) && options.accountIds.length > 0 ? options.accountIds : null;
 
-  const nextRun = jobTaskStatusService.getNextScheduledRun(new Date());
+  const definition = await loadJobDefinition(jobName);
+  const cronExpression = definition?.cronExpression || task.cronExpression;
+  const nextRun = jobTaskStatusService.getNextScheduledRun(new Date(), cronExpression);
   try {
     await jobTaskStatusService.upsertJobTaskStatus({
       jobName,
@@ -236,10 +201,76 @@ export async function runSyncJobByTaskType(taskType, options = {}) {
     console.error(`${LOG_PREFIX} [${taskType}] 写入 nextScheduledAt 失败:`, e?.message);
   }
 
+  let run = null;
   try {
-    full
-      ? await lingXingUnifiedSyncService.runFullSyncByTaskType(taskType, { useCache: false })
-      : await lingXingUnifiedSyncService.runIncrementalSyncByTaskType(taskType, { useCache: false });
+    run = await jobRunService.createJobRun({
+      jobName,
+      taskType,
+      trigger,
+      mode: full ? 'full' : 'incremental',
+      attempt,
+      accountIds: accountIds ?? [],
+      queueItemId: options.queueItemId ?? null
+    });
+  } catch (e) {
+    console.error(`${LOG_PREFIX} [${taskType}] 写入执行历史失败:`, e?.message);
+  }
+
+  // 定时/重试触发时按依赖图检查前置任务（手动触发不检查）
+  let excludeAccountIds = null;
+  const { dependsOn } = task;
+  if ((trigger === 'cron' || trigger === 'retry') && dependsOn.length > 0) {
+    let check = { skipReason: null, excludeAccountIds: [] };
+    try {
+      check = await checkPrerequisites(dependsOn);
+    } catch (e) {
+      console.error(`${LOG_PREFIX} [${taskType}] 检查前置任务失败，继续执行:`, e?.message);
+    }
+    if (check.skipReason) {
+      console.warn(`${LOG_PREFIX} [${taskType}] ${check.skipReason}，跳过本次执行`);
+      if (run) {
+        await jobRunService.finishJobRun(run.id, { skipReason: check.skipReason })
+          .catch((e) => console.error(`${LOG_PREFIX} [${taskType}] 写入执行历史失败:`, e?.message));
+      }
+      try {
+        await jobTaskStatusService.upsertJobTaskStatus({
+          jobName,
+          taskType,
+          lastRunAt: new Date(),
+          lastStatus: 'skipped',
+          lastError: check.skipReason
+        });
+      } catch (e) {
+        console.error(`${LOG_PREFIX} [${taskType}] 写入执行状态失败:`, e?.message);
+      }
+      return { skipped: true, reason: check.skipReason };
+    }
+    if (check.excludeAccountIds.length > 0) {
+      excludeAccountIds = check.excludeAccountIds;
+      console.warn(`${LOG_PREFIX} [${taskType}] 前置任务本轮失败的账户将跳过: ${excludeAccountIds.join(', ')}`);
+    }
+  }
+
+  const retryCtx = { taskType, jobName, definition, attempt };
+  const retryEnabled = trigger !== 'cli';
+
+  try {
+    const syncOptions = { useCache: false, accountConcurrency: ACCOUNT_CONCURRENCY, accountIds, excludeAccountIds };
+    // 运行上下文携带执行历史 ID，接口录制按此归档
+    const result = await ensureSyncRunContext(
+      () => (full
+        ? lingXingUnifiedSyncService.runFullSyncByTaskType(taskType, syncOptions)
+        : lingXingUnifiedSyncService.runIncrementalSyncByTaskType(taskType, syncOptions)),
+      { runId: run?.id ?? null, taskType }
+    );
+    const failures = (result?.results || []).filter((one) => !one.success);
+    const retried = retryEnabled && failures.length > 0
+      ? await scheduleRetries(retryCtx, failures)
+      : new Set();
+    if (run) {
+      await jobRunService.finishJobRun(run.id, { result, attempt, retriedAccountIds: retried })
+        .catch((e) => console.error(`${LOG_PREFIX} [${taskType}] 写入执行历史失败:`, e?.message));
+    }
     try {
       await jobTaskStatusService.upsertJobTaskStatus({
         jobName,
@@ -254,6 +285,17 @@ export async function runSyncJobByTaskType(taskType, options = {}) {
   } catch (err) {
     const msg = err?.message ?? String(err);
     console.error(`${LOG_PREFIX} [${taskType}] ${label} 失败:`, msg);
+    if (retryEnabled) {
+      // 整体异常：仅重跑本次涉及的账户（重试中的账户级任务保持账户粒度）
+      const failures = accountIds
+        ? accountIds.map((accountId) => ({ accountId, errorCode: err?.code ?? null }))
+        : [{ accountId: null, errorCode: err?.code ?? null }];
+      await scheduleRetries(retryCtx, failures);
+    }
+    if (run) {
+      await jobRunService.finishJobRun(run.id, { error: msg })
+        .catch((e) => console.error(`${LOG_PREFIX} [${taskType}] 写入执行历史失败:`, e?.message));
+    }
     try {
       await jobTaskStatusService.upsertJobTaskStatus({
         jobName,
@@ -270,21 +312,24 @@ export async function runSyncJobByTaskType(taskType, options = {}) {
 }
 
 /**
- * 生成多 job：每个 taskType 一个独立 job，同一 cron 触发时由调度层串行执行
+ * 生成多 job：每个 taskType 一个独立 job，cron/启用/优先级为默认值，启动时写入 JobDefinition 表后以表为准
+ * 默认优先级按依赖图拓扑序递增（前置任务在前），dependsOn 为前置任务的 job 名：
+ * 前置任务排队/执行中时调度层推迟领取后置任务，其余按优先级出队、按接口令牌桶容量并发执行
  * 执行前后写入 JobTaskStatus（最近执行时间、是否异常、异常原因、下次计划执行时间）
  */
 function buildSyncJobs() {
-  return SYNC_TASKS.map(([taskType, label, full]) => {
-    const jobName = `sync-job-${taskType}`;
-    return {
-      name: jobName,
-      cronExpression: CRON_EXPRESSION,
-      enabled: true, // 可按 taskType 单独设为 false 关闭
-      async handler() {
-        await runSyncJobByTaskType(taskType, {});
-      }
-    };
-  });
+  return TASK_GRAPH.nodes.map(({ taskType, jobName, label, dependsOn }, index) => ({
+    name: jobName,
+    taskType,
+    description: label,
+    cronExpression: tasksByType.get(taskType).cronExpression,
+    enabled: true, // 可按 taskType 单独设为 false 关闭（已写入表后通过 /api/jobs/definitions 修改）
+    priority: (index + 1) * 10,
+    dependsOn: dependsOn.map((d) => `sync-job-${d}`),
+    async handler(args = {}) {
+      await runSyncJobByTaskType(taskType, args);
+    }
+  }));
 }
 
 export const syncJobs = buildSyncJobs();
@@ -1,72 +1,328 @@
 /**
- * 定时任务调度器 - 基于 node-cron
+ * 定时任务调度器 - 基于 cron-parser（utils/cron.js，与任务定义校验、下次执行时间计算共用）
  * 在 workers/jobs 下定义任务，在此统一注册。
- * 调度层串行：同一时刻触发的多个任务会依次执行，避免并发调用领星 API 触发限流。
+ * cron 触发时将任务写入持久化队列（JobQueueItem 表），worker 以租约方式领取执行：
+ * - 同一 job 已在排队/执行中时不重复入队
+ * - 执行期间定期续约；worker 崩溃/重启后租约过期（或优雅退出时主动释放），未完成任务会被重新领取
+ * - 多个 worker 实例可同时运行，领取为原子操作，同一任务只会被一个 worker 执行
+ * 领取后在本进程内为有限并发的任务池（SCHEDULER_CONCURRENCY）：
+ * - 按 priority 升序领取
+ * - 任务执行时记录其申请令牌的领星接口，之后的轮次仅在各接口令牌桶容量（urlTokenConfig）允许时与其他任务并发
+ * - 尚未记录接口的任务（worker 启动后首次执行）独占执行，避免并发调用同一接口触发限流
+ * - 任务可声明 dependsOn（前置 job 名），前置任务排队/执行中（任一 worker）时不领取，保证同一轮按拓扑序执行
+ * cron/启用/优先级以 JobDefinition 表为准，表中配置变更后自动重新注册，无需重启 worker。
  */
-import cron from 'node-cron';
+import os from 'os';
+import { isValidCron, scheduleCron } from '../utils/cron.js';
 import { jobs } from './jobs/index.js';
+import jobDefinitionService from '../services/jobDefinitionService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import rateLimiter from '../services/lingxing/rateLimiter.js';
+import { emitEvent } from '../services/eventBusService.js';
+import { counter, gauge, histogram, registerCollector } from '../services/metricsService.js';
+
+/** 检查任务定义是否变更的间隔（毫秒） */
+const RELOAD_INTERVAL_MS = parseInt(process.env.JOB_DEFINITION_RELOAD_INTERVAL_MS, 10) || 60 * 1000;
+/** 同时执行的任务数上限 */
+const MAX_CONCURRENCY = parseInt(process.env.SCHEDULER_CONCURRENCY, 10) || 3;
+/** 队列轮询间隔（毫秒），用于领取其他进程入队或租约过期的任务 */
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS, 10) || 5 * 1000;
+/** 租约时长（毫秒），执行期间每 1/3 时长续约一次 */
+const LEASE_MS = parseInt(process.env.JOB_QUEUE_LEASE_MS, 10) || 10 * 60 * 1000;
+/** 同一任务最多领取次数（租约反复过期说明任务会导致 worker 崩溃，达到上限后标记失败） */
+const MAX_ATTEMPTS = parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS, 10) || 3;
+/** 入队后延迟领取（毫秒），使同一时刻 cron 触发的任务（含前置任务）全部入队后再按依赖与优先级领取 */
+const ENQUEUE_SETTLE_MS = 1000;
+
+/** 调度指标 */
+const jobsTotal = counter('scheduler_jobs_total', '调度器执行的队列任务数', ['job', 'status']);
+const jobDuration = histogram('scheduler_job_duration_seconds', '队列任务执行耗时（秒）', ['job', 'status'], [1, 5, 15, 30, 60, 300, 600, 1800, 3600, 7200]);
+const queueDepth = gauge('scheduler_queue_depth', '持久化队列中的任务数（ready 待执行 / delayed 退避中 / running 执行中，含其他 worker）', ['state']);
+const runningJobsGauge = gauge('scheduler_running_jobs', '本 worker 执行中的任务数');
+
+/** 当前 worker 标识（租约持有者） */
+export const WORKER_ID = `${os.hostname()}:${process.pid}`;
 
 const scheduledTasks = [];
+const handlersByName = new Map(jobs.map((job) => [job.name, job.handler]));
+const dependsOnByName = new Map(jobs.map((job) => [job.name, job.dependsOn || []]));
+const jobTaskTypeByName = new Map(jobs.map((job) => [job.name, job.taskType ?? null]));
 
-/** 待执行任务队列 { name, handler } */
-const jobQueue = [];
-/** 是否正在执行某个任务 */
-let isRunning = false;
+/** 执行中的任务：name -> { id, urls: Set<string>|null, startedAt } */
+const runningJobs = new Map();
+/** 各任务上次执行时使用的接口 url：name -> Set<string> */
+const jobUrlUsage = new Map();
+/** 定时检查任务定义变更 */
+let reloadTimer = null;
+/** 队列轮询 */
+let pollTimer = null;
+/** 上次加载的任务定义最近修改时间 */
+let lastDefinitionUpdatedAt = null;
+/** 是否正在领取任务（避免并发领取），领取期间再次触发时置 pollRequested */
+let isPolling = false;
+let pollRequested = false;
+/** 入队后的延迟领取 */
+let settleTimer = null;
+
+/**
+ * 判断任务当前能否启动：
+ * - 有未知接口的任务在执行时，其他任务等待；未知接口的任务需等所有任务结束
+ * - 已知接口的任务：其使用的每个接口，执行中任务的占用数需小于该接口令牌桶容量
+ */
+function canStart(name) {
+  if (runningJobs.has(name)) return false;
+  if (runningJobs.size === 0) return true;
+  const urls = jobUrlUsage.get(name);
+  if (!urls) return false;
+  const running = [...runningJobs.values()];
+  if (running.some((r) => !r.urls)) return false;
+  for (const url of urls) {
+    const inUse = running.filter((r) => r.urls.has(url)).length;
+    if (inUse >= rateLimiter.getTokenCapacity(url)) return false;
+  }
+  return true;
+}
+
+/**
+ * 前置任务是否仍在排队/执行中
+ * @param {string} name
+ * @param {Set<string>} activeNames - 排队（已到 availableAt）或执行中的任务名
+ */
+function isWaitingForPrerequisites(name, activeNames) {
+  return dependsOnByName.get(name)?.some((dep) => activeNames.has(dep)) ?? false;
+}
+
+async function runJob(item) {
+  const { id, jobName: name, args, attempts } = item;
+  const handler = handlersByName.get(name);
+  if (!handler) {
+    console.error(`[Scheduler] 队列中的任务未注册: ${name}`);
+    await jobQueueService.complete(id, WORKER_ID, { error: `未注册的任务: ${name}` }).catch(() => {});
+    return;
+  }
+
+  runningJobs.set(name, { id, urls: jobUrlUsage.get(name) ?? null, startedAt: Date.now() });
+  const leaseTimer = setInterval(() => {
+    jobQueueService.renewLease(id, WORKER_ID, LEASE_MS)
+      .then((ok) => {
+        if (!ok) console.warn(`[Scheduler] ${name} 续约失败，租约可能已被其他 worker 接管`);
+      })
+      .catch((err) => console.error(`[Scheduler] ${name} 续约异常:`, err?.message ?? err));
+  }, Math.max(1000, Math.floor(LEASE_MS / 3)));
 
-async function processQueue() {
-  if (isRunning || jobQueue.length === 0) return;
-  const { name, handler } = jobQueue.shift();
-  isRunning = true;
   const start = Date.now();
+  let errorMessage = null;
+  const taskType = jobTaskTypeByName.get(name);
+  emitEvent('job.started', { source: 'scheduler', taskType, data: { jobName: name, queueItemId: id, attempts, trigger: args?.trigger ?? 'cron', workerId: WORKER_ID } });
   try {
-    await handler();
+    if (attempts > 1) console.log(`[Scheduler] ${name} 恢复执行（第 ${attempts} 次领取）`);
+    const { urls } = await rateLimiter.runWithUsageTracking(() => handler({ ...(args ?? {}), queueItemId: id }));
+    jobUrlUsage.set(name, urls);
     console.log(`[Scheduler] ${name} 执行完成，耗时 ${Date.now() - start}ms`);
   } catch (err) {
+    if (err?.usedUrls) jobUrlUsage.set(name, err.usedUrls);
+    errorMessage = err?.message ?? String(err);
     console.error(`[Scheduler] ${name} 执行失败:`, err);
   } finally {
-    isRunning = false;
-    if (jobQueue.length > 0) {
+    clearInterval(leaseTimer);
+    runningJobs.delete(name);
+    const status = errorMessage ? 'failed' : 'succeeded';
+    jobsTotal.inc({ job: name, status });
+    jobDuration.observe({ job: name, status }, (Date.now() - start) / 1000);
+    emitEvent('job.finished', {
+      source: 'scheduler',
+      taskType,
+      message: errorMessage,
+      data: { jobName: name, queueItemId: id, durationMs: Date.now() - start, error: errorMessage, workerId: WORKER_ID }
+    });
+    await jobQueueService.complete(id, WORKER_ID, { error: errorMessage })
+      .catch((err) => console.error(`[Scheduler] ${name} 写入队列结果失败:`, err?.message ?? err));
+    setImmediate(processQueue);
+  }
+}
+
+registerCollector(async () => {
+  runningJobsGauge.set({}, runningJobs.size);
+  const counts = await jobQueueService.countActive();
+  for (const [state, value] of Object.entries(counts)) queueDepth.set({ state }, value);
+});
+
+async function processQueue() {
+  if (isPolling) {
+    pollRequested = true;
+    return;
+  }
+  isPolling = true;
+  try {
+    const exhausted = await jobQueueService.failExhausted(MAX_ATTEMPTS);
+    if (exhausted > 0) console.warn(`[Scheduler] ${exhausted} 个任务租约反复过期，已标记失败`);
+
+    while (runningJobs.size < MAX_CONCURRENCY) {
+      const candidates = await jobQueueService.listClaimable();
+      const activeNames = await jobQueueService.listActiveJobNames();
+      const next = candidates.find((c) => canStart(c.jobName) && !isWaitingForPrerequisites(c.jobName, activeNames));
+      if (!next) break;
+      const claimed = await jobQueueService.claim(next.id, WORKER_ID, LEASE_MS);
+      if (!claimed) continue; // 已被其他 worker 领取
+      runJob(claimed);
+    }
+  } catch (err) {
+    console.error('[Scheduler] 领取队列任务失败:', err?.message ?? err);
+  } finally {
+    isPolling = false;
+    if (pollRequested) {
+      pollRequested = false;
       setImmediate(processQueue);
     }
   }
 }
 
 /**
- * 外部入队（用于 PM2 重启后恢复本轮未完成的任务，不修改表结构）
+ * 任务入队（持久化），同名任务已在排队/执行中时跳过
  * @param {string} name - 任务名
- * @param {() => Promise<void>} handler - 任务函数
+ * @param {Object|null} [args=null] - 任务参数（透传给 handler）
+ * @param {number} [priority=100] - 优先级，数值越小越先执行
+ * @returns {Promise<boolean>} 是否已入队
  */
-export function enqueueJob(name, handler) {
-  jobQueue.push({ name, handler });
-  processQueue();
+export async function enqueueJob(name, args = null, priority = 100) {
+  const item = await jobQueueService.enqueue({ jobName: name, args, priority });
+  if (!item) {
+    console.log(`[Scheduler] ${name} 已在队列中或正在执行，跳过本次触发`);
+    return false;
+  }
+  if (!settleTimer) {
+    settleTimer = setTimeout(() => {
+      settleTimer = null;
+      processQueue();
+    }, ENQUEUE_SETTLE_MS);
+  }
+  return true;
 }
 
-export async function startScheduler() {
-  for (const job of jobs) {
-    const { name, cronExpression, handler, enabled = true } = job;
+/**
+ * 本进程调度器当前状态（执行中的任务）
+ * @returns {{ workerId: string, concurrency: number, running: Array<{ name, queueItemId, startedAt }> }}
+ */
+export function getSchedulerStatus() {
+  return {
+    workerId: WORKER_ID,
+    concurrency: MAX_CONCURRENCY,
+    running: [...runningJobs.entries()].map(([name, r]) => ({ name, queueItemId: r.id, startedAt: new Date(r.startedAt) }))
+  };
+}
+
+/**
+ * 合并代码中的 jobs 与 JobDefinition 表配置（表中有记录时以表为准）
+ * @returns {Promise<Array<{ name, cronExpression, handler, enabled, priority }>>}
+ */
+export async function loadEffectiveJobs() {
+  let definitions = [];
+  try {
+    await jobDefinitionService.ensureJobDefinitions(jobs);
+    definitions = await jobDefinitionService.listJobDefinitions();
+  } catch (err) {
+    console.error('[Scheduler] 读取任务定义失败，使用代码默认配置:', err?.message ?? err);
+  }
+  const byName = new Map(definitions.map((d) => [d.jobName, d]));
+  return jobs.map((job) => {
+    const def = byName.get(job.name);
+    return def
+      ? { ...job, cronExpression: def.cronExpression, enabled: def.enabled, priority: def.priority }
+      : { priority: 100, ...job };
+  });
+}
+
+function unregisterAll() {
+  for (const { task } of scheduledTasks) {
+    task.stop();
+  }
+  scheduledTasks.length = 0;
+}
+
+function registerJobs(effectiveJobs) {
+  for (const job of effectiveJobs) {
+    const { name, cronExpression, enabled = true, priority } = job;
     if (!enabled) {
       console.log(`[Scheduler] 任务已禁用: ${name}`);
       continue;
     }
-    if (!cron.validate(cronExpression)) {
+    if (!isValidCron(cronExpression)) {
       console.error(`[Scheduler] 无效的 cron 表达式 "${cronExpression}"，任务: ${name}`);
       continue;
     }
-    const task = cron.schedule(cronExpression, () => {
-      jobQueue.push({ name, handler });
-      processQueue();
+    const task = scheduleCron(cronExpression, () => {
+      enqueueJob(name, { trigger: 'cron' }, priority)
+        .catch((err) => console.error(`[Scheduler] ${name} 入队失败:`, err?.message ?? err));
     });
     scheduledTasks.push({ name, task });
-    console.log(`[Scheduler] 已注册（串行）: ${name} (${cronExpression})`);
+    console.log(`[Scheduler] 已注册: ${name} (${cronExpression}, priority=${priority})`);
   }
 }
 
+/**
+ * 重新加载任务定义并重新注册 cron（已入队/执行中的任务不受影响）
+ */
+export async function reloadScheduler() {
+  const effectiveJobs = await loadEffectiveJobs();
+  unregisterAll();
+  registerJobs(effectiveJobs);
+  return effectiveJobs;
+}
+
+async function checkDefinitionChanges() {
+  try {
+    const latest = await jobDefinitionService.getLatestDefinitionUpdatedAt();
+    if (latest && (!lastDefinitionUpdatedAt || latest > lastDefinitionUpdatedAt)) {
+      console.log(`[Scheduler] 检测到任务定义变更 (updatedAt: ${latest.toISOString()})，重新注册`);
+      lastDefinitionUpdatedAt = latest;
+      await reloadScheduler();
+    }
+  } catch (err) {
+    console.error('[Scheduler] 检查任务定义变更失败:', err?.message ?? err);
+  }
+}
+
+export async function startScheduler() {
+  const effectiveJobs = await reloadScheduler();
+  try {
+    lastDefinitionUpdatedAt = await jobDefinitionService.getLatestDefinitionUpdatedAt();
+  } catch (err) {
+    console.error('[Scheduler] 读取任务定义修改时间失败:', err?.message ?? err);
+  }
+  if (!reloadTimer) {
+    reloadTimer = setInterval(checkDefinitionChanges, RELOAD_INTERVAL_MS);
+  }
+  if (!pollTimer) {
+    pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+  }
+  // 立即领取：恢复上次未完成（pending 或租约过期）的任务
+  processQueue();
+  return effectiveJobs;
+}
+
 export async function stopScheduler() {
+  if (reloadTimer) {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+  }
   for (const { name, task } of scheduledTasks) {
     task.stop();
     console.log(`[Scheduler] 已停止: ${name}`);
   }
   scheduledTasks.length = 0;
-  jobQueue.length = 0;
-  isRunning = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  if (settleTimer) {
+    clearTimeout(settleTimer);
+    settleTimer = null;
+  }
+  // 释放本 worker 持有的租约，执行中的任务回到 pending，重启后立即恢复
+  try {
+    const released = await jobQueueService.releaseLeases(WORKER_ID);
+    if (released > 0) console.log(`[Scheduler] 已释放 ${released} 个执行中任务的租约`);
+  } catch (err) {
+    console.error('[Scheduler] 释放租约失败:', err?.message ?? err);
+  }
 }
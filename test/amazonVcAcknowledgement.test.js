@@ -0,0 +1,221 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import amazonService from '../src/services/amazon/amazonService.js';
+import amazonVcAcknowledgementService, { AcknowledgementError } from '../src/services/amazon/amazonVcAcknowledgementService.js';
+
+const DELEGATES = ['amazonVcPurchaseOrder', 'amazonVcPoAcknowledgement', 'amazonVcShipmentConfirmation', 'lingXingInventoryDetail', '$transaction'];
+
+let saved;
+/** 测试中写入的数据 */
+let writes;
+/** SP-API submitAcknowledgement 的行为 */
+let callApi;
+
+function makePo(overrides = {}) {
+  return {
+    id: 'po-1',
+    amazonStoreId: 'store-1',
+    purchaseOrderNumber: 'PO1',
+    acknowledgementStatus: null,
+    amazonStore: { id: 'store-1', accountId: 'acc-1' },
+    items: [],
+    data: {
+      purchaseOrderState: 'New',
+      orderDetails: {
+        sellingParty: { partyId: 'VENDOR' },
+        items: [
+          { itemSequenceNumber: '1', vendorProductIdentifier: 'SKU-A', orderedQuantity: { amount: 10, unitOfMeasure: 'Eaches', unitSize: 1 } },
+          { itemSequenceNumber: '2', vendorProductIdentifier: 'SKU-B', orderedQuantity: { amount: 3, unitOfMeasure: 'Cases', unitSize: 6 } }
+        ]
+      }
+    },
+    ...overrides
+  };
+}
+
+function assertAckError(fn, statusCode, pattern) {
+  assert.throws(fn, (e) => e instanceof AcknowledgementError && e.statusCode === statusCode && pattern.test(e.message));
+}
+
+before(() => {
+  saved = Object.fromEntries(DELEGATES.map((name) => [name, prisma[name]]));
+  amazonService.getClient = () => ({ callAPI: async (request) => callApi(request) });
+  prisma.$transaction = async (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg));
+  prisma.amazonVcPurchaseOrder = {
+    updateMany: async (args) => { writes.poClaims.push(args); return { count: 1 }; },
+    update: async (args) => { writes.po.push(args.data); return {}; }
+  };
+  prisma.amazonVcPoAcknowledgement = {
+    create: async ({ data }) => ({ id: 'ack-1', ...data }),
+    update: async ({ data }) => { writes.acknowledgement.push(data); return { id: 'ack-1', ...data }; }
+  };
+});
+
+beforeEach(() => {
+  writes = { poClaims: [], po: [], acknowledgement: [] };
+});
+
+after(() => {
+  for (const name of DELEGATES) prisma[name] = saved[name];
+  delete amazonService.getClient;
+});
+
+test('buildAcknowledgement 每行接受 / 延后 / 拒绝之和须等于订购数量', () => {
+  const po = makePo();
+  assertAckError(
+    () => amazonVcAcknowledgementService.buildAcknowledgement(po, [
+      { itemSequenceNumber: 1, acceptedQuantity: 6, backorderedQuantity: 3 },
+      { itemSequenceNumber: 2, acceptedQuantity: 3 }
+    ]),
+    400,
+    /行 1 .*（9）须等于订购数量 10/
+  );
+  assertAckError(
+    () => amazonVcAcknowledgementService.buildAcknowledgement(po, [{ itemSequenceNumber: 1, acceptedQuantity: -1, backorderedQuantity: 11 }, { itemSequenceNumber: 2, acceptedQuantity: 3 }]),
+    400,
+    /acceptedQuantity 须为非负整数/
+  );
+
+  const { payload, items } = amazonVcAcknowledgementService.buildAcknowledgement(
+    po,
+    [
+      { itemSequenceNumber: '1', acceptedQuantity: 6, backorderedQuantity: 3, rejectedQuantity: 1, scheduledShipDate: '2026-11-01' },
+      { itemSequenceNumber: '2', acceptedQuantity: 3 }
+    ],
+    { scheduledDeliveryDate: '2026-11-05' }
+  );
+  assert.equal(payload.purchaseOrderNumber, 'PO1');
+  assert.deepEqual(payload.sellingParty, { partyId: 'VENDOR' });
+  const [line1, line2] = payload.items;
+  assert.deepEqual(line1.itemAcknowledgements.map((a) => [a.acknowledgementCode, a.acknowledgedQuantity.amount]), [['Accepted', 6], ['Backordered', 3], ['Rejected', 1]]);
+  assert.equal(line1.itemAcknowledgements[0].scheduledShipDate, '2026-11-01T00:00:00.000Z');
+  assert.equal(line1.itemAcknowledgements[0].scheduledDeliveryDate, '2026-11-05T00:00:00.000Z');
+  assert.deepEqual(line2.itemAcknowledgements[0].acknowledgedQuantity, { amount: 3, unitOfMeasure: 'Cases', unitSize: 6 });
+  assert.deepEqual(items.map((it) => [it.acceptedQuantity, it.backorderedQuantity, it.rejectedQuantity]), [[6, 3, 1], [3, 0, 0]]);
+});
+
+test('buildAcknowledgement 拒绝原因默认 TemporarilyUnavailable，且须为 API 枚举', () => {
+  const po = makePo();
+  const { payload, items } = amazonVcAcknowledgementService.buildAcknowledgement(po, [
+    { itemSequenceNumber: '1', rejectedQuantity: 10 },
+    { itemSequenceNumber: '2', rejectedQuantity: 3, rejectionReason: 'ObsoleteProduct' }
+  ]);
+  assert.deepEqual(payload.items.map((it) => it.itemAcknowledgements[0].rejectionReason), ['TemporarilyUnavailable', 'ObsoleteProduct']);
+  assert.deepEqual(items.map((it) => it.rejectionReason), ['TemporarilyUnavailable', 'ObsoleteProduct']);
+  // 未拒绝的行不带拒绝原因
+  const accepted = amazonVcAcknowledgementService.buildAcknowledgement(po, [
+    { itemSequenceNumber: '1', acceptedQuantity: 10, rejectionReason: 'ObsoleteProduct' },
+    { itemSequenceNumber: '2', acceptedQuantity: 3 }
+  ]);
+  assert.equal(accepted.items[0].rejectionReason, null);
+
+  assertAckError(
+    () => amazonVcAcknowledgementService.buildAcknowledgement(po, [
+      { itemSequenceNumber: '1', rejectedQuantity: 10, rejectionReason: 'OutOfStock' },
+      { itemSequenceNumber: '2', acceptedQuantity: 3 }
+    ]),
+    400,
+    /rejectionReason 须为/
+  );
+});
+
+test('buildAcknowledgement 校验行与 sellingParty', () => {
+  const po = makePo();
+  const all = [{ itemSequenceNumber: '1', acceptedQuantity: 10 }, { itemSequenceNumber: '2', acceptedQuantity: 3 }];
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(po, []), 400, /items 必填/);
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(po, [...all, { itemSequenceNumber: '9' }]), 400, /不存在行 9/);
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(po, [...all, all[0]]), 400, /行 1 重复/);
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(po, [all[0]]), 400, /以下行未确认: 2/);
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(makePo({ data: { orderDetails: { items: [] } } }), all), 400, /无明细行/);
+
+  const noParty = makePo();
+  delete noParty.data.orderDetails.sellingParty;
+  assertAckError(() => amazonVcAcknowledgementService.buildAcknowledgement(noParty, all), 400, /缺少 sellingParty/);
+  // 原始数据缺失时取 PO 上的 sellingPartyPartyId
+  const { payload } = amazonVcAcknowledgementService.buildAcknowledgement({ ...noParty, sellingPartyPartyId: 'FALLBACK' }, all);
+  assert.deepEqual(payload.sellingParty, { partyId: 'FALLBACK' });
+});
+
+test('submitAcknowledgement 提交结果未知时确认与 PO 记为 unconfirmed，明确拒绝时 PO 恢复为可重新提交', async () => {
+  const body = { items: [{ itemSequenceNumber: '1', acceptedQuantity: 10 }, { itemSequenceNumber: '2', acceptedQuantity: 3 }] };
+  const submit = (po) => amazonVcAcknowledgementService.submitAcknowledgement('PO1', body, { po });
+
+  callApi = async () => ({ transactionId: 'tx-1' });
+  assert.equal((await submit(makePo())).status, 'submitted');
+  assert.deepEqual(writes.po.at(-1), { acknowledgementStatus: 'submitted' });
+
+  callApi = async () => ({});
+  const missing = await submit(makePo());
+  assert.equal(missing.status, 'unconfirmed');
+  assert.equal(missing.errors[0].code, 'MissingTransactionId');
+  assert.deepEqual(writes.po.at(-1), { acknowledgementStatus: 'unconfirmed' });
+
+  callApi = async () => { throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); };
+  assert.equal((await submit(makePo())).status, 'unconfirmed');
+  assert.deepEqual(writes.po.at(-1), { acknowledgementStatus: 'unconfirmed' });
+
+  callApi = async () => { throw Object.assign(new Error('Invalid input'), { code: 'InvalidInput' }); };
+  const rejected = await submit(makePo({ acknowledgementStatus: 'failed' }));
+  assert.equal(rejected.status, 'error');
+  assert.deepEqual(writes.po.at(-1), { acknowledgementStatus: 'failed' });
+
+  // unconfirmed 的 PO 不能重新提交
+  await assert.rejects(submit(makePo({ acknowledgementStatus: 'unconfirmed' })), (e) => e.statusCode === 409 && /核实后 release/.test(e.message));
+  // 领取条件只包含可提交状态
+  assert.deepEqual(writes.poClaims[0].where.OR, [{ acknowledgementStatus: null }, { acknowledgementStatus: 'failed' }]);
+});
+
+test('autoAcceptByStock 可用库存先扣除其它 PO 已接受未发货的数量', async () => {
+  const po = makePo();
+  const poWheres = [];
+  prisma.amazonVcPurchaseOrder = {
+    findMany: async ({ where }) => { poWheres.push(where); return [po]; }
+  };
+  // SKU-A 可用 20 件，SKU-B 可用 30 件（5 箱）
+  prisma.lingXingInventoryDetail = {
+    findMany: async () => [
+      { sku: 'SKU-A', quantity: 20, data: {} },
+      { sku: 'SKU-B', quantity: 0, data: { product_valid_num: 30 } }
+    ]
+  };
+  const other = (id, orderState, accepted) => ({
+    purchaseOrderId: id,
+    items: [{ itemSequenceNumber: '1', acceptedQuantity: accepted[0] }, { itemSequenceNumber: '2', acceptedQuantity: accepted[1] }],
+    purchaseOrder: { orderState, data: { orderDetails: po.data.orderDetails } }
+  });
+  prisma.amazonVcPoAcknowledgement = {
+    findMany: async ({ where }) => {
+      assert.deepEqual(where.purchaseOrderId, { notIn: ['po-1'] });
+      return [
+        other('po-2', 'Acknowledged', [8, 2]),
+        // 同一 PO 较早的确认不计
+        other('po-2', 'Acknowledged', [10, 3]),
+        // 已关闭的 PO 不占用库存
+        other('po-3', 'Closed', [10, 3])
+      ];
+    }
+  };
+  // po-2 行 1 已发货 3，行 2 的原货件被 Replace 为 1 箱
+  prisma.amazonVcShipmentConfirmation = {
+    findMany: async ({ where }) => {
+      assert.deepEqual(where.purchaseOrderId, { in: ['po-2'] });
+      return [
+        { purchaseOrderId: 'po-2', shipmentIdentifier: 'S2', items: [{ itemSequenceNumber: '2', shippedQuantity: 1 }] },
+        { purchaseOrderId: 'po-2', shipmentIdentifier: 'S1', items: [{ itemSequenceNumber: '1', shippedQuantity: 3 }] },
+        { purchaseOrderId: 'po-2', shipmentIdentifier: 'S2', items: [{ itemSequenceNumber: '2', shippedQuantity: 2 }] }
+      ];
+    }
+  };
+
+  const result = await amazonVcAcknowledgementService.autoAcceptByStock({});
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(poWheres[0].OR, [{ acknowledgementStatus: null }, { acknowledgementStatus: 'failed' }]);
+  // SKU-A：20 - (8 - 3) = 15 → 接受 10；SKU-B：30 - (2 - 1) × 6 = 24 件 → 4 箱，接受 3
+  assert.deepEqual(result.results[0].items.map((it) => [it.acceptedQuantity, it.backorderedQuantity]), [[10, 0], [3, 0]]);
+
+  prisma.lingXingInventoryDetail = { findMany: async () => [{ sku: 'SKU-A', quantity: 9, data: {} }, { sku: 'SKU-B', quantity: 6, data: {} }] };
+  const short = await amazonVcAcknowledgementService.autoAcceptByStock({});
+  // SKU-A：9 - 5 = 4；SKU-B：6 - 6 = 0
+  assert.deepEqual(short.results[0].items.map((it) => [it.acceptedQuantity, it.backorderedQuantity]), [[4, 6], [0, 3]]);
+});
@@ -0,0 +1,185 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import amazonService from '../src/services/amazon/amazonService.js';
+import amazonVcInvoiceService, { InvoiceError } from '../src/services/amazon/amazonVcInvoiceService.js';
+
+const DELEGATES = ['amazonVcShipmentConfirmation', 'amazonVcPoAcknowledgement', 'amazonVcInvoiceItem', 'amazonVcInvoice'];
+
+let saved;
+/** 已确认发货（getShippedQuantities 的数据源） */
+let shipped;
+/** 已接受（null 为本系统无确认） */
+let accepted;
+/** 已开票明细 */
+let invoicedItems;
+/** 库中的发票 */
+let invoices;
+/** SP-API submitInvoices 的行为 */
+let callApi;
+
+function makePo(items) {
+  return {
+    id: 'po-1',
+    amazonStoreId: 'store-1',
+    purchaseOrderNumber: 'PO1',
+    amazonStore: { id: 'store-1', accountId: 'acc-1' },
+    items: [],
+    data: {
+      orderDetails: {
+        sellingParty: { partyId: 'VENDOR' },
+        shipToParty: { partyId: 'FC1' },
+        items: items ?? [
+          {
+            itemSequenceNumber: '1',
+            vendorProductIdentifier: 'SKU-A',
+            orderedQuantity: { amount: 10, unitOfMeasure: 'Eaches', unitSize: 1 },
+            netCost: { currencyCode: 'USD', amount: '19.99' }
+          },
+          {
+            itemSequenceNumber: '2',
+            vendorProductIdentifier: 'SKU-B',
+            orderedQuantity: { amount: 4, unitOfMeasure: 'Cases', unitSize: 6 },
+            netCost: { currencyCode: 'USD', amount: '0.1' }
+          }
+        ]
+      }
+    }
+  };
+}
+
+function assertInvoiceError(statusCode, pattern) {
+  return (e) => e instanceof InvoiceError && e.statusCode === statusCode && pattern.test(e.message);
+}
+
+before(() => {
+  saved = Object.fromEntries(DELEGATES.map((name) => [name, prisma[name]]));
+  amazonService.getClient = () => ({ callAPI: async (request) => callApi(request) });
+  prisma.amazonVcShipmentConfirmation = {
+    findMany: async () => (shipped ? [{ purchaseOrderId: 'po-1', shipmentIdentifier: 'PO1-1', items: shipped }] : [])
+  };
+  prisma.amazonVcPoAcknowledgement = {
+    findFirst: async () => (accepted ? { items: accepted } : null)
+  };
+  prisma.amazonVcInvoiceItem = {
+    findMany: async () => invoicedItems
+  };
+  prisma.amazonVcInvoice = {
+    findFirst: async ({ where }) => {
+      const invoice = invoices.find((i) => i.id === where.id);
+      return invoice ? { ...invoice } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      const hit = invoices.filter((i) => i.id === where.id && (where.status?.in ?? [where.status]).includes(i.status));
+      hit.forEach((i) => Object.assign(i, data));
+      return { count: hit.length };
+    },
+    update: async ({ where, data }) => ({ ...Object.assign(invoices.find((i) => i.id === where.id), data) })
+  };
+});
+
+beforeEach(() => {
+  shipped = [{ itemSequenceNumber: '1', shippedQuantity: 3 }, { itemSequenceNumber: '2', shippedQuantity: 1 }];
+  accepted = null;
+  invoicedItems = [];
+  invoices = [];
+  callApi = async () => ({ transactionId: 'tx-1' });
+});
+
+after(() => {
+  for (const name of DELEGATES) prisma[name] = saved[name];
+  delete amazonService.getClient;
+});
+
+test('buildInvoice 按已确认发货生成，金额按定点计算（件数 × netCost）', async () => {
+  const built = await amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV1', invoiceDate: '2026-01-02T00:00:00Z' });
+
+  assert.equal(built.basis, 'shipped');
+  assert.equal(built.currencyCode, 'USD');
+  // 19.99 × 3 + 0.1 × 6（1 箱 × 6 件），浮点相乘会得到 59.96999999999999 / 0.6000000000000001
+  assert.deepEqual(built.items.map((i) => [i.itemSequenceNumber, i.invoicedQuantity, i.unitSize, i.amount]), [['1', 3, 1, 59.97], ['2', 1, 6, 0.6]]);
+  assert.equal(built.totalAmount, 60.57);
+  assert.deepEqual(built.payload.invoiceTotal, { currencyCode: 'USD', amount: '60.57' });
+  assert.equal(built.payload.remitToParty.partyId, 'VENDOR');
+  assert.equal(built.payload.shipToParty.partyId, 'FC1');
+  assert.deepEqual(built.payload.items[1].invoicedQuantity, { amount: 1, unitOfMeasure: 'Cases', unitSize: 6 });
+  assert.equal(built.payload.items[1].netCost.amount, '0.1');
+});
+
+test('buildInvoice 扣除已开票数量，累计开票不能超过 basis 数量', async () => {
+  invoicedItems = [{ itemSequenceNumber: '1', invoicedQuantity: 2 }];
+  const rest = await amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV2' });
+  assert.deepEqual(rest.items.map((i) => [i.itemSequenceNumber, i.invoicedQuantity]), [['1', 1], ['2', 1]]);
+
+  await assert.rejects(
+    amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV2', items: [{ itemSequenceNumber: 1, invoicedQuantity: 2 }] }),
+    assertInvoiceError(400, /行 1 累计开票 4 超过已确认发货数量 3（此前已开票 2）/)
+  );
+
+  // basis=accepted 以已接受数量为上限
+  accepted = [{ itemSequenceNumber: '1', acceptedQuantity: 8 }];
+  const byAccepted = await amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV2', basis: 'accepted' });
+  assert.deepEqual(byAccepted.items.map((i) => [i.itemSequenceNumber, i.invoicedQuantity]), [['1', 6]]);
+
+  invoicedItems = [{ itemSequenceNumber: '1', invoicedQuantity: 3 }, { itemSequenceNumber: '2', invoicedQuantity: 1 }];
+  await assert.rejects(amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV3' }), assertInvoiceError(409, /无可开票数量/));
+
+  shipped = null;
+  await assert.rejects(amazonVcInvoiceService.buildInvoice(makePo(), { invoiceNumber: 'PO1-INV3' }), assertInvoiceError(400, /无已确认发货/));
+  await assert.rejects(amazonVcInvoiceService.buildInvoice(makePo(), { basis: 'received' }), assertInvoiceError(400, /basis 须为/));
+});
+
+test('buildInvoice 各行币种须一致，缺少 netCost 时报错', async () => {
+  const po = makePo();
+  po.data.orderDetails.items[1].netCost = { currencyCode: 'EUR', amount: '0.1' };
+  await assert.rejects(amazonVcInvoiceService.buildInvoice(po, { invoiceNumber: 'X' }), assertInvoiceError(400, /币种不一致: USD, EUR/));
+
+  delete po.data.orderDetails.items[1].netCost;
+  await assert.rejects(amazonVcInvoiceService.buildInvoice(po, { invoiceNumber: 'X' }), assertInvoiceError(400, /PO 行 2 缺少 netCost/));
+});
+
+test('buildInvoice CreditNote 须指定 items，不受 basis 上限限制', async () => {
+  await assert.rejects(
+    amazonVcInvoiceService.buildInvoice(makePo(), { invoiceType: 'CreditNote' }),
+    assertInvoiceError(400, /CreditNote 须指定 items/)
+  );
+  invoicedItems = [{ itemSequenceNumber: '1', invoicedQuantity: 3 }];
+  const credit = await amazonVcInvoiceService.buildInvoice(makePo(), {
+    invoiceNumber: 'PO1-CN1',
+    invoiceType: 'CreditNote',
+    referenceNumber: 'PO1-INV1',
+    items: [{ vendorProductIdentifier: 'SKU-A', invoicedQuantity: 5 }]
+  });
+  assert.equal(credit.basis, 'manual');
+  assert.equal(credit.payload.invoiceType, 'CreditNote');
+  assert.equal(credit.payload.referenceNumber, 'PO1-INV1');
+  assert.equal(credit.totalAmount, 99.95);
+});
+
+test('提交结果未知的发票记为 unconfirmed，核实后 release', async () => {
+  invoices.push({
+    id: 'inv-1',
+    invoiceNumber: 'PO1-INV1',
+    invoiceType: 'Invoice',
+    basis: 'shipped',
+    status: 'draft',
+    errors: null,
+    payload: { id: 'PO1-INV1' },
+    purchaseOrder: makePo(),
+    items: [{ itemSequenceNumber: '1', invoicedQuantity: 3 }]
+  });
+  callApi = async () => ({});
+  const submitted = await amazonVcInvoiceService.submitInvoice('inv-1', { actor: 'ops' });
+  assert.equal(submitted.status, 'unconfirmed');
+  assert.equal(submitted.errors[0].code, 'MissingTransactionId');
+  await assert.rejects(amazonVcInvoiceService.submitInvoice('inv-1'), assertInvoiceError(409, /unconfirmed，不能提交/));
+
+  const released = await amazonVcInvoiceService.releaseInvoice('inv-1', { outcome: 'notReceived' }, { actor: 'ops' });
+  assert.equal(released.status, 'error');
+  assert.equal(released.errors.at(-1).code, 'ReleasedByOperator');
+
+  callApi = async () => { throw Object.assign(new Error('Invalid invoice'), { code: 'InvalidInput' }); };
+  const rejected = await amazonVcInvoiceService.submitInvoice('inv-1');
+  assert.equal(rejected.status, 'error');
+  assert.equal(rejected.errors[0].code, 'InvalidInput');
+});
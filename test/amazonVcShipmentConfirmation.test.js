@@ -0,0 +1,148 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import amazonService from '../src/services/amazon/amazonService.js';
+import amazonVcShipmentConfirmationService, { ShipmentConfirmationError } from '../src/services/amazon/amazonVcShipmentConfirmationService.js';
+
+const DELEGATES = ['amazonVcShipmentConfirmation', 'amazonVcPoAcknowledgement'];
+
+let saved;
+/** 库中的货件确认（按创建时间升序） */
+let confirmations;
+/** 测试中写入的数据 */
+let writes;
+/** SP-API submitShipmentConfirmations 的行为 */
+let callApi;
+
+const PO = {
+  id: 'po-1',
+  amazonStoreId: 'store-1',
+  purchaseOrderNumber: 'PO1',
+  amazonStore: { id: 'store-1', accountId: 'acc-1' },
+  items: [],
+  data: {
+    orderDetails: {
+      items: [{ itemSequenceNumber: '1', vendorProductIdentifier: 'SKU-A', orderedQuantity: { amount: 10, unitOfMeasure: 'Eaches', unitSize: 1 } }]
+    }
+  }
+};
+
+function addConfirmation(id, status, shippedQuantity, overrides = {}) {
+  const confirmation = {
+    id,
+    amazonStoreId: 'store-1',
+    purchaseOrderId: PO.id,
+    purchaseOrderNumber: PO.purchaseOrderNumber,
+    purchaseOrder: PO,
+    shipmentIdentifier: 'PO1-S1',
+    confirmationType: 'Original',
+    status,
+    errors: null,
+    payload: { shipmentIdentifier: 'PO1-S1' },
+    createdAt: new Date(Date.UTC(2026, 0, confirmations.length + 1)),
+    items: [{ itemSequenceNumber: '1', shippedQuantity }],
+    ...overrides
+  };
+  confirmations.push(confirmation);
+  return confirmation;
+}
+
+function matches(record, where) {
+  if (where.id && (typeof where.id === 'string' ? record.id !== where.id : record.id === where.id.not)) return false;
+  if (where.purchaseOrderId && !where.purchaseOrderId.in.includes(record.purchaseOrderId)) return false;
+  if (where.shipmentIdentifier && record.shipmentIdentifier !== where.shipmentIdentifier) return false;
+  if (where.status) {
+    const statuses = typeof where.status === 'string' ? [where.status] : where.status.in;
+    if (!statuses.includes(record.status)) return false;
+  }
+  return true;
+}
+
+before(() => {
+  saved = Object.fromEntries(DELEGATES.map((name) => [name, prisma[name]]));
+  amazonService.getClient = () => ({ callAPI: async (request) => callApi(request) });
+  prisma.amazonVcPoAcknowledgement = {
+    findFirst: async () => ({ items: [{ itemSequenceNumber: '1', acceptedQuantity: 10 }] })
+  };
+  prisma.amazonVcShipmentConfirmation = {
+    findFirst: async ({ where }) => {
+      const confirmation = confirmations.find((c) => matches(c, where));
+      return confirmation ? { ...confirmation } : null;
+    },
+    findMany: async ({ where }) => [...confirmations].reverse().filter((c) => matches(c, where)),
+    updateMany: async ({ where, data }) => {
+      const hit = confirmations.filter((c) => matches(c, where));
+      hit.forEach((c) => Object.assign(c, data));
+      return { count: hit.length };
+    },
+    update: async ({ where, data }) => {
+      const confirmation = confirmations.find((c) => c.id === where.id);
+      writes.push(data);
+      return { ...Object.assign(confirmation, data) };
+    }
+  };
+});
+
+beforeEach(() => {
+  confirmations = [];
+  writes = [];
+  callApi = async () => ({ transactionId: 'tx-1' });
+});
+
+after(() => {
+  for (const name of DELEGATES) prisma[name] = saved[name];
+  delete amazonService.getClient;
+});
+
+test('累计发货只计同号货件的最新一次确认，Replace 提交后不再重复计入原确认', async () => {
+  addConfirmation('asn-1', 'success', 6);
+  addConfirmation('asn-2', 'submitted', 8, { confirmationType: 'Replace' });
+  addConfirmation('asn-3', 'unconfirmed', 2, { shipmentIdentifier: 'PO1-S2' });
+  addConfirmation('asn-4', 'error', 5, { shipmentIdentifier: 'PO1-S3' });
+
+  const shipped = await amazonVcShipmentConfirmationService.getShippedQuantities(PO.id);
+  assert.deepEqual([...shipped], [['1', 10]]);
+});
+
+test('提交结果未知记为 unconfirmed 并照常计入累计发货，明确拒绝记为 error', async () => {
+  addConfirmation('asn-1', 'unconfirmed', 6);
+  addConfirmation('asn-2', 'draft', 5, { shipmentIdentifier: 'PO1-S2' });
+  // unconfirmed 的 6 件仍计入，再发 5 件超过已接受的 10 件
+  await assert.rejects(
+    amazonVcShipmentConfirmationService.submitShipmentConfirmation('asn-2'),
+    (e) => e instanceof ShipmentConfirmationError && e.statusCode === 400 && /累计发货 11 超过已接受数量 10/.test(e.message)
+  );
+  assert.equal(confirmations[1].status, 'draft');
+
+  confirmations[1].items[0].shippedQuantity = 4;
+  callApi = async () => { throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }); };
+  const unconfirmed = await amazonVcShipmentConfirmationService.submitShipmentConfirmation('asn-2', { actor: 'ops' });
+  assert.equal(unconfirmed.status, 'unconfirmed');
+  assert.equal(unconfirmed.errors[0].code, 'ECONNRESET');
+  assert.equal(unconfirmed.submittedBy, 'ops');
+
+  confirmations[1].status = 'error';
+  callApi = async () => { throw Object.assign(new Error('Invalid carton'), { code: 'InvalidInput' }); };
+  const rejected = await amazonVcShipmentConfirmationService.submitShipmentConfirmation('asn-2');
+  assert.equal(rejected.status, 'error');
+  assert.equal(writes.at(-1).submittedAt, undefined);
+});
+
+test('release 只处理 unconfirmed，Replace 核实为已收到时原确认标记为 replaced', async () => {
+  addConfirmation('asn-1', 'success', 6);
+  addConfirmation('asn-2', 'unconfirmed', 8, { confirmationType: 'Replace' });
+
+  await assert.rejects(
+    amazonVcShipmentConfirmationService.releaseShipmentConfirmation('asn-2', { outcome: 'maybe' }),
+    (e) => e instanceof ShipmentConfirmationError && e.statusCode === 400
+  );
+  await assert.rejects(
+    amazonVcShipmentConfirmationService.releaseShipmentConfirmation('asn-1', { outcome: 'received' }),
+    (e) => e instanceof ShipmentConfirmationError && e.statusCode === 409
+  );
+
+  await amazonVcShipmentConfirmationService.releaseShipmentConfirmation('asn-2', { outcome: 'received', note: 'VC 已显示' }, { actor: 'ops' });
+  assert.deepEqual(confirmations.map((c) => c.status), ['replaced', 'success']);
+  assert.equal(confirmations[1].errors.at(-1).code, 'ReleasedByOperator');
+  assert.match(confirmations[1].errors.at(-1).message, /ops .*已收到：VC 已显示/);
+});
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Fastify from 'fastify';
+import prisma from '../src/config/database.js';
+import authRoutes, { registerAuth } from '../src/routes/authRoutes.js';
+import { hashApiKey } from '../src/services/authService.js';
+
+const ENV_KEYS = ['AUTH_ENABLED', 'AUTH_JWT_SECRET', 'AUTH_ADMIN_API_KEY'];
+const SECRET = 'test-jwt-secret';
+const OPERATOR_KEY = 'gdh_operator-key';
+const READER_KEY = 'gdh_reader-key';
+
+let fastify;
+let savedEnv;
+let savedApiKey;
+const createdKeys = [];
+
+function signJwt(payload) {
+  const unsigned = [{ alg: 'HS256', typ: 'JWT' }, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+}
+
+function call(method, url, { key, token, payload } = {}) {
+  const headers = {};
+  if (key) headers['x-api-key'] = key;
+  if (token) headers.authorization = `Bearer ${token}`;
+  return fastify.inject({ method, url, headers, payload });
+}
+
+before(async () => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.AUTH_JWT_SECRET = SECRET;
+
+  const rows = new Map([
+    [hashApiKey(OPERATOR_KEY), { id: 'op', name: 'operator', role: 'operator', accountIds: [], isActive: true, expiresAt: null }],
+    [hashApiKey(READER_KEY), { id: 'rd', name: 'reader', role: 'reader', accountIds: [], isActive: true, expiresAt: null }]
+  ]);
+  savedApiKey = prisma.apiKey;
+  prisma.apiKey = {
+    findUnique: async ({ where }) => rows.get(where.keyHash) ?? null,
+    findMany: async () => [],
+    update: async () => ({}),
+    create: async ({ data }) => {
+      createdKeys.push(data);
+      return { id: 'new', name: data.name, role: data.role, accountIds: data.accountIds };
+    }
+  };
+
+  fastify = Fastify({ logger: false });
+  registerAuth(fastify);
+  await fastify.register(authRoutes, { prefix: '/api/auth' });
+  await fastify.register(async (instance) => {
+    instance.post('/state/reset', async () => ({ success: true }));
+    instance.post('/rate-limits/reset', async () => ({ success: true }));
+    instance.get('/runs/:id', {
+      config: { auth: { resourceAccountIds: async (request) => (request.params.id === 'missing' ? undefined : [request.params.id.split('-')[0]]) } }
+    }, async (request) => ({ success: true, id: request.params.id }));
+  }, { prefix: '/api/lingxing/sync' });
+});
+
+after(async () => {
+  await fastify.close();
+  prisma.apiKey = savedApiKey;
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+test('缺少凭证返回 401，reader 不能调用写操作', async () => {
+  assert.equal((await call('POST', '/api/lingxing/sync/runs/1-a')).statusCode, 401);
+  assert.equal((await call('GET', '/api/auth/keys', { token: 'a.b.c' })).statusCode, 401);
+  assert.equal((await call('GET', '/api/auth/me', { key: READER_KEY })).statusCode, 200);
+  assert.equal((await call('GET', '/api/auth/keys', { key: READER_KEY })).statusCode, 403);
+});
+
+test('operator 不能调用 admin 路由，含百分号编码的路径', async () => {
+  for (const url of ['/api/auth/keys', '/api/%61uth/keys', '/api/auth/%6Beys']) {
+    const res = await call('POST', url, { key: OPERATOR_KEY, payload: { name: 'x', role: 'admin' } });
+    assert.equal(res.statusCode, 403, url);
+  }
+  assert.equal((await call('GET', '/api/%61uth/keys', { key: OPERATOR_KEY })).statusCode, 403);
+  assert.equal((await call('DELETE', '/api/auth/keys/%6Eew', { key: OPERATOR_KEY })).statusCode, 403);
+  for (const url of ['/api/lingxing/sync/state/reset', '/api/lingxing/sync/st%61te/reset', '/api/lingxing/sync/rate-limits/r%65set']) {
+    assert.equal((await call('POST', url, { key: OPERATOR_KEY })).statusCode, 403, url);
+  }
+  assert.equal(createdKeys.length, 0);
+});
+
+test('末尾斜杠与未匹配的路径仍按规范化后的路径要求 admin', async () => {
+  assert.equal((await call('POST', '/api/auth/keys/', { key: OPERATOR_KEY })).statusCode, 403);
+  assert.equal((await call('POST', '/api/lingxing/sync/state/reset/', { key: OPERATOR_KEY })).statusCode, 403);
+  assert.equal((await call('GET', '/api/%61ccounts/', { key: READER_KEY })).statusCode, 403);
+});
+
+test('admin 可调用 admin 路由', async () => {
+  const admin = signJwt({ sub: 'ops', role: 'admin' });
+  const res = await call('POST', '/api/%61uth/keys', { token: admin, payload: { name: 'ci', role: 'reader' } });
+  assert.equal(res.statusCode, 201);
+  assert.equal(createdKeys.at(-1).createdBy, 'ops');
+  assert.equal((await call('POST', '/api/lingxing/sync/state/reset', { token: admin })).statusCode, 200);
+});
+
+test('限定账户的凭证不能访问不属于它的资源', async () => {
+  const scoped = signJwt({ sub: 'acct-1', role: 'reader', accounts: ['1'] });
+  assert.equal((await call('GET', '/api/lingxing/sync/runs/1-a', { token: scoped })).statusCode, 200);
+  const denied = await call('GET', '/api/lingxing/sync/runs/2-a', { token: scoped });
+  assert.equal(denied.statusCode, 403);
+  assert.match(denied.json().message, /2/);
+  // 资源不存在时交由处理函数
+  assert.equal((await call('GET', '/api/lingxing/sync/runs/missing', { token: scoped })).statusCode, 200);
+  // 不带 accountId 的请求拒绝
+  assert.equal((await call('GET', '/api/auth/keys', { token: signJwt({ role: 'admin', accounts: ['1'] }) })).statusCode, 403);
+});
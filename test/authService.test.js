@@ -0,0 +1,226 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import prisma from '../src/config/database.js';
+import {
+  AuthError,
+  hasRole,
+  hashApiKey,
+  normalizeRequestPath,
+  getRequiredRole,
+  verifyJwt,
+  verifyApiKey,
+  assertAccountScope,
+  assertResourceAccountScope,
+  revokeApiKey
+} from '../src/services/authService.js';
+
+const ENV_KEYS = ['AUTH_JWT_SECRET', 'AUTH_JWT_ISSUER', 'AUTH_JWT_AUDIENCE', 'AUTH_ADMIN_API_KEY'];
+const SECRET = 'test-jwt-secret';
+
+let savedEnv;
+let savedApiKey;
+/** keyHash -> api_keys 行 */
+const apiKeyRows = new Map();
+let findUniqueCalls = 0;
+
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signJwt(payload, { header = { alg: 'HS256', typ: 'JWT' }, secret = SECRET } = {}) {
+  const unsigned = `${base64Url(header)}.${base64Url(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function assertAuthError(fn, statusCode, pattern) {
+  assert.throws(fn, (err) => err instanceof AuthError && err.statusCode === statusCode && pattern.test(err.message));
+}
+
+async function assertAuthRejects(promise, statusCode, pattern) {
+  await assert.rejects(promise, (err) => err instanceof AuthError && err.statusCode === statusCode && pattern.test(err.message));
+}
+
+before(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.AUTH_JWT_SECRET = SECRET;
+  process.env.AUTH_ADMIN_API_KEY = 'bootstrap-admin-key';
+
+  savedApiKey = prisma.apiKey;
+  prisma.apiKey = {
+    findUnique: async ({ where }) => {
+      findUniqueCalls += 1;
+      return apiKeyRows.get(where.keyHash) ?? null;
+    },
+    update: async () => ({}),
+    updateMany: async ({ where }) => {
+      const row = [...apiKeyRows.values()].find((r) => r.id === where.id && r.isActive);
+      if (row) row.isActive = false;
+      return { count: row ? 1 : 0 };
+    }
+  };
+});
+
+after(() => {
+  prisma.apiKey = savedApiKey;
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+test('verifyJwt 接受有效的 HS256 签名并返回 principal', () => {
+  const principal = verifyJwt(signJwt({ sub: 'ci', role: 'operator', accounts: [1, '2'], exp: Math.floor(Date.now() / 1000) + 60 }));
+  assert.deepEqual(principal, { type: 'jwt', id: 'ci', name: 'ci', role: 'operator', accountIds: ['1', '2'] });
+});
+
+test('verifyJwt 拒绝错误、缺失或被篡改的签名', () => {
+  const payload = { sub: 'ci', role: 'reader' };
+  assertAuthError(() => verifyJwt(signJwt(payload, { secret: 'other-secret' })), 401, /签名无效/);
+
+  const [headerPart, payloadPart] = signJwt(payload).split('.');
+  assertAuthError(() => verifyJwt(`${headerPart}.${payloadPart}.`), 401, /签名无效/);
+
+  // 签名有效但 payload 被替换为 admin
+  const signature = signJwt(payload).split('.')[2];
+  assertAuthError(() => verifyJwt(`${headerPart}.${base64Url({ sub: 'ci', role: 'admin' })}.${signature}`), 401, /签名无效/);
+
+  assertAuthError(() => verifyJwt('not.a.jwt'), 401, /格式错误/);
+});
+
+test('verifyJwt 只接受 HS256', () => {
+  const payload = { sub: 'ci', role: 'admin' };
+  assertAuthError(() => verifyJwt(`${base64Url({ alg: 'none' })}.${base64Url(payload)}.`), 401, /不支持的 JWT 算法: none/);
+  assertAuthError(() => verifyJwt(signJwt(payload, { header: { alg: 'HS512' } })), 401, /不支持的 JWT 算法: HS512/);
+  assertAuthError(() => verifyJwt(signJwt(payload, { header: { typ: 'JWT' } })), 401, /不支持的 JWT 算法/);
+});
+
+test('verifyJwt 校验 exp / nbf', () => {
+  const now = Math.floor(Date.now() / 1000);
+  assertAuthError(() => verifyJwt(signJwt({ role: 'reader', exp: now - 1 })), 401, /已过期/);
+  assertAuthError(() => verifyJwt(signJwt({ role: 'reader', exp: now })), 401, /已过期/);
+  assertAuthError(() => verifyJwt(signJwt({ role: 'reader', nbf: now + 60 })), 401, /尚未生效/);
+  assert.equal(verifyJwt(signJwt({ role: 'reader', nbf: now - 1, exp: now + 60 })).role, 'reader');
+});
+
+test('verifyJwt 拒绝未知或缺失的 role', () => {
+  assertAuthError(() => verifyJwt(signJwt({ sub: 'ci', role: 'superuser' })), 403, /role/);
+  assertAuthError(() => verifyJwt(signJwt({ sub: 'ci' })), 403, /role/);
+});
+
+test('verifyJwt 拒绝 null payload', () => {
+  assertAuthError(() => verifyJwt(`${base64Url({ alg: 'HS256' })}.${base64Url('null')}.x`), 401, /格式错误/);
+});
+
+test('verifyJwt 校验 iss / aud', () => {
+  process.env.AUTH_JWT_ISSUER = 'gwo';
+  process.env.AUTH_JWT_AUDIENCE = 'data-hub';
+  try {
+    assertAuthError(() => verifyJwt(signJwt({ role: 'reader', iss: 'other', aud: 'data-hub' })), 401, /iss/);
+    assertAuthError(() => verifyJwt(signJwt({ role: 'reader', iss: 'gwo', aud: ['other'] })), 401, /aud/);
+    assert.equal(verifyJwt(signJwt({ role: 'reader', iss: 'gwo', aud: ['other', 'data-hub'] })).role, 'reader');
+  } finally {
+    delete process.env.AUTH_JWT_ISSUER;
+    delete process.env.AUTH_JWT_AUDIENCE;
+  }
+});
+
+test('hasRole 按 reader < operator < admin 判断，未知角色无任何权限', () => {
+  assert.equal(hasRole('admin', 'operator'), true);
+  assert.equal(hasRole('operator', 'operator'), true);
+  assert.equal(hasRole('operator', 'admin'), false);
+  assert.equal(hasRole('reader', 'operator'), false);
+  assert.equal(hasRole('superuser', 'reader'), false);
+  assert.equal(hasRole(undefined, 'reader'), false);
+  assert.equal(hasRole(undefined, 'public'), true);
+});
+
+test('getRequiredRole 角色矩阵', () => {
+  assert.equal(getRequiredRole('GET', '/health'), 'public');
+  assert.equal(getRequiredRole('OPTIONS', '/api/auth/keys'), 'public');
+  assert.equal(getRequiredRole('GET', '/api/lingxing/sync/state'), 'reader');
+  assert.equal(getRequiredRole('POST', '/api/lingxing/sync/run'), 'operator');
+  assert.equal(getRequiredRole('GET', '/api/auth/keys'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/accounts/lingxing'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/audit'), 'admin');
+  assert.equal(getRequiredRole('PUT', '/api/jobs/definitions/:jobName'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/jobs/definitions'), 'reader');
+  assert.equal(getRequiredRole('PUT', '/api/lingxing/sync/state/:taskType'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/lingxing/sync/state/reset'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/lingxing/sync/rate-limits/reset'), 'admin');
+  // 路由 config.auth 优先
+  assert.equal(getRequiredRole('GET', '/api/auth/me', { role: 'reader' }), 'reader');
+  assert.equal(getRequiredRole('GET', '/api/amazon/callback', 'public'), 'public');
+  assert.equal(getRequiredRole('GET', '/api/anything', 'admin'), 'admin');
+});
+
+test('getRequiredRole 对编码、末尾斜杠与重复斜杠的路径按解码后的路径匹配', () => {
+  assert.equal(getRequiredRole('GET', '/api/%61uth/keys'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/%61uth/keys'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/lingxing/sync/st%61te/reset'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/lingxing/sync/rate-limits%2Freset'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/audit/'), 'admin');
+  assert.equal(getRequiredRole('GET', '//api//accounts/lingxing?x=1'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/auth;x=1/keys'), 'admin');
+});
+
+test('normalizeRequestPath', () => {
+  assert.equal(normalizeRequestPath('/api/%61uth/keys?page=1'), '/api/auth/keys');
+  assert.equal(normalizeRequestPath('/api/audit/'), '/api/audit');
+  assert.equal(normalizeRequestPath('/'), '/');
+  assert.equal(normalizeRequestPath('/api//x///y/'), '/api/x/y');
+  assert.equal(normalizeRequestPath('/api/%E0%A4%A'), '/api/%E0%A4%A');
+});
+
+test('verifyApiKey 按 sha256 查询，缓存结果并在吊销后失效', async () => {
+  const key = 'gdh_cache-test';
+  assert.equal(hashApiKey(key), crypto.createHash('sha256').update(key).digest('hex'));
+  apiKeyRows.set(hashApiKey(key), { id: 'k1', name: 'ci', role: 'operator', accountIds: ['7'], isActive: true, expiresAt: null });
+
+  const calls = findUniqueCalls;
+  const principal = await verifyApiKey(key);
+  assert.deepEqual(
+    { type: principal.type, id: principal.id, role: principal.role, accountIds: principal.accountIds },
+    { type: 'apiKey', id: 'k1', role: 'operator', accountIds: ['7'] }
+  );
+  await verifyApiKey(key);
+  assert.equal(findUniqueCalls, calls + 1);
+
+  assert.equal(await revokeApiKey('k1'), true);
+  await assertAuthRejects(verifyApiKey(key), 401, /无效或已吊销/);
+  assert.equal(findUniqueCalls, calls + 2);
+});
+
+test('verifyApiKey 拒绝未知、已停用与已过期的密钥', async () => {
+  await assertAuthRejects(verifyApiKey('gdh_unknown'), 401, /无效或已吊销/);
+  apiKeyRows.set(hashApiKey('gdh_inactive'), { id: 'k2', name: 'old', role: 'admin', accountIds: [], isActive: false, expiresAt: null });
+  await assertAuthRejects(verifyApiKey('gdh_inactive'), 401, /无效或已吊销/);
+  apiKeyRows.set(hashApiKey('gdh_expired'), { id: 'k3', name: 'exp', role: 'admin', accountIds: [], isActive: true, expiresAt: new Date(Date.now() - 1000) });
+  await assertAuthRejects(verifyApiKey('gdh_expired'), 401, /已过期/);
+});
+
+test('verifyApiKey 识别引导管理员密钥', async () => {
+  const principal = await verifyApiKey('bootstrap-admin-key');
+  assert.equal(principal.role, 'admin');
+  assert.equal(principal.accountIds, null);
+});
+
+test('assertAccountScope 校验请求中的 accountId', () => {
+  const scoped = { role: 'operator', accountIds: ['1'] };
+  assert.doesNotThrow(() => assertAccountScope(scoped, { params: { accountId: '1' } }));
+  assert.doesNotThrow(() => assertAccountScope({ role: 'admin', accountIds: null }, {}));
+  assertAuthError(() => assertAccountScope(scoped, { query: {} }), 403, /提供 accountId/);
+  assertAuthError(() => assertAccountScope(scoped, { query: { accountId: '2' } }), 403, /2/);
+  assertAuthError(() => assertAccountScope(scoped, { params: { accountId: '1' }, body: { accountIds: ['1', '3'] } }), 403, /3/);
+});
+
+test('assertResourceAccountScope 按资源所属账户校验', () => {
+  const scoped = { role: 'reader', accountIds: ['1'] };
+  assert.doesNotThrow(() => assertResourceAccountScope(scoped, ['1']));
+  assert.doesNotThrow(() => assertResourceAccountScope(scoped, undefined));
+  assert.doesNotThrow(() => assertResourceAccountScope({ role: 'reader', accountIds: null }, null));
+  assertAuthError(() => assertResourceAccountScope(scoped, ['1', '2']), 403, /2/);
+  assertAuthError(() => assertResourceAccountScope(scoped, null), 403, /不限定领星账户/);
+});
@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import lingXingUnifiedSyncService from '../src/services/lingxing/sync/lingXingUnifiedSyncService.js';
+
+const ACCOUNTS = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+const TASK_TYPES = ['listings', 'sellerLists', 'adsInvoiceFull', 'vcSellers', 'vcListings'];
+
+/**
+ * 替换实例上的账户查询与单任务执行，记录每个任务收到的选项
+ * @param {Object<string, (options: Object) => Object>} outcomes - taskType -> 返回按账户结果数组，或抛错
+ */
+function stubService(method, outcomes) {
+  const calls = new Map();
+  lingXingUnifiedSyncService.getActiveAccounts = async () => ACCOUNTS;
+  lingXingUnifiedSyncService[method] = async (taskType, options) => {
+    calls.set(taskType, options);
+    const results = outcomes[taskType]
+      ? outcomes[taskType](options)
+      : ACCOUNTS.filter((a) => !(options.excludeAccountIds || []).includes(a.id)).map((a) => ({ accountId: a.id, success: true }));
+    const successCount = results.filter((r) => r.success).length;
+    return { taskType, results, summary: { successCount, failCount: results.length - successCount } };
+  };
+  return calls;
+}
+
+afterEach(() => {
+  delete lingXingUnifiedSyncService.getActiveAccounts;
+  delete lingXingUnifiedSyncService.runFullSyncByTaskType;
+  delete lingXingUnifiedSyncService.runIncrementalSyncByTaskType;
+});
+
+test('runAllFullSync 前置任务异常时跳过后置任务，其它任务照常执行', async () => {
+  const calls = stubService('runFullSyncByTaskType', {
+    sellerLists: () => { throw new Error('token expired'); }
+  });
+  const { taskResults, summary } = await lingXingUnifiedSyncService.runAllFullSync({}, TASK_TYPES);
+
+  assert.deepEqual([...calls.keys()], ['sellerLists', 'vcSellers', 'vcListings']);
+  const byType = Object.fromEntries(taskResults.map((r) => [r.taskType, r]));
+  assert.equal(byType.listings.skipped, true);
+  assert.match(byType.listings.summary.skipReason, /sellerLists/);
+  assert.equal(byType.adsInvoiceFull.skipped, true);
+  assert.equal(byType.vcListings.skipped, undefined);
+  assert.equal(summary.skippedTaskCount, 2);
+  assert.equal(summary.taskCount, 5);
+});
+
+test('runAllFullSync 前置任务全部账户失败时跳过后置任务', async () => {
+  const calls = stubService('runFullSyncByTaskType', {
+    vcSellers: () => ACCOUNTS.map((a) => ({ accountId: a.id, success: false, error: 'x' }))
+  });
+  const { taskResults } = await lingXingUnifiedSyncService.runAllFullSync({}, ['vcSellers', 'vcListings']);
+  assert.deepEqual([...calls.keys()], ['vcSellers']);
+  assert.equal(taskResults[1].skipped, true);
+});
+
+test('runAllFullSync 前置任务部分账户失败时后置任务排除这些账户', async () => {
+  const calls = stubService('runFullSyncByTaskType', {
+    sellerLists: () => [{ accountId: 'a', success: true }, { accountId: 'b', success: false, error: 'x' }]
+  });
+  const { taskResults } = await lingXingUnifiedSyncService.runAllFullSync({ excludeAccountIds: ['c'] }, TASK_TYPES);
+
+  assert.deepEqual(calls.get('listings').excludeAccountIds, ['c', 'b']);
+  assert.deepEqual(calls.get('adsInvoiceFull').excludeAccountIds, ['c', 'b']);
+  assert.deepEqual(calls.get('vcSellers').excludeAccountIds, ['c']);
+  assert.deepEqual(taskResults.find((r) => r.taskType === 'listings').results.map((r) => r.accountId), ['a']);
+});
+
+test('runAllIncrementalSync 前置任务不在本次执行列表中时视为已满足', async () => {
+  // vcSellers 只有全量模式，增量运行中不会执行
+  const calls = stubService('runIncrementalSyncByTaskType', {
+    vcOrder: () => { throw new Error('boom'); }
+  });
+  const { taskResults } = await lingXingUnifiedSyncService.runAllIncrementalSync({}, ['vcOrder', 'vcInvoice']);
+  assert.deepEqual([...calls.keys()], ['vcOrder', 'vcInvoice']);
+  assert.equal(calls.get('vcInvoice').excludeAccountIds, undefined);
+  assert.equal(taskResults.some((r) => r.skipped), false);
+});
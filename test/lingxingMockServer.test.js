@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import lingxingMockServer from '../src/mock/lingxingMockServer.js';
+
+let fastify;
+let accessToken;
+
+async function call(path, body) {
+  const res = await fastify.inject({
+    method: 'POST',
+    url: `${path}?app_key=mock-app&access_token=${accessToken}`,
+    payload: body
+  });
+  return res.json();
+}
+
+before(async () => {
+  fastify = Fastify({ logger: false });
+  await fastify.register(lingxingMockServer, { verifySign: false });
+  const res = await fastify.inject({
+    method: 'POST',
+    url: '/api/auth-server/oauth/access-token?appId=mock-app&appSecret=secret'
+  });
+  accessToken = res.json().data.access_token;
+});
+
+after(async () => {
+  await fastify.close();
+});
+
+test('按 offset/length 分页返回生成的 fixture 记录', async () => {
+  const first = await call('/erp/sc/data/mws/orders', { offset: 0, length: 1000 });
+  const second = await call('/erp/sc/data/mws/orders', { offset: 1000, length: 1000 });
+  assert.equal(first.total, 1205);
+  assert.equal(first.data.length, 1000);
+  assert.equal(second.data.length, 205);
+  assert.equal(first.data[0].amazon_order_id, '111-0000001-0000001');
+  assert.equal(second.data[204].amazon_order_id, '111-0001205-0000001');
+  assert.deepEqual([first.data[0].sid, first.data[1].sid], [10001, 10002]);
+});
+
+test('filterBy 按请求参数过滤后再分页', async () => {
+  const listing = await call('/erp/sc/data/mws/listing', { sid: '10002', offset: 1000, length: 1000 });
+  assert.equal(listing.total, 1005);
+  assert.equal(listing.data.length, 5);
+  assert.ok(listing.data.every((row) => row.sid === 10002));
+
+  const details = await call('/erp/sc/data/mws/orderDetail', { order_id: '111-0000002-0000001,111-0000003-0000001' });
+  assert.deepEqual(details.data.map((row) => row.amazon_order_id), ['111-0000002-0000001', '111-0000003-0000001']);
+  assert.equal(details.data[0].item_list[0].seller_sku, 'MSKU-0002');
+});
+
+test('shape=page 按 listKey 返回分页列表', async () => {
+  const res = await call('/bd/profit/statistics/open/msku/list', { offset: 1000, length: 1000 });
+  assert.equal(res.data.total, 1205);
+  assert.equal(res.data.records.length, 205);
+});
+
+test('未配置 fixture 的接口返回空列表', async () => {
+  const res = await call('/erp/sc/data/not/exists', { offset: 0, length: 20 });
+  assert.deepEqual(res.data, []);
+  assert.equal(res.total, 0);
+});
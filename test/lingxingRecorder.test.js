@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LingXingRecorder } from '../src/services/lingxing/lingxingRecorder.js';
+
+const ENV_KEYS = ['LINGXING_RECORD_MODE', 'LINGXING_RECORDING_DIR', 'LINGXING_REPLAY_FROM', 'LINGXING_REPLAY_STRICT'];
+const API_PATH = '/erp/sc/routing/data/order/orderList';
+
+let dir;
+let savedEnv;
+
+function createRecorder(env) {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+  return new LingXingRecorder();
+}
+
+function readRecording() {
+  const [file] = fs.readdirSync(dir).filter((f) => f.endsWith('.jsonl'));
+  return fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+before(async () => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lingxing-recording-'));
+  // 录制两页：第二页带分页 next_token，凭证参数须脱敏
+  const recorder = createRecorder({ LINGXING_RECORD_MODE: 'record', LINGXING_RECORDING_DIR: dir });
+  recorder.record({
+    method: 'post',
+    path: API_PATH,
+    params: { access_token: 'at-1', app_key: 'ak', sign: 'sg', offset: 0, length: 2 },
+    status: 200,
+    response: { code: 0, data: [{ order_id: 'A' }, { order_id: 'B' }], next_token: 'page-2' },
+    durationMs: 12
+  });
+  recorder.record({
+    method: 'post',
+    path: API_PATH,
+    params: { access_token: 'at-2', app_key: 'ak', sign: 'sg', offset: 2, length: 2, next_token: 'page-2' },
+    status: 200,
+    response: { code: 0, data: [{ order_id: 'C' }], next_token: null },
+    durationMs: 8
+  });
+  await recorder.flush();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+test('录制时脱敏凭证参数，保留分页 next_token', () => {
+  const [first, second] = readRecording();
+  assert.equal(first.params.access_token, '***');
+  assert.equal(first.params.app_key, '***');
+  assert.equal(first.params.sign, '***');
+  assert.equal(second.params.next_token, 'page-2');
+  assert.equal(second.params.offset, 2);
+  assert.equal(first.response.next_token, 'page-2');
+});
+
+test('严格回放按参数（含 next_token）匹配录制，不比较凭证', () => {
+  const recorder = createRecorder({ LINGXING_RECORD_MODE: 'replay', LINGXING_REPLAY_FROM: dir, LINGXING_REPLAY_STRICT: 'true' });
+  const page2 = recorder.replay('POST', API_PATH, { access_token: 'other', offset: 2, length: 2, next_token: 'page-2' });
+  assert.deepEqual(page2.response.data, [{ order_id: 'C' }]);
+  const page1 = recorder.replay('POST', API_PATH, { access_token: 'other', offset: 0, length: 2 });
+  assert.deepEqual(page1.response.data.map((row) => row.order_id), ['A', 'B']);
+  assert.throws(() => recorder.replay('POST', API_PATH, { offset: 0, length: 2 }), /回放记录中没有可用的请求/);
+});
+
+test('非严格回放参数不一致时按录制顺序返回同一接口的下一条', () => {
+  const recorder = createRecorder({ LINGXING_RECORD_MODE: 'replay', LINGXING_REPLAY_FROM: dir });
+  const pages = [
+    recorder.replay('POST', API_PATH, { offset: 0, length: 500 }),
+    recorder.replay('POST', API_PATH, { offset: 500, length: 500 })
+  ];
+  assert.deepEqual(pages.map((entry) => entry.response.data.length), [2, 1]);
+  assert.throws(() => recorder.replay('POST', API_PATH, { offset: 1000, length: 500 }), /回放记录中没有可用的请求/);
+});
@@ -0,0 +1,195 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../src/config/database.js';
+import { MemoryRateLimitStore, PostgresRateLimitStore, applyLimitFactor } from '../src/services/lingxing/rateLimitStores.js';
+import rateLimiter from '../src/services/lingxing/rateLimiter.js';
+
+/** 并发上限为 1 的接口 */
+const LIMITED_URL = 'https://openapi.lingxing.com/basicOpen/finance/requestFunds/order/list';
+
+const POLICY = { decreaseFactor: 0.5, minFactor: 0.1, cooldownMs: 10000 };
+
+let saved;
+
+// 单例限流器改用本进程存储，只限并发
+before(() => {
+  saved = { store: rateLimiter.store, defaultRatePerSecond: rateLimiter.defaultRatePerSecond, rateLimitBucket: prisma.rateLimitBucket };
+  rateLimiter.store = rateLimiter.memoryStore;
+  rateLimiter.defaultRatePerSecond = null;
+});
+
+after(() => {
+  rateLimiter.store = saved.store;
+  rateLimiter.defaultRatePerSecond = saved.defaultRatePerSecond;
+  prisma.rateLimitBucket = saved.rateLimitBucket;
+});
+
+/** 把桶的上次补充时间往前拨 ms，模拟时间流逝 */
+function elapse(store, key, ms) {
+  store.buckets.get(key).refilledAt -= ms;
+}
+
+test('MemoryRateLimitStore 按速率补充令牌，最多积累 burst 个', async () => {
+  const store = new MemoryRateLimitStore();
+  const config = { concurrency: 10, ratePerSecond: 2, burst: 2 };
+  const results = [];
+  for (let i = 0; i < 3; i++) {
+    const r = await store.tryAcquire('app:/rate', config);
+    results.push(r.acquired);
+    if (r.acquired) await store.release('app:/rate');
+  }
+  assert.deepEqual(results, [true, true, false]);
+
+  // 令牌为 0，每秒补 2 个：距下一个令牌 500ms
+  const rejected = await store.tryAcquire('app:/rate', config);
+  assert.equal(rejected.acquired, false);
+  assert.ok(rejected.retryAfterMs > 0 && rejected.retryAfterMs <= 500, `retryAfterMs=${rejected.retryAfterMs}`);
+
+  elapse(store, 'app:/rate', 500);
+  assert.equal((await store.tryAcquire('app:/rate', config)).acquired, true);
+  await store.release('app:/rate');
+
+  // 长时间空闲后也只积累到 burst
+  elapse(store, 'app:/rate', 60000);
+  const burst = [];
+  for (let i = 0; i < 3; i++) burst.push((await store.tryAcquire('app:/rate', config)).acquired);
+  assert.deepEqual(burst, [true, true, false]);
+});
+
+test('MemoryRateLimitStore 进行中的请求不超过 concurrency，释放后可再占用', async () => {
+  const store = new MemoryRateLimitStore();
+  const config = { concurrency: 2, ratePerSecond: null, burst: 1 };
+  assert.equal((await store.tryAcquire('app:/c', config)).acquired, true);
+  assert.equal((await store.tryAcquire('app:/c', config)).acquired, true);
+  const full = await store.tryAcquire('app:/c', config);
+  assert.equal(full.acquired, false);
+  assert.equal(full.retryAfterMs, 500);
+
+  await store.release('app:/c');
+  assert.equal((await store.tryAcquire('app:/c', config)).acquired, true);
+
+  // 多余的释放不会让 inFlight 变为负数
+  await store.release('app:/c');
+  await store.release('app:/c');
+  await store.release('app:/c');
+  assert.equal(store.buckets.get('app:/c').inFlight, 0);
+  assert.equal(store.buckets.get('app:/c').requestCount, 3);
+
+  // 不同桶互不影响
+  assert.equal((await store.tryAcquire('other:/c', config)).acquired, true);
+});
+
+test('MemoryRateLimitStore 并发请求同时占用时不超过上限', async () => {
+  const store = new MemoryRateLimitStore();
+  const config = { concurrency: 3, ratePerSecond: null, burst: 1 };
+  const results = await Promise.all(Array.from({ length: 10 }, () => store.tryAcquire('app:/p', config)));
+  assert.equal(results.filter((r) => r.acquired).length, 3);
+});
+
+test('acquireToken 无令牌时等待到超时后返回限流，期间释放则获得令牌', async () => {
+  const first = await rateLimiter.acquireToken('app-wait', LIMITED_URL, { waitTimeoutMs: 0 });
+  assert.equal(first.success, true);
+
+  const immediate = await rateLimiter.acquireToken('app-wait', LIMITED_URL, { waitTimeoutMs: 0 });
+  assert.deepEqual(immediate, { success: false, error: '请求被限流', errorCode: '3001008' });
+
+  const startedAt = Date.now();
+  const timedOut = await rateLimiter.acquireToken('app-wait', LIMITED_URL, { waitTimeoutMs: 250 });
+  const waited = Date.now() - startedAt;
+  assert.equal(timedOut.errorCode, '3001008');
+  assert.ok(waited >= 250 && waited < 1000, `waited=${waited}`);
+
+  const waiting = rateLimiter.acquireToken('app-wait', LIMITED_URL, { waitTimeoutMs: 2000 });
+  setTimeout(() => rateLimiter.releaseToken('app-wait', LIMITED_URL, first.requestId), 150);
+  const second = await waiting;
+  assert.equal(second.success, true);
+  await rateLimiter.releaseToken('app-wait', LIMITED_URL, second.requestId);
+  assert.equal(rateLimiter.leases.size, 0);
+});
+
+test('applyLimitFactor 按系数缩小并发、速率与 burst，下限为 1', () => {
+  const config = { concurrency: 10, ratePerSecond: 4, burst: 5 };
+  const cases = [
+    [1, config],
+    [1.5, config],
+    [0.5, { concurrency: 5, ratePerSecond: 2, burst: 2 }],
+    [0.1, { concurrency: 1, ratePerSecond: 0.4, burst: 1 }],
+    [0.01, { concurrency: 1, ratePerSecond: 0.04, burst: 1 }]
+  ];
+  for (const [factor, expected] of cases) assert.deepEqual(applyLimitFactor(config, factor), expected, `factor=${factor}`);
+  assert.deepEqual(applyLimitFactor({ concurrency: 3, ratePerSecond: null, burst: 1 }, 0.5), { concurrency: 1, ratePerSecond: null, burst: 1 });
+});
+
+test('MemoryRateLimitStore 限流后按系数降低，同一冷却期内只降一次，最低 minFactor', async () => {
+  const store = new MemoryRateLimitStore();
+  const config = { concurrency: 4, ratePerSecond: null, burst: 1 };
+  await store.tryAcquire('app:/t', config);
+  assert.equal(await store.recordThrottle('unknown:/t', POLICY), null);
+
+  assert.equal(await store.recordThrottle('app:/t', POLICY), 0.5);
+  // 同一波限流的其它请求不再降低，但计入限流次数
+  assert.equal(await store.recordThrottle('app:/t', POLICY), null);
+  const bucket = store.buckets.get('app:/t');
+  assert.equal(bucket.limitFactor, 0.5);
+  assert.equal(bucket.throttleCount, 2);
+
+  // 降低后按系数生效：并发 4 → 2（已占用 1）
+  assert.equal((await store.tryAcquire('app:/t', config)).acquired, true);
+  assert.equal((await store.tryAcquire('app:/t', config)).acquired, false);
+
+  const factors = [];
+  for (let i = 0; i < 4; i++) {
+    bucket.lastThrottledAt -= POLICY.cooldownMs;
+    factors.push(await store.recordThrottle('app:/t', POLICY));
+  }
+  assert.deepEqual(factors, [0.25, 0.125, 0.1, 0.1]);
+
+  assert.equal(await store.increaseFactor('app:/t', 0.5), 0.6);
+  assert.equal(await store.increaseFactor('app:/t', 0.5), 1);
+  assert.equal(await store.increaseFactor('app:/t', 0.5), null);
+
+  await store.recordThrottle('app:/t', { ...POLICY, cooldownMs: 0 });
+  assert.equal(await store.resetFactor(), 1);
+  assert.equal(bucket.limitFactor, 1);
+});
+
+test('PostgresRateLimitStore 冷却期内的限流只累计次数，不降低系数', async () => {
+  const bucket = { key: 'app:/pg', version: 3, limitFactor: 0.5, lastThrottledAt: new Date(Date.now() - 1000) };
+  const updates = [];
+  prisma.rateLimitBucket = {
+    findUnique: async () => bucket,
+    updateMany: async (args) => { updates.push(args); return { count: 1 }; }
+  };
+  const store = new PostgresRateLimitStore('test');
+
+  assert.equal(await store.recordThrottle('app:/pg', POLICY), null);
+  assert.equal(updates.length, 1);
+  assert.deepEqual(Object.keys(updates[0].data), ['throttleCount', 'lastThrottledAt']);
+
+  bucket.lastThrottledAt = new Date(Date.now() - POLICY.cooldownMs);
+  updates.length = 0;
+  assert.equal(await store.recordThrottle('app:/pg', POLICY), 0.25);
+  assert.deepEqual(updates[0].where, { key: 'app:/pg', version: 3 });
+  assert.equal(updates[0].data.limitFactor, 0.25);
+  assert.equal(updates[0].data.tokens, 0);
+});
+
+test('acquireToken 后连续限流只降一次，连续成功后恢复系数', async () => {
+  const url = 'https://openapi.lingxing.com/erp/sc/data/sales_report/sales';
+  const key = rateLimiter.getBucketKey('app-adapt', url);
+  const policy = rateLimiter.adaptivePolicy;
+
+  const tokens = [];
+  for (let i = 0; i < 3; i++) tokens.push(await rateLimiter.acquireToken('app-adapt', url, { waitTimeoutMs: 0 }));
+  for (const token of tokens) await rateLimiter.releaseToken('app-adapt', url, token.requestId, 'throttled');
+  const bucket = rateLimiter.memoryStore.buckets.get(key);
+  assert.equal(bucket.limitFactor, policy.decreaseFactor);
+  assert.equal(bucket.throttleCount, 3);
+
+  for (let i = 0; i < policy.recoverAfterSuccesses; i++) {
+    const token = await rateLimiter.acquireToken('app-adapt', url, { waitTimeoutMs: 0 });
+    await rateLimiter.releaseToken('app-adapt', url, token.requestId, 'success');
+  }
+  assert.equal(bucket.limitFactor, policy.decreaseFactor + policy.increaseStep);
+  assert.equal(await rateLimiter.resetAdaptiveLimits(key), 1);
+});
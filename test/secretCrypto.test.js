@@ -0,0 +1,197 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import prisma from '../src/config/database.js';
+import {
+  resetKeyring,
+  isEncryptionEnabled,
+  isEncrypted,
+  getKeyId,
+  encryptSecret,
+  decryptSecret,
+  needsReencrypt,
+  encryptFields,
+  decryptFields,
+  omitSecretFields
+} from '../src/services/secretCrypto.js';
+import { reencryptSecrets } from '../src/services/secretStoreService.js';
+
+const ENV_KEYS = ['SECRETS_ENCRYPTION_KEY', 'SECRETS_ENCRYPTION_KEY_ID', 'SECRETS_ENCRYPTION_OLD_KEYS'];
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('hex');
+
+let savedEnv;
+let savedDelegates;
+
+function useKeys({ current, currentId, old } = {}) {
+  for (const key of ENV_KEYS) delete process.env[key];
+  if (current) process.env.SECRETS_ENCRYPTION_KEY = current;
+  if (currentId) process.env.SECRETS_ENCRYPTION_KEY_ID = currentId;
+  if (old) process.env.SECRETS_ENCRYPTION_OLD_KEYS = JSON.stringify(old);
+  resetKeyring();
+}
+
+/** 内存中的表，updateMany 按 where 中的全部字段（含原值）匹配 */
+function createDelegate(rows) {
+  return {
+    rows,
+    findMany: async () => rows.map((row) => ({ ...row })),
+    updateMany: async ({ where, data }) => {
+      const matched = rows.filter((row) => Object.entries(where).every(([field, value]) => row[field] === value));
+      for (const row of matched) Object.assign(row, data);
+      return { count: matched.length };
+    }
+  };
+}
+
+before(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  savedDelegates = { lingXingAccount: prisma.lingXingAccount, amazonStore: prisma.amazonStore };
+});
+
+beforeEach(() => {
+  useKeys({ current: KEY_1, currentId: 'k1' });
+});
+
+after(() => {
+  prisma.lingXingAccount = savedDelegates.lingXingAccount;
+  prisma.amazonStore = savedDelegates.amazonStore;
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  resetKeyring();
+});
+
+test('加密后可解密，每次加密使用新的数据密钥与 iv', () => {
+  const plaintext = 'app-secret-中文-🔑';
+  const first = encryptSecret(plaintext);
+  const second = encryptSecret(plaintext);
+  assert.equal(isEncrypted(first), true);
+  assert.equal(getKeyId(first), 'k1');
+  assert.match(first, /^enc:v1:k1:[^:]+:[^:]+:[^:]+:[^:]+$/);
+  assert.notEqual(first, second);
+  assert.equal(decryptSecret(first), plaintext);
+  assert.equal(decryptSecret(second), plaintext);
+  // 已是密文时不重复加密
+  assert.equal(encryptSecret(first), first);
+});
+
+test('null / undefined / 空字符串原样返回', () => {
+  for (const value of [null, undefined, '']) {
+    assert.equal(encryptSecret(value), value);
+    assert.equal(decryptSecret(value), value);
+    assert.equal(needsReencrypt(value), false);
+  }
+});
+
+test('非 enc: 前缀的旧明文原样返回', () => {
+  assert.equal(decryptSecret('legacy-plain-secret'), 'legacy-plain-secret');
+  assert.equal(getKeyId('legacy-plain-secret'), null);
+  assert.equal(needsReencrypt('legacy-plain-secret'), true);
+  assert.deepEqual(
+    decryptFields('lingXingAccount', { id: 1, appSecret: 'plain', accessToken: encryptSecret('token'), name: 'a' }),
+    { id: 1, appSecret: 'plain', accessToken: 'token', name: 'a' }
+  );
+});
+
+test('未配置主密钥时不加密', () => {
+  useKeys();
+  assert.equal(isEncryptionEnabled(), false);
+  assert.equal(encryptSecret('plain'), 'plain');
+  assert.equal(needsReencrypt('plain'), false);
+});
+
+test('主密钥错误或缺失时解密失败', () => {
+  const value = encryptSecret('secret');
+  useKeys({ current: KEY_2, currentId: 'k1' });
+  assert.throws(() => decryptSecret(value), /unable to authenticate data|Unsupported state/);
+  useKeys({ current: KEY_2, currentId: 'k2' });
+  assert.throws(() => decryptSecret(value), /缺少主密钥 k1/);
+});
+
+test('认证标签或密文被篡改时解密失败', () => {
+  const value = encryptSecret('secret');
+  const parts = value.split(':');
+  const flip = (base64) => {
+    const buf = Buffer.from(base64, 'base64');
+    buf[0] ^= 0x01;
+    return buf.toString('base64');
+  };
+  const tamper = (index) => parts.map((part, i) => (i === index ? flip(part) : part)).join(':');
+  // enc:v1:<keyId>:<DEK>:<iv>:<tag>:<密文>
+  for (const index of [3, 4, 5, 6]) {
+    assert.throws(() => decryptSecret(tamper(index)), /unable to authenticate data|Unsupported state/, `part ${index}`);
+  }
+});
+
+test('主密钥格式与旧密钥标识冲突时报错', () => {
+  useKeys({ current: 'too-short', currentId: 'k1' });
+  assert.throws(() => encryptSecret('x'), /32 字节/);
+  useKeys({ current: KEY_1, currentId: 'k1', old: { k1: KEY_2 } });
+  assert.throws(() => encryptSecret('x'), /与当前密钥标识重复/);
+});
+
+test('encryptFields 只加密出现的敏感字段，omitSecretFields 以 has* 标记', () => {
+  const data = encryptFields('lingXingAccount', { name: 'a', appSecret: 's', accessToken: null });
+  assert.equal(data.name, 'a');
+  assert.equal(isEncrypted(data.appSecret), true);
+  assert.equal(data.accessToken, null);
+  assert.equal('refreshToken' in data, false);
+  assert.deepEqual(omitSecretFields('lingXingAccount', data), { name: 'a', hasAppSecret: true, hasAccessToken: false });
+});
+
+test('reencryptSecrets 首次迁移只加密明文，轮换后全部改用新主密钥', async () => {
+  const oldCiphertext = encryptSecret('old-token');
+  prisma.lingXingAccount = createDelegate([
+    { id: 'a1', appSecret: 'plain-secret', accessToken: oldCiphertext, refreshToken: null }
+  ]);
+  prisma.amazonStore = createDelegate([{ id: 's1', refreshToken: 'plain-refresh' }]);
+
+  const migrated = await reencryptSecrets({ onlyPlaintext: true });
+  assert.deepEqual(migrated.lingXingAccount, { scanned: 1, updated: 1, skipped: 0 });
+  const [account] = prisma.lingXingAccount.rows;
+  assert.equal(getKeyId(account.appSecret), 'k1');
+  assert.equal(account.accessToken, oldCiphertext);
+  assert.equal(account.refreshToken, null);
+  assert.equal(decryptSecret(prisma.amazonStore.rows[0].refreshToken), 'plain-refresh');
+
+  useKeys({ current: KEY_2, currentId: 'k2', old: { k1: KEY_1 } });
+  const dry = await reencryptSecrets({ dryRun: true });
+  assert.equal(dry.lingXingAccount.updated, 1);
+  assert.equal(getKeyId(account.appSecret), 'k1');
+
+  const rotated = await reencryptSecrets();
+  assert.deepEqual(rotated.lingXingAccount, { scanned: 1, updated: 1, skipped: 0 });
+  assert.deepEqual(rotated.amazonStore, { scanned: 1, updated: 1, skipped: 0 });
+  assert.equal(getKeyId(account.appSecret), 'k2');
+  assert.equal(getKeyId(account.accessToken), 'k2');
+  assert.equal(getKeyId(prisma.amazonStore.rows[0].refreshToken), 'k2');
+
+  // 旧密钥移除后仍可解密
+  useKeys({ current: KEY_2, currentId: 'k2' });
+  assert.equal(decryptSecret(account.appSecret), 'plain-secret');
+  assert.equal(decryptSecret(account.accessToken), 'old-token');
+  assert.equal(decryptSecret(prisma.amazonStore.rows[0].refreshToken), 'plain-refresh');
+  assert.deepEqual((await reencryptSecrets()).lingXingAccount, { scanned: 1, updated: 0, skipped: 0 });
+});
+
+test('reencryptSecrets 跳过期间被并发修改的行，缺少旧密钥时中止', async () => {
+  prisma.amazonStore = createDelegate([{ id: 's1', refreshToken: 'plain-refresh' }]);
+  prisma.lingXingAccount = createDelegate([{ id: 'a1', appSecret: 'plain-secret', accessToken: null, refreshToken: null }]);
+  const { findMany } = prisma.lingXingAccount;
+  prisma.lingXingAccount.findMany = async (args) => {
+    const rows = await findMany(args);
+    // 读取后 token 被刷新
+    prisma.lingXingAccount.rows[0].appSecret = encryptSecret('rotated-by-app');
+    return rows;
+  };
+  const summary = await reencryptSecrets({ onlyPlaintext: true });
+  assert.deepEqual(summary.lingXingAccount, { scanned: 1, updated: 0, skipped: 1 });
+  assert.equal(decryptSecret(prisma.lingXingAccount.rows[0].appSecret), 'rotated-by-app');
+
+  prisma.lingXingAccount = createDelegate([{ id: 'a1', appSecret: encryptSecret('x'), accessToken: null, refreshToken: null }]);
+  useKeys({ current: KEY_2, currentId: 'k2' });
+  await assert.rejects(reencryptSecrets(), /缺少主密钥 k1/);
+  assert.equal(getKeyId(prisma.lingXingAccount.rows[0].appSecret), 'k1');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeGs1CheckDigit, isValidSscc, buildSscc } from '../src/utils/sscc.js';
+
+test('computeGs1CheckDigit 按 GS1 规则计算校验位', () => {
+  // GS1 通用规范示例 SSCC 106141411234567897
+  assert.equal(computeGs1CheckDigit('10614141123456789'), 7);
+  assert.equal(computeGs1CheckDigit('00614141123456789'), 0);
+  // GTIN-13 示例 4006381333931
+  assert.equal(computeGs1CheckDigit('400638133393'), 1);
+  assert.equal(computeGs1CheckDigit('00000000000000000'), 0);
+});
+
+test('isValidSscc 校验长度、数字与校验位', () => {
+  assert.equal(isValidSscc('106141411234567897'), true);
+  assert.equal(isValidSscc('006141411234567890'), true);
+  assert.equal(isValidSscc('106141411234567891'), false);
+  assert.equal(isValidSscc('10614141123456789'), false);
+  assert.equal(isValidSscc('1061414112345678970'), false);
+  assert.equal(isValidSscc('10614141123456789A'), false);
+  assert.equal(isValidSscc(null), false);
+  assert.equal(isValidSscc(undefined), false);
+});
+
+test('buildSscc 按厂商识别代码长度补齐序列号并追加校验位', () => {
+  assert.equal(buildSscc('0', '0614141', '123456789'), '006141411234567890');
+  assert.equal(buildSscc(1, '0614141', 123456789), '106141411234567897');
+
+  const short = buildSscc('0', '1234567', 1);
+  assert.equal(short.length, 18);
+  assert.equal(short.slice(0, 17), '01234567000000001');
+  assert.equal(isValidSscc(short), true);
+
+  // 10 位厂商识别代码只剩 6 位序列号
+  const long = buildSscc('3', '1234567890', 42n);
+  assert.equal(long.slice(0, 17), '31234567890000042');
+  assert.equal(isValidSscc(long), true);
+});
+
+test('buildSscc 序列号超出可用位数时报错', () => {
+  assert.throws(() => buildSscc('0', '1234567890', 1234567), /超出厂商识别代码/);
+  assert.doesNotThrow(() => buildSscc('0', '1234567890', 999999));
+});
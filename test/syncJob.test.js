@@ -0,0 +1,119 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jobRunService from '../src/services/jobRunService.js';
+import jobDefinitionService from '../src/services/jobDefinitionService.js';
+import jobTaskStatusService, { getRoundStart } from '../src/services/jobTaskStatusService.js';
+import lingXingUnifiedSyncService from '../src/services/lingxing/sync/lingXingUnifiedSyncService.js';
+import { runSyncJobByTaskType, SYNC_TASKS } from '../src/workers/jobs/syncJob.js';
+
+const STUBBED = [
+  [jobRunService, ['createJobRun', 'finishJobRun', 'getFinishedJobRuns']],
+  [jobDefinitionService, ['getJobDefinition']],
+  [jobTaskStatusService, ['upsertJobTaskStatus']]
+];
+
+let saved;
+/** jobName -> 表中的 cron */
+let definitions;
+/** taskType -> 前置任务查询的起始时间 */
+let queriedSince;
+/** taskType -> 已结束的执行（按开始时间升序） */
+let finishedRuns;
+let finished;
+/** 实际执行的同步：taskType -> options */
+let synced;
+
+before(() => {
+  saved = STUBBED.map(([service, names]) => names.map((name) => service[name]));
+  jobRunService.createJobRun = async () => ({ id: 'run-1' });
+  jobRunService.finishJobRun = async (id, data) => { finished.push(data); };
+  jobRunService.getFinishedJobRuns = async (taskType, since) => {
+    queriedSince.set(taskType, since);
+    return (finishedRuns[taskType] ?? []).filter((run) => run.startedAt >= since);
+  };
+  jobDefinitionService.getJobDefinition = async (jobName) => (definitions[jobName] ? { jobName, cronExpression: definitions[jobName] } : null);
+  jobTaskStatusService.upsertJobTaskStatus = async () => {};
+  lingXingUnifiedSyncService.runIncrementalSyncByTaskType = async (taskType, options) => {
+    synced.set(taskType, options);
+    return { taskType, results: [], summary: { successCount: 0, failCount: 0 } };
+  };
+});
+
+beforeEach(() => {
+  definitions = {};
+  queriedSince = new Map();
+  finishedRuns = {};
+  finished = [];
+  synced = new Map();
+});
+
+after(() => {
+  STUBBED.forEach(([service, names], i) => names.forEach((name, j) => { service[name] = saved[i][j]; }));
+  delete lingXingUnifiedSyncService.runIncrementalSyncByTaskType;
+});
+
+test('每小时执行的后置任务按前置任务（每周）的轮次检查，前置任务本周失败时一直跳过', async () => {
+  const task = SYNC_TASKS.find((t) => t.taskType === 'settlementTransactionDetail');
+  const prerequisite = SYNC_TASKS.find((t) => t.taskType === 'sellerLists');
+  assert.deepEqual(task.dependsOn, ['sellerLists']);
+  assert.equal(task.cronExpression, '0 * * * *');
+
+  const weekStart = getRoundStart(new Date(), prerequisite.cronExpression);
+  // 前置任务在本周轮次开始时失败，早于后置任务本小时的轮次
+  finishedRuns.sellerLists = [{ status: 'failed', startedAt: new Date(weekStart.getTime() + 1000), accountIds: [], accounts: [] }];
+  const result = await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'cron' });
+
+  assert.equal(queriedSince.get('sellerLists').getTime(), weekStart.getTime());
+  assert.deepEqual(result, { skipped: true, reason: '前置任务 sellerLists 本轮执行失败' });
+  assert.equal(finished[0].skipReason, '前置任务 sellerLists 本轮执行失败');
+  assert.equal(synced.size, 0);
+});
+
+test('前置任务的轮次以任务定义表中的 cron 为准', async () => {
+  definitions['sync-job-sellerLists'] = '0 3 * * *';
+  finishedRuns.sellerLists = [{ status: 'skipped', startedAt: new Date(0), accountIds: [], accounts: [] }];
+  const result = await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'retry', accountIds: ['1'] });
+  assert.equal(queriedSince.get('sellerLists').getTime(), getRoundStart(new Date(), '0 3 * * *').getTime());
+  // 上一轮的结果不影响本轮
+  assert.equal(result, undefined);
+  assert.deepEqual(synced.get('settlementTransactionDetail').accountIds, ['1']);
+});
+
+/** 本周轮次内的前置任务执行，offset 为距轮次开始的秒数 */
+function sellerListsRun(offset, status, accounts, accountIds = []) {
+  const weekStart = getRoundStart(new Date(), SYNC_TASKS.find((t) => t.taskType === 'sellerLists').cronExpression);
+  return { status, startedAt: new Date(weekStart.getTime() + offset * 1000), accountIds, accounts };
+}
+
+test('前置任务单账户重试失败不视为整个任务失败，只跳过该账户', async () => {
+  finishedRuns.sellerLists = [
+    sellerListsRun(1, 'partial', [{ accountId: 'a', success: true }, { accountId: 'b', success: false }]),
+    sellerListsRun(2, 'failed', [{ accountId: 'b', success: false }], ['b']),
+    // 重试整体异常时没有账户明细
+    sellerListsRun(3, 'failed', [], ['b'])
+  ];
+  const result = await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'cron' });
+  assert.equal(result, undefined);
+  assert.deepEqual(synced.get('settlementTransactionDetail').excludeAccountIds, ['b']);
+});
+
+test('前置任务单账户重试成功不掩盖其它仍失败的账户', async () => {
+  finishedRuns.sellerLists = [
+    sellerListsRun(1, 'partial', [{ accountId: 'a', success: false }, { accountId: 'b', success: false }, { accountId: 'c', success: true }]),
+    sellerListsRun(2, 'success', [{ accountId: 'a', success: true }], ['a'])
+  ];
+  await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'cron' });
+  assert.deepEqual(synced.get('settlementTransactionDetail').excludeAccountIds, ['b']);
+});
+
+test('前置任务全部账户失败时，重试成功部分账户后不再跳过整个任务', async () => {
+  const allFailed = sellerListsRun(1, 'failed', [{ accountId: 'a', success: false }, { accountId: 'b', success: false }]);
+  finishedRuns.sellerLists = [allFailed];
+  const skipped = await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'cron' });
+  assert.deepEqual(skipped, { skipped: true, reason: '前置任务 sellerLists 本轮执行失败' });
+
+  finishedRuns.sellerLists = [allFailed, sellerListsRun(2, 'success', [{ accountId: 'a', success: true }], ['a'])];
+  const result = await runSyncJobByTaskType('settlementTransactionDetail', { trigger: 'cron' });
+  assert.equal(result, undefined);
+  assert.deepEqual(synced.get('settlementTransactionDetail').excludeAccountIds, ['b']);
+});
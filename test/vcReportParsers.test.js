@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeReportRows, toUtcDate, VC_REPORT_NORMALIZERS } from '../src/services/amazon/vcReportParsers.js';
+
+const usd = (amount) => ({ amount, currencyCode: 'USD' });
+
+/** 每种报表一行典型明细：期望的关键字段与唯一键 */
+const CASES = [
+  {
+    reportType: 'GET_VENDOR_REAL_TIME_SALES_REPORT',
+    row: { asin: 'B01', startTime: '2026-03-01T05:00:00Z', endTime: '2026-03-01T06:00:00Z', orderedUnits: '3', orderedRevenue: usd(29.97) },
+    expected: { date: '2026-03-01', hour: 5, orderedUnits: 3, orderedRevenue: '29.97', currencyCode: 'USD' }
+  },
+  {
+    reportType: 'GET_VENDOR_REAL_TIME_TRAFFIC_REPORT',
+    row: { asin: 'B01', startTime: '2026-03-01T23:00:00Z', glanceViews: 12.6 },
+    expected: { date: '2026-03-01', hour: 23, glanceViews: 13 }
+  },
+  {
+    reportType: 'GET_VENDOR_REAL_TIME_INVENTORY_REPORT',
+    row: { asin: 'B01', startTime: '2026-03-01T00:00:00Z', highlyAvailableInventory: 40 },
+    expected: { date: '2026-03-01', highlyAvailableInventory: 40 }
+  },
+  {
+    reportType: 'GET_VENDOR_SALES_REPORT',
+    row: { asin: 'B01', startDate: '2026-03-01', endDate: '2026-03-01', orderedUnits: 5, orderedRevenue: 50, shippedUnits: 4, shippedRevenue: usd('40.10'), shippedCogs: usd(20), customerReturns: 1 },
+    // 币种取第一个带币种的金额（orderedRevenue 为纯数字）
+    expected: { date: '2026-03-01', orderedRevenue: '50', shippedRevenue: '40.10', shippedCogs: '20', customerReturns: 1, currencyCode: 'USD' }
+  },
+  {
+    reportType: 'GET_VENDOR_NET_PURE_PRODUCT_MARGIN_REPORT',
+    row: { asin: 'B01', startDate: '2026-03-01', netPureProductMargin: 0.25 },
+    expected: { date: '2026-03-01', netPureProductMargin: '0.25' }
+  },
+  {
+    reportType: 'GET_VENDOR_TRAFFIC_REPORT',
+    row: { asin: 'B01', startDate: '2026-03-01', glanceViews: 'n/a' },
+    expected: { date: '2026-03-01', glanceViews: null }
+  },
+  {
+    reportType: 'GET_VENDOR_FORECASTING_REPORT',
+    row: { asin: 'B01', startDate: '2026-03-08', forecastGenerationDate: '2026-03-01', meanForecastUnits: 10.5, p90ForecastUnits: 20 },
+    expected: { date: '2026-03-08', forecastGenerationDate: '2026-03-01', meanForecastUnits: '10.5', p70ForecastUnits: null, p90ForecastUnits: '20' }
+  },
+  {
+    reportType: 'GET_VENDOR_INVENTORY_REPORT',
+    row: { asin: 'B01', startDate: '2026-03-01', netReceivedAmount: 100, sellableOnHandInventoryUnits: 7, sellableOnHandInventoryCost: { amount: 70, currencyCode: 'EUR' }, sellThroughRate: 0.4 },
+    expected: { date: '2026-03-01', netReceivedAmount: '100', sellableOnHandInventoryUnits: 7, sellableOnHandInventoryCost: '70', sellThroughRate: '0.4', currencyCode: 'EUR' }
+  }
+];
+
+function pick(record, expected) {
+  return Object.fromEntries(
+    Object.keys(expected).map((key) => [key, record[key] instanceof Date ? record[key].toISOString().slice(0, 10) : record[key]])
+  );
+}
+
+test('每种报表类型都有解析用例', () => {
+  assert.deepEqual(CASES.map((c) => c.reportType).sort(), Object.keys(VC_REPORT_NORMALIZERS).sort());
+});
+
+for (const { reportType, row, expected } of CASES) {
+  test(`${reportType} 展开 rowsKey 并解析字段`, () => {
+    const { rowsKey, model } = VC_REPORT_NORMALIZERS[reportType];
+    // 报表文档整体保存为一行，与已是明细行的数组解析结果一致
+    const document = { reportSpecification: { reportType }, [rowsKey]: [row] };
+    for (const rows of [[document], [row]]) {
+      const result = normalizeReportRows(reportType, rows);
+      assert.equal(result.model, model);
+      assert.equal(result.skipped, 0);
+      assert.equal(result.records.length, 1);
+      assert.equal(result.records[0].asin, 'B01');
+      assert.deepEqual(pick(result.records[0], expected), expected);
+      assert.equal(result.records[0].data, row);
+    }
+  });
+}
+
+test('normalizeReportRows 按唯一键去重（保留最后一行），跳过缺少 asin 或日期的行', () => {
+  const cases = [
+    {
+      reportType: 'GET_VENDOR_SALES_REPORT',
+      rows: [
+        { salesByAsin: [{ asin: 'B01', startDate: '2026-03-01', orderedUnits: 1 }, { asin: 'B02', startDate: '2026-03-01', orderedUnits: 2 }] },
+        { salesByAsin: [{ asin: 'B01', startDate: '2026-03-01T12:00:00Z', orderedUnits: 9 }, { startDate: '2026-03-01' }, { asin: 'B03', startDate: 'bad' }] }
+      ],
+      expected: [['B01', 9], ['B02', 2]],
+      skipped: 2
+    },
+    {
+      reportType: 'GET_VENDOR_REAL_TIME_SALES_REPORT',
+      rows: [
+        { asin: 'B01', startTime: '2026-03-01T05:00:00Z', orderedUnits: 1 },
+        // 同一天不同小时不是重复
+        { asin: 'B01', startTime: '2026-03-01T06:00:00Z', orderedUnits: 2 },
+        { asin: 'B01', startTime: '2026-03-01T05:00:00.000Z', orderedUnits: 3 },
+        { asin: 'B01' },
+        null,
+        'x'
+      ],
+      expected: [['B01', 3], ['B01', 2]],
+      skipped: 1
+    }
+  ];
+  for (const { reportType, rows, expected, skipped } of cases) {
+    const result = normalizeReportRows(reportType, rows);
+    assert.deepEqual(result.records.map((r) => [r.asin, r.orderedUnits]), expected, reportType);
+    assert.equal(result.skipped, skipped, reportType);
+  }
+});
+
+test('normalizeReportRows 未配置的报表类型返回 null，非数组输入视为空', () => {
+  assert.equal(normalizeReportRows('GET_VENDOR_UNKNOWN_REPORT', []), null);
+  assert.deepEqual(normalizeReportRows('GET_VENDOR_TRAFFIC_REPORT', null), { model: 'amazonVcReportTraffic', records: [], skipped: 0 });
+});
+
+test('toUtcDate 取 UTC 日期的 0 点，无效值返回 null', () => {
+  const cases = [
+    ['2026-03-01T23:59:59Z', '2026-03-01T00:00:00.000Z'],
+    ['2026-03-01T23:59:59-08:00', '2026-03-02T00:00:00.000Z'],
+    ['2026-03-01', '2026-03-01T00:00:00.000Z'],
+    ['not a date', null],
+    ['', null],
+    [null, null]
+  ];
+  for (const [input, expected] of cases) assert.equal(toUtcDate(input)?.toISOString() ?? null, expected, String(input));
+});